@@ -0,0 +1,162 @@
+<?php
+/**
+ * Activity Log
+ * Everything moderators (and the cron job and webhook) did to submissions,
+ * newest first, filterable by moderator and action.
+ *
+ * ACCESS: https://trouidees.co.za/fb-approval/activity.php
+ *
+ * FILTERS (GET, bookmarkable):
+ *   by      moderator username ("cron" and "webhook" for automatic entries)
+ *   action  action name (see HISTORY_ACTION_LABELS in history.php)
+ *   page    page number of the list
+ */
+
+require_once 'config.php';
+require_once 'simple-auth.php';
+require_once 'history.php';
+
+// Require authentication (publishers and admins only)
+requireSimpleAuth();
+requireSimplePermission('view_activity');
+
+$filters = [
+    'by' => trim($_GET['by'] ?? ''),
+    'action' => isset(HISTORY_ACTION_LABELS[$_GET['action'] ?? '']) ? $_GET['action'] : ''
+];
+$moderators = getActivityModerators();
+
+$perPage = 50;
+$page = max(1, intval($_GET['page'] ?? 1));
+$activity = readActivityLog($filters, ($page - 1) * $perPage, $perPage);
+$totalPages = max(1, (int) ceil($activity['total'] / $perPage));
+
+// Helper to build page URLs preserving the filters
+function build_activity_query(int $pageNum): string {
+    global $filters;
+    return '?' . http_build_query(array_filter($filters) + ['page' => $pageNum]);
+}
+
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Trou Idees - Activity Log</title>
+
+    <link rel="stylesheet" href="assets/css/variables.css">
+    <link rel="stylesheet" href="assets/css/utilities.css">
+    <link rel="stylesheet" href="assets/css/main.css">
+</head>
+<body>
+    <div class="container">
+        <header class="site-header">
+            <div class="logo-container">
+                <a href="https://trouidees.co.za/wp-admin" class="logo-link" aria-label="Open WordPress Admin">
+                    <img src="cropped-logo.png" alt="Trouidees" class="logo-img" width="180" height="48">
+                </a>
+                <?php if (USE_PASSWORD): ?>
+                    <?php $currentUser = getSimpleUser(); ?>
+                    <div class="user-menu">
+                        <span class="current-user">
+                            <?= htmlspecialchars($currentUser['display_name']) ?>
+                            <span class="user-role"><?= htmlspecialchars($currentUser['role']) ?></span>
+                        </span>
+                        <a href="?logout" class="logout-btn" aria-label="Logout from dashboard">
+                            Logout
+                        </a>
+                    </div>
+                <?php endif; ?>
+            </div>
+        </header>
+
+        <!-- Page Navigation -->
+        <nav class="page-nav">
+            <?php foreach ($FACEBOOK_PAGES as $key => $pageConfig): ?>
+                <a href="queue.php?page_key=<?= urlencode($key) ?>" class="page-nav-btn" aria-current="false">
+                    <?= htmlspecialchars($pageConfig['nav_label'] ?? $pageConfig['name']) ?>
+                </a>
+            <?php endforeach; ?>
+            <a href="activity.php" class="page-nav-btn active" aria-current="page">Activity</a>
+            <?php if (simpleUserCan('test_mapping')): ?>
+                <a href="mapping-test.php" class="page-nav-btn" aria-current="false">Field Mapping</a>
+            <?php endif; ?>
+        </nav>
+
+        <!-- Filters -->
+        <form class="activity-filters" method="get" aria-label="Filter activity">
+            <label>
+                Moderator
+                <select name="by">
+                    <option value="">Everyone</option>
+                    <?php foreach ($moderators as $moderator): ?>
+                        <option value="<?= htmlspecialchars($moderator) ?>" <?= $moderator === $filters['by'] ? 'selected' : '' ?>>
+                            <?= htmlspecialchars($moderator) ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </label>
+            <label>
+                Action
+                <select name="action">
+                    <option value="">All actions</option>
+                    <?php foreach (HISTORY_ACTION_LABELS as $action => $label): ?>
+                        <option value="<?= htmlspecialchars($action) ?>" <?= $action === $filters['action'] ? 'selected' : '' ?>>
+                            <?= htmlspecialchars(ucfirst($label)) ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </label>
+            <button type="submit" class="btn btn-search">Filter</button>
+            <?php if (array_filter($filters)): ?>
+                <a href="activity.php" class="search-clear">Clear</a>
+            <?php endif; ?>
+        </form>
+
+        <?php if (empty($activity['entries'])): ?>
+            <div class="empty-state">
+                <h2>No activity</h2>
+                <p><?= array_filter($filters) ? 'Nothing matches these filters.' : 'Moderator actions will appear here.' ?></p>
+            </div>
+        <?php else: ?>
+            <table class="activity-table">
+                <thead>
+                    <tr>
+                        <th scope="col">When</th>
+                        <th scope="col">What</th>
+                        <th scope="col">Submission</th>
+                        <th scope="col">IP</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($activity['entries'] as $entry): ?>
+                        <?php $pageKey = $entry['page_key'] ?? $FORM_PAGE_MAPPING['default']; ?>
+                        <tr>
+                            <td><time datetime="<?= htmlspecialchars($entry['at'] ?? '') ?>"><?= htmlspecialchars(substr($entry['at'] ?? '', 0, 16)) ?></time></td>
+                            <td><?= htmlspecialchars(formatHistoryEntry($entry)) ?></td>
+                            <td>
+                                <a href="queue.php?<?= htmlspecialchars(http_build_query(['page_key' => $pageKey, 'q' => $entry['submission_id'] ?? ''])) ?>">
+                                    <?= htmlspecialchars($entry['submission_id'] ?? '') ?>
+                                </a>
+                            </td>
+                            <td><?= htmlspecialchars($entry['ip'] ?? '') ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <?php if ($totalPages > 1): ?>
+                <nav class="pagination" aria-label="Pagination">
+                    <?php for ($i = 1; $i <= $totalPages; $i++): ?>
+                        <a href="<?= htmlspecialchars(build_activity_query($i)) ?>"
+                           class="page-link<?= $i === $page ? ' active' : '' ?>">
+                            <?= $i ?>
+                        </a>
+                    <?php endfor; ?>
+                </nav>
+            <?php endif; ?>
+        <?php endif; ?>
+    </div>
+</body>
+</html>
@@ -0,0 +1,232 @@
+<?php
+/**
+ * Queue Actions JSON Endpoint
+ *
+ * DESCRIPTION:
+ * Asynchronous counterpart to the <form method="post"> actions in queue.php.
+ * assets/js/app.js sends moderation actions here so the queue can update
+ * submission cards in place instead of reloading the whole page.
+ *
+ * REQUEST:
+ * POST api.php
+ *   action=batch_publish&ids[]=sub_1&ids[]=sub_2   (batch)
+ *   action=approve&id=sub_1                        (single)
+ *   action=change_page&id=sub_1&target_page_key=page2
+ *   action=publish&id=sub_1&target_page_key=page2  (publish from preview to the previewed page)
+ *   action=undo&ids[]=sub_1                        (restore after reject/spam/delete)
+ *   action=edit&id=sub_1&message=Corrected+text    (edit message before publishing)
+ *   action=attach&id=sub_1&attachment=https://...  (image/link to publish with it; "none" = text only,
+ *                                                   empty = page default, see attachments.php)
+ *   action=schedule&id=sub_1&publish_at=next       (or publish_at=2025-11-04T09:00)
+ *   action=unschedule&id=sub_1
+ *   action=retry&id=sub_1                          (publish a "failed" submission again)
+ *   action=spam&id=sub_1                           (or not_spam: back to pending)
+ *   action=batch_approve&page_key=page1&filter=pending&q=venue
+ *       (no IDs: applies to every submission matching the queue filter and
+ *        search parameters, see SEARCH in submissions.php)
+ *   action=select&page_key=page1&filter=approved
+ *       (read-only: returns { "success": true, "ids": [...] } for the filter)
+ *   action=preview&id=sub_1&target_page_key=page2&attachment=none
+ *       (read-only: returns the exact post text and attachment, see
+ *        previewFacebookPost() in facebook.php; target_page_key and
+ *        attachment are optional)
+ *   action=slots&page_key=page1&limit=5
+ *       (read-only: returns { "success": true, "slots": ["2025-11-04 09:00:00", ...] },
+ *        the next free posting slots of the page, see schedule.php)
+ *   action=updates&page_key=page1&since=sub_1&q=venue
+ *       (read-only: returns { "success": true, "latest": "sub_9", "new": [{"id": ..., "status": ...}],
+ *        "counts": {"all": 12, "pending": 3, ...} }, the submissions received since
+ *        "since" and the status counts for the search, see loadNewSubmissions();
+ *        since= (empty) if the queue had no submissions; without "since",
+ *        nothing is new)
+ *
+ * RESPONSE (HTTP 200):
+ * {
+ *   "success": true,
+ *   "action": "publish",
+ *   "results": [ {...one result per ID, see submissions.php...} ],
+ *   "summary": { "total": 10, "succeeded": 8, "failed": 2 },
+ *   "undo_window": 10          (reject/spam/delete only: seconds the action can be undone)
+ * }
+ *
+ * ERROR RESPONSES:
+ * - 401 if not logged in (session expired)
+ * - 403 if the CSRF token is missing or wrong (page open from before the session expired)
+ * - 403 if the user's role doesn't allow the action (see SIMPLE_AUTH_PERMISSIONS
+ *   in simple-auth.php; select, slots, preview and updates are open to every role)
+ * - 405 if not a POST request
+ * - 400 if action or IDs are missing/invalid
+ * - 404 if the submission to preview doesn't exist
+ * - 500 if submissions.json could not be written
+ *
+ * AUTHENTICATION:
+ * Uses the same session as queue.php (simple-auth.php). Unlike the queue
+ * pages, this endpoint never renders the login form - it answers with JSON.
+ * Actions are recorded against the logged-in user (see history.php).
+ * Every request must carry the session's CSRF token, as the X-CSRF-Token
+ * header (sent by assets/js/api.js) or a csrf_token field.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+require_once 'config.php';
+require_once 'simple-auth.php';
+require_once 'storage.php';
+require_once 'sqlite-storage.php';
+require_once 'facebook.php';
+require_once 'publish-retry.php';
+require_once 'attachments.php';
+require_once 'history.php';
+require_once 'submissions.php';
+require_once 'schedule.php';
+
+/**
+ * Send JSON Response and Exit
+ *
+ * @param array $data   Response payload
+ * @param int   $status HTTP status code (default: 200)
+ * @return void
+ */
+function sendJson(array $data, $status = 200) {
+    http_response_code($status);
+    header('Content-Type: application/json');
+    echo json_encode($data);
+    exit;
+}
+
+// ============================================================================
+// VALIDATE REQUEST
+// ============================================================================
+
+if (!checkSimpleAuth()) {
+    sendJson(['success' => false, 'error' => 'Your session has expired. Please log in again.'], 401);
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendJson(['success' => false, 'error' => 'Method not allowed'], 405);
+}
+
+if (!verifyCsrfToken()) {
+    sendJson(['success' => false, 'error' => 'This page has expired. Please reload it and try again.'], 403);
+}
+
+// Each action reads only the submissions it needs (with SQLite, only
+// those rows, see sqlite-storage.php)
+
+// Filter selection ("select all N matching this filter")
+$pageKey = $_POST['page_key'] ?? '';
+$statusFilter = $_POST['filter'] ?? 'all';
+$search = getSearchParams($_POST);
+
+// Read-only: resolve a filter selection to IDs
+if (($_POST['action'] ?? '') === 'select') {
+    if (!isset($FACEBOOK_PAGES[$pageKey])) {
+        sendJson(['success' => false, 'error' => 'Invalid page'], 400);
+    }
+    sendJson(['success' => true, 'ids' => loadSubmissionIds($pageKey, $statusFilter, $search)]);
+}
+
+// Read-only: next free posting slots of a page
+if (($_POST['action'] ?? '') === 'slots') {
+    if (!isset($FACEBOOK_PAGES[$pageKey])) {
+        sendJson(['success' => false, 'error' => 'Invalid page'], 400);
+    }
+    $limit = min(20, max(1, intval($_POST['limit'] ?? 5)));
+    sendJson([
+        'success' => true,
+        'slots' => findFreeSlots(loadScheduledSubmissions(), $pageKey, $limit, $_POST['id'] ?? null)
+    ]);
+}
+
+// Read-only: submissions received since the queue was loaded (auto-refresh)
+if (($_POST['action'] ?? '') === 'updates') {
+    if (!isset($FACEBOOK_PAGES[$pageKey])) {
+        sendJson(['success' => false, 'error' => 'Invalid page'], 400);
+    }
+    $since = is_string($_POST['since'] ?? null) ? $_POST['since'] : null;
+    $updates = loadNewSubmissions($pageKey, $since, $search);
+    sendJson([
+        'success' => true,
+        'latest' => $updates['latest'],
+        'new' => array_map(fn($sub) => ['id' => $sub['id'], 'status' => $sub['status']], $updates['new']),
+        'counts' => $updates['counts']
+    ]);
+}
+
+// Read-only: show the post exactly as it will be published
+if (($_POST['action'] ?? '') === 'preview') {
+    $previewId = $_POST['id'] ?? '';
+    foreach (loadSubmissionsById([$previewId]) as $sub) {
+        if (!isSubmissionDeleted($sub)) {
+            $preview = previewFacebookPost($sub, $_POST['target_page_key'] ?? null, $_POST['attachment'] ?? null);
+            sendJson(['id' => $previewId] + $preview, $preview['success'] ? 200 : 400);
+        }
+    }
+    sendJson(['success' => false, 'error' => 'Submission not found'], 404);
+}
+
+$action = normalizeSubmissionAction($_POST['action'] ?? '');
+if ($action === null) {
+    sendJson(['success' => false, 'error' => 'Unknown action'], 400);
+}
+if (!simpleUserCan($action)) {
+    sendJson(['success' => false, 'error' => getSimplePermissionError($action)], 403);
+}
+
+// Accept either a single id, an ids[] list, or a filter selection
+$ids = $_POST['ids'] ?? [];
+if (!is_array($ids)) {
+    $ids = [];
+}
+if (!empty($_POST['id'])) {
+    $ids[] = $_POST['id'];
+}
+if (empty($ids) && isset($FACEBOOK_PAGES[$pageKey])) {
+    $ids = loadSubmissionIds($pageKey, $statusFilter, $search);
+}
+$ids = array_values(array_unique(array_filter($ids, 'is_string')));
+
+if (empty($ids)) {
+    sendJson(['success' => false, 'error' => 'No submissions selected'], 400);
+}
+
+// ============================================================================
+// APPLY ACTION AND SAVE
+// ============================================================================
+
+// Re-read under the lock, so a webhook arriving meanwhile isn't overwritten
+// (publishing happens outside the lock, see runSubmissionAction())
+['results' => $results, 'saved' => $saved] = runSubmissionAction($ids, $action, $_POST);
+
+if (!$saved) {
+    sendJson(['success' => false, 'error' => 'Could not save submissions'], 500);
+}
+
+// Timeline text for the cards (see history.php)
+foreach ($results as &$result) {
+    if ($result['history']) {
+        $result['history']['text'] = formatHistoryEntry($result['history']);
+    }
+}
+unset($result);
+
+$succeeded = count(array_filter($results, fn($r) => $r['success']));
+
+$response = [
+    'success' => true,
+    'action' => $action,
+    'results' => $results,
+    'summary' => [
+        'total' => count($results),
+        'succeeded' => $succeeded,
+        'failed' => count($results) - $succeeded
+    ]
+];
+
+// Tell the client how long it may offer an "Undo" button
+if (in_array($action, ['reject', 'spam', 'delete'], true)) {
+    $response['undo_window'] = UNDO_WINDOW;
+}
+
+sendJson($response);
@@ -0,0 +1,115 @@
+/**
+ * Queue API Client
+ * Trou Idees Facebook Approval System
+ *
+ * Small wrapper around fetch() for talking to api.php.
+ * Always resolves with the parsed JSON response, or rejects with an Error
+ * whose message is suitable for showing in a toast.
+ *
+ * Every request carries the page's CSRF token (<meta name="csrf-token">,
+ * see simple-auth.php) in the X-CSRF-Token header.
+ *
+ * USAGE:
+ *   TrouIdees.api.post('batch_publish', { ids: ['sub_1', 'sub_2'] })
+ *       .then(response => console.log(response.summary))
+ *       .catch(error => TrouIdees.toast.error(error.message));
+ */
+
+(function() {
+    'use strict';
+
+    // Create namespace if it doesn't exist
+    window.TrouIdees = window.TrouIdees || {};
+
+    /**
+     * API Configuration
+     */
+    const config = {
+        endpoint: 'api.php'
+    };
+
+    /**
+     * Get the CSRF Token of This Page
+     *
+     * @returns {string} The token, or '' if the page has none
+     */
+    function getCsrfToken() {
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        return meta ? meta.getAttribute('content') : '';
+    }
+
+    /**
+     * Build Request Body
+     *
+     * Arrays are sent as repeated "key[]" fields so PHP receives them as arrays.
+     *
+     * @param {string} action - The action name
+     * @param {object} data - Additional fields
+     * @returns {URLSearchParams}
+     */
+    function buildBody(action, data) {
+        const body = new URLSearchParams();
+        body.append('action', action);
+
+        Object.keys(data).forEach(key => {
+            const value = data[key];
+
+            if (Array.isArray(value)) {
+                value.forEach(item => body.append(key + '[]', item));
+            } else if (value !== undefined && value !== null) {
+                body.append(key, value);
+            }
+        });
+
+        return body;
+    }
+
+    /**
+     * Post an Action to the API
+     *
+     * @param {string} action - Action name (approve, batch_publish, ...)
+     * @param {object} data - Additional fields (id, ids, target_page_key, ...)
+     * @returns {Promise<object>} Parsed JSON response
+     */
+    async function post(action, data = {}) {
+        let response;
+
+        try {
+            response = await fetch(config.endpoint, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Accept': 'application/json',
+                    'X-CSRF-Token': getCsrfToken()
+                },
+                body: buildBody(action, data)
+            });
+        } catch (e) {
+            throw new Error('Could not reach the server. Please check your connection.');
+        }
+
+        let json = {};
+        try {
+            json = await response.json();
+        } catch (e) {
+            // Non-JSON response (e.g. PHP fatal error page)
+        }
+
+        if (!response.ok || json.success === false) {
+            const error = new Error(json.error || `Request failed (HTTP ${response.status})`);
+            error.status = response.status;
+            error.response = json;
+            throw error;
+        }
+
+        return json;
+    }
+
+    // Public API
+    window.TrouIdees.api = {
+        config: config,
+        post: post,
+        csrfToken: getCsrfToken
+    };
+
+})();
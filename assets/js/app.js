@@ -6,9 +6,17 @@
  *
  * FEATURES:
  * - Message truncation/expansion
- * - Batch selection and actions
+ * - Batch selection and actions (shift-click ranges, selection kept across pages)
+ * - Asynchronous card actions with in-place updates (via api.js)
+ * - Batch publish progress with cancel
+ * - Undo for reject/spam/delete via toast action button
+ * - Inline message editing with original/edited diff
+ * - Facebook post preview (prefix/suffix applied) with publish from preview
+ * - Scheduling into per-page posting slots
+ * - Search and advanced filters without reloading (bookmarkable URLs, highlighted matches)
  * - Confirmation modals
- * - Keyboard shortcuts
+ * - Keyboard moderation (j/k navigation, a/r/p/d/s actions, ? for help)
+ * - Live updates: checks for new submissions, optional desktop notifications
  * - Loading states (via loading.js)
  * - Toast notifications (via toast.js)
  */
@@ -26,32 +34,40 @@
      * Automatically collapses long messages to 3 lines with "Show more" button.
      */
     function initMessageTruncation() {
-        const messageContainers = document.querySelectorAll('.message-container');
+        document.querySelectorAll('.message-container').forEach(truncateMessage);
+    }
 
-        messageContainers.forEach(container => {
-            const msg = container.querySelector('.message');
-            const btn = container.querySelector('.show-more-btn');
+    /**
+     * Collapse one message if it is longer than 3 lines
+     *
+     * @param {HTMLElement} container - The .message-container element
+     */
+    function truncateMessage(container) {
+        const msg = container.querySelector('.message');
+        const btn = container.querySelector('.show-more-btn');
 
-            if (!msg || !btn) return;
+        if (!msg || !btn) return;
 
-            // Calculate if content exceeds 3 lines
-            const lineHeight = parseFloat(window.getComputedStyle(msg).lineHeight);
-            const maxHeight = lineHeight * 3;
+        // Calculate if content exceeds 3 lines
+        const lineHeight = parseFloat(window.getComputedStyle(msg).lineHeight);
+        const maxHeight = lineHeight * 3;
 
-            // Temporarily show full content to measure
-            const originalMaxHeight = msg.style.maxHeight;
-            msg.style.maxHeight = 'none';
-            const fullHeight = msg.scrollHeight;
-            msg.style.maxHeight = originalMaxHeight;
+        // Temporarily show full content to measure
+        msg.classList.remove('collapsed');
+        const originalMaxHeight = msg.style.maxHeight;
+        msg.style.maxHeight = 'none';
+        const fullHeight = msg.scrollHeight;
+        msg.style.maxHeight = originalMaxHeight;
 
-            // Check if message needs truncation (with small buffer for rounding)
-            if (fullHeight > maxHeight + 2) {
-                msg.classList.add('collapsed');
-                btn.style.display = 'inline-block';
-            } else {
-                btn.style.display = 'none';
-            }
-        });
+        // Check if message needs truncation (with small buffer for rounding)
+        if (fullHeight > maxHeight + 2) {
+            msg.classList.add('collapsed');
+            btn.textContent = 'Show more ↓';
+            btn.classList.remove('show-less');
+            btn.style.display = 'inline-block';
+        } else {
+            btn.style.display = 'none';
+        }
     }
 
     /**
@@ -80,19 +96,100 @@
      * BATCH SELECTION
      * ======================================================================== */
 
+    /**
+     * Get the selection store (selection.js), if loaded
+     *
+     * @returns {object|null}
+     */
+    function getSelectionStore() {
+        return (window.TrouIdees && window.TrouIdees.selection) || null;
+    }
+
+    /**
+     * Tabs whose "all matching this filter" selection can be published
+     *
+     * The statuses the server publishes (PUBLISHABLE_STATUSES in
+     * submissions.php); on the other tabs most matches would be refused.
+     */
+    const PUBLISHABLE_FILTERS = ['pending', 'approved', 'scheduled', 'failed'];
+
+    /**
+     * Check whether a batch action may use a filter selection
+     *
+     * @param {string} action - The batch action (batch_publish, ...)
+     * @param {object|null} filterSelection - The selection store's filter
+     * @returns {boolean}
+     */
+    function batchActionAllowsFilter(action, filterSelection) {
+        return !filterSelection || action !== 'batch_publish' ||
+            PUBLISHABLE_FILTERS.includes(filterSelection.filter);
+    }
+
     /**
      * Update batch controls visibility and selected count
+     *
+     * Also syncs this page's checkboxes into the selection store, so every
+     * place that changes a checkbox only needs to call this function.
      */
     function updateBatchControls() {
-        const checkedBoxes = document.querySelectorAll('.item-checkbox:checked');
-        const count = checkedBoxes.length;
+        const store = getSelectionStore();
+        const checkboxes = Array.from(document.querySelectorAll('.item-checkbox'));
+        const checkedOnPage = checkboxes.filter(cb => cb.checked);
         const selectedCountSpan = document.getElementById('selected-count');
+        const elsewhereSpan = document.getElementById('selected-elsewhere');
+        const selectMatchingBtn = document.getElementById('select-all-matching');
         const batchControls = document.getElementById('batch-controls');
 
+        let count = checkedOnPage.length;
+        let elsewhere = 0;
+        let filterSelection = null;
+
+        if (store) {
+            store.add(checkedOnPage.map(cb => cb.dataset.id));
+            store.remove(checkboxes.filter(cb => !cb.checked).map(cb => cb.dataset.id));
+
+            // Deselecting anything leaves "all matching this filter" mode
+            filterSelection = store.getFilter();
+            if (filterSelection && checkboxes.some(cb => !cb.checked && !cb.disabled)) {
+                store.setFilter(null);
+                filterSelection = null;
+            }
+
+            if (filterSelection) {
+                count = filterSelection.total;
+            } else {
+                count = store.count();
+                elsewhere = count - checkedOnPage.length;
+            }
+        }
+
         if (selectedCountSpan) {
             selectedCountSpan.textContent = count;
         }
 
+        if (elsewhereSpan) {
+            if (filterSelection) {
+                elsewhereSpan.textContent = '(all matching this filter)';
+            } else if (elsewhere > 0) {
+                elsewhereSpan.textContent = `(${elsewhere} on other pages)`;
+            } else {
+                elsewhereSpan.textContent = '';
+            }
+        }
+
+        // Offer "select all N matching" once the whole page is selected
+        if (selectMatchingBtn && batchControls) {
+            const enabled = checkboxes.filter(cb => !cb.disabled);
+            const total = parseInt(batchControls.dataset.total, 10) || 0;
+            const wholePage = enabled.length > 0 && enabled.every(cb => cb.checked);
+            selectMatchingBtn.hidden = !store || !!filterSelection || !wholePage || total <= enabled.length;
+        }
+
+        // Only offer buttons that make sense for the selection
+        document.querySelectorAll('.btn-batch[data-batch-action]').forEach(btn => {
+            btn.hidden = !batchActionAllowsFilter(btn.dataset.batchAction, filterSelection);
+        });
+
         if (batchControls) {
             if (count > 0) {
                 batchControls.classList.add('active');
@@ -112,17 +209,50 @@
         });
     }
 
+    /**
+     * Restore this page's checkboxes from the selection store
+     *
+     * A stored "all matching" selection only applies to the same filter
+     * and search; on any other filter it is dropped.
+     */
+    function restoreSelection() {
+        const store = getSelectionStore();
+        const batchControls = document.getElementById('batch-controls');
+        if (!store) return;
+
+        const filterSelection = store.getFilter();
+        const sameFilter = filterSelection && batchControls &&
+            filterSelection.filter === batchControls.dataset.filter &&
+            filterSelection.page_key === batchControls.dataset.pageKey &&
+            (filterSelection.search || '') === (batchControls.dataset.search || '');
+
+        if (filterSelection && !sameFilter) {
+            store.setFilter(null);
+        }
+
+        document.querySelectorAll('.item-checkbox').forEach(cb => {
+            cb.checked = sameFilter || store.has(cb.dataset.id);
+        });
+    }
+
+    /**
+     * Last checkbox clicked (start of a shift-click range)
+     */
+    let lastClickedCheckbox = null;
+
     /**
      * Initialize batch selection
      */
     function initBatchSelection() {
         const selectAllCheckbox = document.getElementById('select-all');
-        const itemCheckboxes = document.querySelectorAll('.item-checkbox');
+        const selectMatchingBtn = document.getElementById('select-all-matching');
+        const clearSelectionBtn = document.getElementById('clear-selection');
+        lastClickedCheckbox = null;
 
-        // Select all checkbox
+        // Select all checkbox (skips cards that are being deleted)
         if (selectAllCheckbox) {
             selectAllCheckbox.addEventListener('change', function() {
-                itemCheckboxes.forEach(cb => {
+                document.querySelectorAll('.item-checkbox:not(:disabled)').forEach(cb => {
                     cb.checked = this.checked;
                 });
                 updateBatchControls();
@@ -130,22 +260,99 @@
         }
 
         // Individual checkboxes
-        itemCheckboxes.forEach(cb => {
-            cb.addEventListener('change', function() {
+        document.querySelectorAll('.item-checkbox').forEach(bindItemCheckbox);
+
+        // "Select all N matching this filter"
+        if (selectMatchingBtn) {
+            selectMatchingBtn.addEventListener('click', function() {
+                const store = getSelectionStore();
+                const batchControls = document.getElementById('batch-controls');
+                if (!store || !batchControls) return;
+
+                store.setFilter({
+                    filter: batchControls.dataset.filter,
+                    page_key: batchControls.dataset.pageKey,
+                    search: batchControls.dataset.search || '',
+                    total: parseInt(batchControls.dataset.total, 10) || 0
+                });
                 updateBatchControls();
+            });
+        }
+
+        if (clearSelectionBtn) {
+            clearSelectionBtn.addEventListener('click', deselectAllSubmissions);
+        }
 
-                // Update select-all checkbox
-                const allChecked = Array.from(itemCheckboxes).every(checkbox => checkbox.checked);
-                const someChecked = Array.from(itemCheckboxes).some(checkbox => checkbox.checked);
+        // Bring back the selection from other pages/filters
+        restoreSelection();
+        updateBatchControls();
+        updateSelectAllState();
+    }
+
+    /**
+     * Handle clicks on one card's checkbox
+     *
+     * @param {HTMLInputElement} cb - The card's .item-checkbox
+     */
+    function bindItemCheckbox(cb) {
+        // Shift-click selects/deselects the range since the last click
+        cb.addEventListener('click', function(e) {
+            if (e.shiftKey && lastClickedCheckbox && lastClickedCheckbox !== this) {
+                const boxes = Array.from(document.querySelectorAll('.item-checkbox:not(:disabled)'));
+                const start = boxes.indexOf(lastClickedCheckbox);
+                const end = boxes.indexOf(this);
 
-                if (selectAllCheckbox) {
-                    selectAllCheckbox.checked = allChecked;
-                    selectAllCheckbox.indeterminate = someChecked && !allChecked;
+                if (start !== -1 && end !== -1) {
+                    boxes.slice(Math.min(start, end), Math.max(start, end) + 1)
+                        .forEach(box => box.checked = this.checked);
                 }
-            });
+            }
+            lastClickedCheckbox = this;
+        });
+
+        cb.addEventListener('change', function() {
+            updateBatchControls();
+            updateSelectAllState();
         });
     }
 
+    /**
+     * Get what a batch action should apply to
+     *
+     * @returns {{ids: Array<string>, filter: object|null, count: number}}
+     */
+    function getBatchSelection() {
+        const store = getSelectionStore();
+
+        if (store && store.getFilter()) {
+            const filter = store.getFilter();
+            return { ids: [], filter: filter, count: filter.total };
+        }
+
+        const ids = store
+            ? store.getIds()
+            : Array.from(document.querySelectorAll('.item-checkbox:checked')).map(cb => cb.dataset.id);
+
+        return { ids: ids, filter: null, count: ids.length };
+    }
+
+    /**
+     * Sync the select-all checkbox with the individual checkboxes
+     *
+     * Queries the DOM each time because cards can be removed in place.
+     */
+    function updateSelectAllState() {
+        const selectAllCheckbox = document.getElementById('select-all');
+        if (!selectAllCheckbox) return;
+
+        const itemCheckboxes = Array.from(document.querySelectorAll('.item-checkbox:not(:disabled)'));
+        const allChecked = itemCheckboxes.length > 0 && itemCheckboxes.every(checkbox => checkbox.checked);
+        const someChecked = itemCheckboxes.some(checkbox => checkbox.checked);
+
+        selectAllCheckbox.checked = allChecked;
+        selectAllCheckbox.indeterminate = someChecked && !allChecked;
+    }
+
     /**
      * Submit batch action
      *
@@ -153,7 +360,8 @@
      */
     window.submitBatchAction = function(action) {
         const checkedBoxes = document.querySelectorAll('.item-checkbox:checked');
-        const count = checkedBoxes.length;
+        const selected = getBatchSelection();
+        const count = selected.count;
         const batchForm = document.getElementById('batch-form');
         const batchActionInput = document.getElementById('batch-action');
         const batchIdsContainer = document.getElementById('batch-ids-container');
@@ -167,6 +375,11 @@
             return;
         }
 
+        if (!batchActionAllowsFilter(action, selected.filter)) {
+            notify('Publishing all matching submissions only works on the Pending, Approved, Scheduled and Failed tabs', 'warning');
+            return;
+        }
+
         // Confirmation messages by action type
         const confirmations = {
             'batch_approve': {
@@ -177,7 +390,7 @@
             },
             'batch_reject': {
                 title: 'Reject Submissions',
-                message: `Reject ${count} submission(s)? This cannot be undone.`,
+                message: `Reject ${count} submission(s)?`,
                 confirmText: 'Reject',
                 confirmClass: 'btn-reject'
             },
@@ -187,9 +400,15 @@
                 confirmText: 'Publish Now',
                 confirmClass: 'btn-publish'
             },
+            'batch_schedule': {
+                title: 'Schedule Submissions',
+                message: `Schedule ${count} submission(s) into the next free posting slots of their page?`,
+                confirmText: 'Schedule',
+                confirmClass: 'btn-primary'
+            },
             'batch_delete': {
-                title: 'Delete Permanently',
-                message: `Delete ${count} submission(s) permanently? This cannot be undone.`,
+                title: 'Delete Submissions',
+                message: `Delete ${count} submission(s)? You can undo this for a few seconds.`,
                 confirmText: 'Delete',
                 confirmClass: 'btn-delete'
             }
@@ -220,6 +439,12 @@
         }
 
         function submitBatch() {
+            // Send asynchronously when the API client is available
+            if (window.TrouIdees && window.TrouIdees.api) {
+                submitBatchAsync();
+                return;
+            }
+
             // Clear previous hidden inputs
             if (batchIdsContainer) {
                 batchIdsContainer.innerHTML = '';
@@ -244,104 +469,2089 @@
                 batchForm.submit();
             }
         }
+
+        function submitBatchAsync() {
+            const button = document.querySelector(`.btn-batch[data-batch-action="${action}"]`);
+
+            // A filter selection is sent as the filter (and search), not as an ID list
+            const params = selected.filter
+                ? Object.assign(
+                    Object.fromEntries(new URLSearchParams(selected.filter.search || '')),
+                    { page_key: selected.filter.page_key, filter: selected.filter.filter }
+                )
+                : { ids: selected.ids };
+
+            // Publishing goes one by one so we can show progress and cancel
+            if (action === 'batch_publish') {
+                if (selected.filter) {
+                    window.TrouIdees.api.post('select', params)
+                        .then(response => publishWithProgress(response.ids, button))
+                        .catch(error => notify(error.message, 'error'));
+                } else {
+                    publishWithProgress(selected.ids, button);
+                }
+                return;
+            }
+
+            setBatchBusy(true, button);
+
+            window.TrouIdees.api.post(action, params)
+                .then(response => {
+                    if (selected.filter) {
+                        getSelectionStore().clear();
+                    }
+                    applyResults(response.results, response.undo_window);
+                    showSummaryToast(response);
+                })
+                .catch(error => notify(error.message, 'error'))
+                .finally(() => setBatchBusy(false, button));
+        }
     };
 
+    /**
+     * Toggle busy state of the batch buttons
+     *
+     * @param {boolean} busy - Whether a batch request is running
+     * @param {HTMLElement|null} button - The button that started the request
+     */
+    function setBatchBusy(busy, button) {
+        const loading = window.TrouIdees && window.TrouIdees.loading;
+
+        if (busy && button && loading) {
+            loading.show(button, 'Working...');
+        }
+
+        document.querySelectorAll('.batch-actions .btn-batch').forEach(btn => {
+            if (btn !== button) {
+                btn.disabled = busy;
+            }
+        });
+
+        if (!busy && button && loading) {
+            loading.hide(button);
+        }
+    }
+
     /* ========================================================================
-     * ENHANCED DELETE CONFIRMATIONS
+     * BATCH PUBLISH PROGRESS
      * ======================================================================== */
 
     /**
-     * Enhance delete buttons with custom modals
+     * Facebook error code for "temporarily blocked" (rate limit).
+     * Publishing more items after this only extends the block.
      */
-    function enhanceDeleteButtons() {
-        document.querySelectorAll('.btn-delete').forEach(btn => {
-            // Skip if already enhanced
-            if (btn.dataset.enhanced) return;
+    const FB_RATE_LIMIT_CODE = 368;
 
-            // Only enhance buttons with onclick="return confirm(...)"
-            const onclickAttr = btn.getAttribute('onclick');
-            if (!onclickAttr || !onclickAttr.includes('confirm')) return;
+    /**
+     * Publish submissions one at a time with a progress bar
+     *
+     * Each item is a separate request to api.php, which keeps every request
+     * well within PHP's time limit. Cards flip to published/failed as they
+     * complete. The loop stops when the user clicks Cancel, when Facebook
+     * rate limits us (code 368) or when the session has expired.
+     *
+     * @param {Array<string>} ids - Submission IDs to publish
+     * @param {HTMLElement|null} button - The "Publish Selected" button
+     */
+    async function publishWithProgress(ids, button) {
+        const progress = document.getElementById('batch-progress');
+        const text = document.getElementById('batch-progress-text');
+        const bar = progress ? progress.querySelector('.batch-progress-bar') : null;
+        const fill = progress ? progress.querySelector('.batch-progress-fill') : null;
+        const cancelBtn = document.getElementById('batch-progress-cancel');
+        const batchControls = document.getElementById('batch-controls');
 
-            // Mark as enhanced
-            btn.dataset.enhanced = 'true';
+        const total = ids.length;
+        let done = 0;
+        let succeeded = 0;
+        let cancelled = false;
+        let stopReason = null;
 
-            // Remove onclick attribute
-            btn.removeAttribute('onclick');
+        function render() {
+            if (text) {
+                text.textContent = `Publishing ${Math.min(done + 1, total)} of ${total}...`;
+            }
+            if (bar) {
+                bar.setAttribute('aria-valuemax', total);
+                bar.setAttribute('aria-valuenow', done);
+            }
+            if (fill) {
+                fill.style.width = `${total ? (done / total) * 100 : 0}%`;
+            }
+        }
 
-            // Add click handler
-            btn.addEventListener('click', function(e) {
-                e.preventDefault();
+        function onCancel() {
+            cancelled = true;
+            if (cancelBtn) {
+                cancelBtn.disabled = true;
+                cancelBtn.textContent = 'Cancelling...';
+            }
+        }
 
-                if (window.TrouIdees && window.TrouIdees.modal) {
-                    window.TrouIdees.modal.confirm({
-                        title: 'Delete Submission',
-                        message: 'Delete this submission permanently? This action cannot be undone.',
-                        confirmText: 'Delete',
-                        confirmClass: 'btn-delete',
-                        onConfirm: function() {
-                            // Submit the parent form
-                            btn.closest('form').submit();
-                        }
-                    });
-                } else {
-                    // Fallback to browser confirm
-                    if (confirm('Delete this submission permanently?')) {
-                        btn.closest('form').submit();
-                    }
+        // Show progress UI
+        setBatchBusy(true, button);
+        if (batchControls) {
+            batchControls.classList.add('in-progress');
+        }
+        if (progress) {
+            progress.hidden = false;
+        }
+        if (cancelBtn) {
+            cancelBtn.disabled = false;
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', onCancel);
+        }
+        render();
+
+        for (const id of ids) {
+            if (cancelled) break;
+
+            const card = findCard(id);
+            if (card) {
+                card.classList.add('submission-busy');
+            }
+
+            try {
+                const response = await window.TrouIdees.api.post('publish', { id: id });
+                const result = response.results[0];
+                applyResults(response.results);
+
+                if (result.success) {
+                    succeeded++;
+                } else if (result.error_code === FB_RATE_LIMIT_CODE) {
+                    stopReason = 'Facebook is rate limiting this page. Remaining items were not published.';
                 }
-            });
-        });
+            } catch (error) {
+                if (card) {
+                    setCardError(card, error.message);
+                }
+                if (error.status === 401) {
+                    stopReason = error.message;
+                }
+            }
+
+            if (card) {
+                card.classList.remove('submission-busy');
+            }
+
+            done++;
+            render();
+
+            if (stopReason) break;
+        }
+
+        // Hide progress UI
+        if (cancelBtn) {
+            cancelBtn.removeEventListener('click', onCancel);
+        }
+        if (progress) {
+            progress.hidden = true;
+        }
+        if (batchControls) {
+            batchControls.classList.remove('in-progress');
+        }
+        setBatchBusy(false, button);
+        updateBatchControls();
+
+        // Summary: "8 published, 2 failed, 20 cancelled"
+        const failed = done - succeeded;
+        const skipped = total - done;
+        let message = `${succeeded} published`;
+        if (failed > 0) {
+            message += `, ${failed} failed`;
+        }
+        if (skipped > 0) {
+            message += `, ${skipped} ${cancelled ? 'cancelled' : 'skipped'}`;
+        }
+
+        let type = 'success';
+        if (failed > 0 || skipped > 0) {
+            type = succeeded > 0 ? 'warning' : 'error';
+        }
+
+        notify(message, type);
+
+        if (stopReason) {
+            notify(stopReason, 'error');
+        }
     }
 
     /* ========================================================================
-     * KEYBOARD SHORTCUTS
+     * CARD UPDATES
      * ======================================================================== */
 
     /**
-     * Initialize keyboard shortcuts
+     * Status-specific action buttons
+     *
+     * Mirrors the forms rendered by queue.php for each status so a card
+     * can be re-rendered in place after its status changes; buttons the
+     * user's role doesn't allow are left out (see canPerform()).
+     * The delete form is shown for every status and is never rebuilt.
      */
-    function initKeyboardShortcuts() {
-        document.addEventListener('keydown', function(e) {
-            // Ignore when typing in inputs
-            if (e.target.matches('input, textarea, select')) return;
+    const STATUS_ACTIONS = {
+        pending: [
+            { action: 'approve', label: '✓ Approve', className: 'btn-approve', loadingText: 'Approving...', ariaLabel: 'Approve submission' },
+            { action: 'reject', label: '✗ Reject', className: 'btn-reject', loadingText: 'Rejecting...', ariaLabel: 'Reject submission' },
+            { action: 'spam', label: '🚫 Spam', className: 'btn-spam', loadingText: 'Marking...', ariaLabel: 'Mark submission as spam' }
+        ],
+        spam: [
+            { action: 'not_spam', label: '✓ Not Spam', className: 'btn-not-spam', loadingText: 'Moving...', ariaLabel: 'Not spam: move back to pending' }
+        ],
+        approved: [
+            { action: 'publish', label: '📤 Publish to Facebook', className: 'btn-publish', loadingText: 'Publishing...', ariaLabel: 'Publish submission to Facebook' },
+            { action: 'schedule', label: '🕒 Schedule', className: 'btn-schedule', loadingText: 'Scheduling...', ariaLabel: 'Schedule submission for the next free posting slot', fields: { publish_at: 'next' } },
+            { action: 'reject', label: '✗ Reject', className: 'btn-reject', loadingText: 'Rejecting...', ariaLabel: 'Reject submission' }
+        ],
+        scheduled: [
+            { action: 'publish', label: '📤 Publish Now', className: 'btn-publish', loadingText: 'Publishing...', ariaLabel: 'Publish submission to Facebook now' },
+            { action: 'unschedule', label: '↩ Unschedule', className: 'btn-unschedule', loadingText: 'Unscheduling...', ariaLabel: 'Cancel the schedule and move back to approved' },
+            { action: 'reject', label: '✗ Reject', className: 'btn-reject', loadingText: 'Rejecting...', ariaLabel: 'Reject submission' }
+        ],
+        failed: [
+            { action: 'retry', label: '↻ Retry', className: 'btn-retry', loadingText: 'Retrying...', ariaLabel: 'Try publishing submission to Facebook again' },
+            { action: 'reject', label: '✗ Reject', className: 'btn-reject', loadingText: 'Rejecting...', ariaLabel: 'Reject submission' }
+        ]
+    };
 
-            switch(e.key) {
-                case 'a':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        const selectAll = document.getElementById('select-all');
-                        if (selectAll) {
-                            selectAll.checked = true;
-                            selectAll.dispatchEvent(new Event('change'));
-                        }
-                    }
-                    break;
-
-                case 'Escape':
-                    // Deselect all
-                    const itemCheckboxes = document.querySelectorAll('.item-checkbox:checked');
-                    itemCheckboxes.forEach(cb => cb.checked = false);
-                    updateBatchControls();
-
-                    const selectAll = document.getElementById('select-all');
-                    if (selectAll) {
-                        selectAll.checked = false;
-                        selectAll.indeterminate = false;
-                    }
-                    break;
-
-                case '?':
-                    // Show keyboard shortcuts help
-                    if (window.TrouIdees && window.TrouIdees.modal) {
-                        window.TrouIdees.modal.alert({
-                            title: 'Keyboard Shortcuts',
-                            message: 'Ctrl/Cmd + A: Select all submissions\nEscape: Deselect all\n?: Show this help',
-                            buttonText: 'Got it'
-                        });
-                    }
-                    break;
+    /**
+     * Past-tense verbs for summary toasts
+     */
+    const ACTION_VERBS = {
+        approve: 'approved',
+        reject: 'rejected',
+        publish: 'published',
+        retry: 'published',
+        delete: 'deleted',
+        change_page: 'moved',
+        edit: 'edited',
+        schedule: 'scheduled',
+        unschedule: 'unscheduled',
+        spam: 'marked as spam',
+        not_spam: 'moved back to pending'
+    };
+
+    /**
+     * Check whether the logged-in user's role allows an action
+     *
+     * queue.php lists the allowed actions in <body data-permissions>
+     * (see SIMPLE_AUTH_PERMISSIONS in simple-auth.php); api.php enforces them.
+     *
+     * @param {string} action - Action name (approve, publish, ...)
+     * @returns {boolean}
+     */
+    function canPerform(action) {
+        return (document.body.dataset.permissions || '').split(' ').includes(action);
+    }
+
+    /**
+     * Show a toast, falling back to alert() if toast.js isn't loaded
+     *
+     * @param {string} message
+     * @param {string} type - 'success', 'error', 'warning' or 'info'
+     * @param {object} options - Optional toast options (duration, action)
+     */
+    function notify(message, type, options) {
+        if (window.TrouIdees && window.TrouIdees.toast) {
+            window.TrouIdees.toast.show(message, type, options);
+        } else {
+            alert(message);
+        }
+    }
+
+    /**
+     * Find a submission card by ID
+     *
+     * @param {string} id - The submission ID
+     * @returns {HTMLElement|null}
+     */
+    function findCard(id) {
+        return Array.from(document.querySelectorAll('.submission'))
+            .find(card => card.dataset.id === id) || null;
+    }
+
+    /**
+     * Adjust the count badge of a status filter
+     *
+     * @param {string} filter - Filter name (all, pending, approved, ...)
+     * @param {number} delta - Amount to add (negative to subtract)
+     */
+    function adjustFilterCount(filter, delta) {
+        const badge = document.querySelector(`.filter-btn[data-filter="${filter}"] .badge`);
+        if (!badge) return;
+
+        const count = Math.max(0, (parseInt(badge.textContent, 10) || 0) + delta);
+        badge.textContent = count;
+        badge.setAttribute('aria-label', `${count} items`);
+    }
+
+    /**
+     * Apply action results to the page
+     *
+     * Updates each card in place and deselects the items that succeeded.
+     * Failed items stay selected so they can be retried.
+     *
+     * @param {Array<object>} results - Results from api.php
+     * @param {number} undoWindow - Seconds deleted cards stay restorable (optional)
+     */
+    function applyResults(results, undoWindow) {
+        results.forEach(result => {
+            updateCard(result, undoWindow);
+
+            if (result.success) {
+                const card = findCard(result.id);
+                const checkbox = card && card.querySelector('.item-checkbox');
+                if (checkbox) {
+                    checkbox.checked = false;
+                }
+
+                // Also forget items selected on other pages
+                const store = getSelectionStore();
+                if (store) {
+                    store.remove(result.id);
+                }
             }
         });
+
+        updateBatchControls();
+        updateSelectAllState();
+    }
+
+    /**
+     * Update a submission card from an action result
+     *
+     * @param {object} result - One result from api.php
+     * @param {number} undoWindow - Seconds a deleted card stays restorable (optional)
+     */
+    function updateCard(result, undoWindow) {
+        const card = findCard(result.id);
+        if (!card) return;
+
+        const oldStatus = card.dataset.status;
+
+        if (result.history) {
+            appendHistoryEntry(card, result.history);
+        }
+
+        if (result.deleted) {
+            adjustFilterCount('all', -1);
+            adjustFilterCount(oldStatus, -1);
+            removeCard(card, undoWindow);
+            return;
+        }
+
+        // Card was deleted and has been restored by undo
+        if (card.classList.contains('submission-deleted') && result.success) {
+            restoreCard(card);
+            adjustFilterCount('all', 1);
+            adjustFilterCount(oldStatus, 1);
+        }
+
+        if (result.status && result.status !== oldStatus) {
+            card.dataset.status = result.status;
+            adjustFilterCount(oldStatus, -1);
+            adjustFilterCount(result.status, 1);
+
+            const badge = card.querySelector('.status');
+            if (badge) {
+                badge.className = `status status-${result.status}`;
+                badge.textContent = result.status;
+            }
+
+            renderStatusActions(card, result.status);
+        }
+
+        if (result.target_page_key) {
+            updateTargetPage(card, result.target_page_key);
+        }
+
+        if (result.attachment !== undefined) {
+            updateAttachment(card, result.attachment);
+        }
+
+        updateScheduledTime(card, result.status === 'scheduled' ? result.scheduled_at : null);
+
+        if (result.status === 'published' && result.fb_post_id) {
+            showFacebookLink(card, result.fb_post_id);
+        }
+
+        // error_detail adds the error's kind and the next retry (see publish-retry.php)
+        setCardError(card, result.error_detail || result.error);
+    }
+
+    /**
+     * Rebuild the status-specific action forms of a card
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string} status - The new status
+     */
+    function renderStatusActions(card, status) {
+        const actions = card.querySelector('.actions');
+        if (!actions) return;
+
+        const id = card.dataset.id;
+
+        // Remove existing status forms, keep the delete form
+        actions.querySelectorAll('form').forEach(form => {
+            const actionInput = form.querySelector('input[name="action"]');
+            if (actionInput && actionInput.value !== 'delete') {
+                form.remove();
+            }
+        });
+
+        const deleteForm = actions.querySelector('form');
+
+        (STATUS_ACTIONS[status] || []).filter(def => canPerform(def.action)).forEach(def => {
+            const form = document.createElement('form');
+            form.method = 'post';
+            form.style.display = 'inline';
+
+            const actionInput = document.createElement('input');
+            actionInput.type = 'hidden';
+            actionInput.name = 'action';
+            actionInput.value = def.action;
+
+            const idInput = document.createElement('input');
+            idInput.type = 'hidden';
+            idInput.name = 'id';
+            idInput.value = id;
+
+            // Same CSRF token as the forms rendered by queue.php
+            const csrfInput = document.createElement('input');
+            csrfInput.type = 'hidden';
+            csrfInput.name = 'csrf_token';
+            csrfInput.value = window.TrouIdees.api ? window.TrouIdees.api.csrfToken() : '';
+
+            // Extra hidden fields (e.g. publish_at for schedule)
+            const extraInputs = Object.keys(def.fields || {}).map(name => {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = def.fields[name];
+                return input;
+            });
+
+            const button = document.createElement('button');
+            button.type = 'submit';
+            button.className = def.className;
+            button.textContent = def.label;
+            button.dataset.loadingText = def.loadingText;
+            button.setAttribute('aria-label', def.ariaLabel);
+
+            form.append(csrfInput, actionInput, idInput, ...extraInputs, button);
+            actions.insertBefore(form, deleteForm);
+        });
+    }
+
+    /**
+     * Update the "Target Page" meta item of a card
+     *
+     * The page name is taken from the card's own page selector options.
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string} pageKey - The new target page key
+     */
+    function updateTargetPage(card, pageKey) {
+        card.dataset.targetPage = pageKey;
+
+        const meta = card.querySelector('.meta-target-page');
+        const option = card.querySelector(`.page-selector select[name="target_page_key"] option[value="${pageKey}"]`);
+        if (!meta || !option) return;
+
+        const label = meta.querySelector('strong');
+        meta.textContent = ' ' + option.textContent.trim();
+        if (label) {
+            meta.prepend(label);
+        }
+    }
+
+    /**
+     * Show or remove the "Scheduled" meta item of a card
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string|null} scheduledAt - 'Y-m-d H:i:s', or null to remove
+     */
+    function updateScheduledTime(card, scheduledAt) {
+        let item = card.querySelector('.meta-scheduled');
+
+        if (!scheduledAt) {
+            if (item) item.remove();
+            return;
+        }
+
+        if (!item) {
+            item = document.createElement('span');
+            item.className = 'meta-item meta-scheduled';
+            card.querySelector('.meta').appendChild(item);
+        }
+        item.innerHTML = '<strong>Scheduled:</strong> ';
+        item.appendChild(document.createTextNode(scheduledAt.substring(0, 16)));
+    }
+
+    /**
+     * Mark the attachment chosen for publishing
+     *
+     * The card's attachment selector already shows the choice; this
+     * highlights the matching thumbnail or link preview.
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string|null} attachment - Chosen URL, "none", or null for the page default
+     */
+    function updateAttachment(card, attachment) {
+        card.querySelectorAll('.attachment').forEach(item => {
+            item.classList.toggle('attachment-selected', item.dataset.url === attachment);
+        });
+
+        const select = card.querySelector('.attachment-selector select');
+        if (select) {
+            select.value = attachment || '';
+        }
+    }
+
+    /**
+     * Show the "View on Facebook" link and hide the page and attachment selectors
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string} postId - The Facebook post ID
+     */
+    function showFacebookLink(card, postId) {
+        card.querySelectorAll('.page-selector').forEach(selector => selector.remove());
+
+        // Published messages can no longer be edited or previewed
+        card.querySelectorAll('.edit-message-btn, .btn-preview').forEach(button => button.remove());
+
+        let link = card.querySelector('.fb-link');
+        if (!link) {
+            link = document.createElement('a');
+            link.className = 'fb-link';
+            link.target = '_blank';
+            link.textContent = '✓ View on Facebook →';
+            card.insertBefore(link, card.querySelector('.error') || card.querySelector('.actions'));
+        }
+        link.href = 'https://facebook.com/' + encodeURIComponent(postId);
+    }
+
+    /**
+     * Show or clear the error box of a card
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string|null} error - Error message, or null to clear
+     */
+    function setCardError(card, error) {
+        let box = card.querySelector('.error');
+
+        if (!error) {
+            if (box) {
+                box.remove();
+            }
+            return;
+        }
+
+        if (!box) {
+            box = document.createElement('div');
+            box.className = 'error';
+            card.insertBefore(box, card.querySelector('.card-history') || card.querySelector('.actions'));
+        }
+        box.textContent = '❌ Error: ' + error;
+    }
+
+    /**
+     * Add an entry to a card's history timeline
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {object} entry - History entry from api.php (with its text)
+     */
+    function appendHistoryEntry(card, entry) {
+        const list = card.querySelector('.history-list');
+        if (!list) return;
+
+        const item = document.createElement('li');
+        item.className = 'history-entry';
+
+        const time = document.createElement('time');
+        time.dateTime = entry.at;
+        time.textContent = entry.at.slice(0, 16);
+        item.append(time, ' ' + entry.text + ' ');
+
+        if (entry.ip) {
+            const ip = document.createElement('span');
+            ip.className = 'history-ip';
+            ip.textContent = entry.ip;
+            item.appendChild(ip);
+        }
+
+        list.appendChild(item);
+
+        const count = card.querySelector('.history-count');
+        if (count) {
+            count.textContent = list.children.length;
+        }
+    }
+
+    /**
+     * Fade out and remove a card
+     *
+     * While an undo is possible the card is only hidden, so it can be
+     * restored without reloading the page. It is removed from the DOM once
+     * the undo window has passed.
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {number} undoWindow - Seconds to keep the card restorable (optional)
+     */
+    function removeCard(card, undoWindow) {
+        const checkbox = card.querySelector('.item-checkbox');
+        if (checkbox) {
+            checkbox.checked = false;
+            checkbox.disabled = true;
+        }
+
+        card.classList.add('submission-removing');
+
+        setTimeout(() => {
+            if (!card.classList.contains('submission-removing')) return;
+
+            if (undoWindow) {
+                card.classList.add('submission-deleted');
+            } else {
+                card.remove();
+            }
+            updateBatchControls();
+            updateSelectAllState();
+        }, 300);
+
+        if (undoWindow) {
+            setTimeout(() => {
+                if (card.classList.contains('submission-deleted')) {
+                    card.remove();
+                }
+            }, undoWindow * 1000);
+        }
+    }
+
+    /**
+     * Show a card again after its deletion was undone
+     *
+     * @param {HTMLElement} card - The hidden submission card
+     */
+    function restoreCard(card) {
+        card.classList.remove('submission-deleted', 'submission-removing');
+
+        const checkbox = card.querySelector('.item-checkbox');
+        if (checkbox) {
+            checkbox.disabled = false;
+        }
+    }
+
+    /**
+     * Undo a reject, spam or delete
+     *
+     * @param {Array<string>} ids - Submission IDs to restore
+     */
+    function undoActions(ids) {
+        window.TrouIdees.api.post('undo', { ids: ids })
+            .then(response => {
+                applyResults(response.results);
+
+                const { succeeded, failed } = response.summary;
+                if (failed === 0) {
+                    notify(succeeded === 1 ? 'Submission restored' : `${succeeded} restored`, 'success');
+                } else {
+                    const result = response.results.find(r => !r.success);
+                    notify(result.error || `${failed} could not be restored`, 'error');
+                }
+            })
+            .catch(error => notify(error.message, 'error'));
+    }
+
+    /**
+     * Show a toast summarising an API response
+     *
+     * Single items get a specific message, batches a count summary
+     * such as "8 published, 2 failed". Rejects and deletes get an "Undo"
+     * button for as long as the server allows the undo.
+     *
+     * @param {object} response - Response from api.php
+     */
+    function showSummaryToast(response) {
+        const summary = response.summary;
+        const verb = ACTION_VERBS[response.action] || 'updated';
+        let options;
+
+        if (response.undo_window && summary.succeeded > 0) {
+            const ids = response.results.filter(r => r.success).map(r => r.id);
+            options = {
+                duration: response.undo_window * 1000,
+                action: {
+                    label: 'Undo',
+                    onClick: () => undoActions(ids)
+                }
+            };
+        }
+
+        if (summary.total === 1) {
+            const result = response.results[0];
+            if (result.success) {
+                notify(`Submission ${verb}`, 'success', options);
+            } else {
+                notify(result.error || 'Action failed', 'error');
+            }
+            return;
+        }
+
+        let message = `${summary.succeeded} ${verb}`;
+        if (summary.failed > 0) {
+            message += `, ${summary.failed} failed`;
+        }
+
+        let type = 'success';
+        if (summary.failed > 0) {
+            type = summary.succeeded > 0 ? 'warning' : 'error';
+        }
+
+        notify(message, type, options);
+    }
+
+    /* ========================================================================
+     * CARD ACTIONS
+     * ======================================================================== */
+
+    /**
+     * Intercept the per-card forms (approve, reject, publish, change page)
+     *
+     * Uses a delegated listener so forms re-rendered by renderStatusActions()
+     * are handled too. Without api.js the forms post normally.
+     */
+    function initCardActions() {
+        document.addEventListener('submit', function(e) {
+            const form = e.target;
+            if (!form.closest('.submission')) return;
+            if (!(window.TrouIdees && window.TrouIdees.api)) return;
+
+            e.preventDefault();
+
+            const actionInput = form.querySelector('input[name="action"]');
+            if (actionInput && actionInput.value === 'schedule' && window.TrouIdees.modal) {
+                promptSchedule(form.closest('.submission'));
+                return;
+            }
+
+            submitCardForm(form);
+        });
+    }
+
+    /**
+     * Send a card form to api.php and update the card in place
+     *
+     * @param {HTMLFormElement} form - The card's action form
+     */
+    function submitCardForm(form) {
+        if (!(window.TrouIdees && window.TrouIdees.api)) {
+            form.submit();
+            return;
+        }
+
+        const data = Object.fromEntries(new FormData(form));
+        const action = data.action;
+        delete data.action;
+
+        const button = form.querySelector('button[type="submit"]');
+        const loading = window.TrouIdees.loading;
+        if (button && loading) {
+            loading.show(button, button.dataset.loadingText || 'Processing...');
+        }
+
+        window.TrouIdees.api.post(action, data)
+            .then(response => {
+                applyResults(response.results, response.undo_window);
+                showSummaryToast(response);
+            })
+            .catch(error => notify(error.message, 'error'))
+            .finally(() => {
+                if (button && loading) {
+                    loading.hide(button);
+                }
+            });
+    }
+
+    /* ========================================================================
+     * INLINE MESSAGE EDITING
+     * ======================================================================== */
+
+    /**
+     * Initialize the "Edit" buttons and the original/edited diffs
+     *
+     * Both use delegated listeners so cards updated in place keep working.
+     */
+    function initMessageEditing() {
+        document.addEventListener('click', function(e) {
+            const button = e.target.closest('.edit-message-btn');
+            if (button) {
+                startMessageEdit(button.closest('.submission'));
+            }
+        });
+
+        // Render the diff the first time "Show changes" is opened
+        document.addEventListener('toggle', function(e) {
+            if (e.target.matches && e.target.matches('.message-diff') && e.target.open) {
+                renderMessageDiff(e.target);
+            }
+        }, true);
+    }
+
+    /**
+     * Replace a card's message with a textarea and Save / Cancel buttons
+     *
+     * Ctrl/Cmd + Enter saves, Escape cancels.
+     *
+     * @param {HTMLElement} card - The submission card
+     */
+    function startMessageEdit(card) {
+        if (!card || card.querySelector('.message-editor')) return;
+
+        const container = card.querySelector('.message-container');
+        const message = container && container.querySelector('.message');
+        if (!message) return;
+
+        if (!(window.TrouIdees && window.TrouIdees.api)) {
+            notify('Editing requires JavaScript API support', 'error');
+            return;
+        }
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'message-editor-input';
+        textarea.value = message.textContent.trim();
+        textarea.rows = Math.min(12, Math.max(4, textarea.value.split('\n').length + 1));
+        textarea.setAttribute('aria-label', 'Edit message');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'message-editor-actions';
+        buttons.innerHTML = `
+            <button type="button" class="btn-approve message-editor-save">Save</button>
+            <button type="button" class="link-btn message-editor-cancel">Cancel</button>
+            <span class="message-editor-hint">Ctrl + Enter to save, Escape to cancel</span>
+        `;
+
+        editor.appendChild(textarea);
+        editor.appendChild(buttons);
+
+        container.classList.add('editing');
+        container.insertBefore(editor, message);
+
+        const save = () => saveMessageEdit(card, textarea.value);
+        const cancel = () => stopMessageEdit(card);
+
+        buttons.querySelector('.message-editor-save').addEventListener('click', save);
+        buttons.querySelector('.message-editor-cancel').addEventListener('click', cancel);
+        textarea.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                save();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                cancel();
+            }
+        });
+
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    /**
+     * Leave edit mode without saving
+     *
+     * @param {HTMLElement} card - The submission card
+     */
+    function stopMessageEdit(card) {
+        const editor = card.querySelector('.message-editor');
+        if (editor) {
+            editor.remove();
+        }
+        card.querySelector('.message-container').classList.remove('editing');
+    }
+
+    /**
+     * Save an edited message through api.php and update the card
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string} text - The edited message
+     */
+    async function saveMessageEdit(card, text) {
+        if (text.trim() === '') {
+            notify('Message cannot be empty', 'error');
+            return;
+        }
+
+        const button = card.querySelector('.message-editor-save');
+        const loading = window.TrouIdees.loading;
+        if (button && loading) {
+            loading.show(button, 'Saving...');
+        }
+
+        try {
+            const response = await window.TrouIdees.api.post('edit', { id: card.dataset.id, message: text });
+            const result = response.results[0];
+
+            if (!result.success) {
+                notify(result.error || 'Could not save the message', 'error');
+                return;
+            }
+
+            stopMessageEdit(card);
+            showEditedMessage(card, result.message, result.original_message);
+            notify('Message updated', 'success');
+        } catch (error) {
+            notify(error.message, 'error');
+        } finally {
+            if (button && button.isConnected && loading) {
+                loading.hide(button);
+            }
+        }
+    }
+
+    /**
+     * Show the saved message, the "Edited" badge and the diff panel
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string} message - The message as saved
+     * @param {string|null} original - The message as received (null if never edited)
+     */
+    function showEditedMessage(card, message, original) {
+        const container = card.querySelector('.message-container');
+        container.querySelector('.message').textContent = message;
+        truncateMessage(container);
+
+        if (original === null || original === undefined) return;
+
+        if (!card.querySelector('.edited-badge')) {
+            const badge = document.createElement('span');
+            badge.className = 'edited-badge';
+            badge.title = 'Message edited by a moderator';
+            badge.textContent = 'Edited';
+            card.querySelector('.header-left').appendChild(badge);
+        }
+
+        let details = container.querySelector('.message-diff');
+        if (!details) {
+            details = document.createElement('details');
+            details.className = 'message-diff';
+            details.innerHTML = `
+                <summary>Show changes</summary>
+                <div class="original-message" hidden></div>
+                <div class="diff-view"></div>
+            `;
+            container.insertBefore(details, container.querySelector('.edit-message-btn'));
+        }
+        details.querySelector('.original-message').textContent = original;
+        details.dataset.rendered = '';
+
+        if (details.open) {
+            renderMessageDiff(details);
+        }
+    }
+
+    /**
+     * Render a word-level diff of the original and edited message
+     *
+     * @param {HTMLDetailsElement} details - The .message-diff element
+     */
+    function renderMessageDiff(details) {
+        if (details.dataset.rendered) return;
+
+        const card = details.closest('.submission');
+        const original = details.querySelector('.original-message').textContent;
+        const edited = card.querySelector('.message').textContent.trim();
+        const view = details.querySelector('.diff-view');
+
+        view.textContent = '';
+        diffWords(original, edited).forEach(part => {
+            const node = part.type === 'same'
+                ? document.createTextNode(part.text)
+                : document.createElement(part.type === 'added' ? 'ins' : 'del');
+            if (part.type !== 'same') {
+                node.textContent = part.text;
+            }
+            view.appendChild(node);
+        });
+
+        details.dataset.rendered = '1';
+    }
+
+    /**
+     * Word-level diff (longest common subsequence)
+     *
+     * Whitespace is kept as separate tokens so the result can be shown with
+     * the original line breaks.
+     *
+     * @param {string} before - Original text
+     * @param {string} after - Edited text
+     * @returns {Array<{type: string, text: string}>} Parts of type 'same', 'added' or 'removed'
+     */
+    function diffWords(before, after) {
+        const a = before.split(/(\s+)/).filter(Boolean);
+        const b = after.split(/(\s+)/).filter(Boolean);
+
+        // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type: type, text: text });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+
+        return parts;
+    }
+
+    /**
+     * Start editing the focused card's message
+     */
+    function editFocusedMessage() {
+        const card = requireFocusedCard();
+        if (!card) return;
+
+        if (!card.querySelector('.edit-message-btn')) {
+            notify(canPerform('edit') ? 'Published submissions cannot be edited' : 'Your role can\'t edit messages', 'info');
+            return;
+        }
+        startMessageEdit(card);
+    }
+
+    /* ========================================================================
+     * FACEBOOK POST PREVIEW
+     * ======================================================================== */
+
+    /**
+     * Initialize the "Preview" buttons
+     */
+    function initPostPreview() {
+        document.addEventListener('click', function(e) {
+            const button = e.target.closest('.btn-preview');
+            if (button) {
+                showPostPreview(button.closest('.submission'));
+            }
+        });
+    }
+
+    /**
+     * Show a submission exactly as it will be posted on Facebook
+     *
+     * The text comes from api.php (action=preview), so the page's prefix and
+     * suffix are applied by the same code that publishes. The page and
+     * attachment chosen in the card's selectors are previewed even if they
+     * haven't been saved yet; publishing from the preview uses them.
+     *
+     * @param {HTMLElement} card - The submission card
+     */
+    async function showPostPreview(card) {
+        if (!card || !(window.TrouIdees && window.TrouIdees.api)) return;
+
+        const select = card.querySelector('.page-selector select[name="target_page_key"]');
+        const attachmentSelect = card.querySelector('.attachment-selector select');
+        const attachment = attachmentSelect ? attachmentSelect.value : null;
+        const button = card.querySelector('.btn-preview');
+        const loading = window.TrouIdees.loading;
+        if (button && loading) {
+            loading.show(button, button.dataset.loadingText || 'Loading...');
+        }
+
+        let preview;
+        try {
+            preview = await window.TrouIdees.api.post('preview', {
+                id: card.dataset.id,
+                target_page_key: select ? select.value : null,
+                attachment: attachment
+            });
+        } catch (error) {
+            notify(error.message, 'error');
+            return;
+        } finally {
+            if (button && loading) {
+                loading.hide(button);
+            }
+        }
+
+        const modal = window.TrouIdees.modal;
+        if (!modal) {
+            alert(preview.message);
+            return;
+        }
+
+        const status = card.dataset.status;
+        const title = `Preview: ${preview.page_name}`;
+
+        if ((status !== 'pending' && status !== 'approved') || !canPerform('publish')) {
+            modal.alert({ title: title, body: buildPostPreview(preview), buttonText: 'Close' });
+            return;
+        }
+
+        const dialog = modal.open({
+            title: title,
+            body: buildPostPreview(preview),
+            confirmText: '📤 Publish to Facebook',
+            confirmClass: 'btn-publish',
+            cancelText: 'Close',
+            loadingText: 'Publishing...',
+            onConfirm: () => publishFromPreview(card, preview.target_page_key, attachment)
+        });
+
+        if (preview.length > preview.max_length) {
+            dialog.overlay.querySelector('.modal-confirm').disabled = true;
+        }
+    }
+
+    /**
+     * Build the Facebook-style post shown in the preview modal
+     *
+     * @param {object} preview - Preview response from api.php
+     * @returns {HTMLElement}
+     */
+    function buildPostPreview(preview) {
+        const post = document.createElement('div');
+        post.className = 'fb-preview';
+        post.innerHTML = `
+            <div class="fb-preview-header">
+                <span class="fb-preview-avatar" aria-hidden="true"></span>
+                <div>
+                    <div class="fb-preview-page"></div>
+                    <div class="fb-preview-time">Just now · 🌐</div>
+                </div>
+            </div>
+            <div class="fb-preview-text"></div>
+            <div class="fb-preview-count"></div>
+        `;
+
+        // The photo (shown below the caption) or the link Facebook will preview
+        const attachment = preview.attachment;
+        if (attachment) {
+            const count = post.querySelector('.fb-preview-count');
+            if (attachment.type === 'image') {
+                const image = document.createElement('img');
+                image.className = 'fb-preview-image';
+                image.src = attachment.url;
+                image.alt = attachment.field ? 'Attached photo' : 'Page default image';
+                post.insertBefore(image, count);
+            } else {
+                const link = document.createElement('div');
+                link.className = 'fb-preview-link';
+                link.textContent = attachment.url;
+                post.insertBefore(link, count);
+            }
+        }
+
+        post.querySelector('.fb-preview-avatar').textContent = preview.page_name.charAt(0).toUpperCase();
+        post.querySelector('.fb-preview-page').textContent = preview.page_name;
+
+        // Highlight hashtags and links the way Facebook does
+        const text = post.querySelector('.fb-preview-text');
+        preview.message.split(/(#[\p{L}\p{N}_]+|https?:\/\/\S+)/u).forEach((part, index) => {
+            if (index % 2 === 0) {
+                text.appendChild(document.createTextNode(part));
+                return;
+            }
+            const span = document.createElement('span');
+            span.className = part.charAt(0) === '#' ? 'fb-hashtag' : 'fb-url';
+            span.textContent = part;
+            text.appendChild(span);
+        });
+
+        const count = post.querySelector('.fb-preview-count');
+        count.textContent = `${preview.length.toLocaleString()} / ${preview.max_length.toLocaleString()} characters`;
+        if (preview.length > preview.max_length) {
+            count.classList.add('over-limit');
+            count.textContent += ' - too long for Facebook';
+        }
+
+        return post;
+    }
+
+    /**
+     * Publish a submission from the preview modal
+     *
+     * Rejects with Facebook's error so the modal can show it inline and
+     * stay open for another try.
+     *
+     * @param {HTMLElement} card - The submission card
+     * @param {string} pageKey - The page the preview was shown for
+     * @param {string|null} attachment - The attachment choice previewed (null: the saved one)
+     * @returns {Promise<void>}
+     */
+    async function publishFromPreview(card, pageKey, attachment) {
+        card.classList.add('submission-busy');
+
+        try {
+            const response = await window.TrouIdees.api.post('publish', {
+                id: card.dataset.id,
+                target_page_key: pageKey,
+                attachment: attachment
+            });
+            applyResults(response.results);
+
+            const result = response.results[0];
+            if (!result.success) {
+                throw new Error(result.error || 'Publishing failed');
+            }
+            showSummaryToast(response);
+        } finally {
+            card.classList.remove('submission-busy');
+        }
+    }
+
+    /**
+     * Preview the focused card's post
+     */
+    function previewFocusedPost() {
+        const card = requireFocusedCard();
+        if (!card) return;
+
+        if (!card.querySelector('.btn-preview')) {
+            notify('This submission is already published', 'info');
+            return;
+        }
+        showPostPreview(card);
+    }
+
+    /* ========================================================================
+     * SCHEDULING
+     * ======================================================================== */
+
+    /**
+     * Ask when to publish a submission, then schedule it
+     *
+     * Offers the next free posting slots of the card's target page, or a
+     * custom date and time. The modal stays open (with the error shown) if
+     * scheduling fails.
+     *
+     * @param {HTMLElement} card - The submission card
+     */
+    async function promptSchedule(card) {
+        const api = window.TrouIdees.api;
+        const id = card.dataset.id;
+        let slots = [];
+        try {
+            const response = await api.post('slots', { page_key: card.dataset.targetPage, id: id, limit: 8 });
+            slots = response.slots;
+        } catch (error) {
+            // Slots are a convenience - a custom time still works
+        }
+
+        const options = slots.map(slot => ({ value: slot, label: formatScheduleTime(slot) }));
+        options.push({ value: '', label: 'Custom time (below)' });
+
+        window.TrouIdees.modal.prompt({
+            title: 'Schedule Post',
+            message: slots.length
+                ? 'Pick one of the next free posting slots for this page, or enter a custom time.'
+                : 'This page has no free posting slots configured. Enter a time to publish.',
+            fields: [
+                { name: 'slot', label: 'Posting slot', type: 'select', options: options },
+                { name: 'custom', label: 'Custom time', type: 'datetime-local' }
+            ],
+            confirmText: '🕒 Schedule',
+            loadingText: 'Scheduling...',
+            onConfirm: async function(values) {
+                const publishAt = values.custom || values.slot;
+                if (!publishAt) {
+                    throw new Error('Choose a posting slot or enter a custom time');
+                }
+
+                const response = await api.post('schedule', { id: id, publish_at: publishAt });
+                applyResults(response.results);
+
+                const result = response.results[0];
+                if (!result.success) {
+                    throw new Error(result.error || 'Could not schedule this submission');
+                }
+                notify(`Scheduled for ${formatScheduleTime(result.scheduled_at)}`, 'success');
+            }
+        });
+    }
+
+    /**
+     * Format a 'Y-m-d H:i:s' time for display (e.g. "Tue 4 Nov, 09:00")
+     *
+     * @param {string} time
+     * @returns {string}
+     */
+    function formatScheduleTime(time) {
+        const date = new Date(time.replace(' ', 'T'));
+        if (isNaN(date)) return time;
+
+        return date.toLocaleString(undefined, {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /* ========================================================================
+     * SEARCH & FILTERING
+     * ======================================================================== */
+
+    /**
+     * Query string of the results currently shown
+     */
+    let loadedSearch = window.location.search;
+
+    /**
+     * Initialize queue search
+     *
+     * The search form, status tabs and pagination are plain GET links, so
+     * they work without JavaScript. With it, the results region is fetched
+     * and swapped in place and the URL is updated, so searches can still be
+     * bookmarked and the back button works.
+     */
+    function initSearch() {
+        const form = document.getElementById('queue-search');
+        if (!form || !document.getElementById('queue-results')) return;
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            // Leave empty fields out of the URL
+            const params = new URLSearchParams();
+            new FormData(form).forEach((value, key) => {
+                if (String(value).trim() !== '') {
+                    params.append(key, value);
+                }
+            });
+
+            loadResults('?' + params.toString());
+        });
+
+        document.addEventListener('click', function(e) {
+            const link = e.target.closest(
+                '#queue-results .filter-btn, #queue-results .pagination a, #queue-search .search-clear'
+            );
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+
+            e.preventDefault();
+            loadResults(link.getAttribute('href'));
+        });
+
+        // Back/forward between searches (ignore in-page #message-ID jumps)
+        window.addEventListener('popstate', function() {
+            if (window.location.search !== loadedSearch) {
+                loadResults(window.location.search, false);
+            }
+        });
+
+        highlightSearchMatches();
+    }
+
+    /**
+     * Load a queue URL and swap in its results
+     *
+     * Falls back to a normal navigation if the response has no results
+     * region (e.g. the session expired and the login page came back).
+     *
+     * @param {string} url - Query string or URL of the queue page
+     * @param {boolean} [push=true] - Add a browser history entry
+     */
+    async function loadResults(url, push = true) {
+        const results = document.getElementById('queue-results');
+        const target = new URL(url, window.location.href);
+
+        results.setAttribute('aria-busy', 'true');
+        results.classList.add('results-loading');
+
+        try {
+            const response = await fetch(target.href, {
+                credentials: 'same-origin',
+                headers: { 'Accept': 'text/html' }
+            });
+            const html = await response.text();
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            const newResults = doc.getElementById('queue-results');
+            const newForm = doc.getElementById('queue-search');
+
+            if (!response.ok || !newResults) {
+                window.location.href = target.href;
+                return;
+            }
+
+            results.replaceWith(newResults);
+
+            // Keep the form in sync (status filter, back/forward, "Clear")
+            const form = document.getElementById('queue-search');
+            if (form && newForm) {
+                syncSearchForm(form, newForm);
+            }
+
+            if (push) {
+                history.pushState(null, '', target.href);
+            }
+            loadedSearch = target.search;
+
+            setFocusedCard(null);
+            initMessageTruncation();
+            initBatchSelection();
+            enhanceDeleteButtons();
+            highlightSearchMatches();
+        } catch (error) {
+            results.removeAttribute('aria-busy');
+            results.classList.remove('results-loading');
+            notify('Could not load results: ' + error.message, 'error');
+        } finally {
+            // loading.js puts the search button in its loading state on submit
+            const loading = window.TrouIdees && window.TrouIdees.loading;
+            const searchButton = document.querySelector('#queue-search button[type="submit"]');
+            if (loading && searchButton) {
+                loading.hide(searchButton);
+            }
+        }
+    }
+
+    /**
+     * Copy field values and the "Clear" link from a freshly loaded search form
+     *
+     * The form itself is kept so typing focus isn't lost.
+     *
+     * @param {HTMLFormElement} form - The search form on the page
+     * @param {HTMLFormElement} newForm - The search form from the loaded page
+     */
+    function syncSearchForm(form, newForm) {
+        Array.from(newForm.elements).forEach(field => {
+            if (field.name && form.elements[field.name]) {
+                form.elements[field.name].value = field.value;
+            }
+        });
+
+        const clear = form.querySelector('.search-clear');
+        const newClear = newForm.querySelector('.search-clear');
+        if (clear) clear.remove();
+        if (newClear) {
+            form.querySelector('.search-main').appendChild(newClear);
+        }
+    }
+
+    /**
+     * Highlight the search words in the messages
+     *
+     * Wraps matches in <mark>, leaving the message text itself unchanged.
+     *
+     * @param {HTMLElement} [root] - Only the messages in here (default: all results)
+     */
+    function highlightSearchMatches(root = document.getElementById('queue-results')) {
+        const query = new URLSearchParams(window.location.search).get('q') || '';
+        const words = query.trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return;
+
+        const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp('(' + escaped.join('|') + ')', 'gi');
+
+        if (!root) return;
+
+        root.querySelectorAll('.message').forEach(message => {
+            const walker = document.createTreeWalker(message, NodeFilter.SHOW_TEXT);
+            const nodes = [];
+            while (walker.nextNode()) {
+                nodes.push(walker.currentNode);
+            }
+
+            nodes.forEach(node => {
+                const parts = node.nodeValue.split(pattern);
+                if (parts.length < 2) return;
+
+                const fragment = document.createDocumentFragment();
+                parts.forEach((part, i) => {
+                    if (i % 2 === 1) {
+                        const mark = document.createElement('mark');
+                        mark.className = 'search-match';
+                        mark.textContent = part;
+                        fragment.appendChild(mark);
+                    } else if (part) {
+                        fragment.appendChild(document.createTextNode(part));
+                    }
+                });
+                node.parentNode.replaceChild(fragment, node);
+            });
+        });
+    }
+
+    /* ========================================================================
+     * ENHANCED DELETE CONFIRMATIONS
+     * ======================================================================== */
+
+    /**
+     * Enhance delete buttons with custom modals
+     */
+    function enhanceDeleteButtons() {
+        document.querySelectorAll('.btn-delete').forEach(btn => {
+            // Skip if already enhanced
+            if (btn.dataset.enhanced) return;
+
+            // Only enhance buttons with onclick="return confirm(...)"
+            const onclickAttr = btn.getAttribute('onclick');
+            if (!onclickAttr || !onclickAttr.includes('confirm')) return;
+
+            // Mark as enhanced
+            btn.dataset.enhanced = 'true';
+
+            // Remove onclick attribute
+            btn.removeAttribute('onclick');
+
+            // Add click handler
+            btn.addEventListener('click', function(e) {
+                e.preventDefault();
+
+                if (window.TrouIdees && window.TrouIdees.modal) {
+                    window.TrouIdees.modal.confirm({
+                        title: 'Delete Submission',
+                        message: 'Delete this submission? You can undo this for a few seconds.',
+                        confirmText: 'Delete',
+                        confirmClass: 'btn-delete',
+                        onConfirm: function() {
+                            // Submit the parent form
+                            submitCardForm(btn.closest('form'));
+                        }
+                    });
+                } else {
+                    // Fallback to browser confirm
+                    if (confirm('Delete this submission? You can undo this for a few seconds.')) {
+                        submitCardForm(btn.closest('form'));
+                    }
+                }
+            });
+        });
+    }
+
+    /* ========================================================================
+     * KEYBOARD SHORTCUTS
+     * ======================================================================== */
+
+    /**
+     * Currently focused submission card (keyboard focus ring)
+     */
+    let focusedCard = null;
+    let focusedIndex = -1;
+
+    /**
+     * Human-readable action names for keyboard feedback
+     */
+    const ACTION_LABELS = {
+        approve: 'Approve',
+        reject: 'Reject',
+        publish: 'Publish',
+        delete: 'Delete',
+        spam: 'Mark as spam'
+    };
+
+    /**
+     * Shortcut Registry
+     *
+     * Single source of truth for every keyboard binding. The keydown handler
+     * dispatches from this list and the "?" help modal is generated from it,
+     * so the help text can never drift from the actual bindings.
+     *
+     * Each entry:
+     *   key         - KeyboardEvent.key value
+     *   ctrl        - Requires Ctrl (or Cmd on Mac)
+     *   label       - Key as shown in the help
+     *   description - What it does
+     *   run         - Handler
+     */
+    const SHORTCUTS = [
+        { key: 'j', label: 'j', description: 'Next submission', run: () => moveFocus(1) },
+        { key: 'k', label: 'k', description: 'Previous submission', run: () => moveFocus(-1) },
+        { key: 'x', label: 'x', description: 'Select / deselect focused submission', run: toggleFocusedSelection },
+        { key: 'o', label: 'o', description: 'Expand / collapse focused message', run: toggleFocusedMessage },
+        { key: 'a', label: 'a', description: 'Approve focused submission', run: () => runFocusedAction('approve') },
+        { key: 'r', label: 'r', description: 'Reject focused submission', run: () => runFocusedAction('reject') },
+        { key: 'p', label: 'p', description: 'Publish focused submission', run: () => runFocusedAction('publish') },
+        { key: 'd', label: 'd', description: 'Delete focused submission', run: () => runFocusedAction('delete') },
+        { key: 's', label: 's', description: 'Mark focused submission as spam', run: () => runFocusedAction('spam') },
+        { key: 'e', label: 'e', description: 'Edit focused message', run: editFocusedMessage },
+        { key: 'v', label: 'v', description: 'Preview focused post on Facebook', run: previewFocusedPost },
+        { key: 'a', ctrl: true, label: 'Ctrl/Cmd + A', description: 'Select all submissions', run: selectAllSubmissions },
+        { key: 'Escape', label: 'Escape', description: 'Deselect all (including other pages)', run: deselectAllSubmissions },
+        { key: '?', label: '?', description: 'Show this help', run: showShortcutHelp }
+    ];
+
+    /**
+     * Find the shortcut matching a keydown event
+     *
+     * @param {KeyboardEvent} e
+     * @returns {object|undefined}
+     */
+    function findShortcut(e) {
+        const ctrl = e.ctrlKey || e.metaKey;
+        if (e.altKey) return undefined;
+
+        return SHORTCUTS.find(shortcut => shortcut.key === e.key && !!shortcut.ctrl === ctrl);
+    }
+
+    /**
+     * Visible submission cards, in page order
+     *
+     * @returns {Array<HTMLElement>}
+     */
+    function getVisibleCards() {
+        return Array.from(document.querySelectorAll('.submission'))
+            .filter(card => !card.classList.contains('submission-deleted') &&
+                            !card.classList.contains('submission-removing'));
+    }
+
+    /**
+     * Move the focus ring to a card
+     *
+     * @param {HTMLElement|null} card
+     */
+    function setFocusedCard(card) {
+        if (focusedCard) {
+            focusedCard.classList.remove('submission-focused');
+            focusedCard.removeAttribute('aria-current');
+        }
+
+        focusedCard = card;
+        focusedIndex = card ? getVisibleCards().indexOf(card) : -1;
+
+        if (card) {
+            card.classList.add('submission-focused');
+            card.setAttribute('aria-current', 'true');
+            card.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Move the focus ring up or down
+     *
+     * If the focused card was removed (e.g. deleted), focus continues from
+     * the position it used to occupy.
+     *
+     * @param {number} delta - 1 for next, -1 for previous
+     */
+    function moveFocus(delta) {
+        const cards = getVisibleCards();
+        if (cards.length === 0) return;
+
+        let index = cards.indexOf(focusedCard);
+
+        if (index === -1) {
+            if (focusedIndex === -1) {
+                index = delta > 0 ? 0 : cards.length - 1;
+            } else {
+                // The card at the old position is now the "next" one
+                index = delta > 0 ? focusedIndex : focusedIndex - 1;
+            }
+        } else {
+            index += delta;
+        }
+
+        index = Math.max(0, Math.min(cards.length - 1, index));
+        setFocusedCard(cards[index]);
+    }
+
+    /**
+     * Return the focused card, or warn if there is none
+     *
+     * @returns {HTMLElement|null}
+     */
+    function requireFocusedCard() {
+        if (focusedCard && getVisibleCards().includes(focusedCard)) {
+            return focusedCard;
+        }
+
+        notify('Use j / k to choose a submission first', 'info');
+        return null;
+    }
+
+    /**
+     * Toggle the checkbox of the focused card
+     */
+    function toggleFocusedSelection() {
+        const card = requireFocusedCard();
+        const checkbox = card && card.querySelector('.item-checkbox');
+        if (!checkbox) return;
+
+        checkbox.checked = !checkbox.checked;
+        checkbox.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Expand or collapse the message of the focused card
+     */
+    function toggleFocusedMessage() {
+        const card = requireFocusedCard();
+        if (card) {
+            window.toggleMessage(card.dataset.id);
+        }
+    }
+
+    /**
+     * Run a card action (approve, reject, publish, delete, spam) on the focused card
+     *
+     * Uses the card's own action form, so only actions available for the
+     * card's current status can run. Delete goes through the delete button
+     * (and its confirmation); publish asks for confirmation because a stray
+     * keystroke would otherwise post publicly.
+     *
+     * @param {string} action - The action name
+     */
+    function runFocusedAction(action) {
+        const card = requireFocusedCard();
+        if (!card) return;
+
+        const input = card.querySelector(`.actions input[name="action"][value="${action}"]`);
+        const form = input && input.closest('form');
+
+        if (!form) {
+            notify(`${ACTION_LABELS[action]} is not available for this submission`, 'warning');
+            return;
+        }
+
+        if (action === 'delete') {
+            form.querySelector('button').click();
+            return;
+        }
+
+        if (action === 'publish' && window.TrouIdees && window.TrouIdees.modal) {
+            window.TrouIdees.modal.confirm({
+                title: 'Publish to Facebook',
+                message: 'Publish this submission to Facebook? This will post it publicly.',
+                confirmText: 'Publish Now',
+                confirmClass: 'btn-publish',
+                onConfirm: function() {
+                    submitCardForm(form);
+                }
+            });
+            return;
+        }
+
+        submitCardForm(form);
+    }
+
+    /**
+     * Select all submissions
+     */
+    function selectAllSubmissions() {
+        const selectAll = document.getElementById('select-all');
+        if (selectAll) {
+            selectAll.checked = true;
+            selectAll.dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Deselect all submissions
+     */
+    function deselectAllSubmissions() {
+        // Includes selections on other pages
+        const store = getSelectionStore();
+        if (store) {
+            store.clear();
+        }
+
+        const itemCheckboxes = document.querySelectorAll('.item-checkbox:checked');
+        itemCheckboxes.forEach(cb => cb.checked = false);
+        updateBatchControls();
+
+        const selectAll = document.getElementById('select-all');
+        if (selectAll) {
+            selectAll.checked = false;
+            selectAll.indeterminate = false;
+        }
+    }
+
+    /**
+     * Show keyboard shortcuts help (generated from SHORTCUTS)
+     */
+    function showShortcutHelp() {
+        if (!(window.TrouIdees && window.TrouIdees.modal)) return;
+
+        window.TrouIdees.modal.alert({
+            title: 'Keyboard Shortcuts',
+            message: SHORTCUTS.map(shortcut => `${shortcut.label}: ${shortcut.description}`).join('\n'),
+            buttonText: 'Got it'
+        });
+    }
+
+    /**
+     * Initialize keyboard shortcuts
+     */
+    function initKeyboardShortcuts() {
+        document.addEventListener('keydown', function(e) {
+            // Ignore when typing in inputs
+            if (e.target.matches('input, textarea, select')) return;
+
+            // Ignore while a modal is open (it handles its own keys)
+            if (document.querySelector('.modal-overlay')) return;
+
+            const shortcut = findShortcut(e);
+            if (!shortcut) return;
+
+            e.preventDefault();
+            shortcut.run();
+        });
+
+        // Clicking a card moves the focus ring there
+        document.addEventListener('click', function(e) {
+            const card = e.target.closest('.submission');
+            if (card && card !== focusedCard) {
+                setFocusedCard(card);
+            }
+        });
+    }
+
+    /* ========================================================================
+     * LIVE UPDATES
+     * ======================================================================== */
+
+    /**
+     * Seconds between checks for new submissions
+     */
+    const LIVE_UPDATE_INTERVAL = 30;
+
+    /**
+     * localStorage key of the "add new submissions to the top" setting
+     */
+    const LIVE_INSERT_KEY = 'trouidees_live_insert';
+
+    /**
+     * Newest submission ID of this page the queue has seen
+     * (undefined until the first check, '' while the page has none)
+     */
+    let latestSeenId;
+    let liveUpdateTimer = null;
+
+    /**
+     * Initialize the checks for new submissions
+     *
+     * api.php (action=updates) is asked every LIVE_UPDATE_INTERVAL seconds
+     * for submissions received since the newest one seen. Their count is
+     * announced with an info toast (and a desktop notification while the tab
+     * is in the background) and the status badges are updated. With "Add new
+     * submissions to the top" on, the new cards are inserted above the
+     * others; otherwise the toast offers to show them.
+     */
+    function initLiveUpdates() {
+        const bar = document.getElementById('live-updates');
+        if (!bar || !(window.TrouIdees && window.TrouIdees.api)) return;
+
+        bar.hidden = false;
+
+        const insertToggle = document.getElementById('live-insert');
+        if (insertToggle) {
+            insertToggle.checked = readLiveInsertSetting();
+            insertToggle.addEventListener('change', function() {
+                try {
+                    window.localStorage.setItem(LIVE_INSERT_KEY, this.checked ? '1' : '0');
+                } catch (e) {
+                    // Storage unavailable (private mode): the setting lasts until reload
+                }
+            });
+        }
+
+        // Browsers only ask for permission after a click
+        const notifyBtn = document.getElementById('live-notify');
+        if (notifyBtn && 'Notification' in window && Notification.permission === 'default') {
+            notifyBtn.hidden = false;
+            notifyBtn.addEventListener('click', function() {
+                Notification.requestPermission().then(() => {
+                    notifyBtn.hidden = true;
+                });
+            });
+        }
+
+        checkForNewSubmissions();
+    }
+
+    /**
+     * Read the "add new submissions to the top" setting
+     *
+     * @returns {boolean}
+     */
+    function readLiveInsertSetting() {
+        try {
+            return window.localStorage.getItem(LIVE_INSERT_KEY) === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Ask api.php for new submissions, then schedule the next check
+     *
+     * Stops checking once the session has expired (401/403); the next
+     * action the moderator takes shows why.
+     */
+    async function checkForNewSubmissions() {
+        const bar = document.getElementById('live-updates');
+        const params = Object.fromEntries(new URLSearchParams(window.location.search));
+
+        try {
+            const response = await window.TrouIdees.api.post('updates', Object.assign(params, {
+                page_key: bar.dataset.pageKey,
+                since: latestSeenId
+            }));
+            handleNewSubmissions(response);
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) return;
+        }
+
+        clearTimeout(liveUpdateTimer);
+        liveUpdateTimer = setTimeout(checkForNewSubmissions, LIVE_UPDATE_INTERVAL * 1000);
+    }
+
+    /**
+     * Apply an api.php "updates" response to the page
+     *
+     * Spam only changes the Spam badge; it is never announced.
+     *
+     * @param {object} response - { latest, new: [{id, status}], counts }
+     */
+    function handleNewSubmissions(response) {
+        const firstCheck = latestSeenId === undefined;
+        latestSeenId = response.latest || '';
+
+        Object.keys(response.counts || {}).forEach(filter => {
+            const badge = document.querySelector(`.filter-btn[data-filter="${filter}"] .badge`);
+            if (badge) {
+                badge.textContent = response.counts[filter];
+                badge.setAttribute('aria-label', `${response.counts[filter]} items`);
+            }
+        });
+
+        const fresh = (response.new || []).filter(sub => sub.status !== 'spam' && !findCard(sub.id));
+        if (firstCheck || fresh.length === 0) return;
+
+        const text = fresh.length === 1 ? '1 new question' : `${fresh.length} new questions`;
+        const toast = window.TrouIdees.toast;
+
+        if (document.hidden) {
+            showDesktopNotification(text);
+        }
+
+        const insertable = getInsertableSubmissions(fresh);
+        if (insertable.length > 0) {
+            insertNewCards(insertable.map(sub => sub.id));
+            if (toast) toast.info(text);
+        } else if (toast) {
+            toast.info(text, {
+                action: { label: 'Show', onClick: () => loadResults(window.location.href, false) }
+            });
+        }
+    }
+
+    /**
+     * Pick the new submissions that can be added to the top of the list
+     *
+     * Only when the setting is on, the first page of results is shown and
+     * no "all matching this filter" selection is active (a new card would
+     * silently end it), and only those the status filter shows.
+     *
+     * @param {Array<object>} fresh - New submissions ({id, status})
+     * @returns {Array<object>}
+     */
+    function getInsertableSubmissions(fresh) {
+        const params = new URLSearchParams(window.location.search);
+        const filter = params.get('filter') || 'all';
+        const store = getSelectionStore();
+
+        if (!readLiveInsertSetting() || (parseInt(params.get('page'), 10) || 1) !== 1) return [];
+        if (store && store.getFilter()) return [];
+
+        return fresh.filter(sub => filter === 'all' || sub.status === filter);
+    }
+
+    /**
+     * Fetch the current results and insert the new cards above the others
+     *
+     * The selection is left alone: new cards start unchecked. Falls back to
+     * reloading the results when the list was empty.
+     *
+     * @param {Array<string>} ids - IDs of the new submissions, newest first
+     */
+    async function insertNewCards(ids) {
+        const firstCard = document.querySelector('#queue-results .submission');
+        if (!firstCard) {
+            loadResults(window.location.href, false);
+            return;
+        }
+
+        try {
+            const response = await fetch(window.location.href, {
+                credentials: 'same-origin',
+                headers: { 'Accept': 'text/html' }
+            });
+            if (!response.ok) return;
+
+            const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+            ids.forEach(id => {
+                const card = Array.from(doc.querySelectorAll('#queue-results .submission'))
+                    .find(newCard => newCard.dataset.id === id);
+                if (!card || findCard(id)) return;
+
+                const imported = document.importNode(card, true);
+                imported.classList.add('submission-new');
+                firstCard.parentNode.insertBefore(imported, firstCard);
+
+                const container = imported.querySelector('.message-container');
+                if (container) truncateMessage(container);
+
+                const checkbox = imported.querySelector('.item-checkbox');
+                if (checkbox) bindItemCheckbox(checkbox);
+
+                highlightSearchMatches(imported);
+            });
+
+            enhanceDeleteButtons();
+            updateSelectAllState();
+        } catch (error) {
+            // The toast already announced them; they show up on the next reload
+        }
+    }
+
+    /**
+     * Show a desktop notification (if the moderator allowed them)
+     *
+     * Clicking it brings the queue tab to the front.
+     *
+     * @param {string} text - e.g. "3 new questions"
+     */
+    function showDesktopNotification(text) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const notification = new Notification(document.title, {
+            body: text,
+            icon: 'cropped-logo.png',
+            tag: 'trouidees-new-submissions'
+        });
+        notification.onclick = function() {
+            window.focus();
+            notification.close();
+        };
     }
 
     /* ========================================================================
@@ -354,8 +2564,13 @@
     function init() {
         initMessageTruncation();
         initBatchSelection();
+        initCardActions();
+        initMessageEditing();
+        initPostPreview();
         enhanceDeleteButtons();
         initKeyboardShortcuts();
+        initSearch();
+        initLiveUpdates();
     }
 
     // Run on DOM ready
@@ -13,6 +13,35 @@
  *       confirmClass: 'btn-delete',
  *       onConfirm: () => { // do something }
  *   });
+ *
+ *   // Promise style (resolves true when confirmed, false when cancelled)
+ *   if (await TrouIdees.modal.confirm({ title: 'Publish?', message: '...' })) { ... }
+ *
+ *   // Async onConfirm: the confirm button shows a loading state and the
+ *   // modal stays open until the promise settles. A rejection is shown
+ *   // inside the modal so the user can retry or cancel.
+ *   TrouIdees.modal.confirm({
+ *       title: 'Publish',
+ *       message: 'Publish now?',
+ *       onConfirm: () => TrouIdees.api.post('publish', { id: 'sub_1' })
+ *   });
+ *
+ *   // Custom body (DOM node or <template>)
+ *   const modal = TrouIdees.modal.open({ title: 'Preview', body: node, confirmText: 'Publish' });
+ *   modal.result.then(confirmed => { ... });
+ *
+ *   // Form fields
+ *   const values = await TrouIdees.modal.prompt({
+ *       title: 'Edit',
+ *       fields: [{ name: 'message', label: 'Message', type: 'textarea', value: 'Hi', required: true }]
+ *   });
+ *   // values is { message: '...' }, or null when cancelled
+ *
+ * STACKING:
+ * Modals can be opened from within modals (e.g. a preview asking for
+ * confirmation). Open modals are kept on a stack: only the top-most one
+ * reacts to Escape and receives focus, everything behind it is made
+ * `inert`, and each modal has its own ARIA IDs.
  */
 
 (function() {
@@ -21,57 +50,202 @@
     // Create namespace if it doesn't exist
     window.TrouIdees = window.TrouIdees || {};
 
+    /* ========================================================================
+     * MODAL STACK
+     * ======================================================================== */
+
     /**
-     * Show Confirmation Modal
+     * Open modals, bottom to top
+     *
+     * Entries: { overlay, onEscape }
+     */
+    const stack = [];
+
+    /**
+     * Counter for unique ARIA IDs (modal-1-title, modal-2-title, ...)
+     */
+    let modalCount = 0;
+
+    /**
+     * Elements made inert by the modal manager (restored when the stack empties)
+     */
+    const inertElements = new Set();
+
+    /**
+     * Get the top-most open modal
+     *
+     * @returns {object|null} Stack entry
+     */
+    function topModal() {
+        return stack.length ? stack[stack.length - 1] : null;
+    }
+
+    /**
+     * Make everything except the top-most modal inert
+     *
+     * Only elements the manager made inert are ever released, so content
+     * that was inert for other reasons stays that way. Toasts stay
+     * interactive so their buttons (e.g. "Undo") keep working.
+     */
+    function updateInert() {
+        const top = topModal();
+
+        Array.from(document.body.children).forEach(el => {
+            const keepActive = !top || el === top.overlay || el.classList.contains('toast-container');
+
+            if (keepActive) {
+                if (inertElements.has(el)) {
+                    el.inert = false;
+                    inertElements.delete(el);
+                }
+            } else if (!el.inert) {
+                el.inert = true;
+                inertElements.add(el);
+            }
+        });
+    }
+
+    /**
+     * Escape closes only the top-most modal
+     *
+     * One document listener for all modals, registered while any modal is open.
+     *
+     * @param {KeyboardEvent} e
+     */
+    function handleEscape(e) {
+        const top = topModal();
+        if (e.key !== 'Escape' || !top) return;
+
+        e.preventDefault();
+        top.onEscape();
+    }
+
+    /**
+     * Push a modal onto the stack
+     *
+     * @param {object} entry - { overlay, onEscape }
+     */
+    function pushModal(entry) {
+        if (stack.length === 0) {
+            document.addEventListener('keydown', handleEscape);
+        }
+        stack.push(entry);
+        updateInert();
+    }
+
+    /**
+     * Remove a modal from the stack (wherever it is)
+     *
+     * @param {object} entry - The stack entry
+     * @returns {boolean} True if it was the top-most modal
+     */
+    function removeModal(entry) {
+        const wasTop = topModal() === entry;
+        const index = stack.indexOf(entry);
+        if (index !== -1) {
+            stack.splice(index, 1);
+        }
+
+        if (stack.length === 0) {
+            document.removeEventListener('keydown', handleEscape);
+        }
+        updateInert();
+        return wasTop;
+    }
+
+    /**
+     * Check if any modal is open
+     *
+     * @returns {boolean}
+     */
+    function isOpen() {
+        return stack.length > 0;
+    }
+
+    /* ========================================================================
+     * MODALS
+     * ======================================================================== */
+
+    /**
+     * Open a Modal
+     *
+     * The building block for confirm(), alert() and prompt().
+     *
+     * BODY:
+     * - message: plain text (escaped, line breaks kept)
+     * - body: a DOM node, or a <template> element whose content is cloned.
+     *   Takes precedence over message.
+     *
+     * CONFIRMING:
+     * onConfirm(modal) is called before the modal closes:
+     * - returns nothing/a value → modal closes, result resolves with the value (or true)
+     * - returns false           → modal stays open (e.g. failed validation)
+     * - returns a Promise       → confirm button shows a loading state until it
+     *                             settles; a rejection's message is shown inline
+     *                             and the modal stays open
      *
      * @param {object} options - Configuration options
      * @param {string} options.title - Modal title
-     * @param {string} options.message - Modal message body
+     * @param {string} options.message - Plain text body
+     * @param {Node|HTMLTemplateElement} options.body - Rich body (optional)
      * @param {string} options.confirmText - Text for confirm button (default: 'Confirm')
      * @param {string} options.cancelText - Text for cancel button (default: 'Cancel')
      * @param {string} options.confirmClass - CSS class for confirm button (default: 'btn-primary')
-     * @param {function} options.onConfirm - Callback when confirmed
+     * @param {string} options.loadingText - Confirm button text while onConfirm runs (default: 'Working...')
+     * @param {boolean} options.showCancel - Show cancel and close buttons (default: true)
+     * @param {string} options.role - 'dialog' or 'alertdialog' (default: 'dialog')
+     * @param {function} options.onConfirm - Called when confirmed (see CONFIRMING)
      * @param {function} options.onCancel - Callback when cancelled (optional)
-     * @returns {HTMLElement} The modal overlay element
+     * @returns {object} Modal handle:
+     *   { overlay, body, result: Promise, close(value), setLoading(bool), setError(message) }
+     *   result resolves with the confirm value, or false when cancelled.
      */
-    function confirm(options) {
+    function open(options) {
         // Default options
         const defaults = {
-            title: 'Confirm Action',
-            message: 'Are you sure?',
+            title: '',
+            message: '',
+            body: null,
             confirmText: 'Confirm',
             cancelText: 'Cancel',
             confirmClass: 'btn-primary',
+            loadingText: 'Working...',
+            showCancel: true,
+            role: 'dialog',
             onConfirm: null,
             onCancel: null
         };
 
         const opts = Object.assign({}, defaults, options);
 
+        // Unique IDs, so stacked modals don't share them
+        const idPrefix = 'modal-' + (++modalCount);
+
         // Create modal overlay
         const overlay = document.createElement('div');
         overlay.className = 'modal-overlay';
-        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('role', opts.role);
         overlay.setAttribute('aria-modal', 'true');
-        overlay.setAttribute('aria-labelledby', 'modal-title');
-        overlay.setAttribute('aria-describedby', 'modal-description');
+        overlay.setAttribute('aria-labelledby', idPrefix + '-title');
+        overlay.setAttribute('aria-describedby', idPrefix + '-description');
 
         // Create modal HTML
         overlay.innerHTML = `
             <div class="modal-container">
                 <div class="modal-header">
-                    <h3 id="modal-title">${escapeHtml(opts.title)}</h3>
+                    <h3 id="${idPrefix}-title">${escapeHtml(opts.title)}</h3>
+                    ${opts.showCancel ? `
                     <button class="modal-close" aria-label="Close dialog" type="button">
                         <span aria-hidden="true">&times;</span>
-                    </button>
-                </div>
-                <div class="modal-body">
-                    <p id="modal-description">${escapeHtml(opts.message)}</p>
+                    </button>` : ''}
                 </div>
+                <div class="modal-body" id="${idPrefix}-description"></div>
+                <div class="modal-error" role="alert" hidden></div>
                 <div class="modal-footer">
+                    ${opts.showCancel ? `
                     <button class="btn btn-secondary modal-cancel" type="button">
                         ${escapeHtml(opts.cancelText)}
-                    </button>
+                    </button>` : ''}
                     <button class="btn ${opts.confirmClass} modal-confirm" type="button">
                         ${escapeHtml(opts.confirmText)}
                     </button>
@@ -79,6 +253,18 @@
             </div>
         `;
 
+        // Fill the body
+        const body = overlay.querySelector('.modal-body');
+        if (opts.body instanceof HTMLTemplateElement) {
+            body.appendChild(opts.body.content.cloneNode(true));
+        } else if (opts.body instanceof Node) {
+            body.appendChild(opts.body);
+        } else {
+            const p = document.createElement('p');
+            p.textContent = opts.message;
+            body.appendChild(p);
+        }
+
         // Add to body
         document.body.appendChild(overlay);
 
@@ -87,10 +273,18 @@
         const closeBtn = overlay.querySelector('.modal-close');
         const cancelBtn = overlay.querySelector('.modal-cancel');
         const confirmBtn = overlay.querySelector('.modal-confirm');
+        const errorBox = overlay.querySelector('.modal-error');
 
         // Store currently focused element to restore later
         const previouslyFocused = document.activeElement;
 
+        let busy = false;
+        let closed = false;
+        let resolveResult;
+        const result = new Promise(resolve => {
+            resolveResult = resolve;
+        });
+
         // Animate in
         requestAnimationFrame(() => {
             setTimeout(() => {
@@ -98,74 +292,152 @@
             }, 10);
         });
 
-        // Focus the confirm button
+        // Focus the first form field, or the confirm button
         setTimeout(() => {
-            confirmBtn.focus();
+            const field = body.querySelector('input, select, textarea');
+            (field || confirmBtn).focus();
         }, 100);
 
         // Trap focus within modal
-        trapFocus(container);
+        const releaseFocus = trapFocus(container);
+
+        // Register with the modal stack (Escape, inert background)
+        const entry = {
+            overlay: overlay,
+            onEscape: () => (opts.showCancel ? cancel() : confirmAction())
+        };
+        pushModal(entry);
 
         // Close function
-        function closeModal() {
+        function closeModal(value) {
+            if (closed) return;
+            closed = true;
+
             overlay.classList.remove('modal-show');
+            releaseFocus();
+            const wasTop = removeModal(entry);
 
             setTimeout(() => {
                 overlay.remove();
                 // Restore focus to previously focused element
-                if (previouslyFocused && previouslyFocused.focus) {
+                if (wasTop && previouslyFocused && previouslyFocused.focus) {
                     previouslyFocused.focus();
                 }
             }, 300);
+
+            resolveResult(value);
         }
 
-        // Event: Close button
-        closeBtn.addEventListener('click', function() {
-            closeModal();
+        // Cancel (close button, cancel button, backdrop, Escape)
+        function cancel() {
+            if (busy) return;
+            closeModal(false);
             if (typeof opts.onCancel === 'function') {
                 opts.onCancel();
             }
-        });
+        }
 
-        // Event: Cancel button
-        cancelBtn.addEventListener('click', function() {
-            closeModal();
-            if (typeof opts.onCancel === 'function') {
-                opts.onCancel();
+        // Confirm, waiting for an async onConfirm
+        async function confirmAction() {
+            if (busy) return;
+            setError(null);
+
+            let value = true;
+            try {
+                if (typeof opts.onConfirm === 'function') {
+                    value = opts.onConfirm(handle);
+                    if (value && typeof value.then === 'function') {
+                        setLoading(true);
+                        value = await value;
+                    }
+                }
+            } catch (error) {
+                setLoading(false);
+                setError((error && error.message) || 'Something went wrong. Please try again.');
+                return;
             }
-        });
 
-        // Event: Confirm button
-        confirmBtn.addEventListener('click', function() {
-            closeModal();
-            if (typeof opts.onConfirm === 'function') {
-                opts.onConfirm();
+            setLoading(false);
+            if (value === false) return;
+            closeModal(value === undefined ? true : value);
+        }
+
+        /**
+         * Show or clear the loading state of the confirm button
+         *
+         * @param {boolean} loading
+         */
+        function setLoading(loading) {
+            busy = loading;
+            overlay.classList.toggle('modal-busy', loading);
+            if (cancelBtn) cancelBtn.disabled = loading;
+            if (closeBtn) closeBtn.disabled = loading;
+
+            const spinner = window.TrouIdees.loading;
+            if (spinner) {
+                loading ? spinner.show(confirmBtn, opts.loadingText) : spinner.hide(confirmBtn);
+            } else {
+                confirmBtn.disabled = loading;
             }
-        });
+        }
+
+        /**
+         * Show an error inside the modal, or clear it
+         *
+         * @param {string|null} message
+         */
+        function setError(message) {
+            errorBox.textContent = message || '';
+            errorBox.hidden = !message;
+        }
+
+        // Event: Close and cancel buttons
+        if (closeBtn) closeBtn.addEventListener('click', cancel);
+        if (cancelBtn) cancelBtn.addEventListener('click', cancel);
+
+        // Event: Confirm button
+        confirmBtn.addEventListener('click', confirmAction);
 
         // Event: Click outside to close
         overlay.addEventListener('click', function(e) {
-            if (e.target === overlay) {
-                closeModal();
-                if (typeof opts.onCancel === 'function') {
-                    opts.onCancel();
-                }
+            if (e.target === overlay && opts.showCancel) {
+                cancel();
             }
         });
 
-        // Event: ESC key to close
-        function escHandler(e) {
-            if (e.key === 'Escape') {
-                closeModal();
-                if (typeof opts.onCancel === 'function') {
-                    opts.onCancel();
-                }
-                document.removeEventListener('keydown', escHandler);
-            }
-        }
-        document.addEventListener('keydown', escHandler);
+        const handle = {
+            overlay: overlay,
+            body: body,
+            result: result,
+            close: value => closeModal(value === undefined ? true : value),
+            confirm: confirmAction,
+            setLoading: setLoading,
+            setError: setError
+        };
 
-        return overlay;
+        return handle;
+    }
+
+    /**
+     * Show Confirmation Modal
+     *
+     * @param {object} options - Configuration options (see open())
+     * @param {string} options.title - Modal title
+     * @param {string} options.message - Modal message body
+     * @param {string} options.confirmText - Text for confirm button (default: 'Confirm')
+     * @param {string} options.cancelText - Text for cancel button (default: 'Cancel')
+     * @param {string} options.confirmClass - CSS class for confirm button (default: 'btn-primary')
+     * @param {function} options.onConfirm - Callback when confirmed (may return a Promise)
+     * @param {function} options.onCancel - Callback when cancelled (optional)
+     * @returns {Promise<boolean>} Resolves true when confirmed, false when cancelled
+     */
+    function confirm(options) {
+        const defaults = {
+            title: 'Confirm Action',
+            message: 'Are you sure?'
+        };
+
+        return open(Object.assign({}, defaults, options)).result.then(value => value !== false);
     }
 
     /**
@@ -174,8 +446,10 @@
      * @param {object} options - Configuration options
      * @param {string} options.title - Modal title
      * @param {string} options.message - Modal message body
+     * @param {Node|HTMLTemplateElement} options.body - Rich body (optional)
      * @param {string} options.buttonText - Text for OK button (default: 'OK')
      * @param {function} options.onClose - Callback when closed (optional)
+     * @returns {Promise<void>} Resolves when closed
      */
     function alert(options) {
         const defaults = {
@@ -187,107 +461,156 @@
 
         const opts = Object.assign({}, defaults, options);
 
-        // Create modal overlay
-        const overlay = document.createElement('div');
-        overlay.className = 'modal-overlay';
-        overlay.setAttribute('role', 'alertdialog');
-        overlay.setAttribute('aria-modal', 'true');
-        overlay.setAttribute('aria-labelledby', 'modal-title');
-        overlay.setAttribute('aria-describedby', 'modal-description');
+        return open({
+            title: opts.title,
+            message: opts.message,
+            body: opts.body,
+            confirmText: opts.buttonText,
+            showCancel: false,
+            role: 'alertdialog',
+            onConfirm: opts.onClose
+        }).result.then(() => undefined);
+    }
 
-        // Create modal HTML
-        overlay.innerHTML = `
-            <div class="modal-container">
-                <div class="modal-header">
-                    <h3 id="modal-title">${escapeHtml(opts.title)}</h3>
-                </div>
-                <div class="modal-body">
-                    <p id="modal-description">${escapeHtml(opts.message)}</p>
-                </div>
-                <div class="modal-footer">
-                    <button class="btn btn-primary modal-ok" type="button">
-                        ${escapeHtml(opts.buttonText)}
-                    </button>
-                </div>
-            </div>
-        `;
+    /**
+     * Show Prompt Modal (form fields)
+     *
+     * Field types: text, email, number, url, textarea, select (with options).
+     * Enter submits (except in textareas). Required fields are validated
+     * by the browser before onConfirm runs.
+     *
+     * @param {object} options - Configuration options (see open())
+     * @param {string} options.title - Modal title
+     * @param {string} options.message - Text shown above the fields (optional)
+     * @param {Array<object>} options.fields - [{ name, label, type, value, placeholder, required, options }]
+     *        options for selects: [{ value, label }]
+     * @param {function} options.onConfirm - Called with the values (may return a Promise
+     *        or false to keep the modal open)
+     * @returns {Promise<object|null>} The entered values, or null when cancelled
+     */
+    function prompt(options) {
+        const defaults = {
+            title: 'Enter Details',
+            message: '',
+            fields: [{ name: 'value', label: '' }],
+            confirmText: 'OK'
+        };
 
-        // Add to body
-        document.body.appendChild(overlay);
+        const opts = Object.assign({}, defaults, options);
+        const form = buildPromptForm(opts);
 
-        // Get elements
-        const container = overlay.querySelector('.modal-container');
-        const okBtn = overlay.querySelector('.modal-ok');
+        const modal = open(Object.assign({}, opts, {
+            body: form,
+            onConfirm: function() {
+                if (!form.reportValidity()) return false;
 
-        // Store currently focused element
-        const previouslyFocused = document.activeElement;
+                const values = Object.fromEntries(new FormData(form));
+                if (typeof opts.onConfirm !== 'function') return values;
 
-        // Animate in
-        requestAnimationFrame(() => {
-            setTimeout(() => {
-                overlay.classList.add('modal-show');
-            }, 10);
+                const value = opts.onConfirm(values, modal);
+                if (value && typeof value.then === 'function') {
+                    return value.then(resolved => (resolved === false ? false : values));
+                }
+                return value === false ? false : values;
+            }
+        }));
+
+        // Enter submits through the confirm button (loading state, errors)
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            modal.confirm();
+        });
+        form.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' && !e.target.matches('textarea, button')) {
+                e.preventDefault();
+                modal.confirm();
+            }
         });
 
-        // Focus OK button
-        setTimeout(() => {
-            okBtn.focus();
-        }, 100);
+        return modal.result.then(value => (value === false ? null : value));
+    }
 
-        // Trap focus
-        trapFocus(container);
+    /**
+     * Build the form of a prompt modal
+     *
+     * @param {object} opts - Prompt options
+     * @returns {HTMLFormElement}
+     */
+    function buildPromptForm(opts) {
+        const form = document.createElement('form');
+        form.className = 'modal-form';
+
+        if (opts.message) {
+            const p = document.createElement('p');
+            p.textContent = opts.message;
+            form.appendChild(p);
+        }
 
-        // Close function
-        function closeModal() {
-            overlay.classList.remove('modal-show');
+        opts.fields.forEach((field, index) => {
+            const wrapper = document.createElement('label');
+            wrapper.className = 'modal-field';
 
-            setTimeout(() => {
-                overlay.remove();
-                // Restore focus
-                if (previouslyFocused && previouslyFocused.focus) {
-                    previouslyFocused.focus();
-                }
-            }, 300);
+            if (field.label) {
+                const label = document.createElement('span');
+                label.className = 'modal-field-label';
+                label.textContent = field.label;
+                wrapper.appendChild(label);
+            }
 
-            if (typeof opts.onClose === 'function') {
-                opts.onClose();
+            let input;
+            if (field.type === 'textarea') {
+                input = document.createElement('textarea');
+                input.rows = field.rows || 4;
+            } else if (field.type === 'select') {
+                input = document.createElement('select');
+                (field.options || []).forEach(option => {
+                    const el = document.createElement('option');
+                    el.value = option.value;
+                    el.textContent = option.label !== undefined ? option.label : option.value;
+                    input.appendChild(el);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type || 'text';
             }
-        }
 
-        // Event: OK button
-        okBtn.addEventListener('click', closeModal);
+            input.name = field.name || ('field' + index);
+            if (field.value !== undefined && field.value !== null) input.value = field.value;
+            if (field.placeholder) input.placeholder = field.placeholder;
+            if (field.required) input.required = true;
 
-        // Event: ESC key
-        function escHandler(e) {
-            if (e.key === 'Escape') {
-                closeModal();
-                document.removeEventListener('keydown', escHandler);
-            }
-        }
-        document.addEventListener('keydown', escHandler);
+            wrapper.appendChild(input);
+            form.appendChild(wrapper);
+        });
 
-        return overlay;
+        return form;
     }
 
     /**
      * Trap Focus Within Element
      *
      * Ensures keyboard focus stays within modal (accessibility requirement).
+     * Focusable elements are looked up on every Tab, so content added to
+     * the modal later (or buttons disabled while loading) is handled too.
      *
      * @param {HTMLElement} element - The element to trap focus within
+     * @returns {function} Removes the focus trap
      */
     function trapFocus(element) {
-        const focusableElements = element.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+        function handleTab(e) {
+            if (e.key !== 'Tab') return;
 
-        if (focusableElements.length === 0) return;
+            const focusableElements = Array.from(element.querySelectorAll(
+                'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+            )).filter(el => !el.disabled);
 
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+            if (focusableElements.length === 0) {
+                e.preventDefault();
+                return;
+            }
 
-        function handleTab(e) {
-            if (e.key !== 'Tab') return;
+            const firstElement = focusableElements[0];
+            const lastElement = focusableElements[focusableElements.length - 1];
 
             if (e.shiftKey) {
                 // Shift + Tab
@@ -305,6 +628,10 @@
         }
 
         element.addEventListener('keydown', handleTab);
+
+        return function() {
+            element.removeEventListener('keydown', handleTab);
+        };
     }
 
     /**
@@ -323,8 +650,11 @@
 
     // Public API
     window.TrouIdees.modal = {
+        open: open,
+        isOpen: isOpen,
         confirm: confirm,
-        alert: alert
+        alert: alert,
+        prompt: prompt
     };
 
     /**
@@ -428,6 +758,61 @@
                 font-size: 15px;
                 line-height: 1.6;
                 color: #555;
+                white-space: pre-line;
+            }
+
+            .modal-error {
+                margin: 0 24px 16px;
+                padding: 10px 14px;
+                border-radius: 6px;
+                background: #fde8e8;
+                color: #a12828;
+                font-size: 14px;
+            }
+
+            .modal-error[hidden] {
+                display: none;
+            }
+
+            .modal-form p {
+                margin-bottom: 16px;
+            }
+
+            .modal-field {
+                display: block;
+                margin-bottom: 14px;
+            }
+
+            .modal-field-label {
+                display: block;
+                margin-bottom: 6px;
+                font-size: 14px;
+                font-weight: 500;
+                color: #333;
+            }
+
+            .modal-field input,
+            .modal-field select,
+            .modal-field textarea {
+                width: 100%;
+                padding: 8px 12px;
+                border: 1px solid #ddd;
+                border-radius: 6px;
+                font: inherit;
+                font-size: 14px;
+            }
+
+            .modal-field input:focus,
+            .modal-field select:focus,
+            .modal-field textarea:focus {
+                outline: none;
+                border-color: #d4849c;
+                box-shadow: 0 0 0 3px rgba(212, 132, 156, 0.2);
+            }
+
+            .modal-footer .btn:disabled {
+                opacity: 0.6;
+                cursor: not-allowed;
             }
 
             .modal-footer {
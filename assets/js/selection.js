@@ -0,0 +1,158 @@
+/**
+ * Selection Store
+ * Trou Idees Facebook Approval System
+ *
+ * Remembers which submissions are selected while moving between pages and
+ * status filters of the queue. Backed by sessionStorage, so the selection
+ * survives page loads but is private to the browser tab.
+ *
+ * Two modes:
+ * - ID mode: an explicit list of selected submission IDs
+ * - Filter mode: "all N submissions matching this filter"; batch actions
+ *   send the filter to api.php instead of an ID list
+ *
+ * Each queue page (queue.php?page_key=...) has its own selection.
+ *
+ * USAGE:
+ *   TrouIdees.selection.add(['sub_1', 'sub_2']);
+ *   TrouIdees.selection.count();           // 2
+ *   TrouIdees.selection.setFilter({ filter: 'pending', page_key: 'page1', total: 42 });
+ */
+
+(function() {
+    'use strict';
+
+    // Create namespace if it doesn't exist
+    window.TrouIdees = window.TrouIdees || {};
+
+    /**
+     * Storage key, one per queue page
+     */
+    const storageKey = 'trouidees-selection:' + window.location.pathname + ':' +
+        (new URLSearchParams(window.location.search).get('page_key') || 'default');
+
+    /**
+     * Read the stored selection
+     *
+     * @returns {{ids: Array<string>, filter: object|null}}
+     */
+    function read() {
+        try {
+            const data = JSON.parse(window.sessionStorage.getItem(storageKey));
+            if (data && Array.isArray(data.ids)) {
+                return { ids: data.ids, filter: data.filter || null };
+            }
+        } catch (e) {
+            // Storage unavailable or corrupt - start fresh
+        }
+        return { ids: [], filter: null };
+    }
+
+    /**
+     * Write the selection back to storage
+     *
+     * @param {{ids: Array<string>, filter: object|null}} data
+     */
+    function write(data) {
+        try {
+            window.sessionStorage.setItem(storageKey, JSON.stringify(data));
+        } catch (e) {
+            // Storage full or disabled - selection just won't persist
+        }
+    }
+
+    /**
+     * Get all selected IDs
+     *
+     * @returns {Array<string>}
+     */
+    function getIds() {
+        return read().ids;
+    }
+
+    /**
+     * Check if an ID is selected
+     *
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function has(id) {
+        return read().ids.includes(id);
+    }
+
+    /**
+     * Add IDs to the selection
+     *
+     * @param {string|Array<string>} ids
+     */
+    function add(ids) {
+        const data = read();
+        [].concat(ids).forEach(id => {
+            if (!data.ids.includes(id)) {
+                data.ids.push(id);
+            }
+        });
+        write(data);
+    }
+
+    /**
+     * Remove IDs from the selection
+     *
+     * @param {string|Array<string>} ids
+     */
+    function remove(ids) {
+        const removeIds = [].concat(ids);
+        const data = read();
+        data.ids = data.ids.filter(id => !removeIds.includes(id));
+        write(data);
+    }
+
+    /**
+     * Number of selected IDs (ID mode)
+     *
+     * @returns {number}
+     */
+    function count() {
+        return read().ids.length;
+    }
+
+    /**
+     * Get the filter selection, if in filter mode
+     *
+     * @returns {object|null} { filter, page_key, total }
+     */
+    function getFilter() {
+        return read().filter;
+    }
+
+    /**
+     * Switch to filter mode ("all N matching this filter")
+     *
+     * @param {object|null} filter - { filter, page_key, total }, or null to leave filter mode
+     */
+    function setFilter(filter) {
+        const data = read();
+        data.filter = filter;
+        write(data);
+    }
+
+    /**
+     * Clear the whole selection (IDs and filter mode)
+     */
+    function clear() {
+        write({ ids: [], filter: null });
+    }
+
+    // Public API
+    window.TrouIdees.selection = {
+        getIds: getIds,
+        has: has,
+        add: add,
+        remove: remove,
+        count: count,
+        getFilter: getFilter,
+        setFilter: setFilter,
+        clear: clear
+    };
+
+})();
@@ -11,6 +11,12 @@
  *   TrouIdees.toast.show('An error occurred', 'error');
  *   TrouIdees.toast.show('Please review', 'warning');
  *   TrouIdees.toast.show('FYI: System maintenance tonight', 'info');
+ *
+ *   // With an action button (e.g. Undo)
+ *   TrouIdees.toast.success('Submission rejected', {
+ *       duration: 10000,
+ *       action: { label: 'Undo', onClick: () => { // restore } }
+ *   });
  */
 
 (function() {
@@ -66,6 +72,10 @@
      * @param {string} message - The message to display
      * @param {string} type - Toast type: 'success', 'error', 'warning', 'info'
      * @param {object} options - Optional configuration overrides
+     * @param {number} options.duration - Auto-dismiss delay in ms (0 = never)
+     * @param {object} options.action - Optional action button
+     * @param {string} options.action.label - Button text (e.g. 'Undo')
+     * @param {function} options.action.onClick - Called when clicked; the toast closes
      * @returns {HTMLElement} The toast element
      */
     function show(message, type = 'success', options = {}) {
@@ -98,6 +108,7 @@
         toast.innerHTML = `
             <div class="toast-icon" aria-hidden="true">${icons[type]}</div>
             <div class="toast-message">${escapeHtml(message)}</div>
+            ${opts.action ? `<button class="toast-action" type="button">${escapeHtml(opts.action.label)}</button>` : ''}
             <button class="toast-close" aria-label="Close notification">×</button>
         `;
 
@@ -115,6 +126,17 @@
         const closeBtn = toast.querySelector('.toast-close');
         closeBtn.addEventListener('click', () => hideToast(toast));
 
+        // Set up action button (runs once, then closes the toast)
+        const actionBtn = toast.querySelector('.toast-action');
+        if (actionBtn) {
+            actionBtn.addEventListener('click', () => {
+                hideToast(toast);
+                if (typeof opts.action.onClick === 'function') {
+                    opts.action.onClick();
+                }
+            }, { once: true });
+        }
+
         // Auto-dismiss
         if (opts.duration > 0) {
             setTimeout(() => {
@@ -150,36 +172,40 @@
      * Success Toast Shortcut
      *
      * @param {string} message
+     * @param {object} options - Optional configuration overrides (see show())
      */
-    function success(message) {
-        return show(message, 'success');
+    function success(message, options) {
+        return show(message, 'success', options);
     }
 
     /**
      * Error Toast Shortcut
      *
      * @param {string} message
+     * @param {object} options - Optional configuration overrides (see show())
      */
-    function error(message) {
-        return show(message, 'error');
+    function error(message, options) {
+        return show(message, 'error', options);
     }
 
     /**
      * Warning Toast Shortcut
      *
      * @param {string} message
+     * @param {object} options - Optional configuration overrides (see show())
      */
-    function warning(message) {
-        return show(message, 'warning');
+    function warning(message, options) {
+        return show(message, 'warning', options);
     }
 
     /**
      * Info Toast Shortcut
      *
      * @param {string} message
+     * @param {object} options - Optional configuration overrides (see show())
      */
-    function info(message) {
-        return show(message, 'info');
+    function info(message, options) {
+        return show(message, 'info', options);
     }
 
     /**
@@ -356,6 +382,29 @@
                 word-break: break-word;
             }
 
+            .toast-action {
+                flex-shrink: 0;
+                background: none;
+                border: 1px solid #d4849c;
+                color: #d4849c;
+                font-size: 13px;
+                font-weight: 600;
+                padding: 4px 12px;
+                border-radius: 4px;
+                cursor: pointer;
+                transition: all 0.2s;
+            }
+
+            .toast-action:hover {
+                background: #d4849c;
+                color: white;
+            }
+
+            .toast-action:focus-visible {
+                outline: 2px solid #d4849c;
+                outline-offset: 2px;
+            }
+
             .toast-close {
                 flex-shrink: 0;
                 background: none;
@@ -0,0 +1,179 @@
+<?php
+/**
+ * Image and Link Attachments
+ *
+ * DESCRIPTION:
+ * Finds images and links in a submission's form fields (Forminator upload
+ * and website fields, or any field holding just a URL) and decides what is
+ * attached when the submission is published (see publishToFacebook()):
+ * - An image is posted as a photo (/{page-id}/photos) with the message as
+ *   its caption.
+ * - A link is posted with the message (/{page-id}/feed, "link" parameter);
+ *   Facebook builds the link preview.
+ * - Without an attachment the post is text only, or, if the page has a
+ *   'default_image', that image with the message as caption.
+ *
+ * Nothing is attached unless a moderator picks it on the queue card
+ * ("attach" action in submissions.php).
+ *
+ * SUBMISSION FIELDS:
+ *   "attachments": [                      (found by webhook-receiver.php)
+ *     { "type": "image", "url": "https://.../uploads/venue.jpg", "field": "upload-1" },
+ *     { "type": "link", "url": "https://example.com/venue", "field": "url-1" }
+ *   ],
+ *   "attachment": "https://.../uploads/venue.jpg"
+ *       (the moderator's choice: one of the URLs above, or "none" for text
+ *        only even if the page has a default image; missing = page default)
+ * Submissions received before attachments were stored are scanned when
+ * shown.
+ *
+ * PAGE CONFIGURATION ($FACEBOOK_PAGES):
+ *   'default_image' => 'https://trouidees.co.za/wp-content/uploads/question-bg.jpg'
+ * Images must be publicly reachable: Facebook downloads them itself.
+ *
+ * REQUIRES:
+ * config.php ($FACEBOOK_PAGES) and submissions.php (flattenFormData).
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * File Extensions Posted as Photos
+ */
+const ATTACHMENT_IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+/**
+ * Attachment Choice for "Text Only"
+ */
+const ATTACHMENT_NONE = 'none';
+
+/**
+ * Find Images and Links in Form Data
+ *
+ * A field counts if its value (or, for nested upload fields, one of its
+ * parts) is nothing but an http(s) URL. URLs ending in an image extension
+ * are images, all others links.
+ *
+ * @param array $formData The submission's form_data
+ * @return array List of ['type' => 'image'|'link', 'url' => ..., 'field' => ...]
+ */
+function detectAttachments(array $formData) {
+    $attachments = [];
+    $seen = [];
+
+    foreach ($formData as $field => $value) {
+        foreach (flattenFormData(is_array($value) ? $value : [$value]) as $url) {
+            $url = trim($url);
+            if (isset($seen[$url]) || !isAttachmentUrl($url)) {
+                continue;
+            }
+            $seen[$url] = true;
+
+            $extension = strtolower(pathinfo(parse_url($url, PHP_URL_PATH) ?? '', PATHINFO_EXTENSION));
+            $attachments[] = [
+                'type' => in_array($extension, ATTACHMENT_IMAGE_EXTENSIONS, true) ? 'image' : 'link',
+                'url' => $url,
+                'field' => (string) $field
+            ];
+        }
+    }
+
+    return $attachments;
+}
+
+/**
+ * Check Whether a Value Is an http(s) URL
+ *
+ * @param string $value Form field value
+ * @return bool
+ */
+function isAttachmentUrl($value) {
+    return filter_var($value, FILTER_VALIDATE_URL) !== false
+        && in_array(strtolower(parse_url($value, PHP_URL_SCHEME) ?? ''), ['http', 'https'], true);
+}
+
+/**
+ * Get a Submission's Images and Links
+ *
+ * @param array $sub The submission
+ * @return array See detectAttachments()
+ */
+function getSubmissionAttachments(array $sub) {
+    return $sub['attachments'] ?? detectAttachments($sub['form_data'] ?? []);
+}
+
+/**
+ * Get What Will Be Attached When a Submission Is Published
+ *
+ * @param array       $sub        The submission
+ * @param array       $pageConfig Page configuration from $FACEBOOK_PAGES
+ * @param string|null $choice     Attachment choice to use instead of the saved one
+ * @return array|null ['type', 'url', 'field'] (field is null for the page's
+ *                    default image), or null for a text-only post
+ */
+function getPublishAttachment(array $sub, array $pageConfig, $choice = null) {
+    $choice = $choice ?? ($sub['attachment'] ?? '');
+
+    if ($choice === ATTACHMENT_NONE) {
+        return null;
+    }
+
+    if ($choice !== '') {
+        foreach (getSubmissionAttachments($sub) as $attachment) {
+            if ($attachment['url'] === $choice) {
+                return $attachment;
+            }
+        }
+    }
+
+    if (!empty($pageConfig['default_image'])) {
+        return ['type' => 'image', 'url' => $pageConfig['default_image'], 'field' => null];
+    }
+
+    return null;
+}
+
+/**
+ * Choose a Submission's Attachment
+ *
+ * Called by applySubmissionAction() for the "attach" action.
+ *
+ * @param array  $sub    The submission (passed by reference)
+ * @param string $choice One of its attachment URLs, "none", or '' for the page default
+ * @return string|null Error message, or null on success
+ */
+function setSubmissionAttachment(array &$sub, $choice) {
+    $choice = trim((string) $choice);
+
+    if ($sub['status'] === 'published') {
+        return 'Published submissions can no longer be changed';
+    }
+
+    if ($choice === '') {
+        unset($sub['attachment']);
+        return null;
+    }
+
+    if ($choice !== ATTACHMENT_NONE && !in_array($choice, array_column(getSubmissionAttachments($sub), 'url'), true)) {
+        return 'This submission has no such image or link';
+    }
+
+    $sub['attachment'] = $choice;
+    return null;
+}
+
+/**
+ * Describe an Attachment for a Selector Option
+ *
+ * Example: "Photo (Upload 1)", "Link: example.com"
+ *
+ * @param array $attachment Attachment from getSubmissionAttachments()
+ * @return string Plain text label
+ */
+function formatAttachmentLabel(array $attachment) {
+    if ($attachment['type'] === 'image') {
+        return 'Photo (' . formatFieldName($attachment['field']) . ')';
+    }
+    return 'Link: ' . (parse_url($attachment['url'], PHP_URL_HOST) ?: $attachment['url']);
+}
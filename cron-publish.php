@@ -0,0 +1,112 @@
+<?php
+/**
+ * Scheduled Publishing Cron Job
+ *
+ * DESCRIPTION:
+ * Publishes every scheduled submission whose time has come, and retries
+ * failed publishes whose retry time has come, via publishToFacebook().
+ * Successful posts become "published" (with fb_post_id and published_at,
+ * like a manual publish). Failed posts keep Facebook's error on their card
+ * and are either retried later or marked "failed" (see publish-retry.php).
+ * Pages whose access token was rejected are skipped until it is replaced.
+ *
+ * USAGE (command line only):
+ *   php cron-publish.php             Publish due submissions
+ *   php cron-publish.php --dry-run   List due submissions without publishing
+ *
+ * CRONTAB (every 5 minutes):
+ *   0,5,10,15,20,25,30,35,40,45,50,55 * * * * php /path/to/fb-approval/cron-publish.php >> /path/to/fb-approval/cron.log 2>&1
+ *
+ * OVERLAPPING RUNS:
+ * A run can outlast the cron interval (each publish may take up to
+ * FACEBOOK_TIMEOUT). The run holds CRON_LOCK_FILE, and a run that finds it
+ * taken exits at once, so two runs never work through the same due posts.
+ *
+ * EXIT CODE:
+ * 0 if everything due was published (or nothing was due, or another run is
+ * still busy), 1 if any failed.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+// Never run from a browser
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    exit('Forbidden');
+}
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/storage.php';
+require_once __DIR__ . '/sqlite-storage.php';
+require_once __DIR__ . '/facebook.php';
+require_once __DIR__ . '/publish-retry.php';
+require_once __DIR__ . '/attachments.php';
+require_once __DIR__ . '/history.php';
+require_once __DIR__ . '/submissions.php';
+require_once __DIR__ . '/schedule.php';
+
+/**
+ * Lock File Held While a Run Is Busy
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('CRON_LOCK_FILE')) {
+    define('CRON_LOCK_FILE', __DIR__ . '/cron-publish.lock');
+}
+
+$dryRun = in_array('--dry-run', $argv, true);
+$timestamp = date('Y-m-d H:i:s');
+
+// Held until the script exits (a dry run changes nothing and doesn't need it)
+if (!$dryRun) {
+    $cronLock = fopen(CRON_LOCK_FILE, 'c');
+    if (!$cronLock) {
+        echo "[$timestamp] ERROR: Could not open " . CRON_LOCK_FILE . "\n";
+        exit(1);
+    }
+    if (!flock($cronLock, LOCK_EX | LOCK_NB)) {
+        echo "[$timestamp] Another run is still publishing, skipped\n";
+        exit(0);
+    }
+}
+
+$submissions = loadSubmissions();
+$dueIds = findDueSubmissionIds($submissions);
+
+if (empty($dueIds)) {
+    echo "[$timestamp] No scheduled posts or retries due\n";
+    exit(0);
+}
+
+if ($dryRun) {
+    echo "[$timestamp] " . count($dueIds) . " scheduled post(s) or retries due (dry run):\n";
+    foreach ($dueIds as $id) {
+        echo "  - $id\n";
+    }
+    exit(0);
+}
+
+// One at a time, each saved on its own (the storage isn't locked while
+// Facebook answers)
+['results' => $results, 'saved' => $saved] = publishDueSubmissions();
+
+if (!$saved) {
+    echo "[$timestamp] ERROR: Could not save submissions\n";
+    exit(1);
+}
+
+$failed = 0;
+foreach ($results as $result) {
+    if ($result['success']) {
+        $pageKey = $result['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+        echo "[$timestamp] Published {$result['id']} to $pageKey ({$result['fb_post_id']})\n";
+    } else {
+        $failed++;
+        $retry = !empty($result['retry_at']) ? " (retrying at {$result['retry_at']})" : '';
+        echo "[$timestamp] FAILED {$result['id']}: {$result['error']}$retry\n";
+    }
+}
+
+echo "[$timestamp] " . (count($results) - $failed) . " published, $failed failed\n";
+exit($failed > 0 ? 1 : 0);
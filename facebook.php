@@ -0,0 +1,433 @@
+<?php
+/**
+ * Facebook Graph API Publishing
+ *
+ * DESCRIPTION:
+ * Shared publishing logic used by the queue page (queue.php) and the JSON
+ * endpoint (api.php). Keeping it in one place means every entry point posts
+ * to Facebook in exactly the same way.
+ *
+ * GRAPH API ENDPOINT:
+ * Requests go to FACEBOOK_GRAPH_URL/FACEBOOK_GRAPH_VERSION, which config.php
+ * can override, e.g. to test against tests/mock-graph-server.php:
+ *   define('FACEBOOK_GRAPH_URL', 'http://127.0.0.1:8091');
+ *   define('FACEBOOK_GRAPH_VERSION', 'v21.0');
+ *
+ * REQUIRES:
+ * config.php must be loaded first ($FACEBOOK_PAGES, $FORM_PAGE_MAPPING), and
+ * attachments.php (getPublishAttachment) for images and links.
+ *
+ * @version 2.1.0 (Extracted from queue.php)
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Graph API Base URL
+ *
+ * Override in config.php if needed (no trailing slash).
+ */
+if (!defined('FACEBOOK_GRAPH_URL')) {
+    define('FACEBOOK_GRAPH_URL', 'https://graph.facebook.com');
+}
+
+/**
+ * Graph API Version
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('FACEBOOK_GRAPH_VERSION')) {
+    define('FACEBOOK_GRAPH_VERSION', 'v21.0');
+}
+
+/**
+ * Graph API Timeouts (seconds)
+ *
+ * A request that takes longer fails as a temporary error and is retried
+ * later (see publish-retry.php). Override in config.php if needed.
+ */
+if (!defined('FACEBOOK_CONNECT_TIMEOUT')) {
+    define('FACEBOOK_CONNECT_TIMEOUT', 10);
+}
+if (!defined('FACEBOOK_TIMEOUT')) {
+    define('FACEBOOK_TIMEOUT', 30);
+}
+
+/**
+ * Maximum Facebook Post Length (characters)
+ *
+ * Facebook rejects longer posts with error code 100.
+ */
+const FACEBOOK_MAX_POST_LENGTH = 63206;
+
+/**
+ * Kinds of Publish Errors (see classifyFacebookError())
+ *
+ * Only "rate_limit" and "temporary" errors are retried automatically
+ * (see publish-retry.php).
+ */
+const FACEBOOK_ERROR_TYPES = [
+    'token' => 'Invalid access token',
+    'permission' => 'Missing permission',
+    'rate_limit' => 'Rate limited',
+    'content' => 'Rejected by Facebook',
+    'temporary' => 'Temporary error',
+    'config' => 'Configuration error'
+];
+
+/**
+ * Publish Submission to Facebook Page
+ *
+ * Posts an approved submission to the configured Facebook Page using Graph API.
+ * Supports multi-page routing - posts to the page specified in submission data.
+ *
+ * WORKFLOW:
+ * 1. Extract message from submission
+ * 2. Determine target Facebook page (from submission or default)
+ * 3. Validate page configuration exists
+ * 4. Format message with page-specific prefix/suffix
+ * 5. POST to Facebook Graph API /feed endpoint (or /photos with an image)
+ * 6. Parse response and return success/error
+ *
+ * MESSAGE FORMATTING:
+ * Final message structure:
+ *   [message_prefix]
+ *
+ *   [user's message]
+ *
+ *   [message_suffix]
+ *
+ * Example with prefix "Community Question:" and suffix "#TrouIdees":
+ *   Community Question:
+ *
+ *   What time does the shop open?
+ *
+ *   #TrouIdees
+ *
+ * FACEBOOK API:
+ * Endpoint: POST /v21.0/{page-id}/feed
+ * Required params:
+ *   - message: Text content to post
+ *   - access_token: Page access token
+ * Optional params:
+ *   - link: URL attached to the post (a link chosen by the moderator)
+ *
+ * With an image (chosen by the moderator, or the page's default_image, see
+ * attachments.php): POST /v21.0/{page-id}/photos with
+ *   - url: Public URL of the image (Facebook downloads it)
+ *   - caption: The formatted message
+ *   - access_token: Page access token
+ *
+ * RETURN VALUE:
+ * On success: ['success' => true, 'post_id' => '123456789_987654321']
+ * On error: ['success' => false, 'error' => 'Error message from Facebook', 'error_code' => 190,
+ *            'error_type' => 'token']
+ *           (error_code is null when Facebook didn't return one or couldn't be
+ *            reached; error_type is a key of FACEBOOK_ERROR_TYPES)
+ *
+ * COMMON ERRORS:
+ * - Code 190: Invalid/expired access token → Regenerate token
+ * - Code 200: Permission denied → Check token has pages_manage_posts permission
+ * - Code 368: Temporarily blocked → Rate limit hit, wait 30 minutes
+ * - Code 100: Invalid parameter → Check message content/length
+ *
+ * MULTI-PAGE SUPPORT:
+ * Each submission has a 'target_page_key' field (e.g., 'page1', 'page2')
+ * This function looks up the page configuration from $FACEBOOK_PAGES array
+ * and uses that page's credentials and formatting settings.
+ *
+ * @param array $submission The submission array with message, target_page_key, etc.
+ * @return array Result array with 'success' boolean and either 'post_id' or 'error'
+ *
+ * @version 2.0.0 (Added multi-page support)
+ */
+function publishToFacebook($submission) {
+    // Access global configuration arrays
+    global $FACEBOOK_PAGES, $FORM_PAGE_MAPPING;
+
+    // Extract message content
+    $message = $submission['message'];
+
+    // ========================================================================
+    // STEP 1: DETERMINE TARGET FACEBOOK PAGE
+    // ========================================================================
+
+    /**
+     * Get target page key from submission data.
+     * Falls back to default if not set (for legacy submissions).
+     *
+     * target_page_key is set by webhook-receiver.php based on URL parameter
+     * or can be changed by admin in queue.php interface.
+     */
+    $targetPageKey = $submission['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+
+    // ========================================================================
+    // STEP 2: VALIDATE PAGE CONFIGURATION EXISTS
+    // ========================================================================
+
+    /**
+     * Verify the page key exists in $FACEBOOK_PAGES configuration.
+     * If not found, return error immediately (prevents posting with invalid credentials).
+     */
+    if (!isset($FACEBOOK_PAGES[$targetPageKey])) {
+        return [
+            'success' => false,
+            'error' => 'Invalid target page: ' . $targetPageKey,
+            'error_code' => null,
+            'error_type' => 'config'
+        ];
+    }
+
+    // Load page-specific configuration
+    $pageConfig = $FACEBOOK_PAGES[$targetPageKey];
+
+    // ========================================================================
+    // STEP 3: FORMAT MESSAGE WITH PREFIX/SUFFIX
+    // ========================================================================
+
+    /**
+     * Apply page-specific message formatting.
+     *
+     * NOTE: We only post the main message content (plus the image or link the
+     * moderator chose, see STEP 4), not additional form fields.
+     * All form fields are stored in submissions.json but only 'message' goes to Facebook.
+     * If a moderator edited the message, 'message' already holds the edited text
+     * (the text as received is kept in 'original_message').
+     *
+     * Formatting:
+     * - Prefix is added before message (optional)
+     * - Suffix is added after message (usually hashtags)
+     * - Both separated by double line breaks for clean formatting
+     */
+
+    $message = formatFacebookMessage($message, $pageConfig);
+
+    // ========================================================================
+    // STEP 4: MAKE FACEBOOK GRAPH API CALL
+    // ========================================================================
+
+    /**
+     * Facebook Graph API Request
+     *
+     * Endpoint: POST /v21.0/{page-id}/feed
+     * Docs: https://developers.facebook.com/docs/graph-api/reference/v21.0/page/feed
+     *
+     * This creates a new post on the Facebook Page's timeline. Images go to
+     * /{page-id}/photos instead, which also creates a timeline post.
+     * Docs: https://developers.facebook.com/docs/graph-api/reference/page/photos
+     */
+    $attachment = getPublishAttachment($submission, $pageConfig);
+
+    if ($attachment !== null && $attachment['type'] === 'image') {
+        // Photo post: the message becomes the caption
+        $url = getGraphApiUrl($pageConfig['page_id'] . '/photos');
+        $params = [
+            'url' => $attachment['url'],                    // Public image URL
+            'caption' => $message,                          // The text content
+            'access_token' => $pageConfig['access_token']   // Page-specific access token
+        ];
+    } else {
+        // Build API URL with page-specific page ID
+        $url = getGraphApiUrl($pageConfig['page_id'] . '/feed');
+
+        // Prepare POST parameters
+        $params = [
+            'message' => $message,                          // The text content
+            'access_token' => $pageConfig['access_token']   // Page-specific access token
+        ];
+        if ($attachment !== null) {
+            $params['link'] = $attachment['url'];           // Facebook builds the link preview
+        }
+    }
+
+    // Initialize CURL session
+    $ch = curl_init($url);
+    curl_setopt($ch, CURLOPT_POST, true);                              // POST request
+    curl_setopt($ch, CURLOPT_POSTFIELDS, http_build_query($params));   // Add parameters
+    curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);                    // Return response as string
+    curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, FACEBOOK_CONNECT_TIMEOUT); // Give up on a slow connection...
+    curl_setopt($ch, CURLOPT_TIMEOUT, FACEBOOK_TIMEOUT);               // ... or a request that hangs
+    // Note: SSL verification is enabled by default (secure)
+
+    // Execute request
+    $response = curl_exec($ch);
+    $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+    $curlError = curl_error($ch);
+    curl_close($ch);
+
+    // Network problem (DNS, timeout, ...): worth another try later
+    if ($response === false) {
+        return [
+            'success' => false,
+            'error' => 'Could not reach Facebook: ' . $curlError,
+            'error_code' => null,
+            'error_type' => 'temporary'
+        ];
+    }
+
+    // ========================================================================
+    // STEP 5: PARSE RESPONSE AND RETURN RESULT
+    // ========================================================================
+
+    /**
+     * Parse Facebook's JSON response
+     *
+     * Success response (HTTP 200):
+     * {
+     *   "id": "111290850258093_987654321"
+     * }
+     * Photos answer with the photo's ID and the post's ID:
+     * {
+     *   "id": "987654322",
+     *   "post_id": "111290850258093_987654321"
+     * }
+     *
+     * Error response (HTTP 400/500):
+     * {
+     *   "error": {
+     *     "message": "Error message",
+     *     "type": "OAuthException",
+     *     "code": 190
+     *   }
+     * }
+     */
+    $data = json_decode($response, true);
+
+    // Check for success
+    if ($httpCode == 200 && isset($data['id'])) {
+        // Success: Return post ID
+        return [
+            'success' => true,
+            'post_id' => $data['post_id'] ?? $data['id']  // Format: {page-id}_{post-id}
+        ];
+    } else {
+        // Error: Extract error message and code
+        $error = $data['error']['message'] ?? 'Unknown error';
+        $errorCode = $data['error']['code'] ?? null;
+        return [
+            'success' => false,
+            'error' => $error,
+            'error_code' => $errorCode,
+            'error_type' => classifyFacebookError($errorCode, !empty($data['error']['is_transient']) || $httpCode >= 500)
+        ];
+    }
+}
+
+/**
+ * Build a Graph API URL
+ *
+ * Example: getGraphApiUrl('123/feed') → 'https://graph.facebook.com/v21.0/123/feed'
+ *
+ * @param string $path Path after the version
+ * @return string Full URL (see GRAPH API ENDPOINT above)
+ */
+function getGraphApiUrl($path) {
+    return rtrim(FACEBOOK_GRAPH_URL, '/') . '/' . FACEBOOK_GRAPH_VERSION . '/' . ltrim($path, '/');
+}
+
+/**
+ * Classify a Facebook Error Code
+ *
+ * See COMMON ERRORS in publishToFacebook(). Unknown codes count as temporary
+ * when Facebook flags them as transient (or answered with HTTP 5xx),
+ * otherwise as rejected content.
+ *
+ * @param int|null $code        Facebook error code (null if there was none)
+ * @param bool     $isTransient Facebook's "is_transient" flag
+ * @return string Key of FACEBOOK_ERROR_TYPES
+ */
+function classifyFacebookError($code, $isTransient = false) {
+    if ($code === null) {
+        return 'temporary';
+    }
+
+    $code = (int) $code;
+    if ($code === 190 || $code === 102) {
+        return 'token';
+    }
+    if ($code === 10 || ($code >= 200 && $code <= 299)) {
+        return 'permission';
+    }
+    if (in_array($code, [4, 17, 32, 341, 368, 613], true)) {
+        return 'rate_limit';
+    }
+    if (in_array($code, [1, 2], true) || $isTransient) {
+        return 'temporary';
+    }
+
+    return 'content';
+}
+
+/**
+ * Format Message for a Facebook Page
+ *
+ * Applies the page's message_prefix and message_suffix exactly as they will
+ * be posted (see MESSAGE FORMATTING in publishToFacebook()).
+ *
+ * @param string $message    The submission message
+ * @param array  $pageConfig Page configuration from $FACEBOOK_PAGES
+ * @return string The final post text
+ */
+function formatFacebookMessage($message, array $pageConfig) {
+    // Add prefix if configured
+    if (!empty($pageConfig['message_prefix'])) {
+        $message = $pageConfig['message_prefix'] . "\n\n" . $message;
+    }
+
+    // Add suffix if configured (usually hashtags)
+    if (!empty($pageConfig['message_suffix'])) {
+        $message = $message . "\n\n" . $pageConfig['message_suffix'];
+    }
+
+    return $message;
+}
+
+/**
+ * Preview a Submission as a Facebook Post
+ *
+ * Builds the exact text publishToFacebook() would post, without calling
+ * Facebook. Used by the queue's Preview modal (api.php action=preview).
+ *
+ * RETURN VALUE:
+ * On success:
+ *   [
+ *     'success' => true,
+ *     'target_page_key' => 'page2',
+ *     'page_name' => 'Trou Idees',
+ *     'message' => "Community Question:\n\nWhat time...\n\n#TrouIdees",
+ *     'length' => 58,
+ *     'max_length' => 63206,
+ *     'attachment' => ['type' => 'image', 'url' => 'https://...', 'field' => 'upload-1']
+ *                     (null for text only, see getPublishAttachment())
+ *   ]
+ * On error: ['success' => false, 'error' => 'Invalid target page: page9']
+ *
+ * @param array       $submission    The submission array
+ * @param string|null $targetPageKey Page to preview for (default: the submission's target page)
+ * @param string|null $attachment    Attachment choice to preview (default: the saved one)
+ * @return array Preview result
+ */
+function previewFacebookPost($submission, $targetPageKey = null, $attachment = null) {
+    global $FACEBOOK_PAGES, $FORM_PAGE_MAPPING;
+
+    $targetPageKey = $targetPageKey ?: ($submission['target_page_key'] ?? $FORM_PAGE_MAPPING['default']);
+
+    if (!isset($FACEBOOK_PAGES[$targetPageKey])) {
+        return [
+            'success' => false,
+            'error' => 'Invalid target page: ' . $targetPageKey
+        ];
+    }
+
+    $pageConfig = $FACEBOOK_PAGES[$targetPageKey];
+    $message = formatFacebookMessage($submission['message'], $pageConfig);
+
+    return [
+        'success' => true,
+        'target_page_key' => $targetPageKey,
+        'page_name' => $pageConfig['name'],
+        'message' => $message,
+        'length' => mb_strlen($message),
+        'max_length' => FACEBOOK_MAX_POST_LENGTH,
+        'attachment' => getPublishAttachment($submission, $pageConfig, $attachment)
+    ];
+}
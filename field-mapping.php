@@ -0,0 +1,236 @@
+<?php
+/**
+ * Form Field Mapping
+ *
+ * DESCRIPTION:
+ * Decides which form fields become a submission's message and email, which
+ * are shown on its queue card and which are never stored. Without rules
+ * the fields are guessed (see detectMessageFields()); rules can be set per
+ * page and per Forminator form, so one page can take questions from
+ * several forms that name their fields differently.
+ *
+ * RULES (config.php):
+ *   'page1' => [                               (in $FACEBOOK_PAGES)
+ *       // ...
+ *       'field_mapping' => [
+ *           'message' => 'textarea-2',         (field, or list of fields joined
+ *                                               with blank lines)
+ *           'template' => "{name-1} vra:\n\n{textarea-2}",
+ *                                              (instead of 'message': {field}
+ *                                               is replaced by the field's value;
+ *                                               lines with only empty fields
+ *                                               are left out)
+ *           'email' => 'email-1',
+ *           'meta' => ['date-1', ['label' => 'Naam', 'field' => 'name-1', 'combine' => 'name']],
+ *                                              (card fields, like 'meta_fields')
+ *           'private' => ['phone-1', 'address-1']
+ *                                              (removed before the submission
+ *                                               is stored)
+ *       ]
+ *   ]
+ *
+ *   $FORM_FIELD_MAPPINGS = [                   (per Forminator form ID)
+ *       '1234' => [ ...same keys... ]
+ *   ];
+ *
+ * The form ID comes from the webhook URL (?form=1234) or a "form_id" field.
+ * Form rules win over page rules ('message' and 'template' together); every
+ * key left out falls back to the page rules, then to guessing (meta: the
+ * page's 'meta_fields'). Private fields are removed after the message is
+ * built, so a template may still use them.
+ *
+ * Use mapping-test.php to replay a stored submission through the rules.
+ *
+ * REQUIRES:
+ * config.php ($FACEBOOK_PAGES, optional $FORM_FIELD_MAPPINGS) and
+ * submissions.php (flattenFormData, formatMetaFieldValue, getPageMetaFields).
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Fields Guessed as the Message, in Order of Preference
+ *
+ * Shell wildcards, e.g. '*textarea*' matches textarea-1 and my-textarea.
+ */
+const MESSAGE_FIELD_PATTERNS = ['*textarea*', 'message', 'text-1', 'question', 'content'];
+
+/**
+ * Get the Field Rules for a Page and Form
+ *
+ * @param string      $pageKey Target page key
+ * @param string|null $formId  Forminator form ID, if known
+ * @return array ['message' => [fields], 'template' => string|null, 'email' => string|null,
+ *                'meta' => array|null, 'private' => [fields], 'source' => description]
+ */
+function getFieldMapping($pageKey, $formId = null) {
+    global $FACEBOOK_PAGES, $FORM_FIELD_MAPPINGS;
+
+    $pageRules = $FACEBOOK_PAGES[$pageKey]['field_mapping'] ?? [];
+    $formRules = ($formId !== null && $formId !== '') ? ($FORM_FIELD_MAPPINGS[$formId] ?? []) : [];
+
+    $sources = [];
+    if ($formRules) {
+        $sources[] = "form $formId";
+    }
+    if ($pageRules) {
+        $sources[] = "page $pageKey";
+    }
+
+    // A form's message rule replaces the page's, whether field list or template
+    if (isset($formRules['message']) || isset($formRules['template'])) {
+        unset($pageRules['message'], $pageRules['template']);
+    }
+
+    $rules = $formRules + $pageRules;
+    return [
+        'message' => array_values(array_filter((array) ($rules['message'] ?? []), 'strlen')),
+        'template' => ($rules['template'] ?? '') !== '' ? (string) $rules['template'] : null,
+        'email' => ($rules['email'] ?? '') !== '' ? (string) $rules['email'] : null,
+        'meta' => isset($rules['meta']) ? normalizeMetaFields((array) $rules['meta']) : null,
+        'private' => array_values(array_filter((array) ($rules['private'] ?? []), 'strlen')),
+        'source' => $sources ? implode(', then ', $sources) : 'automatic'
+    ];
+}
+
+/**
+ * Get the Forminator Form ID of a Webhook
+ *
+ * @param array $query URL parameters ($_GET)
+ * @param array $data  Form fields
+ * @return string|null Form ID, or null if the webhook doesn't say
+ */
+function getWebhookFormId(array $query, array $data) {
+    $formId = $query['form'] ?? ($data['form_id'] ?? null);
+    return is_scalar($formId) && trim((string) $formId) !== '' ? trim((string) $formId) : null;
+}
+
+/**
+ * Apply Field Rules to Form Data
+ *
+ * Used by webhook-receiver.php for new submissions and by mapping-test.php
+ * to replay stored ones.
+ *
+ * @param array $data    Form fields as received
+ * @param array $mapping Rules from getFieldMapping()
+ * @return array ['message' => string, 'email' => string, 'form_data' => fields to store,
+ *                'message_fields' => [fields used], 'email_field' => string|null,
+ *                'stripped' => [private fields removed]]
+ */
+function applyFieldMapping(array $data, array $mapping) {
+    // Message: template, listed fields, or the best guess
+    if ($mapping['template'] !== null) {
+        [$message, $messageFields] = renderFieldTemplate($mapping['template'], $data);
+    } else {
+        $messageFields = $mapping['message'] ?: detectMessageFields($data);
+        $parts = array_map(fn($field) => formatFieldValue($data[$field] ?? ''), $messageFields);
+        $message = implode("\n\n", array_filter($parts, fn($part) => $part !== ''));
+    }
+
+    // Email: the configured field, or the first field named like one
+    $emailField = $mapping['email'];
+    if ($emailField === null) {
+        foreach ($data as $field => $value) {
+            if (strpos((string) $field, 'email') !== false && formatFieldValue($value) !== '') {
+                $emailField = (string) $field;
+                break;
+            }
+        }
+    }
+
+    $stripped = array_values(array_intersect($mapping['private'], array_map('strval', array_keys($data))));
+
+    return [
+        'message' => $message,
+        'email' => $emailField !== null ? formatFieldValue($data[$emailField] ?? '') : '',
+        'form_data' => array_diff_key($data, array_flip($stripped)),
+        'message_fields' => $messageFields,
+        'email_field' => $emailField,
+        'stripped' => $stripped
+    ];
+}
+
+/**
+ * Fill a Message Template With Field Values
+ *
+ * Lines whose placeholders are all empty are left out, so optional fields
+ * leave no gaps:
+ *   "{textarea-1}\n\nDatum: {date-1}"  =>  "Waar trou julle?" (date-1 empty)
+ *
+ * @param string $template Text with {field} placeholders
+ * @param array  $data     Form fields
+ * @return array [message, list of fields used]
+ */
+function renderFieldTemplate($template, array $data) {
+    $lines = [];
+    $fields = [];
+
+    foreach (explode("\n", str_replace("\r\n", "\n", $template)) as $line) {
+        $filled = false;
+        $line = preg_replace_callback('/\{([^{}\s]+)\}/', function($match) use ($data, &$fields, &$filled) {
+            $value = formatFieldValue($data[$match[1]] ?? '');
+            $fields[] = $match[1];
+            $filled = $filled || $value !== '';
+            return $value;
+        }, $line, -1, $placeholders);
+
+        if ($placeholders === 0 || $filled) {
+            $lines[] = rtrim($line);
+        }
+    }
+
+    $message = trim(preg_replace("/\n{3,}/", "\n\n", implode("\n", $lines)));
+    return [$message, array_values(array_unique($fields))];
+}
+
+/**
+ * Guess the Message Field
+ *
+ * Tries MESSAGE_FIELD_PATTERNS in order; within a pattern the first
+ * non-empty field in form order wins, so a second (optional) textarea never
+ * replaces the first.
+ *
+ * @param array $data Form fields
+ * @return array The message field, or [] if none has a value
+ */
+function detectMessageFields(array $data) {
+    foreach (MESSAGE_FIELD_PATTERNS as $pattern) {
+        foreach ($data as $field => $value) {
+            if (fnmatch($pattern, (string) $field) && formatFieldValue($value) !== '') {
+                return [(string) $field];
+            }
+        }
+    }
+    return [];
+}
+
+/**
+ * Format a Field Value as Text
+ *
+ * Names (prefix, first-name, ...) are joined with spaces, other nested
+ * values with commas.
+ *
+ * @param mixed $value Field value
+ * @return string Text ('' if empty)
+ */
+function formatFieldValue($value) {
+    $combine = is_array($value) && (isset($value['first-name']) || isset($value['last-name'])) ? 'name' : 'value';
+    return formatMetaFieldValue(['value' => $value], ['field' => 'value', 'combine' => $combine]);
+}
+
+/**
+ * Get the Extra Meta Fields Shown on a Submission's Card
+ *
+ * The field rules' 'meta' for the submission's form and page, otherwise
+ * the page's 'meta_fields'.
+ *
+ * @param array $sub The submission
+ * @return array See getPageMetaFields()
+ */
+function getSubmissionMetaFields(array $sub) {
+    global $FORM_PAGE_MAPPING;
+
+    $pageKey = $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+    return getFieldMapping($pageKey, $sub['form_id'] ?? null)['meta'] ?? getPageMetaFields($pageKey);
+}
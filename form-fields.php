@@ -0,0 +1,312 @@
+<?php
+/**
+ * Form Field Normalization and Display
+ *
+ * DESCRIPTION:
+ * Forminator sends some fields in parts: names (prefix, first-name, ...),
+ * addresses (street_address, city, ...), checkboxes and multi-selects
+ * (lists), uploads ({"file": {"file_url": ..., "file_path": ...}}) and
+ * dropdown dates ({"day", "month", "year"}). webhook-receiver.php flattens
+ * them before storing, so every form_data value is a string or a list of
+ * strings, and records each field's label and type for the queue card's
+ * "All fields" panel.
+ *
+ * SUBMISSION FIELDS:
+ *   "form_data": {
+ *     "name-1": "Anna van Wyk",
+ *     "address-1": "12 Kerkstraat, Stellenbosch, 7600, South Africa",
+ *     "checkbox-1": ["Venue", "Catering"],
+ *     "upload-1": "https://.../uploads/venue.jpg",
+ *     "date-1": "2026-03-14"
+ *   },
+ *   "form_fields": {
+ *     "name-1": { "label": "Name 1", "type": "name" },
+ *     ...
+ *   }
+ * Older submissions (raw nested values, no form_fields) are normalized when
+ * shown.
+ *
+ * FIELD TYPES:
+ *   text, textarea, name, address, email, phone, url, date, time, number,
+ *   choice (radio/select), list (checkboxes, multi-select), upload
+ * Taken from the Forminator field name (phone-1 => phone), otherwise from
+ * the value.
+ *
+ * REQUIRES:
+ * submissions.php (flattenFormData, formatFieldName) and attachments.php
+ * (isAttachmentUrl).
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Field Type per Forminator Field Name Prefix
+ */
+const FORM_FIELD_TYPES = [
+    'textarea' => 'textarea',
+    'text' => 'text',
+    'name' => 'name',
+    'address' => 'address',
+    'email' => 'email',
+    'phone' => 'phone',
+    'url' => 'url',
+    'website' => 'url',
+    'date' => 'date',
+    'time' => 'time',
+    'number' => 'number',
+    'currency' => 'number',
+    'radio' => 'choice',
+    'select' => 'choice',
+    'checkbox' => 'list',
+    'upload' => 'upload'
+];
+
+/**
+ * Parts of a Forminator Address, in Display Order
+ */
+const ADDRESS_FIELD_PARTS = ['street_address', 'address_line', 'city', 'state', 'zip', 'country'];
+
+/**
+ * Flatten All Fields of a Webhook
+ *
+ * @param array $data Form fields as received
+ * @return array ['form_data' => field => string|list of strings,
+ *                'form_fields' => field => ['label' => ..., 'type' => ...]]
+ */
+function normalizeFormData(array $data) {
+    $formData = [];
+    $formFields = [];
+
+    foreach ($data as $field => $value) {
+        $field = (string) $field;
+        $type = detectFieldType($field, $value);
+        $formData[$field] = normalizeFieldValue($value, $type);
+        $formFields[$field] = ['label' => formatFieldName($field), 'type' => $type];
+    }
+
+    return ['form_data' => $formData, 'form_fields' => $formFields];
+}
+
+/**
+ * Detect a Field's Type
+ *
+ * @param string $field Field name, e.g. 'phone-1'
+ * @param mixed  $value Field value as received
+ * @return string One of the FIELD TYPES above
+ */
+function detectFieldType($field, $value) {
+    // Forminator names fields "{type}-{n}"
+    $prefix = strtolower(preg_replace('/[-_].*$/', '', $field));
+    if (isset(FORM_FIELD_TYPES[$prefix])) {
+        $type = FORM_FIELD_TYPES[$prefix];
+        // A select allowing several answers sends a list
+        return $type === 'choice' && is_array($value) && count($value) > 1 ? 'list' : $type;
+    }
+
+    if (is_array($value)) {
+        if (isset($value['first-name']) || isset($value['last-name'])) {
+            return 'name';
+        }
+        if (array_intersect(ADDRESS_FIELD_PARTS, array_keys($value))) {
+            return 'address';
+        }
+        if (findUploadUrls($value)) {
+            return 'upload';
+        }
+        if (isset($value['year'], $value['month'], $value['day'])) {
+            return 'date';
+        }
+        return 'list';
+    }
+
+    $value = trim((string) $value);
+    if (strpos($value, "\n") !== false) {
+        return 'textarea';
+    }
+    if (filter_var($value, FILTER_VALIDATE_EMAIL)) {
+        return 'email';
+    }
+    if (preg_match('#^https?://#i', $value)) {
+        return 'url';
+    }
+    return 'text';
+}
+
+/**
+ * Find the File URLs of an Upload Field
+ *
+ * Only the public URLs: file_path is the server's disk path.
+ *
+ * @param array $value Upload field value, e.g. {"file": {"file_url": ..., "file_path": ...}}
+ * @return array List of URLs (several for multiple uploads)
+ */
+function findUploadUrls(array $value) {
+    $urls = [];
+    foreach ($value as $key => $part) {
+        if ($key === 'file_url') {
+            $urls = array_merge($urls, flattenFormData((array) $part));
+        } elseif (is_array($part)) {
+            $urls = array_merge($urls, findUploadUrls($part));
+        }
+    }
+    return $urls;
+}
+
+/**
+ * Flatten One Field Value
+ *
+ * @param mixed  $value Field value as received
+ * @param string $type  Field type from detectFieldType()
+ * @return string|array Text, or a list of strings for lists and multiple uploads
+ */
+function normalizeFieldValue($value, $type) {
+    if (!is_array($value)) {
+        return trim((string) $value);
+    }
+
+    $clean = fn(array $parts) => array_values(array_filter(array_map('trim', $parts), fn($part) => $part !== ''));
+
+    switch ($type) {
+        case 'name':
+            return implode(' ', $clean([
+                $value['prefix'] ?? '',
+                $value['first-name'] ?? '',
+                $value['middle-name'] ?? '',
+                $value['last-name'] ?? ''
+            ]));
+
+        case 'address':
+            $parts = [];
+            foreach (ADDRESS_FIELD_PARTS as $part) {
+                $parts[] = is_scalar($value[$part] ?? null) ? (string) $value[$part] : '';
+            }
+            return implode(', ', $clean($parts));
+
+        case 'upload':
+            $urls = $clean(findUploadUrls($value) ?: flattenFormData($value));
+            return count($urls) === 1 ? $urls[0] : $urls;
+
+        case 'date':
+            if (isset($value['year'], $value['month'], $value['day'])) {
+                return sprintf('%04d-%02d-%02d', $value['year'], $value['month'], $value['day']);
+            }
+            break;
+
+        case 'time':
+            if (isset($value['hours'], $value['minutes'])) {
+                return trim(sprintf('%d:%02d', $value['hours'], $value['minutes']) . ' ' . ($value['ampm'] ?? ''));
+            }
+            break;
+    }
+
+    $parts = $clean(flattenFormData($value));
+    return $type === 'list' ? $parts : implode(', ', $parts);
+}
+
+/**
+ * Get a Submission's Fields for Display
+ *
+ * @param array $sub The submission
+ * @return array List of ['field', 'label', 'type', 'value' (string or list)]
+ */
+function getSubmissionFormFields(array $sub) {
+    $formData = $sub['form_data'] ?? [];
+    $formFields = $sub['form_fields'] ?? null;
+
+    // Received before fields were normalized
+    if ($formFields === null) {
+        ['form_data' => $formData, 'form_fields' => $formFields] = normalizeFormData($formData);
+    }
+
+    $fields = [];
+    foreach ($formData as $field => $value) {
+        $field = (string) $field;
+        $fields[] = [
+            'field' => $field,
+            'label' => $formFields[$field]['label'] ?? formatFieldName($field),
+            'type' => $formFields[$field]['type'] ?? detectFieldType($field, $value),
+            'value' => $value
+        ];
+    }
+    return $fields;
+}
+
+/**
+ * Render a Field Value as HTML for the Card
+ *
+ * Dates are written out, phone numbers, emails and URLs are links, lists
+ * become bullet lists and long text keeps its line breaks.
+ *
+ * @param array $field Field from getSubmissionFormFields()
+ * @return string Escaped HTML ('' if the field is empty)
+ */
+function formatFieldValueHtml(array $field) {
+    $value = $field['value'];
+
+    if (is_array($value)) {
+        $items = array_filter(array_map('trim', flattenFormData($value)), fn($item) => $item !== '');
+        if (empty($items)) {
+            return '';
+        }
+        $html = '';
+        foreach ($items as $item) {
+            $html .= '<li>' . formatFieldValueHtml(['type' => $field['type'] === 'upload' ? 'url' : 'text', 'value' => $item]) . '</li>';
+        }
+        return '<ul class="field-list-items">' . $html . '</ul>';
+    }
+
+    $value = trim((string) $value);
+    if ($value === '') {
+        return '';
+    }
+    $text = htmlspecialchars($value);
+
+    switch ($field['type']) {
+        case 'date':
+            $date = parseFieldDate($value);
+            return $date
+                ? '<time datetime="' . $date->format('Y-m-d') . '">' . $date->format('j M Y') . '</time>'
+                : $text;
+
+        case 'phone':
+            $number = preg_replace('/[^\d+]/', '', $value);
+            return $number !== '' ? '<a href="tel:' . htmlspecialchars($number) . '">' . $text . '</a>' : $text;
+
+        case 'email':
+            return filter_var($value, FILTER_VALIDATE_EMAIL)
+                ? '<a href="mailto:' . $text . '">' . $text . '</a>'
+                : $text;
+
+        case 'url':
+        case 'upload':
+            return isAttachmentUrl($value)
+                ? '<a href="' . $text . '" target="_blank" rel="noopener noreferrer">' . $text . '</a>'
+                : $text;
+
+        case 'textarea':
+            return nl2br($text);
+    }
+
+    return $text;
+}
+
+/**
+ * Read a Date Field
+ *
+ * Accepts Forminator's formats (yyyy-mm-dd, dd/mm/yyyy, dd-mm-yyyy,
+ * dd.mm.yyyy, "14 March 2026").
+ *
+ * @param string $value Field value
+ * @return DateTimeImmutable|null The date, or null if it isn't one
+ */
+function parseFieldDate($value) {
+    foreach (['!Y-m-d', '!d/m/Y', '!d-m-Y', '!d.m.Y', '!j F Y'] as $format) {
+        $date = DateTimeImmutable::createFromFormat($format, $value);
+        $errors = DateTimeImmutable::getLastErrors();
+        if ($date && (!$errors || $errors['warning_count'] + $errors['error_count'] === 0)) {
+            return $date;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,240 @@
+<?php
+/**
+ * Submission History and Activity Log
+ *
+ * DESCRIPTION:
+ * Records who did what to a submission, and when. Every status change, page
+ * change, edit and publish attempt is appended to the submission's "history"
+ * array (shown as a timeline on its queue card) and to the activity log
+ * (ACTIVITY_LOG_FILE), which activity.php shows for all submissions and
+ * which keeps entries after a submission is deleted.
+ *
+ * HISTORY ENTRY:
+ * {
+ *   "action": "change_page",
+ *   "from": "pending",                 (status before)
+ *   "to": "pending",                   (status after)
+ *   "at": "2025-11-01 14:05:12",
+ *   "by": "admin",                     (moderator username, "cron" or "webhook")
+ *   "ip": "192.168.1.10",              (moderator's IP; submitter's IP for "created")
+ *   "page_from": "page1",              (only for page changes)
+ *   "page_to": "page2",
+ *   "scheduled_at": "...",             (only for schedule)
+ *   "error": "...",                    (only for failed publish attempts)
+ *   "retry_at": "..."                  (only when a failed publish will be retried)
+ * }
+ *
+ * ACTIVITY LOG:
+ * One JSON object per line: the history entry plus "submission_id" and
+ * "page_key".
+ *
+ * REQUIRES:
+ * config.php ($FORM_PAGE_MAPPING, optional ACTIVITY_LOG_FILE); simple-auth.php
+ * (getSimpleUser) on moderator pages.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Activity Log File
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('ACTIVITY_LOG_FILE')) {
+    define('ACTIVITY_LOG_FILE', __DIR__ . '/activity-log.jsonl');
+}
+
+/**
+ * Action Descriptions (for timelines and the activity log)
+ */
+const HISTORY_ACTION_LABELS = [
+    'created' => 'received',
+    'approve' => 'approved',
+    'reject' => 'rejected',
+    'publish' => 'published',
+    'retry' => 'retried publishing',
+    'delete' => 'deleted',
+    'undo' => 'undid the last action',
+    'edit' => 'edited the message',
+    'attach' => 'changed the attachment',
+    'change_page' => 'changed the page',
+    'schedule' => 'scheduled',
+    'unschedule' => 'unscheduled',
+    'spam' => 'marked as spam',
+    'not_spam' => 'marked as not spam'
+];
+
+/**
+ * Get Who Is Acting
+ *
+ * The logged-in moderator on the admin pages (which load simple-auth.php),
+ * otherwise "cron" for command line scripts.
+ *
+ * @return array ['by' => username, 'ip' => IP address or null]
+ */
+function getHistoryActor() {
+    $user = function_exists('getSimpleUser') ? getSimpleUser() : null;
+    if ($user !== null) {
+        return [
+            'by' => $user['username'],
+            'ip' => $_SERVER['REMOTE_ADDR'] ?? null
+        ];
+    }
+
+    return ['by' => PHP_SAPI === 'cli' ? 'cron' : 'unknown', 'ip' => null];
+}
+
+/**
+ * Record an Action in a Submission's History and the Activity Log
+ *
+ * @param array  $sub        The submission (passed by reference), after the action
+ * @param string $action     Action name (see HISTORY_ACTION_LABELS)
+ * @param string|null $from  Status before the action
+ * @param array  $details    Extra fields (page_from, page_to, scheduled_at, error, retry_at)
+ * @param array|null $actor  Who acted (default: getHistoryActor())
+ * @return array The history entry
+ */
+function recordSubmissionHistory(array &$sub, $action, $from, array $details = [], $actor = null) {
+    global $FORM_PAGE_MAPPING;
+
+    $entry = [
+        'action' => $action,
+        'from' => $from,
+        'to' => $sub['status'],
+        'at' => date('Y-m-d H:i:s')
+    ] + ($actor ?? getHistoryActor()) + array_filter($details, fn($value) => $value !== null);
+
+    $sub['history'][] = $entry;
+
+    logActivity([
+        'submission_id' => $sub['id'],
+        'page_key' => $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default']
+    ] + $entry);
+
+    return $entry;
+}
+
+/**
+ * Append an Entry to the Activity Log
+ *
+ * @param array $entry Activity entry
+ * @return bool True if written
+ */
+function logActivity(array $entry) {
+    return file_put_contents(ACTIVITY_LOG_FILE, json_encode($entry) . "\n", FILE_APPEND | LOCK_EX) !== false;
+}
+
+/**
+ * Read the Activity Log
+ *
+ * @param array $filters Optional 'by' (moderator) and 'action' filters
+ * @param int   $offset  Entries to skip
+ * @param int   $limit   Maximum entries to return
+ * @return array ['entries' => [...] newest first, 'total' => matching entries]
+ */
+function readActivityLog(array $filters = [], $offset = 0, $limit = 50) {
+    $lines = file_exists(ACTIVITY_LOG_FILE)
+        ? file(ACTIVITY_LOG_FILE, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES)
+        : [];
+
+    $entries = [];
+    foreach (array_reverse($lines) as $line) {
+        $entry = json_decode($line, true);
+        if (!is_array($entry)) {
+            continue;
+        }
+        if (!empty($filters['by']) && ($entry['by'] ?? '') !== $filters['by']) {
+            continue;
+        }
+        if (!empty($filters['action']) && ($entry['action'] ?? '') !== $filters['action']) {
+            continue;
+        }
+        $entries[] = $entry;
+    }
+
+    return [
+        'entries' => array_slice($entries, $offset, $limit),
+        'total' => count($entries)
+    ];
+}
+
+/**
+ * Get Everyone Who Appears in the Activity Log
+ *
+ * @return array Sorted list of 'by' values
+ */
+function getActivityModerators() {
+    $moderators = [];
+    foreach (readActivityLog([], 0, PHP_INT_MAX)['entries'] as $entry) {
+        $moderators[$entry['by'] ?? 'unknown'] = true;
+    }
+    $moderators = array_keys($moderators);
+    sort($moderators);
+    return $moderators;
+}
+
+/**
+ * Describe a History Entry
+ *
+ * Example: "admin approved (pending → approved)"
+ *
+ * @param array $entry History entry
+ * @return string Plain text description
+ */
+function formatHistoryEntry(array $entry) {
+    global $FACEBOOK_PAGES;
+
+    $action = $entry['action'] ?? '';
+    $label = HISTORY_ACTION_LABELS[$action] ?? $action;
+    if (($action === 'publish' || $action === 'retry') && !empty($entry['error'])) {
+        $label = 'tried to publish';
+    }
+
+    $text = ($entry['by'] ?? 'unknown') . ' ' . $label;
+
+    if (!empty($entry['page_to'])) {
+        $pageName = fn($key) => $FACEBOOK_PAGES[$key]['name'] ?? $key;
+        $text .= ' (' . $pageName($entry['page_from'] ?? '') . ' → ' . $pageName($entry['page_to']) . ')';
+    } elseif (!empty($entry['from']) && $entry['from'] !== ($entry['to'] ?? null)) {
+        $text .= ' (' . $entry['from'] . ' → ' . $entry['to'] . ')';
+    }
+
+    if (!empty($entry['scheduled_at'])) {
+        $text .= ' for ' . substr($entry['scheduled_at'], 0, 16);
+    }
+    if (!empty($entry['error'])) {
+        $text .= ': ' . $entry['error'];
+    }
+    if (!empty($entry['retry_at'])) {
+        $text .= ' (retrying at ' . substr($entry['retry_at'], 0, 16) . ')';
+    }
+
+    return $text;
+}
+
+/**
+ * Get a Submission's Timeline
+ *
+ * Submissions received before histories were recorded get a "received"
+ * entry from their created_at.
+ *
+ * @param array $sub The submission
+ * @return array History entries, oldest first
+ */
+function getSubmissionHistory(array $sub) {
+    $history = $sub['history'] ?? [];
+
+    if (empty($history) || ($history[0]['action'] ?? '') !== 'created') {
+        array_unshift($history, [
+            'action' => 'created',
+            'from' => null,
+            'to' => 'pending',
+            'at' => $sub['created_at'] ?? '',
+            'by' => 'webhook',
+            'ip' => $sub['ip_address'] ?? null
+        ]);
+    }
+
+    return $history;
+}
@@ -0,0 +1,225 @@
+<?php
+/**
+ * Field Mapping Test
+ * Replays a stored submission's form fields through the field rules of a
+ * page or form (see field-mapping.php) and shows the message, email and card
+ * fields they would give, without changing the submission.
+ *
+ * ACCESS: https://trouidees.co.za/fb-approval/mapping-test.php
+ *
+ * PARAMETERS (GET, bookmarkable):
+ *   id    submission ID (default: the newest submission)
+ *   page  page whose rules to use (default: the submission's target page)
+ *   form  form ID whose rules to use (default: the submission's form ID;
+ *         "-" for none)
+ *
+ * Fields that were private when the submission arrived were never stored,
+ * so they can't be replayed.
+ */
+
+require_once 'config.php';
+require_once 'simple-auth.php';
+require_once 'storage.php';
+require_once 'sqlite-storage.php';
+require_once 'facebook.php';
+require_once 'submissions.php';
+require_once 'field-mapping.php';
+
+// Require authentication (admins only: the rules live in config.php)
+requireSimpleAuth();
+requireSimplePermission('test_mapping');
+
+$submissions = array_values(array_filter(loadSubmissions(), fn($sub) => !isSubmissionDeleted($sub)));
+
+$sub = null;
+$subId = trim($_GET['id'] ?? '');
+foreach ($submissions as $candidate) {
+    if ($subId === '' || $candidate['id'] === $subId) {
+        $sub = $candidate; // Without an ID, the last (newest) one
+        if ($subId !== '') {
+            break;
+        }
+    }
+}
+
+if ($sub !== null) {
+    $pageKey = $_GET['page'] ?? ($sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default']);
+    if (!isset($FACEBOOK_PAGES[$pageKey])) {
+        $pageKey = $FORM_PAGE_MAPPING['default'];
+    }
+    $formId = $_GET['form'] ?? ($sub['form_id'] ?? '');
+    $formId = $formId === '-' ? '' : trim($formId);
+
+    $mapping = getFieldMapping($pageKey, $formId);
+    $result = applyFieldMapping($sub['form_data'] ?? [], $mapping);
+    $postText = formatFacebookMessage($result['message'], $FACEBOOK_PAGES[$pageKey]);
+    $metaFields = $mapping['meta'] ?? getPageMetaFields($pageKey);
+    $metaByField = array_column($metaFields, 'label', 'field');
+}
+
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Trou Idees - Field Mapping Test</title>
+
+    <link rel="stylesheet" href="assets/css/variables.css">
+    <link rel="stylesheet" href="assets/css/utilities.css">
+    <link rel="stylesheet" href="assets/css/main.css">
+</head>
+<body>
+    <div class="container">
+        <header class="site-header">
+            <div class="logo-container">
+                <a href="https://trouidees.co.za/wp-admin" class="logo-link" aria-label="Open WordPress Admin">
+                    <img src="cropped-logo.png" alt="Trouidees" class="logo-img" width="180" height="48">
+                </a>
+                <?php if (USE_PASSWORD): ?>
+                    <?php $currentUser = getSimpleUser(); ?>
+                    <div class="user-menu">
+                        <span class="current-user">
+                            <?= htmlspecialchars($currentUser['display_name']) ?>
+                            <span class="user-role"><?= htmlspecialchars($currentUser['role']) ?></span>
+                        </span>
+                        <a href="?logout" class="logout-btn" aria-label="Logout from dashboard">
+                            Logout
+                        </a>
+                    </div>
+                <?php endif; ?>
+            </div>
+        </header>
+
+        <!-- Page Navigation -->
+        <nav class="page-nav">
+            <?php foreach ($FACEBOOK_PAGES as $key => $pageConfig): ?>
+                <a href="queue.php?page_key=<?= urlencode($key) ?>" class="page-nav-btn" aria-current="false">
+                    <?= htmlspecialchars($pageConfig['nav_label'] ?? $pageConfig['name']) ?>
+                </a>
+            <?php endforeach; ?>
+            <?php if (simpleUserCan('view_activity')): ?>
+                <a href="activity.php" class="page-nav-btn" aria-current="false">Activity</a>
+            <?php endif; ?>
+            <a href="mapping-test.php" class="page-nav-btn active" aria-current="page">Field Mapping</a>
+        </nav>
+
+        <!-- Submission and rules to test -->
+        <form class="activity-filters" method="get" aria-label="Choose submission and rules">
+            <label>
+                Submission ID
+                <input type="text" name="id" value="<?= htmlspecialchars($sub['id'] ?? $subId) ?>" placeholder="sub_...">
+            </label>
+            <?php if ($sub !== null): ?>
+                <label>
+                    Page rules
+                    <select name="page">
+                        <?php foreach ($FACEBOOK_PAGES as $key => $pageConfig): ?>
+                            <option value="<?= htmlspecialchars($key) ?>" <?= $key === $pageKey ? 'selected' : '' ?>>
+                                <?= htmlspecialchars($pageConfig['name']) ?><?= !empty($pageConfig['field_mapping']) ? '' : ' (no rules)' ?>
+                            </option>
+                        <?php endforeach; ?>
+                    </select>
+                </label>
+                <label>
+                    Form rules
+                    <select name="form">
+                        <option value="-">None</option>
+                        <?php foreach (array_keys($FORM_FIELD_MAPPINGS ?? []) as $key): ?>
+                            <option value="<?= htmlspecialchars($key) ?>" <?= (string) $key === $formId ? 'selected' : '' ?>>
+                                Form <?= htmlspecialchars($key) ?>
+                            </option>
+                        <?php endforeach; ?>
+                    </select>
+                </label>
+            <?php endif; ?>
+            <button type="submit" class="btn btn-search">Test</button>
+        </form>
+
+        <?php if ($sub === null): ?>
+            <div class="empty-state">
+                <h2>No submission</h2>
+                <p><?= $subId !== '' ? 'There is no submission with this ID.' : 'Submissions will appear here once a form is sent.' ?></p>
+            </div>
+        <?php else: ?>
+            <div class="mapping-result">
+                <dl class="mapping-summary">
+                    <dt>Rules</dt>
+                    <dd><?= htmlspecialchars(ucfirst($mapping['source'])) ?></dd>
+                    <dt>Message from</dt>
+                    <dd>
+                        <?= $mapping['template'] !== null ? 'Template: ' : '' ?>
+                        <?= htmlspecialchars(implode(', ', $result['message_fields']) ?: 'no field found') ?>
+                    </dd>
+                    <dt>Email</dt>
+                    <dd>
+                        <?= htmlspecialchars($result['email'] !== '' ? $result['email'] : '-') ?>
+                        <?php if ($result['email_field'] !== null): ?>
+                            <span class="mapping-field">(<?= htmlspecialchars($result['email_field']) ?>)</span>
+                        <?php endif; ?>
+                    </dd>
+                    <dt>Received</dt>
+                    <dd>
+                        <?= htmlspecialchars($sub['created_at']) ?>
+                        <?= !empty($sub['form_id']) ? '- form ' . htmlspecialchars($sub['form_id']) : '' ?>
+                    </dd>
+                </dl>
+
+                <div class="mapping-messages">
+                    <div>
+                        <h3>Post with these rules</h3>
+                        <div class="mapping-message"><?= nl2br(htmlspecialchars($postText)) ?></div>
+                    </div>
+                    <div>
+                        <h3>Stored message</h3>
+                        <div class="mapping-message"><?= nl2br(htmlspecialchars($sub['original_message'] ?? $sub['message'])) ?></div>
+                        <?php if (trim($sub['original_message'] ?? $sub['message']) === $result['message']): ?>
+                            <p class="mapping-note">Same message as the rules give.</p>
+                        <?php else: ?>
+                            <p class="mapping-note mapping-note-changed">The rules give a different message.</p>
+                        <?php endif; ?>
+                    </div>
+                </div>
+            </div>
+
+            <table class="activity-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Field</th>
+                        <th scope="col">Value</th>
+                        <th scope="col">Used as</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($sub['form_data'] ?? [] as $field => $value): ?>
+                        <?php
+                            $field = (string) $field;
+                            $uses = [];
+                            if (in_array($field, $result['message_fields'], true)) {
+                                $uses[] = 'Message';
+                            }
+                            if ($field === $result['email_field']) {
+                                $uses[] = 'Email';
+                            }
+                            if (isset($metaByField[$field])) {
+                                $uses[] = 'Card: ' . $metaByField[$field];
+                            }
+                            if (in_array($field, $result['stripped'], true)) {
+                                $uses[] = 'Private (would not be stored)';
+                            }
+                        ?>
+                        <tr>
+                            <td>
+                                <?= htmlspecialchars(formatFieldName($field)) ?>
+                                <span class="mapping-field"><?= htmlspecialchars($field) ?></span>
+                            </td>
+                            <td><?= nl2br(htmlspecialchars(formatFieldValue($value))) ?></td>
+                            <td><?= htmlspecialchars(implode(', ', $uses) ?: '-') ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+        <?php endif; ?>
+    </div>
+</body>
+</html>
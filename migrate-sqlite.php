@@ -0,0 +1,85 @@
+<?php
+/**
+ * Migrate submissions.json to SQLite
+ *
+ * DESCRIPTION:
+ * One-shot import of every submission in submissions.json (DATA_FILE) into
+ * the SQLite database (SQLITE_FILE), for switching to the SQLite backend
+ * (see sqlite-storage.php). submissions.json itself is left untouched.
+ *
+ * USAGE (command line only):
+ *   php migrate-sqlite.php           Import (refused if the database already has submissions)
+ *   php migrate-sqlite.php --force   Replace whatever the database contains
+ *
+ * AFTERWARDS:
+ * Add define('STORAGE_BACKEND', 'sqlite'); to config.php. Submissions that
+ * arrive between the import and that switch only go to submissions.json, so
+ * switch right away (or run again with --force).
+ *
+ * EXIT CODE:
+ * 0 on success, 1 on any error.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+// Never run from a browser
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    exit('Forbidden');
+}
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/storage.php';
+require_once __DIR__ . '/sqlite-storage.php';
+require_once __DIR__ . '/submissions.php';
+
+$force = in_array('--force', $argv, true);
+
+if (!extension_loaded('pdo_sqlite')) {
+    echo "ERROR: The pdo_sqlite PHP extension is not installed\n";
+    exit(1);
+}
+
+$submissions = readJsonFile(DATA_FILE);
+echo "Read " . count($submissions) . " submission(s) from " . DATA_FILE . "\n";
+
+$db = getSubmissionsDb();
+$existing = (int) $db->query('SELECT COUNT(*) FROM submissions')->fetchColumn();
+
+if ($existing > 0 && !$force) {
+    echo "ERROR: " . SQLITE_FILE . " already contains $existing submission(s). Use --force to replace them.\n";
+    exit(1);
+}
+
+$imported = 0;
+$skipped = 0;
+
+$saved = runSqliteTransaction(function(PDO $db) use ($submissions, &$imported, &$skipped) {
+    $db->exec('DELETE FROM submissions');
+
+    $seen = [];
+    foreach ($submissions as $sub) {
+        if (empty($sub['id']) || isset($seen[$sub['id']])) {
+            echo "  - Skipped a submission without ID or with a duplicate ID (" . ($sub['id'] ?? 'none') . ")\n";
+            $skipped++;
+            continue;
+        }
+        $seen[$sub['id']] = true;
+
+        insertSqliteSubmission($db, $sub);
+        $imported++;
+    }
+});
+
+if (!$saved) {
+    echo "ERROR: Import failed, the database was not changed (see the PHP error log)\n";
+    exit(1);
+}
+
+echo "Imported $imported submission(s) into " . SQLITE_FILE . ($skipped > 0 ? ", skipped $skipped" : '') . "\n";
+
+if (!isSqliteStorage()) {
+    echo "Now add define('STORAGE_BACKEND', 'sqlite'); to config.php\n";
+}
+exit(0);
@@ -0,0 +1,245 @@
+<?php
+/**
+ * Publish Retries and Failure Handling
+ *
+ * DESCRIPTION:
+ * Decides what happens after publishToFacebook() fails. The error message is
+ * stored with Facebook's error code and its kind (see classifyFacebookError()
+ * in facebook.php):
+ * - Rate limits and temporary errors are retried by cron-publish.php with
+ *   exponential backoff: PUBLISH_RETRY_DELAY after the first failure, twice
+ *   as long after each further one (at least 30 minutes after a rate limit).
+ * - After PUBLISH_MAX_ATTEMPTS failed attempts, or right away for errors a
+ *   retry can't fix (rejected content, missing permission, invalid token),
+ *   the submission gets the "failed" status. The card's "Retry" button
+ *   publishes it again, starting a new count.
+ * - An invalid page access token (code 190) pauses publishing to that page:
+ *   nothing is sent to it, and the queue shows a banner, until the page's
+ *   access_token in the configuration is replaced.
+ *
+ * SUBMISSION FIELDS (after a failed publish):
+ *   "error": "(#368) The action attempted has been deemed abusive ...",
+ *   "error_code": 368,
+ *   "error_type": "rate_limit",           (key of FACEBOOK_ERROR_TYPES)
+ *   "publish_attempts": 2,                (failed attempts since the last Retry)
+ *   "retry_at": "2025-11-04 14:35:00"     (only while an automatic retry is pending)
+ * A successful publish (or scheduling) removes them.
+ *
+ * PAGE STATUS FILE (PAGE_STATUS_FILE):
+ * Pages whose token Facebook rejected:
+ * {
+ *   "page1": {
+ *     "error": "Error validating access token: ...",
+ *     "since": "2025-11-04 14:05:12",
+ *     "token_hash": "..."                 (sha1 of the rejected token)
+ *   }
+ * }
+ * An entry only counts while the page still has the rejected token, so
+ * publishing resumes by itself once a new token is configured.
+ *
+ * REQUIRES:
+ * config.php ($FACEBOOK_PAGES, $FORM_PAGE_MAPPING, optional overrides below),
+ * storage.php and facebook.php.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Failed Attempts Before a Submission Is Marked "failed"
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('PUBLISH_MAX_ATTEMPTS')) {
+    define('PUBLISH_MAX_ATTEMPTS', 5);
+}
+
+/**
+ * Delay Before the First Automatic Retry (seconds)
+ *
+ * Doubled after every further failure. Override in config.php if needed.
+ */
+if (!defined('PUBLISH_RETRY_DELAY')) {
+    define('PUBLISH_RETRY_DELAY', 300);
+}
+
+/**
+ * Page Status File (pages with a rejected token)
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('PAGE_STATUS_FILE')) {
+    define('PAGE_STATUS_FILE', __DIR__ . '/page-status.json');
+}
+
+/**
+ * Longest Delay Between Retries (seconds)
+ */
+const PUBLISH_RETRY_MAX_DELAY = 21600;
+
+/**
+ * Shortest Delay After a Rate Limit (seconds)
+ *
+ * Facebook asks to wait about 30 minutes after error 368.
+ */
+const PUBLISH_RATE_LIMIT_DELAY = 1800;
+
+/**
+ * Error Types That Are Retried Automatically
+ */
+const RETRYABLE_ERROR_TYPES = ['rate_limit', 'temporary'];
+
+/**
+ * Get the Delay Before the Next Retry
+ *
+ * Example (defaults): 5, 10, 20, 40 minutes after attempts 1 to 4.
+ *
+ * @param int    $attempts  Failed attempts so far (1 or more)
+ * @param string $errorType Key of FACEBOOK_ERROR_TYPES
+ * @return int Seconds
+ */
+function getPublishRetryDelay($attempts, $errorType) {
+    $delay = min(PUBLISH_RETRY_MAX_DELAY, PUBLISH_RETRY_DELAY * (2 ** max(0, $attempts - 1)));
+    return $errorType === 'rate_limit' ? max($delay, PUBLISH_RATE_LIMIT_DELAY) : $delay;
+}
+
+/**
+ * Record a Failed Publish Attempt
+ *
+ * Stores the error, then either plans the next retry (the submission is
+ * "approved" with a retry_at) or gives up ("failed"). A rejected token
+ * also pauses its page.
+ *
+ * @param array    $sub     The submission (passed by reference)
+ * @param array    $publish Failed result of publishToFacebook()
+ * @param int|null $now     Current time (default: time())
+ * @return void
+ */
+function recordPublishFailure(array &$sub, array $publish, $now = null) {
+    global $FORM_PAGE_MAPPING;
+
+    $now = $now ?? time();
+    $type = $publish['error_type'] ?? 'temporary';
+
+    $sub['error'] = $publish['error'];
+    $sub['error_code'] = $publish['error_code'] ?? null;
+    $sub['error_type'] = $type;
+    $sub['publish_attempts'] = ($sub['publish_attempts'] ?? 0) + 1;
+    unset($sub['retry_at'], $sub['scheduled_at']);
+
+    if ($type === 'token') {
+        pausePagePublishing($sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'], $publish['error']);
+    }
+
+    if (in_array($type, RETRYABLE_ERROR_TYPES, true) && $sub['publish_attempts'] < PUBLISH_MAX_ATTEMPTS) {
+        $sub['status'] = 'approved';
+        $sub['retry_at'] = date('Y-m-d H:i:s', $now + getPublishRetryDelay($sub['publish_attempts'], $type));
+    } else {
+        $sub['status'] = 'failed';
+    }
+}
+
+/**
+ * Forget Earlier Publish Failures
+ *
+ * @param array $sub The submission (passed by reference)
+ * @return void
+ */
+function clearPublishFailure(array &$sub) {
+    $sub['error'] = null;
+    unset($sub['error_code'], $sub['error_type'], $sub['publish_attempts'], $sub['retry_at']);
+}
+
+/**
+ * Describe a Submission's Publish Error for Its Card
+ *
+ * Example: "Rate limited (code 368): ... - attempt 2 of 5, next try at 2025-11-04 14:35"
+ *
+ * @param array $sub The submission
+ * @return string|null Description, or null without an error
+ */
+function describePublishError(array $sub) {
+    if (empty($sub['error'])) {
+        return null;
+    }
+
+    $text = $sub['error'];
+    if (!empty($sub['error_type'])) {
+        $code = isset($sub['error_code']) ? ' (code ' . $sub['error_code'] . ')' : '';
+        $text = (FACEBOOK_ERROR_TYPES[$sub['error_type']] ?? $sub['error_type']) . $code . ': ' . $text;
+    }
+
+    $attempts = $sub['publish_attempts'] ?? 0;
+    if ($sub['status'] === 'approved' && !empty($sub['retry_at'])) {
+        $text .= " - attempt $attempts of " . PUBLISH_MAX_ATTEMPTS . ', next try at ' . substr($sub['retry_at'], 0, 16);
+    } elseif ($sub['status'] === 'failed' && $attempts > 1) {
+        $text .= " - gave up after $attempts attempts";
+    }
+
+    return $text;
+}
+
+/**
+ * Pause Publishing to a Page Whose Token Was Rejected
+ *
+ * @param string $pageKey Page key
+ * @param string $error   Facebook's error message
+ * @return bool True if saved
+ */
+function pausePagePublishing($pageKey, $error) {
+    $tokenHash = getPageTokenHash($pageKey);
+
+    return updateJsonFile(PAGE_STATUS_FILE, function(array &$pages) use ($pageKey, $error, $tokenHash) {
+        $pages[$pageKey] = [
+            'error' => $error,
+            'since' => date('Y-m-d H:i:s'),
+            'token_hash' => $tokenHash
+        ];
+    }, false);
+}
+
+/**
+ * Resume Publishing to a Page
+ *
+ * Called after a successful publish; only writes if the page was paused.
+ *
+ * @param string $pageKey Page key
+ * @return void
+ */
+function resumePagePublishing($pageKey) {
+    if (!isset(readJsonFile(PAGE_STATUS_FILE)[$pageKey])) {
+        return;
+    }
+
+    updateJsonFile(PAGE_STATUS_FILE, function(array &$pages) use ($pageKey) {
+        unset($pages[$pageKey]);
+    }, false);
+}
+
+/**
+ * Get the Pages Publishing Is Paused For
+ *
+ * Entries recorded for a token that has since been replaced are ignored.
+ *
+ * @return array pageKey => ['error', 'since', 'token_hash']
+ */
+function getPausedPages() {
+    $paused = [];
+    foreach (readJsonFile(PAGE_STATUS_FILE) as $pageKey => $status) {
+        if (($status['token_hash'] ?? null) === getPageTokenHash($pageKey)) {
+            $paused[$pageKey] = $status;
+        }
+    }
+    return $paused;
+}
+
+/**
+ * Fingerprint of a Page's Configured Access Token
+ *
+ * @param string $pageKey Page key
+ * @return string sha1 hash (the token itself is never written to disk)
+ */
+function getPageTokenHash($pageKey) {
+    global $FACEBOOK_PAGES;
+    return sha1($FACEBOOK_PAGES[$pageKey]['access_token'] ?? '');
+}
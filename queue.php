@@ -3,176 +3,137 @@
  * Enhanced Approval Interface (WordPress Protected)
  * View and approve/reject form submissions with ALL Forminator fields displayed
  *
- * ACCESS: https://trouidees.co.za/fb-approval/approve-enhanced.php
+ * ACCESS: https://trouidees.co.za/fb-approval/queue.php?page_key=page2
  * AUTHENTICATION: Requires WordPress administrator login
+ *
+ * PAGES:
+ * One queue per Facebook page in $FACEBOOK_PAGES, chosen with ?page_key=
+ * (default: $FORM_PAGE_MAPPING['default']). The page tabs, and the extra
+ * form fields shown on each card ('meta_fields', or the 'meta' field rules
+ * of the submission's form, see getSubmissionMetaFields()), come from the
+ * page configuration.
+ *
+ * ROLES:
+ * Only the buttons the logged-in user's role allows are shown, and other
+ * actions are refused with 403 (see SIMPLE_AUTH_PERMISSIONS in simple-auth.php).
+ * Every action form carries the session's CSRF token (csrfField()).
+ *
+ * FORM FIELDS:
+ * Every field the form sent is listed in the card's "All fields" panel,
+ * formatted by type (dates, phone numbers, lists; see form-fields.php).
+ *
+ * ATTACHMENTS:
+ * Images and links found in the form are shown on the card; moderators
+ * choose which one (if any) is published with the message (see
+ * attachments.php).
+ *
+ * LIVE UPDATES:
+ * The queue checks api.php for new submissions every 30 seconds, updates
+ * the status counts and announces them with a toast (and a desktop
+ * notification while the tab is in the background). Moderators can have
+ * new cards added at the top of the list (see LIVE UPDATES in app.js).
+ *
+ * PUBLISH FAILURES:
+ * Cards show Facebook's error with its kind and the next automatic retry;
+ * "failed" submissions get a Retry button. A banner names every page whose
+ * access token was rejected (see publish-retry.php).
  */
 
 require_once 'config.php';
 require_once 'simple-auth.php';
+require_once 'storage.php';
+require_once 'sqlite-storage.php';
+require_once 'facebook.php';
+require_once 'publish-retry.php';
+require_once 'attachments.php';
+require_once 'field-mapping.php';
+require_once 'form-fields.php';
+require_once 'history.php';
+require_once 'submissions.php';
+require_once 'schedule.php';
 
 // Require authentication
 requireSimpleAuth();
 
-// Simple logging function when WordPress auth is disabled
-function logWordPressActivity($action, $details) {
-    // Log to file when WordPress auth is disabled
-    if (DEBUG_MODE) {
-        $logFile = __DIR__ . '/activity.log';
-        $timestamp = date('Y-m-d H:i:s');
-        $logEntry = "[$timestamp] $action - $details\n";
-        file_put_contents($logFile, $logEntry, FILE_APPEND);
-    }
-}
 
+// Which page's queue to show
+$queuePageKey = $_GET['page_key'] ?? $FORM_PAGE_MAPPING['default'];
+if (!isset($FACEBOOK_PAGES[$queuePageKey])) {
+    http_response_code(404);
+    exit('Unknown page: ' . htmlspecialchars($queuePageKey));
+}
+$queueUrl = 'queue.php?page_key=' . urlencode($queuePageKey);
 
 // Handle actions (same as original)
 if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+    // Only forms rendered by this dashboard (see CSRF PROTECTION in simple-auth.php)
+    if (!verifyCsrfToken()) {
+        http_response_code(403);
+        exit('This form has expired. Go back, reload the page and try again.');
+    }
+
     $action = $_POST['action'] ?? '';
     $id = $_POST['id'] ?? '';
     $ids = $_POST['ids'] ?? []; // For batch actions
 
-    // Load submissions
-    $submissions = [];
-    if (file_exists(DATA_FILE)) {
-        $json = file_get_contents(DATA_FILE);
-        $submissions = json_decode($json, true) ?: [];
+    // Each action needs a minimum role (see SIMPLE_AUTH_PERMISSIONS)
+    $permission = normalizeSubmissionAction($action);
+    if ($action && $permission !== null && !simpleUserCan($permission)) {
+        http_response_code(403);
+        exit(htmlspecialchars(getSimplePermissionError($permission)));
     }
 
     // Handle batch actions
     if ($action && !empty($ids) && is_array($ids)) {
-        // Log batch action (optional)
-        // logWordPressActivity("Batch $action", count($ids) . " submissions");
-
-        foreach ($submissions as $key => &$sub) {
-            if (in_array($sub['id'], $ids)) {
-                if ($action === 'batch_approve') {
-                    $sub['status'] = 'approved';
-                } elseif ($action === 'batch_reject') {
-                    $sub['status'] = 'rejected';
-                } elseif ($action === 'batch_delete') {
-                    unset($submissions[$key]);
-                } elseif ($action === 'batch_publish') {
-                    // Publish to Facebook
-                    $result = publishToFacebook($sub);
-                    if ($result['success']) {
-                        $sub['status'] = 'published';
-                        $sub['fb_post_id'] = $result['post_id'];
-                        $sub['published_at'] = date('Y-m-d H:i:s');
-                        $sub['error'] = null;
-                    } else {
-                        $sub['error'] = $result['error'];
-                    }
-                }
-            }
-        }
-
-        // Re-index array after deletion
-        $submissions = array_values($submissions);
-
-        // Save
-        file_put_contents(DATA_FILE, json_encode($submissions, JSON_PRETTY_PRINT));
+        // Apply and save (each change lands in the submission's history,
+        // see history.php)
+        runSubmissionAction(array_filter($ids, 'is_string'), $action);
 
         // Redirect to avoid resubmission
-        header('Location: queue.php?updated=' . count($ids));
+        header('Location: ' . $queueUrl . '&updated=' . count($ids));
         exit;
     }
 
     // Handle single actions
     if ($action && $id) {
-        // Log single action (optional)
-        // logWordPressActivity("Single $action", "Submission ID: $id");
-
-        foreach ($submissions as $key => &$sub) {
-            if ($sub['id'] === $id) {
-                if ($action === 'approve') {
-                    $sub['status'] = 'approved';
-                } elseif ($action === 'reject') {
-                    $sub['status'] = 'rejected';
-                } elseif ($action === 'delete') {
-                    unset($submissions[$key]);
-                } elseif ($action === 'publish') {
-                    // Publish to Facebook
-                    $result = publishToFacebook($sub);
-                    if ($result['success']) {
-                        $sub['status'] = 'published';
-                        $sub['fb_post_id'] = $result['post_id'];
-                        $sub['published_at'] = date('Y-m-d H:i:s');
-                        $sub['error'] = null;
-                    } else {
-                        $sub['error'] = $result['error'];
-                    }
-                } elseif ($action === 'change_page') {
-                    // Change target Facebook page
-                    $newPageKey = $_POST['target_page_key'] ?? '';
-                    if (isset($FACEBOOK_PAGES[$newPageKey])) {
-                        $sub['target_page_key'] = $newPageKey;
-                    }
-                }
-                break;
-            }
-        }
-
-        // Re-index array after deletion
-        $submissions = array_values($submissions);
-
-        // Save
-        file_put_contents(DATA_FILE, json_encode($submissions, JSON_PRETTY_PRINT));
+        // Apply and save
+        runSubmissionAction([$id], $action, $_POST);
 
         // Redirect to avoid resubmission
-        header('Location: queue.php?updated=1');
+        header('Location: ' . $queueUrl . '&updated=1');
         exit;
     }
 }
 
-// Load submissions
-$submissions = [];
-if (file_exists(DATA_FILE)) {
-    $json = file_get_contents(DATA_FILE);
-    $submissions = json_decode($json, true) ?: [];
-}
-
-// Sort by newest first
-usort($submissions, function($a, $b) {
-    return strtotime($b['created_at']) - strtotime($a['created_at']);
-});
-
-// Filter by page (only show page1 submissions on this page)
-$submissions = array_filter($submissions, function($sub) use ($FORM_PAGE_MAPPING) {
-    $targetPage = $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
-    return $targetPage === 'page1';
-});
+// Search (see SEARCH in submissions.php); the status counts reflect the search
+$search = getSearchParams($_GET);
+$advancedSearch = array_diff_key($search, ['q' => true]);
 
 // Filter by status
 $filter = $_GET['filter'] ?? 'all';
-$filteredSubmissions = $submissions;
-
-if ($filter !== 'all') {
-    $filteredSubmissions = array_filter($submissions, function($sub) use ($filter) {
-        return $sub['status'] === $filter;
-    });
-}
-
-// Count by status
-$counts = [
-    'all' => count($submissions),
-    'pending' => count(array_filter($submissions, fn($s) => $s['status'] === 'pending')),
-    'approved' => count(array_filter($submissions, fn($s) => $s['status'] === 'approved')),
-    'published' => count(array_filter($submissions, fn($s) => $s['status'] === 'published')),
-    'rejected' => count(array_filter($submissions, fn($s) => $s['status'] === 'rejected')),
-];
 
 /* ==========================
    PAGINATION (ONLY ADDITION)
    ========================== */
 $perPage = 10;
-$page = max(1, intval($_GET['page'] ?? 1));
-$totalResults = count($filteredSubmissions);
-$totalPages = max(1, (int)ceil($totalResults / $perPage));
-$page = min($page, $totalPages);
-$offset = ($page - 1) * $perPage;
 
-// Slice for current page
-$pagedSubmissions = array_slice($filteredSubmissions, $offset, $perPage);
+// Only this page's submissions, newest first; soft-deleted ones are hidden
+// (see loadQueuePage() in submissions.php)
+$queue = loadQueuePage($queuePageKey, $filter, $search, intval($_GET['page'] ?? 1), $perPage);
+$pagedSubmissions = $queue['submissions'];
+$totalResults = $queue['total'];
+$totalPages = $queue['total_pages'];
+$page = $queue['page'];
+$counts = $queue['counts'];
+$searchFields = $queue['fields'];
+
+// Pages whose access token Facebook rejected (banner above the queue)
+$pausedPages = getPausedPages();
+
+// Upcoming posts for the "Scheduled" tab
+if ($filter === 'scheduled') {
+    $scheduleTimeline = buildScheduleTimeline($queue['scheduled'], $queuePageKey);
+}
 
 // Helper to build page URLs preserving existing query params (e.g., ?filter=...)
 function build_page_query(int $pageNum): string {
@@ -181,209 +142,16 @@ function build_page_query(int $pageNum): string {
     return '?' . http_build_query($params);
 }
 
-/**
- * Publish Submission to Facebook Page
- *
- * Posts an approved submission to the configured Facebook Page using Graph API.
- * Supports multi-page routing - posts to the page specified in submission data.
- *
- * WORKFLOW:
- * 1. Extract message from submission
- * 2. Determine target Facebook page (from submission or default)
- * 3. Validate page configuration exists
- * 4. Format message with page-specific prefix/suffix
- * 5. POST to Facebook Graph API /feed endpoint
- * 6. Parse response and return success/error
- *
- * MESSAGE FORMATTING:
- * Final message structure:
- *   [message_prefix]
- *
- *   [user's message]
- *
- *   [message_suffix]
- *
- * Example with prefix "Community Question:" and suffix "#TrouIdees":
- *   Community Question:
- *
- *   What time does the shop open?
- *
- *   #TrouIdees
- *
- * FACEBOOK API:
- * Endpoint: POST /v21.0/{page-id}/feed
- * Required params:
- *   - message: Text content to post
- *   - access_token: Page access token
- *
- * RETURN VALUE:
- * On success: ['success' => true, 'post_id' => '123456789_987654321']
- * On error: ['success' => false, 'error' => 'Error message from Facebook']
- *
- * COMMON ERRORS:
- * - Code 190: Invalid/expired access token → Regenerate token
- * - Code 200: Permission denied → Check token has pages_manage_posts permission
- * - Code 368: Temporarily blocked → Rate limit hit, wait 30 minutes
- * - Code 100: Invalid parameter → Check message content/length
- *
- * MULTI-PAGE SUPPORT:
- * Each submission has a 'target_page_key' field (e.g., 'page1', 'page2')
- * This function looks up the page configuration from $FACEBOOK_PAGES array
- * and uses that page's credentials and formatting settings.
- *
- * @param array $submission The submission array with message, target_page_key, etc.
- * @return array Result array with 'success' boolean and either 'post_id' or 'error'
- *
- * @version 2.0.0 (Added multi-page support)
- */
-function publishToFacebook($submission) {
-    // Access global configuration arrays
-    global $FACEBOOK_PAGES, $FORM_PAGE_MAPPING;
-
-    // Extract message content
-    $message = $submission['message'];
-
-    // ========================================================================
-    // STEP 1: DETERMINE TARGET FACEBOOK PAGE
-    // ========================================================================
-
-    /**
-     * Get target page key from submission data.
-     * Falls back to default if not set (for legacy submissions).
-     *
-     * target_page_key is set by webhook-receiver.php based on URL parameter
-     * or can be changed by admin in queue.php interface.
-     */
-    $targetPageKey = $submission['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
-
-    // ========================================================================
-    // STEP 2: VALIDATE PAGE CONFIGURATION EXISTS
-    // ========================================================================
-
-    /**
-     * Verify the page key exists in $FACEBOOK_PAGES configuration.
-     * If not found, return error immediately (prevents posting with invalid credentials).
-     */
-    if (!isset($FACEBOOK_PAGES[$targetPageKey])) {
-        return [
-            'success' => false,
-            'error' => 'Invalid target page: ' . $targetPageKey
-        ];
-    }
-
-    // Load page-specific configuration
-    $pageConfig = $FACEBOOK_PAGES[$targetPageKey];
-
-    // ========================================================================
-    // STEP 3: FORMAT MESSAGE WITH PREFIX/SUFFIX
-    // ========================================================================
-
-    /**
-     * Apply page-specific message formatting.
-     *
-     * NOTE: We only post the main message content, not additional form fields.
-     * All form fields are stored in submissions.json but only 'message' goes to Facebook.
-     *
-     * Formatting:
-     * - Prefix is added before message (optional)
-     * - Suffix is added after message (usually hashtags)
-     * - Both separated by double line breaks for clean formatting
-     */
-
-    // Add prefix if configured
-    if (!empty($pageConfig['message_prefix'])) {
-        $message = $pageConfig['message_prefix'] . "\n\n" . $message;
-    }
-
-    // Add suffix if configured (usually hashtags)
-    if (!empty($pageConfig['message_suffix'])) {
-        $message = $message . "\n\n" . $pageConfig['message_suffix'];
-    }
-
-    // ========================================================================
-    // STEP 4: MAKE FACEBOOK GRAPH API CALL
-    // ========================================================================
-
-    /**
-     * Facebook Graph API Request
-     *
-     * Endpoint: POST /v21.0/{page-id}/feed
-     * Docs: https://developers.facebook.com/docs/graph-api/reference/v21.0/page/feed
-     *
-     * This creates a new post on the Facebook Page's timeline.
-     */
-
-    // Build API URL with page-specific page ID
-    $url = 'https://graph.facebook.com/v21.0/' . $pageConfig['page_id'] . '/feed';
-
-    // Prepare POST parameters
-    $params = [
-        'message' => $message,                          // The text content
-        'access_token' => $pageConfig['access_token']   // Page-specific access token
-    ];
-
-    // Initialize CURL session
-    $ch = curl_init($url);
-    curl_setopt($ch, CURLOPT_POST, true);                              // POST request
-    curl_setopt($ch, CURLOPT_POSTFIELDS, http_build_query($params));   // Add parameters
-    curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);                    // Return response as string
-    // Note: SSL verification is enabled by default (secure)
-
-    // Execute request
-    $response = curl_exec($ch);
-    $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
-    curl_close($ch);
-
-    // ========================================================================
-    // STEP 5: PARSE RESPONSE AND RETURN RESULT
-    // ========================================================================
-
-    /**
-     * Parse Facebook's JSON response
-     *
-     * Success response (HTTP 200):
-     * {
-     *   "id": "111290850258093_987654321"
-     * }
-     *
-     * Error response (HTTP 400/500):
-     * {
-     *   "error": {
-     *     "message": "Error message",
-     *     "type": "OAuthException",
-     *     "code": 190
-     *   }
-     * }
-     */
-    $data = json_decode($response, true);
-
-    // Check for success
-    if ($httpCode == 200 && isset($data['id'])) {
-        // Success: Return post ID
-        return [
-            'success' => true,
-            'post_id' => $data['id']  // Format: {page-id}_{post-id}
-        ];
-    } else {
-        // Error: Extract error message
-        $error = $data['error']['message'] ?? 'Unknown error';
-        return [
-            'success' => false,
-            'error' => $error
-        ];
-    }
+// Helper to build status filter URLs preserving the search (back to page 1)
+function build_filter_query(string $filterName): string {
+    global $queuePageKey, $search;
+    return '?' . http_build_query(['page_key' => $queuePageKey, 'filter' => $filterName] + $search);
 }
 
-/**
- * Format field names for display
- */
-function formatFieldName($fieldName) {
-    // Remove common prefixes
-    $fieldName = str_replace(['text-', 'email-', 'name-', 'phone-', 'select-', 'radio-', 'checkbox-'], '', $fieldName);
-    // Convert to title case
-    $fieldName = ucwords(str_replace(['-', '_'], ' ', $fieldName));
-    return $fieldName;
-}
+// Buttons are only shown for actions the user's role allows
+$currentUser = getSimpleUser();
+$batchActions = array_filter(['approve', 'reject', 'publish', 'schedule', 'delete'], 'simpleUserCan');
+
 
 
 ?>
@@ -392,6 +160,7 @@ function formatFieldName($fieldName) {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <?= csrfMeta() ?>
     <title>Trou Idees - Vra Jou Vraag Dashboard</title>
     <link href="https://fonts.googleapis.com/css2?family=Dancing+Script:wght@400;700&family=Playfair+Display:wght@400;700&display=swap" rel="stylesheet">
 
@@ -603,6 +372,9 @@ function formatFieldName($fieldName) {
         .status-approved { background: #e8f5e9; color: #2e7d32; }
         .status-published { background: #e1f5fe; color: #0277bd; }
         .status-rejected { background: #ffebee; color: #c62828; }
+        .status-scheduled { background: #f3e5f5; color: #6a1b9a; }
+        .status-spam { background: #efebe9; color: #5d4037; }
+        .status-failed { background: #ffebee; color: #b71c1c; }
         .message-container {
             background: #fafafa;
             padding: 12px 20px 14px 20px;
@@ -772,6 +544,14 @@ function formatFieldName($fieldName) {
             color: #d4849c;
             margin-bottom: 15px;
         }
+        .page-alert {
+            background: #fff3e0;
+            color: #e65100;
+            padding: 15px 20px;
+            border-radius: 6px;
+            margin-bottom: 20px;
+            border-left: 4px solid #ff9800;
+        }
         .success-notice {
             background: #e8f5e9;
             color: #2e7d32;
@@ -815,7 +595,7 @@ function formatFieldName($fieldName) {
         }
     </style>
 </head>
-<body>
+<body data-permissions="<?= htmlspecialchars(implode(' ', getSimpleUserPermissions())) ?>">
     <div class="container">
         <header class="site-header">
                 <div class="logo-container">
@@ -832,62 +612,232 @@ function formatFieldName($fieldName) {
                      />
                     </a>
                     <?php if (USE_PASSWORD): ?>
-                        <a href="?logout" class="logout-btn" aria-label="Logout from dashboard">
-                            Logout
-                        </a>
+                        <div class="user-menu">
+                            <span class="current-user">
+                                <?= htmlspecialchars($currentUser['display_name']) ?>
+                                <span class="user-role"><?= htmlspecialchars($currentUser['role']) ?></span>
+                            </span>
+                            <a href="?logout" class="logout-btn" aria-label="Logout from dashboard">
+                                Logout
+                            </a>
+                        </div>
                     <?php endif; ?>
                 </div>
         </header>
 
         <!-- Page Navigation -->
         <div class="page-nav">
-            <a href="queue.php" class="page-nav-btn active">
-                Verhoudings & Leefstyl
-            </a>
-            <a href="queue-troues.php" class="page-nav-btn">
-                Troues & Funksies
-            </a>
+            <?php foreach ($FACEBOOK_PAGES as $key => $pageConfig): ?>
+                <a href="queue.php?page_key=<?= urlencode($key) ?>"
+                   class="page-nav-btn <?= $key === $queuePageKey ? 'active' : '' ?>"
+                   aria-current="<?= $key === $queuePageKey ? 'page' : 'false' ?>">
+                    <?= htmlspecialchars($pageConfig['nav_label'] ?? $pageConfig['name']) ?>
+                </a>
+            <?php endforeach; ?>
+            <?php if (simpleUserCan('view_activity')): ?>
+                <a href="activity.php" class="page-nav-btn" aria-current="false">Activity</a>
+            <?php endif; ?>
+            <?php if (simpleUserCan('test_mapping')): ?>
+                <a href="mapping-test.php" class="page-nav-btn" aria-current="false">Field Mapping</a>
+            <?php endif; ?>
+        </div>
+
+        <!-- Pages whose access token was rejected (see publish-retry.php) -->
+        <?php foreach ($pausedPages as $pausedKey => $pausedPage): ?>
+            <div class="page-alert" role="alert">
+                <strong>Publishing to <?= htmlspecialchars($FACEBOOK_PAGES[$pausedKey]['name'] ?? $pausedKey) ?> is paused.</strong>
+                Facebook rejected the page's access token on <?= htmlspecialchars(substr($pausedPage['since'] ?? '', 0, 16)) ?>
+                (<?= htmlspecialchars($pausedPage['error'] ?? '') ?>).
+                Nothing is published to this page, by hand or on schedule, until a new access token is set in config.php;
+                publishing then resumes by itself.
+            </div>
+        <?php endforeach; ?>
+
+        <!-- Search -->
+        <form class="queue-search" id="queue-search" method="get" role="search" aria-label="Search submissions">
+            <input type="hidden" name="page_key" value="<?= htmlspecialchars($queuePageKey) ?>">
+            <input type="hidden" name="filter" value="<?= htmlspecialchars($filter) ?>">
+            <div class="search-main">
+                <label for="search-q" class="sr-only">Search</label>
+                <input type="search"
+                       id="search-q"
+                       name="q"
+                       value="<?= htmlspecialchars($search['q'] ?? '') ?>"
+                       placeholder="Search messages, emails, IPs and form fields">
+                <button type="submit" class="btn btn-search">Search</button>
+                <?php if (!empty($search)): ?>
+                    <a href="<?= htmlspecialchars('?' . http_build_query(['page_key' => $queuePageKey, 'filter' => $filter])) ?>" class="search-clear">Clear</a>
+                <?php endif; ?>
+            </div>
+            <details class="search-advanced"<?= !empty($advancedSearch) ? ' open' : '' ?>>
+                <summary>Advanced filters</summary>
+                <div class="search-fields">
+                    <label>
+                        Email
+                        <input type="text" name="email" value="<?= htmlspecialchars($search['email'] ?? '') ?>">
+                    </label>
+                    <label>
+                        IP address
+                        <input type="text" name="ip" value="<?= htmlspecialchars($search['ip'] ?? '') ?>">
+                    </label>
+                    <label>
+                        From
+                        <input type="date" name="from" value="<?= htmlspecialchars($search['from'] ?? '') ?>">
+                    </label>
+                    <label>
+                        To
+                        <input type="date" name="to" value="<?= htmlspecialchars($search['to'] ?? '') ?>">
+                    </label>
+                    <label>
+                        Form field
+                        <select name="field">
+                            <option value="">Any field</option>
+                            <?php foreach ($searchFields as $field): ?>
+                                <option value="<?= htmlspecialchars($field) ?>"<?= ($search['field'] ?? '') === $field ? ' selected' : '' ?>>
+                                    <?= htmlspecialchars(formatFieldName($field)) ?>
+                                </option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>
+                        Field contains
+                        <input type="text" name="field_value" value="<?= htmlspecialchars($search['field_value'] ?? '') ?>">
+                    </label>
+                </div>
+            </details>
+        </form>
+
+        <!-- New submission checks (shown by app.js, see LIVE UPDATES there) -->
+        <div class="live-updates" id="live-updates" data-page-key="<?= htmlspecialchars($queuePageKey) ?>" hidden>
+            <label>
+                <input type="checkbox" id="live-insert">
+                Add new submissions to the top of the list
+            </label>
+            <button type="button" id="live-notify" class="link-btn" hidden>Enable desktop notifications</button>
         </div>
 
+        <!-- Filters and results (replaced in place by app.js when searching) -->
+        <div id="queue-results">
         <nav class="filters" role="navigation" aria-label="Status filters">
-            <a href="?filter=all"
+            <a href="<?= htmlspecialchars(build_filter_query('all')) ?>"
+               data-filter="all"
                class="filter-btn <?= $filter === 'all' ? 'active' : '' ?>"
                aria-label="Show all submissions"
                aria-current="<?= $filter === 'all' ? 'page' : 'false' ?>">
                 All <span class="badge" aria-label="<?= $counts['all'] ?> items"><?= $counts['all'] ?></span>
             </a>
-            <a href="?filter=pending"
+            <a href="<?= htmlspecialchars(build_filter_query('pending')) ?>"
+               data-filter="pending"
                class="filter-btn <?= $filter === 'pending' ? 'active' : '' ?>"
                aria-label="Show pending submissions"
                aria-current="<?= $filter === 'pending' ? 'page' : 'false' ?>">
                 Pending <span class="badge" aria-label="<?= $counts['pending'] ?> items"><?= $counts['pending'] ?></span>
             </a>
-            <a href="?filter=approved"
+            <a href="<?= htmlspecialchars(build_filter_query('approved')) ?>"
+               data-filter="approved"
                class="filter-btn <?= $filter === 'approved' ? 'active' : '' ?>"
                aria-label="Show approved submissions"
                aria-current="<?= $filter === 'approved' ? 'page' : 'false' ?>">
                 Approved <span class="badge" aria-label="<?= $counts['approved'] ?> items"><?= $counts['approved'] ?></span>
             </a>
-            <a href="?filter=published"
+            <a href="<?= htmlspecialchars(build_filter_query('scheduled')) ?>"
+               data-filter="scheduled"
+               class="filter-btn <?= $filter === 'scheduled' ? 'active' : '' ?>"
+               aria-label="Show scheduled submissions"
+               aria-current="<?= $filter === 'scheduled' ? 'page' : 'false' ?>">
+                Scheduled <span class="badge" aria-label="<?= $counts['scheduled'] ?> items"><?= $counts['scheduled'] ?></span>
+            </a>
+            <a href="<?= htmlspecialchars(build_filter_query('published')) ?>"
+               data-filter="published"
                class="filter-btn <?= $filter === 'published' ? 'active' : '' ?>"
                aria-label="Show published submissions"
                aria-current="<?= $filter === 'published' ? 'page' : 'false' ?>">
                 Published <span class="badge" aria-label="<?= $counts['published'] ?> items"><?= $counts['published'] ?></span>
             </a>
-            <a href="?filter=rejected"
+            <a href="<?= htmlspecialchars(build_filter_query('rejected')) ?>"
+               data-filter="rejected"
                class="filter-btn <?= $filter === 'rejected' ? 'active' : '' ?>"
                aria-label="Show rejected submissions"
                aria-current="<?= $filter === 'rejected' ? 'page' : 'false' ?>">
                 Rejected <span class="badge" aria-label="<?= $counts['rejected'] ?> items"><?= $counts['rejected'] ?></span>
             </a>
+            <a href="<?= htmlspecialchars(build_filter_query('spam')) ?>"
+               data-filter="spam"
+               class="filter-btn <?= $filter === 'spam' ? 'active' : '' ?>"
+               aria-label="Show submissions marked as spam"
+               aria-current="<?= $filter === 'spam' ? 'page' : 'false' ?>">
+                Spam <span class="badge" aria-label="<?= $counts['spam'] ?> items"><?= $counts['spam'] ?></span>
+            </a>
+            <a href="<?= htmlspecialchars(build_filter_query('failed')) ?>"
+               data-filter="failed"
+               class="filter-btn <?= $filter === 'failed' ? 'active' : '' ?>"
+               aria-label="Show submissions that failed to publish"
+               aria-current="<?= $filter === 'failed' ? 'page' : 'false' ?>">
+                Failed <span class="badge" aria-label="<?= $counts['failed'] ?> items"><?= $counts['failed'] ?></span>
+            </a>
         </nav>
 
-        <?php if (empty($filteredSubmissions)): ?>
+        <?php if (isset($scheduleTimeline)): ?>
+            <!-- Upcoming posts for this page (Scheduled tab) -->
+            <section class="schedule-timeline" aria-label="Upcoming posts">
+                <?php if (!empty($scheduleTimeline['overdue'])): ?>
+                    <div class="timeline-day timeline-overdue">
+                        <h3>Overdue <small>(waiting for the next cron run)</small></h3>
+                        <?php foreach ($scheduleTimeline['overdue'] as $scheduled): ?>
+                            <div class="timeline-entry">
+                                <span class="timeline-time"><?= htmlspecialchars(substr($scheduled['scheduled_at'], 0, 16)) ?></span>
+                                <span class="timeline-message"><?= htmlspecialchars(mb_strimwidth($scheduled['message'], 0, 90, '…')) ?></span>
+                            </div>
+                        <?php endforeach; ?>
+                    </div>
+                <?php endif; ?>
+
+                <?php foreach ($scheduleTimeline['days'] as $day): ?>
+                    <div class="timeline-day">
+                        <h3><?= htmlspecialchars(date('D j M', strtotime($day['date']))) ?></h3>
+                        <?php if (empty($day['entries'])): ?>
+                            <div class="timeline-entry timeline-free">No posting slots</div>
+                        <?php endif; ?>
+                        <?php foreach ($day['entries'] as $entry): ?>
+                            <?php if ($entry['submission']): ?>
+                                <a class="timeline-entry" href="#message-<?= htmlspecialchars($entry['submission']['id']) ?>">
+                                    <span class="timeline-time"><?= htmlspecialchars($entry['time']) ?></span>
+                                    <span class="timeline-message"><?= htmlspecialchars(mb_strimwidth($entry['submission']['message'], 0, 90, '…')) ?></span>
+                                </a>
+                            <?php else: ?>
+                                <div class="timeline-entry timeline-free">
+                                    <span class="timeline-time"><?= htmlspecialchars($entry['time']) ?></span>
+                                    <span class="timeline-message">Free slot</span>
+                                </div>
+                            <?php endif; ?>
+                        <?php endforeach; ?>
+                    </div>
+                <?php endforeach; ?>
+
+                <?php if ($scheduleTimeline['later'] > 0): ?>
+                    <p class="timeline-later">+ <?= $scheduleTimeline['later'] ?> scheduled later</p>
+                <?php endif; ?>
+            </section>
+        <?php endif; ?>
+
+        <?php if (!empty($search)): ?>
+            <p class="search-summary" role="status">
+                <?= $totalResults ?> submission(s) match your search
+            </p>
+        <?php endif; ?>
+
+        <?php if ($totalResults === 0 && !empty($search)): ?>
+            <div class="empty-state">
+                <h2>No matching submissions</h2>
+                <p>Try fewer words or clear the advanced filters.</p>
+            </div>
+        <?php elseif ($totalResults === 0): ?>
             <div class="empty-state">
                 <h2>No submissions yet</h2>
                 <p>Form submissions will appear here once your Forminator webhook is configured.</p>
             </div>
         <?php else: ?>
+            <?php if (!empty($batchActions)): ?>
             <!-- Select All -->
             <div class="select-all-container">
                 <input type="checkbox" id="select-all" class="submission-checkbox">
@@ -895,30 +845,77 @@ function formatFieldName($fieldName) {
             </div>
 
             <!-- Batch Controls -->
-            <div class="batch-controls" id="batch-controls">
+            <div class="batch-controls"
+                 id="batch-controls"
+                 data-page-key="<?= htmlspecialchars($queuePageKey) ?>"
+                 data-filter="<?= htmlspecialchars($filter) ?>"
+                 data-search="<?= htmlspecialchars(http_build_query($search)) ?>"
+                 data-total="<?= $totalResults ?>">
                 <div class="batch-info">
                     <strong><span id="selected-count">0</span> submission(s) selected</strong>
+                    <span id="selected-elsewhere"></span>
+                    <button type="button" id="select-all-matching" class="link-btn" hidden>
+                        Select all <?= $totalResults ?> matching this filter
+                    </button>
+                    <button type="button" id="clear-selection" class="link-btn">Clear selection</button>
                 </div>
                 <form method="post" id="batch-form">
+                    <?= csrfField() ?>
                     <input type="hidden" name="action" id="batch-action" value="">
                     <div id="batch-ids-container"></div>
                     <div class="batch-actions">
-                        <button type="button" onclick="submitBatchAction('batch_approve')" class="btn-approve btn-batch">✓ Approve Selected</button>
-                        <button type="button" onclick="submitBatchAction('batch_reject')" class="btn-reject btn-batch">✗ Reject Selected</button>
-                        <button type="button" onclick="submitBatchAction('batch_publish')" class="btn-publish btn-batch">📤 Publish Selected</button>
-                        <button type="button" onclick="if(confirm('Delete selected submissions permanently?')) submitBatchAction('batch_delete')" class="btn-delete btn-batch">🗑 Delete Selected</button>
+                        <?php if (in_array('approve', $batchActions, true)): ?>
+                            <button type="button" data-batch-action="batch_approve" onclick="submitBatchAction('batch_approve')" class="btn-approve btn-batch">✓ Approve Selected</button>
+                        <?php endif; ?>
+                        <?php if (in_array('reject', $batchActions, true)): ?>
+                            <button type="button" data-batch-action="batch_reject" onclick="submitBatchAction('batch_reject')" class="btn-reject btn-batch">✗ Reject Selected</button>
+                        <?php endif; ?>
+                        <?php if (in_array('publish', $batchActions, true)): ?>
+                            <button type="button" data-batch-action="batch_publish" onclick="submitBatchAction('batch_publish')" class="btn-publish btn-batch">📤 Publish Selected</button>
+                        <?php endif; ?>
+                        <?php if (in_array('schedule', $batchActions, true)): ?>
+                            <button type="button" data-batch-action="batch_schedule" onclick="submitBatchAction('batch_schedule')" class="btn-schedule btn-batch">🕒 Schedule Selected</button>
+                        <?php endif; ?>
+                        <?php if (in_array('delete', $batchActions, true)): ?>
+                            <button type="button" data-batch-action="batch_delete" onclick="submitBatchAction('batch_delete')" class="btn-delete btn-batch">🗑 Delete Selected</button>
+                        <?php endif; ?>
                     </div>
                 </form>
+
+                <!-- Batch publish progress (shown while publishing one by one) -->
+                <div class="batch-progress" id="batch-progress" hidden>
+                    <div class="batch-progress-info">
+                        <span id="batch-progress-text" aria-live="polite">Publishing 0 of 0</span>
+                        <button type="button" id="batch-progress-cancel" class="btn-delete btn-batch">Cancel</button>
+                    </div>
+                    <div class="batch-progress-bar"
+                         role="progressbar"
+                         aria-label="Batch publish progress"
+                         aria-valuemin="0"
+                         aria-valuemax="0"
+                         aria-valuenow="0">
+                        <div class="batch-progress-fill"></div>
+                    </div>
+                </div>
             </div>
+            <?php endif; ?>
 
             <?php foreach ($pagedSubmissions as $sub): ?>
-                <div class="submission" data-id="<?= htmlspecialchars($sub['id']) ?>">
+                <div class="submission"
+                     data-id="<?= htmlspecialchars($sub['id']) ?>"
+                     data-status="<?= htmlspecialchars($sub['status']) ?>"
+                     data-target-page="<?= htmlspecialchars($sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default']) ?>">
                     <div class="submission-header">
                         <div class="header-left">
-                            <input type="checkbox" class="submission-checkbox item-checkbox" data-id="<?= htmlspecialchars($sub['id']) ?>">
+                            <?php if (!empty($batchActions)): ?>
+                                <input type="checkbox" class="submission-checkbox item-checkbox" data-id="<?= htmlspecialchars($sub['id']) ?>">
+                            <?php endif; ?>
                             <span class="status status-<?= $sub['status'] ?>">
                                 <?= htmlspecialchars($sub['status']) ?>
                             </span>
+                            <?php if (isset($sub['original_message'])): ?>
+                                <span class="edited-badge" title="Message edited by a moderator">Edited</span>
+                            <?php endif; ?>
                         </div>
                     </div>
 
@@ -939,13 +936,34 @@ function formatFieldName($fieldName) {
                                 <strong>IP:</strong> <?= htmlspecialchars($sub['ip_address']) ?>
                             </span>
                         <?php endif; ?>
+
+                        <?php foreach (getSubmissionMetaFields($sub) as $metaField): ?>
+                            <?php $metaValue = formatMetaFieldValue($sub['form_data'] ?? [], $metaField); ?>
+                            <?php if ($metaValue !== ''): ?>
+                                <span class="meta-item">
+                                    <strong><?= htmlspecialchars($metaField['label']) ?>:</strong> <?= htmlspecialchars($metaValue) ?>
+                                </span>
+                            <?php endif; ?>
+                        <?php endforeach; ?>
                         <?php
                             $targetPage = $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
                             $pageName = $FACEBOOK_PAGES[$targetPage]['name'] ?? 'Unknown';
                         ?>
-                        <span class="meta-item">
+                        <span class="meta-item meta-target-page">
                             <strong>Target Page:</strong> <?= htmlspecialchars($pageName) ?>
                         </span>
+
+                        <?php if ($sub['status'] === 'scheduled' && !empty($sub['scheduled_at'])): ?>
+                            <span class="meta-item meta-scheduled">
+                                <strong>Scheduled:</strong> <?= htmlspecialchars(substr($sub['scheduled_at'], 0, 16)) ?>
+                            </span>
+                        <?php endif; ?>
+
+                        <?php if ($sub['status'] === 'spam' && !empty($sub['spam_reasons'])): ?>
+                            <span class="meta-item meta-spam">
+                                <strong>Spam score <?= (int) ($sub['spam_score'] ?? 0) ?>:</strong> <?= htmlspecialchars(implode(', ', $sub['spam_reasons'])) ?>
+                            </span>
+                        <?php endif; ?>
                     </div>
 
                     <div class="message-container">
@@ -957,12 +975,28 @@ function formatFieldName($fieldName) {
                                 style="display: none;">
                             Show more ↓
                         </button>
+
+                        <?php if (isset($sub['original_message'])): ?>
+                            <!-- Original vs. edited (diff rendered by app.js) -->
+                            <details class="message-diff">
+                                <summary>Show changes</summary>
+                                <div class="original-message" hidden><?= htmlspecialchars($sub['original_message']) ?></div>
+                                <div class="diff-view"></div>
+                            </details>
+                        <?php endif; ?>
+
+                        <?php if ($sub['status'] !== 'published' && simpleUserCan('edit')): ?>
+                            <button type="button" class="edit-message-btn" aria-label="Edit message before publishing">
+                                ✎ Edit
+                            </button>
+                        <?php endif; ?>
                     </div>
 
-                    <?php if ($sub['status'] !== 'published'): ?>
+                    <?php if ($sub['status'] !== 'published' && simpleUserCan('change_page')): ?>
                         <!-- Page Selector (only shown before publishing) -->
                         <div class="page-selector">
                             <form method="post">
+                                <?= csrfField() ?>
                                 <input type="hidden" name="action" value="change_page">
                                 <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
                                 <label for="page-select-<?= htmlspecialchars($sub['id']) ?>" class="page-selector-label">
@@ -990,6 +1024,66 @@ function formatFieldName($fieldName) {
                         </div>
                     <?php endif; ?>
 
+                    <?php
+                        $attachments = getSubmissionAttachments($sub);
+                        $chosenAttachment = $sub['attachment'] ?? '';
+                        $hasDefaultImage = !empty($FACEBOOK_PAGES[$targetPage]['default_image']);
+                    ?>
+                    <?php if (!empty($attachments)): ?>
+                        <!-- Images and links from the form (see attachments.php) -->
+                        <div class="attachments">
+                            <?php foreach ($attachments as $attachment): ?>
+                                <a href="<?= htmlspecialchars($attachment['url']) ?>"
+                                   class="attachment attachment-<?= htmlspecialchars($attachment['type']) ?><?= $attachment['url'] === $chosenAttachment ? ' attachment-selected' : '' ?>"
+                                   data-url="<?= htmlspecialchars($attachment['url']) ?>"
+                                   target="_blank"
+                                   rel="noopener noreferrer">
+                                    <?php if ($attachment['type'] === 'image'): ?>
+                                        <img src="<?= htmlspecialchars($attachment['url']) ?>"
+                                             alt="<?= htmlspecialchars(formatAttachmentLabel($attachment)) ?>"
+                                             loading="lazy">
+                                    <?php else: ?>
+                                        <span class="attachment-host"><?= htmlspecialchars(parse_url($attachment['url'], PHP_URL_HOST) ?? '') ?></span>
+                                        <span class="attachment-url"><?= htmlspecialchars($attachment['url']) ?></span>
+                                    <?php endif; ?>
+                                </a>
+                            <?php endforeach; ?>
+                        </div>
+                    <?php endif; ?>
+
+                    <?php if ($sub['status'] !== 'published' && simpleUserCan('attach') && (!empty($attachments) || $hasDefaultImage)): ?>
+                        <!-- Attachment Selector (what is published with the message) -->
+                        <div class="page-selector attachment-selector">
+                            <form method="post">
+                                <?= csrfField() ?>
+                                <input type="hidden" name="action" value="attach">
+                                <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                <label for="attachment-select-<?= htmlspecialchars($sub['id']) ?>" class="page-selector-label">
+                                    🖼 Attach:
+                                </label>
+                                <select name="attachment"
+                                        id="attachment-select-<?= htmlspecialchars($sub['id']) ?>"
+                                        aria-label="Select the image or link to publish with the message">
+                                    <option value=""><?= $hasDefaultImage ? 'Page default image' : 'Text only' ?></option>
+                                    <?php if ($hasDefaultImage): ?>
+                                        <option value="<?= ATTACHMENT_NONE ?>" <?= $chosenAttachment === ATTACHMENT_NONE ? 'selected' : '' ?>>Text only</option>
+                                    <?php endif; ?>
+                                    <?php foreach ($attachments as $attachment): ?>
+                                        <option value="<?= htmlspecialchars($attachment['url']) ?>"
+                                                <?= $attachment['url'] === $chosenAttachment ? 'selected' : '' ?>>
+                                            <?= htmlspecialchars(formatAttachmentLabel($attachment)) ?>
+                                        </option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <button type="submit"
+                                        class="page-selector-btn"
+                                        aria-label="Update the attachment">
+                                    Update Attachment
+                                </button>
+                            </form>
+                        </div>
+                    <?php endif; ?>
+
                     <?php if ($sub['status'] === 'published' && !empty($sub['fb_post_id'])): ?>
                         <a href="https://facebook.com/<?= htmlspecialchars($sub['fb_post_id']) ?>"
                            target="_blank"
@@ -1000,68 +1094,240 @@ function formatFieldName($fieldName) {
 
                     <?php if (!empty($sub['error'])): ?>
                         <div class="error">
-                            ❌ Error: <?= htmlspecialchars($sub['error']) ?>
+                            ❌ Error: <?= htmlspecialchars(describePublishError($sub)) ?>
                         </div>
                     <?php endif; ?>
 
+                    <!-- Everything the form sent (see form-fields.php) -->
+                    <?php $formFields = getSubmissionFormFields($sub); ?>
+                    <?php if (!empty($formFields)): ?>
+                        <details class="card-fields">
+                            <summary>All fields (<?= count($formFields) ?>)</summary>
+                            <dl class="field-list">
+                                <?php foreach ($formFields as $formField): ?>
+                                    <?php $valueHtml = formatFieldValueHtml($formField); ?>
+                                    <div class="field-row field-type-<?= htmlspecialchars($formField['type']) ?>">
+                                        <dt><?= htmlspecialchars($formField['label']) ?></dt>
+                                        <dd><?= $valueHtml !== '' ? $valueHtml : '<span class="field-empty">-</span>' ?></dd>
+                                    </div>
+                                <?php endforeach; ?>
+                            </dl>
+                        </details>
+                    <?php endif; ?>
+
+                    <!-- Who did what, when (see history.php) -->
+                    <?php $history = getSubmissionHistory($sub); ?>
+                    <details class="card-history">
+                        <summary>History (<span class="history-count"><?= count($history) ?></span>)</summary>
+                        <ol class="history-list">
+                            <?php foreach ($history as $entry): ?>
+                                <li class="history-entry">
+                                    <time datetime="<?= htmlspecialchars($entry['at']) ?>"><?= htmlspecialchars(substr($entry['at'], 0, 16)) ?></time>
+                                    <?= htmlspecialchars(formatHistoryEntry($entry)) ?>
+                                    <?php if (!empty($entry['ip'])): ?>
+                                        <span class="history-ip"><?= htmlspecialchars($entry['ip']) ?></span>
+                                    <?php endif; ?>
+                                </li>
+                            <?php endforeach; ?>
+                        </ol>
+                    </details>
+
                     <div class="actions">
+                        <?php if ($sub['status'] !== 'published'): ?>
+                            <button type="button"
+                                    class="btn-preview"
+                                    aria-label="Preview Facebook post"
+                                    data-loading-text="Loading...">
+                                👁 Preview
+                            </button>
+                        <?php endif; ?>
+
                         <?php if ($sub['status'] === 'pending'): ?>
-                            <form method="post" style="display: inline;">
-                                <input type="hidden" name="action" value="approve">
-                                <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
-                                <button type="submit"
-                                        class="btn-approve"
-                                        aria-label="Approve submission from <?= htmlspecialchars($sub['email']) ?>"
-                                        data-loading-text="Approving...">
-                                    ✓ Approve
-                                </button>
-                            </form>
-                            <form method="post" style="display: inline;">
-                                <input type="hidden" name="action" value="reject">
-                                <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
-                                <button type="submit"
-                                        class="btn-reject"
-                                        aria-label="Reject submission from <?= htmlspecialchars($sub['email']) ?>"
-                                        data-loading-text="Rejecting...">
-                                    ✗ Reject
-                                </button>
-                            </form>
+                            <?php if (simpleUserCan('approve')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="approve">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-approve"
+                                            aria-label="Approve submission from <?= htmlspecialchars($sub['email']) ?>"
+                                            data-loading-text="Approving...">
+                                        ✓ Approve
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                            <?php if (simpleUserCan('reject')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="reject">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-reject"
+                                            aria-label="Reject submission from <?= htmlspecialchars($sub['email']) ?>"
+                                            data-loading-text="Rejecting...">
+                                        ✗ Reject
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                            <?php if (simpleUserCan('spam')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="spam">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-spam"
+                                            aria-label="Mark submission as spam"
+                                            data-loading-text="Marking...">
+                                        🚫 Spam
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                        <?php endif; ?>
+
+                        <?php if ($sub['status'] === 'spam'): ?>
+                            <?php if (simpleUserCan('not_spam')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="not_spam">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-not-spam"
+                                            aria-label="Not spam: move back to pending"
+                                            data-loading-text="Moving...">
+                                        ✓ Not Spam
+                                    </button>
+                                </form>
+                            <?php endif; ?>
                         <?php endif; ?>
 
                         <?php if ($sub['status'] === 'approved'): ?>
+                            <?php if (simpleUserCan('publish')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="publish">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-publish"
+                                            aria-label="Publish submission to Facebook"
+                                            data-loading-text="Publishing...">
+                                        📤 Publish to Facebook
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                            <?php if (simpleUserCan('schedule')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="schedule">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <input type="hidden" name="publish_at" value="next">
+                                    <button type="submit"
+                                            class="btn-schedule"
+                                            aria-label="Schedule submission for the next free posting slot"
+                                            data-loading-text="Scheduling...">
+                                        🕒 Schedule
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                            <?php if (simpleUserCan('reject')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="reject">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-reject"
+                                            aria-label="Reject submission from <?= htmlspecialchars($sub['email']) ?>"
+                                            data-loading-text="Rejecting...">
+                                        ✗ Reject
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                        <?php endif; ?>
+
+                        <?php if ($sub['status'] === 'scheduled'): ?>
+                            <?php if (simpleUserCan('publish')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="publish">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-publish"
+                                            aria-label="Publish submission to Facebook now"
+                                            data-loading-text="Publishing...">
+                                        📤 Publish Now
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                            <?php if (simpleUserCan('unschedule')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="unschedule">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-unschedule"
+                                            aria-label="Cancel the schedule and move back to approved"
+                                            data-loading-text="Unscheduling...">
+                                        ↩ Unschedule
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                            <?php if (simpleUserCan('reject')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="reject">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-reject"
+                                            aria-label="Reject submission from <?= htmlspecialchars($sub['email']) ?>"
+                                            data-loading-text="Rejecting...">
+                                        ✗ Reject
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                        <?php endif; ?>
+
+                        <?php if ($sub['status'] === 'failed'): ?>
+                            <?php if (simpleUserCan('retry')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="retry">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-retry"
+                                            aria-label="Try publishing submission to Facebook again"
+                                            data-loading-text="Retrying...">
+                                        ↻ Retry
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                            <?php if (simpleUserCan('reject')): ?>
+                                <form method="post" style="display: inline;">
+                                    <?= csrfField() ?>
+                                    <input type="hidden" name="action" value="reject">
+                                    <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
+                                    <button type="submit"
+                                            class="btn-reject"
+                                            aria-label="Reject submission from <?= htmlspecialchars($sub['email']) ?>"
+                                            data-loading-text="Rejecting...">
+                                        ✗ Reject
+                                    </button>
+                                </form>
+                            <?php endif; ?>
+                        <?php endif; ?>
+
+                        <?php if (simpleUserCan('delete')): ?>
                             <form method="post" style="display: inline;">
-                                <input type="hidden" name="action" value="publish">
-                                <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
-                                <button type="submit"
-                                        class="btn-publish"
-                                        aria-label="Publish submission to Facebook"
-                                        data-loading-text="Publishing...">
-                                    📤 Publish to Facebook
-                                </button>
-                            </form>
-                            <form method="post" style="display: inline;">
-                                <input type="hidden" name="action" value="reject">
+                                <?= csrfField() ?>
+                                <input type="hidden" name="action" value="delete">
                                 <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
                                 <button type="submit"
-                                        class="btn-reject"
-                                        aria-label="Reject submission from <?= htmlspecialchars($sub['email']) ?>"
-                                        data-loading-text="Rejecting...">
-                                    ✗ Reject
+                                        class="btn-delete"
+                                        aria-label="Delete submission"
+                                        data-loading-text="Deleting..."
+                                        onclick="return confirm('Delete this submission?')">
+                                    🗑 Delete
                                 </button>
                             </form>
                         <?php endif; ?>
-
-                        <form method="post" style="display: inline;">
-                            <input type="hidden" name="action" value="delete">
-                            <input type="hidden" name="id" value="<?= htmlspecialchars($sub['id']) ?>">
-                            <button type="submit"
-                                    class="btn-delete"
-                                    aria-label="Delete submission permanently"
-                                    data-loading-text="Deleting..."
-                                    onclick="return confirm('Delete this submission permanently?')">
-                                🗑 Delete
-                            </button>
-                        </form>
                     </div>
                 </div>
             <?php endforeach; ?>
@@ -1082,12 +1348,15 @@ function formatFieldName($fieldName) {
             <?php endif; ?>
 
         <?php endif; ?>
+        </div>
     </div>
 
     <!-- UX Enhancement Scripts -->
     <script src="assets/js/toast.js"></script>
     <script src="assets/js/modal.js"></script>
     <script src="assets/js/loading.js"></script>
+    <script src="assets/js/api.js"></script>
+    <script src="assets/js/selection.js"></script>
     <script src="assets/js/app.js"></script>
 </body>
 </html>
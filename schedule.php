@@ -0,0 +1,382 @@
+<?php
+/**
+ * Scheduled Publishing
+ *
+ * DESCRIPTION:
+ * Lets moderators schedule approved submissions instead of publishing them
+ * right away. Scheduled submissions get the "scheduled" status and a
+ * "scheduled_at" time; cron-publish.php publishes them once they are due.
+ *
+ * POSTING SLOTS:
+ * Each page in $FACEBOOK_PAGES can list daily posting times (24h, server time):
+ *   'page1' => [
+ *       'name' => '...',
+ *       ...
+ *       'posting_slots' => ['09:00', '13:00', '19:30']
+ *   ]
+ * "Next free slot" picks the earliest slot that no other scheduled submission
+ * for the same page occupies. Pages without slots can still be scheduled at
+ * an explicit time.
+ *
+ * SUBMISSION FIELDS:
+ *   "status": "scheduled",
+ *   "scheduled_at": "2025-11-04 09:00:00"
+ *
+ * REQUIRES:
+ * config.php ($FACEBOOK_PAGES, $FORM_PAGE_MAPPING), facebook.php, publish-retry.php,
+ * history.php and submissions.php.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * How Far Ahead to Look for a Free Slot (days)
+ */
+const SCHEDULE_LOOKAHEAD_DAYS = 60;
+
+/**
+ * Get the Daily Posting Slots of a Page
+ *
+ * Accepts an array (['09:00', '13:00']) or a comma-separated string
+ * ('09:00,13:00'), so the slots can come straight from a wp-config constant.
+ * Invalid entries are ignored.
+ *
+ * @param string $pageKey Page key (e.g. 'page1')
+ * @return array Sorted list of 'HH:MM' times
+ */
+function getPostingSlots($pageKey) {
+    global $FACEBOOK_PAGES;
+
+    $slots = $FACEBOOK_PAGES[$pageKey]['posting_slots'] ?? [];
+    if (is_string($slots)) {
+        $slots = explode(',', $slots);
+    }
+
+    $valid = [];
+    foreach ((array) $slots as $slot) {
+        $slot = trim($slot);
+        if (preg_match('/^([01]?\d|2[0-3]):([0-5]\d)$/', $slot, $m)) {
+            $valid[] = sprintf('%02d:%s', $m[1], $m[2]);
+        }
+    }
+
+    $valid = array_values(array_unique($valid));
+    sort($valid);
+    return $valid;
+}
+
+/**
+ * Parse a Requested Publish Time
+ *
+ * Accepts "Y-m-d H:i", "Y-m-d H:i:s" and the "Y-m-dTH:i" format sent by
+ * <input type="datetime-local">.
+ *
+ * @param string $value The requested time
+ * @return int|null Unix timestamp, or null if not a valid time
+ */
+function parseScheduleTime($value) {
+    $value = str_replace('T', ' ', trim((string) $value));
+
+    foreach (['Y-m-d H:i:s', 'Y-m-d H:i'] as $format) {
+        $date = DateTime::createFromFormat('!' . $format, $value);
+        if ($date && $date->format($format) === $value) {
+            return $date->getTimestamp();
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the Target Page of a Submission
+ *
+ * @param array $submission The submission array
+ * @return string Page key (legacy submissions use the default page)
+ */
+function getSubmissionPageKey(array $submission) {
+    global $FORM_PAGE_MAPPING;
+    return $submission['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+}
+
+/**
+ * Get Scheduled Times Already Taken on a Page
+ *
+ * @param array       $submissions All submissions
+ * @param string      $pageKey     Page key
+ * @param string|null $excludeId   Submission to ignore (when rescheduling it)
+ * @return array Set of taken times, keyed by 'Y-m-d H:i:s'
+ */
+function getTakenScheduleTimes(array $submissions, $pageKey, $excludeId = null) {
+    $taken = [];
+    foreach ($submissions as $sub) {
+        if ($sub['status'] !== 'scheduled' || empty($sub['scheduled_at']) || isSubmissionDeleted($sub)) {
+            continue;
+        }
+        if ($sub['id'] === $excludeId || getSubmissionPageKey($sub) !== $pageKey) {
+            continue;
+        }
+        $taken[$sub['scheduled_at']] = true;
+    }
+    return $taken;
+}
+
+/**
+ * Find the Next Free Posting Slots of a Page
+ *
+ * @param array       $submissions All submissions
+ * @param string      $pageKey     Page key
+ * @param int         $limit       Maximum number of slots to return
+ * @param string|null $excludeId   Submission being (re)scheduled, whose own slot counts as free
+ * @return array List of free times ('Y-m-d H:i:s'), earliest first
+ */
+function findFreeSlots(array $submissions, $pageKey, $limit = 1, $excludeId = null) {
+    $slots = getPostingSlots($pageKey);
+    if (empty($slots)) {
+        return [];
+    }
+
+    $taken = getTakenScheduleTimes($submissions, $pageKey, $excludeId);
+    $now = time();
+    $free = [];
+
+    for ($day = 0; $day <= SCHEDULE_LOOKAHEAD_DAYS; $day++) {
+        $date = date('Y-m-d', strtotime("+$day days", $now));
+
+        foreach ($slots as $slot) {
+            $time = "$date $slot:00";
+            if (strtotime($time) <= $now || isset($taken[$time])) {
+                continue;
+            }
+
+            $free[] = $time;
+            if (count($free) >= $limit) {
+                return $free;
+            }
+        }
+    }
+
+    return $free;
+}
+
+/**
+ * Schedule a Submission
+ *
+ * Called by applySubmissionAction() for the "schedule" action.
+ *
+ * @param array  $sub         The submission (passed by reference)
+ * @param array  $submissions All submissions (to find a free slot)
+ * @param string $when        'next' for the next free slot, or a time (see parseScheduleTime())
+ * @return string|null Error message, or null on success
+ */
+function scheduleSubmission(array &$sub, array $submissions, $when) {
+    if (!in_array($sub['status'], ['pending', 'approved', 'scheduled', 'failed'], true)) {
+        return 'Only pending, approved or failed submissions can be scheduled';
+    }
+
+    $pageKey = getSubmissionPageKey($sub);
+
+    if ($when === '' || $when === 'next') {
+        $free = findFreeSlots($submissions, $pageKey, 1, $sub['id']);
+        if (empty($free)) {
+            return empty(getPostingSlots($pageKey))
+                ? 'No posting slots configured for this page. Pick a time instead.'
+                : 'No free posting slot in the next ' . SCHEDULE_LOOKAHEAD_DAYS . ' days';
+        }
+        $scheduledAt = $free[0];
+    } else {
+        $timestamp = parseScheduleTime($when);
+        if ($timestamp === null) {
+            return 'Invalid publish time: ' . $when;
+        }
+        if ($timestamp <= time()) {
+            return 'Publish time must be in the future';
+        }
+        $scheduledAt = date('Y-m-d H:i:s', $timestamp);
+    }
+
+    $sub['status'] = 'scheduled';
+    $sub['scheduled_at'] = $scheduledAt;
+    clearPublishFailure($sub);
+
+    return null;
+}
+
+/**
+ * Cancel a Schedule
+ *
+ * Moves a scheduled submission back to approved.
+ *
+ * @param array $sub The submission (passed by reference)
+ * @return string|null Error message, or null on success
+ */
+function unscheduleSubmission(array &$sub) {
+    if ($sub['status'] !== 'scheduled') {
+        return 'Submission is not scheduled';
+    }
+
+    $sub['status'] = 'approved';
+    unset($sub['scheduled_at']);
+
+    return null;
+}
+
+/**
+ * Get When a Submission Is Due for Publishing
+ *
+ * Scheduled submissions at their scheduled_at, approved ones waiting for an
+ * automatic retry at their retry_at (see publish-retry.php).
+ *
+ * @param array $sub The submission
+ * @return string|null 'Y-m-d H:i:s', or null if it isn't waiting to be published
+ */
+function getSubmissionDueTime(array $sub) {
+    if ($sub['status'] === 'scheduled') {
+        return $sub['scheduled_at'] ?? null;
+    }
+    if ($sub['status'] === 'approved') {
+        return $sub['retry_at'] ?? null;
+    }
+    return null;
+}
+
+/**
+ * Get IDs of Scheduled Submissions and Retries That Are Due
+ *
+ * Submissions for pages whose publishing is paused (rejected token) wait.
+ *
+ * @param array    $submissions All submissions
+ * @param int|null $now         Current time (default: time())
+ * @return array Submission IDs, earliest first
+ */
+function findDueSubmissionIds(array $submissions, $now = null) {
+    $now = $now ?? time();
+    $paused = getPausedPages();
+
+    $due = array_filter($submissions, function($sub) use ($now, $paused) {
+        $dueTime = getSubmissionDueTime($sub);
+        return !empty($dueTime)
+            && !isSubmissionDeleted($sub)
+            && !isset($paused[getSubmissionPageKey($sub)])
+            && strtotime($dueTime) <= $now;
+    });
+
+    usort($due, fn($a, $b) => strcmp(getSubmissionDueTime($a), getSubmissionDueTime($b)));
+    return array_column($due, 'id');
+}
+
+/**
+ * Publish All Due Scheduled Submissions and Retries
+ *
+ * Publishes through runSubmissionAction(), one submission at a time and
+ * outside the storage lock, so webhooks and the queue aren't kept waiting
+ * for the whole run. Each submission is checked again just before it is
+ * published, in case a moderator published or unscheduled it meanwhile.
+ * A failed publish leaves the schedule: the submission goes back to
+ * "approved" with its next retry time, or to "failed" (see
+ * recordPublishFailure() in publish-retry.php), so it isn't retried on every
+ * cron run.
+ *
+ * @param int|null $now Current time (default: time())
+ * @return array ['results' => one action result per published submission
+ *                (see submissions.php), 'saved' => false if a result could not be written]
+ */
+function publishDueSubmissions($now = null) {
+    $results = [];
+    $saved = true;
+
+    foreach (findDueSubmissionIds(loadSubmissions(), $now) as $id) {
+        $sub = loadSubmissionsById([$id])[$id] ?? null;
+        if ($sub === null || empty(findDueSubmissionIds([$sub], $now))) {
+            continue;
+        }
+
+        $run = runSubmissionAction([$id], 'publish');
+        $results = array_merge($results, $run['results']);
+        $saved = $run['saved'] && $saved;
+    }
+
+    return ['results' => $results, 'saved' => $saved];
+}
+
+/**
+ * Build the Posting Timeline of a Page
+ *
+ * Used by the queue's "Scheduled" tab. Each day lists the configured slots
+ * (free or taken) plus posts scheduled outside the slots.
+ *
+ * RETURN VALUE:
+ * [
+ *   'overdue' => [ submission, ... ],      (due but not yet published by cron)
+ *   'days' => [
+ *     [ 'date' => '2025-11-04', 'entries' => [
+ *         [ 'time' => '09:00', 'submission' => array|null ], ...
+ *     ] ], ...
+ *   ],
+ *   'later' => 3                            (scheduled after the last day shown)
+ * ]
+ *
+ * @param array  $submissions All submissions
+ * @param string $pageKey     Page key
+ * @param int    $days        Number of days to show, starting today
+ * @return array Timeline data
+ */
+function buildScheduleTimeline(array $submissions, $pageKey, $days = 7) {
+    $now = time();
+    $slots = getPostingSlots($pageKey);
+    $lastDate = date('Y-m-d', strtotime('+' . ($days - 1) . ' days', $now));
+
+    $timeline = ['overdue' => [], 'days' => [], 'later' => 0];
+    $byTime = [];
+
+    foreach ($submissions as $sub) {
+        if ($sub['status'] !== 'scheduled' || empty($sub['scheduled_at']) || isSubmissionDeleted($sub)) {
+            continue;
+        }
+        if (getSubmissionPageKey($sub) !== $pageKey) {
+            continue;
+        }
+
+        if (strtotime($sub['scheduled_at']) <= $now) {
+            $timeline['overdue'][] = $sub;
+        } elseif (substr($sub['scheduled_at'], 0, 10) > $lastDate) {
+            $timeline['later']++;
+        } else {
+            $byTime[$sub['scheduled_at']][] = $sub;
+        }
+    }
+
+    for ($day = 0; $day < $days; $day++) {
+        $date = date('Y-m-d', strtotime("+$day days", $now));
+        $entries = [];
+
+        // Configured slots, free or taken
+        foreach ($slots as $slot) {
+            $time = "$date $slot:00";
+            if (isset($byTime[$time])) {
+                continue;
+            }
+            if (strtotime($time) > $now) {
+                $entries[$time] = [['time' => $slot, 'submission' => null]];
+            }
+        }
+
+        // Scheduled posts (in a slot or at a custom time)
+        foreach ($byTime as $time => $subs) {
+            if (substr($time, 0, 10) !== $date) {
+                continue;
+            }
+            foreach ($subs as $sub) {
+                $entries[$time][] = ['time' => substr($time, 11, 5), 'submission' => $sub];
+            }
+        }
+
+        ksort($entries);
+        $timeline['days'][] = [
+            'date' => $date,
+            'entries' => array_merge(...array_values($entries ?: [[]]))
+        ];
+    }
+
+    return $timeline;
+}
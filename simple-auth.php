@@ -7,8 +7,11 @@
  * This is an alternative to WordPress authentication for standalone deployments.
  *
  * FEATURES:
- * - Single password for all admins
+ * - Named user accounts with hashed passwords and roles
+ *   (or, without accounts, one shared password for all admins)
+ * - Per-role permissions for the queue actions (simpleUserCan())
  * - Session-based (persists across page loads)
+ * - CSRF tokens for every state-changing request (csrfField(), verifyCsrfToken())
  * - Clean login/logout flow
  * - Styled login form matching Trou Idees branding
  * - Can be toggled on/off via USE_PASSWORD constant
@@ -21,15 +24,36 @@
  * CONFIGURATION:
  * Set in config.php:
  *   define('USE_PASSWORD', true);          // Enable password protection
- *   define('ADMIN_PASSWORD', 'YourPass');  // Set password
+ *   $SIMPLE_AUTH_USERS = [
+ *       'annelie' => [
+ *           'password_hash' => '$2y$10$...',   // php -r "echo password_hash('Secret', PASSWORD_DEFAULT);"
+ *           'role' => 'publisher',
+ *           'display_name' => 'Annelie',
+ *           'email' => 'annelie@trouidees.co.za'   // optional
+ *       ],
+ *       'pieter' => ['password_hash' => '$2y$10$...', 'role' => 'moderator']
+ *   ];
+ *
+ * Without $SIMPLE_AUTH_USERS, the old single password still works: the login
+ * form only asks for ADMIN_PASSWORD and logs in as "admin" (role admin).
+ *   define('ADMIN_PASSWORD', 'YourPass');
+ *
+ * ROLES (each role may do everything the roles above it may):
+ * - viewer:    read the queues (search, preview), no changes
+ * - moderator: approve, reject, spam/not spam, edit, change page, undo
+ * - publisher: also publish, schedule/unschedule, delete and view the activity log
+ * - admin:     everything, including actions added later
+ * See SIMPLE_AUTH_PERMISSIONS. Role changes in config.php apply on the next
+ * request; removing an account logs it out.
  *
  * SECURITY CONSIDERATIONS:
- * - Password is stored in plain text in config.php (protect that file!)
- * - Single shared password (no user management)
+ * - Account passwords are stored as password_hash() hashes; the legacy
+ *   ADMIN_PASSWORD is plain text in config.php (protect that file!)
  * - Session-based (vulnerable to session hijacking if not using HTTPS)
- * - No rate limiting (consider adding after X failed attempts)
+ * - Queue actions need the session's CSRF token, so other sites can't
+ *   make a logged-in moderator publish or delete
+ * - Failed logins are rate limited per session (5 per 15 minutes)
  * - No password strength requirements
- * - Consider using WordPress auth or proper authentication system for production
  *
  * LOGOUT:
  * Add ?logout to any URL to log out: queue.php?logout
@@ -50,9 +74,11 @@
  *
  * Session data stored:
  * - $_SESSION['simple_auth'] = true (when logged in)
+ * - $_SESSION['simple_auth_user'] = username (when logged in)
  * - $_SESSION['login_time'] = timestamp (when logged in)
  * - $_SESSION['last_activity'] = timestamp (last activity)
  * - $_SESSION['failed_attempts'] = int (failed login attempts)
+ * - $_SESSION['csrf_token'] = random token (see CSRF PROTECTION)
  */
 if (!session_id()) {
     // Enhanced session security settings
@@ -77,6 +103,93 @@ if (!session_id()) {
     $_SESSION['last_activity'] = time();
 }
 
+// ============================================================================
+// USERS & ROLES
+// ============================================================================
+
+/**
+ * Roles, From Least to Most Allowed
+ */
+const SIMPLE_AUTH_ROLES = ['viewer', 'moderator', 'publisher', 'admin'];
+
+/**
+ * Lowest Role Allowed to Do Each Action
+ *
+ * Action names as in applySubmissionAction() (submissions.php); batch
+ * variants are checked under their single action. Anything not listed
+ * needs the admin role.
+ */
+const SIMPLE_AUTH_PERMISSIONS = [
+    'approve' => 'moderator',
+    'reject' => 'moderator',
+    'spam' => 'moderator',
+    'not_spam' => 'moderator',
+    'edit' => 'moderator',
+    'attach' => 'moderator',
+    'change_page' => 'moderator',
+    'undo' => 'moderator',
+    'publish' => 'publisher',
+    'retry' => 'publisher',
+    'schedule' => 'publisher',
+    'unschedule' => 'publisher',
+    'delete' => 'publisher',
+    'view_activity' => 'publisher'
+];
+
+/**
+ * Get the Configured User Accounts
+ *
+ * $SIMPLE_AUTH_USERS from config.php, or a single "admin" account with the
+ * legacy ADMIN_PASSWORD if no accounts are configured.
+ *
+ * @return array username => ['password_hash' or 'password', 'role', 'display_name', 'email']
+ */
+function getSimpleAuthUsers() {
+    global $SIMPLE_AUTH_USERS;
+
+    if (!empty($SIMPLE_AUTH_USERS)) {
+        return $SIMPLE_AUTH_USERS;
+    }
+
+    return [
+        'admin' => [
+            'password' => defined('ADMIN_PASSWORD') ? ADMIN_PASSWORD : null,
+            'role' => 'admin',
+            'display_name' => 'Administrator',
+            'email' => 'admin@trouidees.co.za'
+        ]
+    ];
+}
+
+/**
+ * Check a Username and Password
+ *
+ * Unknown usernames take as long as wrong passwords, so response times
+ * don't reveal which accounts exist.
+ *
+ * @param string $username Username (ignored without $SIMPLE_AUTH_USERS)
+ * @param string $password Password as typed
+ * @return string|null The username if the password is correct, otherwise null
+ */
+function authenticateSimpleUser($username, $password) {
+    global $SIMPLE_AUTH_USERS;
+
+    if (empty($SIMPLE_AUTH_USERS)) {
+        $username = 'admin';
+    }
+    $account = getSimpleAuthUsers()[$username] ?? null;
+
+    if (isset($account['password_hash'])) {
+        return password_verify($password, $account['password_hash']) ? $username : null;
+    }
+    if (isset($account['password'])) {
+        return hash_equals((string) $account['password'], $password) ? $username : null;
+    }
+
+    password_verify($password, password_hash('unknown user', PASSWORD_DEFAULT));
+    return null;
+}
+
 // ============================================================================
 // AUTHENTICATION FUNCTIONS
 // ============================================================================
@@ -88,8 +201,9 @@ if (!session_id()) {
  *
  * LOGIC:
  * 1. If USE_PASSWORD is false → always return true (no auth required)
- * 2. If $_SESSION['simple_auth'] exists and is true → return true (logged in)
- * 3. Otherwise → return false (not logged in)
+ * 2. If $_SESSION['simple_auth'] is true and the session's account still
+ *    exists → return true (logged in)
+ * 3. Otherwise → return false (not logged in, or the account was removed)
  *
  * @return bool True if authenticated or auth disabled, false if not authenticated
  */
@@ -101,7 +215,7 @@ function checkSimpleAuth() {
 
     // Check if already logged in via session
     if (isset($_SESSION['simple_auth']) && $_SESSION['simple_auth'] === true) {
-        return true;
+        return getSimpleUser() !== null;
     }
 
     return false;
@@ -122,10 +236,10 @@ function checkSimpleAuth() {
  * - If ?logout parameter present: Destroys session and redirects
  *
  * SECURITY NOTES:
- * - Password compared with simple === (no hashing)
- * - Session regeneration not implemented (consider adding)
+ * - Passwords checked with password_verify() (legacy ADMIN_PASSWORD: hash_equals())
+ * - Session ID regenerated on login
  * - No CSRF protection on login form (low risk for this use case)
- * - No rate limiting (consider adding after X failed attempts)
+ * - Failed attempts rate limited per session
  *
  * @return void|bool Returns true if auth disabled, otherwise shows form or redirects
  */
@@ -144,8 +258,8 @@ function requireSimpleAuth() {
      *
      * When user submits the login form:
      * 1. Check rate limiting (max 5 attempts per 15 minutes)
-     * 2. Check if password matches ADMIN_PASSWORD constant
-     * 3. If correct: Set session variable, regenerate ID, and redirect
+     * 2. Check the username and password (see authenticateSimpleUser())
+     * 3. If correct: Set session variables, regenerate ID, and redirect
      * 4. If incorrect: Increment failed attempts and show error
      */
     if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['password'])) {
@@ -173,9 +287,12 @@ function requireSimpleAuth() {
 
         // Only process login if not locked out
         if (!isset($error)) {
-            if ($_POST['password'] === ADMIN_PASSWORD) {
+            $username = authenticateSimpleUser(trim((string) ($_POST['username'] ?? '')), (string) $_POST['password']);
+
+            if ($username !== null) {
                 // Success: Set session, regenerate ID for security, and redirect
                 $_SESSION['simple_auth'] = true;
+                $_SESSION['simple_auth_user'] = $username;
                 $_SESSION['login_time'] = time();
                 $_SESSION['failed_attempts'] = 0; // Reset failed attempts
 
@@ -194,7 +311,8 @@ function requireSimpleAuth() {
 
                 $remainingAttempts = $maxAttempts - $_SESSION['failed_attempts'];
                 if ($remainingAttempts > 0) {
-                    $error = "Incorrect password. {$remainingAttempts} attempt(s) remaining.";
+                    $error = (empty($GLOBALS['SIMPLE_AUTH_USERS']) ? 'Incorrect password.' : 'Incorrect username or password.')
+                        . " {$remainingAttempts} attempt(s) remaining.";
                 } else {
                     $error = "Too many failed attempts. Account locked for 15 minutes.";
                 }
@@ -288,6 +406,7 @@ function requireSimpleAuth() {
                     font-weight: 500;
                     font-size: 14px;
                 }
+                input[type="text"],
                 input[type="password"] {
                     width: 100%;
                     padding: 12px;
@@ -296,6 +415,7 @@ function requireSimpleAuth() {
                     font-size: 16px;
                     transition: border-color 0.3s;
                 }
+                input[type="text"]:focus,
                 input[type="password"]:focus {
                     outline: none;
                     border-color: #d4849c;
@@ -343,21 +463,38 @@ function requireSimpleAuth() {
                     <div class="error"><?php echo $error; ?></div>
                 <?php endif; ?>
 
+                <?php $namedAccounts = !empty($GLOBALS['SIMPLE_AUTH_USERS']); ?>
                 <form method="POST">
+                    <?php if ($namedAccounts): ?>
+                        <div class="form-group">
+                            <label for="username">Username</label>
+                            <input type="text"
+                                   id="username"
+                                   name="username"
+                                   value="<?php echo htmlspecialchars($_POST['username'] ?? ''); ?>"
+                                   required
+                                   autofocus
+                                   autocomplete="username"
+                                   placeholder="Enter username">
+                        </div>
+                    <?php endif; ?>
                     <div class="form-group">
                         <label for="password">Password</label>
                         <input type="password"
                                id="password"
                                name="password"
                                required
-                               autofocus
+                               <?php echo $namedAccounts ? '' : 'autofocus'; ?>
+                               autocomplete="current-password"
                                placeholder="Enter password">
                     </div>
                     <button type="submit">Login</button>
                 </form>
 
                 <div class="hint">
-                    Enter the admin password to access the approval dashboard
+                    <?php echo $namedAccounts
+                        ? 'Log in with your account to access the approval dashboard'
+                        : 'Enter the admin password to access the approval dashboard'; ?>
                 </div>
             </div>
         </body>
@@ -368,32 +505,154 @@ function requireSimpleAuth() {
 }
 
 // ============================================================================
-// USER INFORMATION FUNCTION
+// USER INFORMATION & PERMISSION FUNCTIONS
 // ============================================================================
 
 /**
- * Get Simple User Information
- *
- * Returns a generic admin user array for compatibility with code that expects
- * user information (like the old WordPress authentication system).
+ * Get the Logged-In User
  *
- * Since this simple auth system doesn't have individual user accounts,
- * this always returns the same generic "admin" user data.
+ * The account from the session, looked up in the current configuration so
+ * role changes apply right away. With USE_PASSWORD off there are no logins
+ * and everyone is a generic "admin".
  *
  * USAGE:
  * $user = getSimpleUser();
- * echo $user['display_name'];  // "Administrator"
+ * echo $user['display_name'];  // "Annelie"
  *
- * NOTE: This is a stub function for compatibility.
- * For multi-user systems, replace with proper user management.
- *
- * @return array Generic admin user information
+ * @return array|null ['username', 'display_name', 'email', 'role'], or null if not logged in
  */
 function getSimpleUser() {
+    if (!USE_PASSWORD) {
+        return [
+            'username' => 'admin',
+            'display_name' => 'Administrator',
+            'email' => 'admin@trouidees.co.za',
+            'role' => 'admin'
+        ];
+    }
+
+    $username = $_SESSION['simple_auth_user'] ?? null;
+    $account = $username !== null ? (getSimpleAuthUsers()[$username] ?? null) : null;
+    if ($account === null) {
+        return null;
+    }
+
     return [
-        'id' => 1,                                  // Generic admin ID
-        'username' => 'admin',                      // Generic username
-        'email' => 'admin@trouidees.co.za',        // Admin email
-        'display_name' => 'Administrator',          // Display name
+        'username' => $username,
+        'display_name' => $account['display_name'] ?? $username,
+        'email' => $account['email'] ?? '',
+        // Unknown roles get the least access
+        'role' => in_array($account['role'] ?? '', SIMPLE_AUTH_ROLES, true) ? $account['role'] : 'viewer'
     ];
-}
\ No newline at end of file
+}
+
+/**
+ * Check Whether the Logged-In User May Do an Action
+ *
+ * @param string $action Action name (see SIMPLE_AUTH_PERMISSIONS)
+ * @return bool True if the user's role is high enough
+ */
+function simpleUserCan($action) {
+    $user = getSimpleUser();
+    if ($user === null) {
+        return false;
+    }
+
+    $required = SIMPLE_AUTH_PERMISSIONS[$action] ?? 'admin';
+    return array_search($user['role'], SIMPLE_AUTH_ROLES, true) >= array_search($required, SIMPLE_AUTH_ROLES, true);
+}
+
+/**
+ * Get Everything the Logged-In User May Do
+ *
+ * @return array Action names (for the data-permissions attribute used by app.js)
+ */
+function getSimpleUserPermissions() {
+    return array_values(array_filter(array_keys(SIMPLE_AUTH_PERMISSIONS), 'simpleUserCan'));
+}
+
+/**
+ * Explain Why an Action Is Not Allowed
+ *
+ * Example: "Your role (moderator) can't publish (needs publisher or higher)"
+ *
+ * @param string $action Action name
+ * @return string Error message
+ */
+function getSimplePermissionError($action) {
+    $user = getSimpleUser();
+    $required = SIMPLE_AUTH_PERMISSIONS[$action] ?? 'admin';
+
+    return 'Your role (' . ($user['role'] ?? 'none') . ") can't " . str_replace('_', ' ', $action)
+        . ' (needs ' . $required . ($required !== 'admin' ? ' or higher' : '') . ')';
+}
+
+/**
+ * Require a Permission or Stop With 403
+ *
+ * For pages only some roles may open (after requireSimpleAuth()).
+ *
+ * @param string $action Action name (see SIMPLE_AUTH_PERMISSIONS)
+ * @return void
+ */
+function requireSimplePermission($action) {
+    if (!simpleUserCan($action)) {
+        http_response_code(403);
+        exit(htmlspecialchars(getSimplePermissionError($action)));
+    }
+}
+
+// ============================================================================
+// CSRF PROTECTION
+// ============================================================================
+
+/**
+ * Get the Session's CSRF Token
+ *
+ * One random token per session, created on first use. Every form that
+ * changes something sends it back (csrfField()); JavaScript reads it from
+ * <meta name="csrf-token"> (csrfMeta()) and sends it as the X-CSRF-Token
+ * header (assets/js/api.js).
+ *
+ * @return string 64-character hex token
+ */
+function getCsrfToken() {
+    if (empty($_SESSION['csrf_token'])) {
+        $_SESSION['csrf_token'] = bin2hex(random_bytes(32));
+    }
+    return $_SESSION['csrf_token'];
+}
+
+/**
+ * Check the CSRF Token of the Current Request
+ *
+ * Accepts the csrf_token POST field or the X-CSRF-Token header.
+ *
+ * @return bool True if the request carries the session's token
+ */
+function verifyCsrfToken() {
+    $token = $_POST['csrf_token'] ?? $_SERVER['HTTP_X_CSRF_TOKEN'] ?? '';
+    return is_string($token) && $token !== '' && !empty($_SESSION['csrf_token'])
+        && hash_equals($_SESSION['csrf_token'], $token);
+}
+
+/**
+ * Hidden Form Field With the CSRF Token
+ *
+ * USAGE: <form method="post"><?= csrfField() ?> ...
+ *
+ * @return string HTML
+ */
+function csrfField() {
+    return '<input type="hidden" name="csrf_token" value="' . htmlspecialchars(getCsrfToken()) . '">';
+}
+
+/**
+ * Meta Tag With the CSRF Token (for JavaScript)
+ *
+ * @return string HTML
+ */
+function csrfMeta() {
+    return '<meta name="csrf-token" content="' . htmlspecialchars(getCsrfToken()) . '">';
+}
+
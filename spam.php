@@ -0,0 +1,225 @@
+<?php
+/**
+ * Rate Limiting and Spam Scoring
+ *
+ * DESCRIPTION:
+ * Protects the queue from floods and junk arriving through
+ * webhook-receiver.php:
+ * - Rate limits: too many submissions from one IP address, from one email
+ *   address or in total within an hour get the "spam" status. They are
+ *   still stored, because Forminator doesn't retry a refused webhook
+ * - Spam score: every stored submission gets a score; at or above the
+ *   threshold it gets the "spam" status instead of "pending", so it lands in
+ *   the queue's Spam tab instead of between the real questions
+ *
+ * RATE LIMIT FILE:
+ * Recent submission times are kept in RATE_LIMIT_FILE (rate-limit.json):
+ *   { "ips": { "192.168.1.1": [1730460000, ...] },
+ *     "emails": { "jan@example.com": [1730460000, ...] },
+ *     "all": [1730460000, ...] }
+ * Entries older than RATE_LIMIT_WINDOW are dropped on every write.
+ *
+ * SPAM SCORE (points are configurable):
+ *   each link                          link_points
+ *   each banned word                   banned_word_points
+ *   mostly capitals                    caps_points
+ *   a character repeated 6+ times      repeat_points
+ *   same text as a recent submission   duplicate_points
+ *
+ * SUBMISSION FIELDS:
+ *   "status": "spam",
+ *   "spam_score": 7,
+ *   "spam_reasons": ["2 links", "banned word \"casino\""]   (or a rate limit message)
+ *
+ * REQUIRES:
+ * config.php (optional $SPAM_SETTINGS, RATE_LIMIT_FILE) and storage.php.
+ *
+ * SETTINGS:
+ * Override any of SPAM_DEFAULTS in config.php:
+ *   $SPAM_SETTINGS = [
+ *       'ip_limit' => 3,
+ *       'banned_words' => ['casino', 'crypto', 'gratis geld']
+ *   ];
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Default Settings (see SETTINGS above)
+ */
+const SPAM_DEFAULTS = [
+    'ip_limit' => 5,             // Submissions per IP per hour
+    'email_limit' => 5,          // Submissions per email address per hour
+    'global_limit' => 100,       // Submissions per hour in total
+    'threshold' => 5,            // Score at which a submission is spam
+    'duplicate_hours' => 24,     // How far back to look for duplicates
+    'link_points' => 2,
+    'banned_words' => ['viagra', 'casino', 'bitcoin', 'crypto', 'forex', 'backlinks', 'seo services'],
+    'banned_word_points' => 3,
+    'caps_points' => 2,
+    'repeat_points' => 2,
+    'duplicate_points' => 5
+];
+
+/**
+ * Rate Limit Period (seconds)
+ */
+const RATE_LIMIT_WINDOW = 3600;
+
+/**
+ * Rate Limit Storage File
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('RATE_LIMIT_FILE')) {
+    define('RATE_LIMIT_FILE', __DIR__ . '/rate-limit.json');
+}
+
+/**
+ * Get the Spam Settings
+ *
+ * @return array SPAM_DEFAULTS merged with $SPAM_SETTINGS from config.php
+ */
+function getSpamSettings() {
+    global $SPAM_SETTINGS;
+    return array_merge(SPAM_DEFAULTS, $SPAM_SETTINGS ?? []);
+}
+
+/**
+ * Check and Record a Submission Against the Rate Limits
+ *
+ * The rate limit file is locked for the whole read-check-write (see
+ * updateJsonFile() in storage.php), so simultaneous webhooks can't slip past
+ * the limit together. Submissions over a limit are not recorded, so they
+ * don't extend it.
+ *
+ * @param string      $ip    Submitter IP address
+ * @param string|null $email Submitter email (also limited, if given)
+ * @param int|null    $now   Current time (default: time())
+ * @return string|null Reason if a limit is reached (the submission is spam), or null
+ */
+function checkRateLimit($ip, $email = null, $now = null) {
+    $now = $now ?? time();
+    $settings = getSpamSettings();
+    $email = strtolower(trim((string) $email));
+
+    $error = null;
+    $saved = updateJsonFile(RATE_LIMIT_FILE, function(array &$data) use ($ip, $email, $now, $settings, &$error) {
+        $recent = fn($times) => array_values(array_filter((array) $times, fn($t) => $t > $now - RATE_LIMIT_WINDOW));
+        $recentByKey = function($entries) use ($recent) {
+            $kept = [];
+            foreach ((array) $entries as $key => $times) {
+                $times = $recent($times);
+                if (!empty($times)) {
+                    $kept[$key] = $times;
+                }
+            }
+            return $kept;
+        };
+
+        $all = $recent($data['all'] ?? []);
+        $ips = $recentByKey($data['ips'] ?? []);
+        $emails = $recentByKey($data['emails'] ?? []);
+
+        if (count($ips[$ip] ?? []) >= $settings['ip_limit']) {
+            $error = 'too many submissions from this IP address';
+        } elseif ($email !== '' && count($emails[$email] ?? []) >= $settings['email_limit']) {
+            $error = 'too many submissions from this email address';
+        } elseif (count($all) >= $settings['global_limit']) {
+            $error = 'too many submissions in total';
+        } else {
+            $all[] = $now;
+            $ips[$ip][] = $now;
+            if ($email !== '') {
+                $emails[$email][] = $now;
+            }
+        }
+
+        $data = ['ips' => $ips, 'emails' => $emails, 'all' => $all];
+    }, false);
+
+    // Never mark real submissions as spam because the file can't be written
+    return $saved ? $error : null;
+}
+
+/**
+ * Normalize a Message for Duplicate Detection
+ *
+ * @param string $message The message
+ * @return string Lowercase message with whitespace collapsed
+ */
+function normalizeSpamText($message) {
+    return trim(preg_replace('/\s+/u', ' ', mb_strtolower((string) $message)));
+}
+
+/**
+ * Score a Submission
+ *
+ * @param array    $submission  The new submission (message, email)
+ * @param array    $submissions Existing submissions (for duplicates)
+ * @param int|null $now         Current time (default: time())
+ * @return array ['score' => int, 'reasons' => [string, ...], 'spam' => bool]
+ */
+function scoreSubmission(array $submission, array $submissions, $now = null) {
+    $now = $now ?? time();
+    $settings = getSpamSettings();
+    $message = (string) ($submission['message'] ?? '');
+    $text = $message . ' ' . ($submission['email'] ?? '');
+
+    $score = 0;
+    $reasons = [];
+
+    // Links
+    $links = preg_match_all('~(https?://|www\.)\S+~i', $message);
+    if ($links > 0) {
+        $score += $links * $settings['link_points'];
+        $reasons[] = $links === 1 ? '1 link' : "$links links";
+    }
+
+    // Banned words
+    foreach ($settings['banned_words'] as $word) {
+        if (preg_match('/\b' . preg_quote($word, '/') . '\b/iu', $text)) {
+            $score += $settings['banned_word_points'];
+            $reasons[] = 'banned word "' . $word . '"';
+        }
+    }
+
+    // Mostly capitals (only for messages with enough letters to tell)
+    $letters = preg_replace('/[^\p{L}]/u', '', $message);
+    if (mb_strlen($letters) >= 12) {
+        $capitals = preg_match_all('/\p{Lu}/u', $letters);
+        if ($capitals / mb_strlen($letters) > 0.7) {
+            $score += $settings['caps_points'];
+            $reasons[] = 'mostly capitals';
+        }
+    }
+
+    // Repeated characters ("!!!!!!", "heeeeeelp")
+    if (preg_match('/(.)\1{5,}/u', $message)) {
+        $score += $settings['repeat_points'];
+        $reasons[] = 'repeated characters';
+    }
+
+    // Same text as a recent submission
+    $normalized = normalizeSpamText($message);
+    if ($normalized !== '') {
+        $since = $now - $settings['duplicate_hours'] * 3600;
+        foreach ($submissions as $sub) {
+            if (!empty($sub['deleted_at']) || strtotime($sub['created_at'] ?? '') < $since) {
+                continue;
+            }
+            if (normalizeSpamText($sub['message'] ?? '') === $normalized) {
+                $score += $settings['duplicate_points'];
+                $reasons[] = 'duplicate of ' . $sub['id'];
+                break;
+            }
+        }
+    }
+
+    return [
+        'score' => $score,
+        'reasons' => $reasons,
+        'spam' => $score >= $settings['threshold']
+    ];
+}
@@ -0,0 +1,537 @@
+<?php
+/**
+ * SQLite Storage Backend
+ *
+ * DESCRIPTION:
+ * Optional replacement for submissions.json, for queues that have outgrown
+ * a single JSON file. The queue pages then only read the submissions they
+ * show: filtering, sorting and pagination happen in indexed SQL queries
+ * instead of decoding, sorting and slicing every submission on each load.
+ *
+ * The rest of the code doesn't talk to this module directly; it uses the
+ * storage functions in submissions.php (loadSubmissions(), updateSubmissions(),
+ * addSubmission(), loadQueuePage(), ...), which pick the backend.
+ *
+ * Moderation actions and the queue's API requests only read and write the
+ * rows they touch (loadSubmissionsById(), updateSubmissionsById(),
+ * loadSubmissionIds(), loadNewSubmissions()), so their cost doesn't grow
+ * with the number of stored submissions.
+ *
+ * ENABLING:
+ * 1. php migrate-sqlite.php              (imports submissions.json)
+ * 2. In config.php:
+ *      define('STORAGE_BACKEND', 'sqlite');
+ *      define('SQLITE_FILE', __DIR__ . '/submissions.sqlite');   (optional)
+ * Requires the pdo_sqlite extension.
+ *
+ * TABLE:
+ * Each submission is one row. The complete submission is stored as JSON in
+ * "data", so new submission fields need no schema change; the columns next
+ * to it are copies used for filtering and sorting:
+ *   seq              insertion order (like the JSON array)
+ *   id               submission ID
+ *   status           pending, approved, ...
+ *   target_page_key  page key (legacy submissions get the default page)
+ *   created_at       'Y-m-d H:i:s'
+ *   scheduled_at     'Y-m-d H:i:s' or NULL
+ *   deleted_at       'Y-m-d H:i:s' while soft-deleted, otherwise NULL
+ *
+ * LOCKING:
+ * Writes run in a "BEGIN IMMEDIATE" transaction, so they are serialized like
+ * the flock() of storage.php. Readers are never blocked (WAL journal).
+ *
+ * REQUIRES:
+ * config.php ($FORM_PAGE_MAPPING), submissions.php (submissionMatchesSearch,
+ * paginateQueueSubmissions, countQueueStatuses, UNDO_GRACE_PERIOD) and the
+ * pdo_sqlite extension.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Storage Backend ('json' or 'sqlite')
+ *
+ * Override in config.php.
+ */
+if (!defined('STORAGE_BACKEND')) {
+    define('STORAGE_BACKEND', 'json');
+}
+
+/**
+ * SQLite Database File
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('SQLITE_FILE')) {
+    define('SQLITE_FILE', __DIR__ . '/submissions.sqlite');
+}
+
+/**
+ * Table and Indexes (created on first use)
+ */
+const SQLITE_SCHEMA = <<<'SQL'
+CREATE TABLE IF NOT EXISTS submissions (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL,
+    target_page_key TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    scheduled_at TEXT,
+    deleted_at TEXT,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS submissions_page_status_created ON submissions (target_page_key, status, created_at);
+CREATE INDEX IF NOT EXISTS submissions_status ON submissions (status);
+CREATE INDEX IF NOT EXISTS submissions_created ON submissions (created_at);
+CREATE INDEX IF NOT EXISTS submissions_deleted ON submissions (deleted_at);
+SQL;
+
+/**
+ * Check Whether Submissions Are Stored in SQLite
+ *
+ * @return bool True if STORAGE_BACKEND is 'sqlite'
+ */
+function isSqliteStorage() {
+    return STORAGE_BACKEND === 'sqlite';
+}
+
+/**
+ * Get the Database Connection
+ *
+ * Opens SQLITE_FILE (creating it and its table if needed) once per request.
+ * Errors throw a PDOException.
+ *
+ * @return PDO Database connection
+ */
+function getSubmissionsDb() {
+    static $db = null;
+
+    if ($db === null) {
+        $db = new PDO('sqlite:' . SQLITE_FILE);
+        $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+        $db->setAttribute(PDO::ATTR_DEFAULT_FETCH_MODE, PDO::FETCH_ASSOC);
+        $db->exec('PRAGMA busy_timeout = 10000');
+        $db->exec('PRAGMA journal_mode = WAL');
+        $db->exec(SQLITE_SCHEMA);
+    }
+
+    return $db;
+}
+
+/**
+ * Build the Column Values of a Submission Row
+ *
+ * @param array $submission The submission array
+ * @return array Named parameters for INSERT/UPDATE
+ */
+function getSqliteSubmissionRow(array $submission) {
+    global $FORM_PAGE_MAPPING;
+
+    return [
+        ':id' => $submission['id'],
+        ':status' => $submission['status'],
+        ':target_page_key' => $submission['target_page_key'] ?? $FORM_PAGE_MAPPING['default'],
+        ':created_at' => $submission['created_at'] ?? date('Y-m-d H:i:s'),
+        ':scheduled_at' => $submission['scheduled_at'] ?? null,
+        ':deleted_at' => ($submission['deleted_at'] ?? null) ?: null,
+        ':data' => encodeSqliteSubmission($submission)
+    ];
+}
+
+/**
+ * Encode a Submission for the "data" Column
+ *
+ * Invalid UTF-8 is replaced; any other encoding error throws a
+ * JsonException, which rolls back the transaction instead of storing an
+ * empty row.
+ *
+ * @param array $submission The submission array
+ * @return string JSON
+ */
+function encodeSqliteSubmission(array $submission) {
+    return json_encode($submission, JSON_INVALID_UTF8_SUBSTITUTE | JSON_THROW_ON_ERROR);
+}
+
+/**
+ * Insert a Submission Row
+ *
+ * @param PDO   $db         Database connection
+ * @param array $submission The submission array
+ * @return void
+ */
+function insertSqliteSubmission(PDO $db, array $submission) {
+    $db->prepare('INSERT INTO submissions (id, status, target_page_key, created_at, scheduled_at, deleted_at, data)
+                  VALUES (:id, :status, :target_page_key, :created_at, :scheduled_at, :deleted_at, :data)')
+       ->execute(getSqliteSubmissionRow($submission));
+}
+
+/**
+ * Run SQL and Decode the Submissions It Returns
+ *
+ * @param string $sql    SELECT returning the "data" column
+ * @param array  $params Query parameters
+ * @return array List of submission arrays
+ */
+function selectSqliteSubmissions($sql, array $params = []) {
+    $stmt = getSubmissionsDb()->prepare($sql);
+    $stmt->execute($params);
+
+    $submissions = [];
+    foreach ($stmt->fetchAll(PDO::FETCH_COLUMN) as $json) {
+        $submissions[] = json_decode($json, true);
+    }
+    return $submissions;
+}
+
+/**
+ * Load All Submissions From SQLite
+ *
+ * @return array List of submission arrays, in insertion order
+ */
+function sqliteLoadSubmissions() {
+    return selectSqliteSubmissions('SELECT data FROM submissions ORDER BY seq');
+}
+
+/**
+ * Load Submissions by ID From SQLite
+ *
+ * @param array $ids Submission IDs
+ * @return array The submissions found, keyed by ID
+ */
+function sqliteLoadSubmissionsById(array $ids) {
+    $submissions = selectSqliteSubmissions(
+        'SELECT data FROM submissions WHERE id IN (SELECT value FROM json_each(?)) ORDER BY seq',
+        [json_encode(array_values($ids), JSON_INVALID_UTF8_SUBSTITUTE)]
+    );
+    return array_column($submissions, null, 'id');
+}
+
+/**
+ * Load All Scheduled Submissions From SQLite
+ *
+ * @return array List of submission arrays
+ */
+function sqliteLoadScheduledSubmissions() {
+    return selectSqliteSubmissions("SELECT data FROM submissions WHERE status = 'scheduled' ORDER BY seq");
+}
+
+/**
+ * Get IDs of the Submissions Matching a Queue Filter From SQLite
+ *
+ * See loadSubmissionIds() in submissions.php. Without a search the IDs come
+ * from an indexed query; searches decode the page's submissions.
+ *
+ * @param string      $pageKey Target page key
+ * @param string|null $status  Status filter ('all' or null for any status)
+ * @param array       $search  Search parameters
+ * @return array List of submission IDs
+ */
+function sqliteFindSubmissionIds($pageKey, $status, array $search) {
+    $where = 'target_page_key = :page AND deleted_at IS NULL';
+    $params = [':page' => $pageKey];
+    if ($status !== null && $status !== 'all') {
+        $where .= ' AND status = :status';
+        $params[':status'] = $status;
+    }
+
+    if (!empty($search)) {
+        $matches = array_filter(
+            selectSqliteSubmissions("SELECT data FROM submissions WHERE $where ORDER BY seq", $params),
+            fn($sub) => submissionMatchesSearch($sub, $search)
+        );
+        return array_column($matches, 'id');
+    }
+
+    $stmt = getSubmissionsDb()->prepare("SELECT id FROM submissions WHERE $where ORDER BY seq");
+    $stmt->execute($params);
+    return $stmt->fetchAll(PDO::FETCH_COLUMN);
+}
+
+/**
+ * Find Submissions Received Since a Given One in SQLite
+ *
+ * See findNewSubmissions() in submissions.php. Only rows newer than $sinceId
+ * are read; without a search, the counts come from an indexed query.
+ *
+ * @param string      $pageKey Target page key
+ * @param string|null $sinceId Newest ID the queue has seen (null: first check)
+ * @param array       $search  Search parameters
+ * @return array See findNewSubmissions()
+ */
+function sqliteLoadNewSubmissions($pageKey, $sinceId, array $search) {
+    $db = getSubmissionsDb();
+    $where = 'target_page_key = :page AND deleted_at IS NULL';
+    $params = [':page' => $pageKey];
+
+    $stmt = $db->prepare("SELECT id FROM submissions WHERE $where ORDER BY created_at DESC, seq DESC LIMIT 1");
+    $stmt->execute($params);
+    $latest = $stmt->fetchColumn();
+
+    $new = [];
+    if ($sinceId === '') {
+        $new = selectSqliteSubmissions("SELECT data FROM submissions WHERE $where ORDER BY created_at DESC, seq DESC", $params);
+    } elseif ($sinceId !== null) {
+        $stmt = $db->prepare("SELECT seq, created_at FROM submissions WHERE $where AND id = :id");
+        $stmt->execute($params + [':id' => $sinceId]);
+        $since = $stmt->fetch();
+
+        if ($since) {
+            $new = selectSqliteSubmissions(
+                "SELECT data FROM submissions WHERE $where
+                   AND (created_at > :after OR (created_at = :same AND seq > :seq))
+                 ORDER BY created_at DESC, seq DESC",
+                $params + [':after' => $since['created_at'], ':same' => $since['created_at'], ':seq' => $since['seq']]
+            );
+        }
+    }
+
+    if (empty($search)) {
+        $counts = countSqliteStatuses($where, $params);
+    } else {
+        $new = array_values(array_filter($new, fn($sub) => submissionMatchesSearch($sub, $search)));
+        $counts = countQueueStatuses(array_filter(
+            selectSqliteSubmissions("SELECT data FROM submissions WHERE $where", $params),
+            fn($sub) => submissionMatchesSearch($sub, $search)
+        ));
+    }
+
+    return [
+        'latest' => $latest !== false ? $latest : null,
+        'new' => $new,
+        'counts' => $counts
+    ];
+}
+
+/**
+ * Count Submissions per Status Filter in SQLite
+ *
+ * @param string $where  SQL condition
+ * @param array  $params Its parameters
+ * @return array See countQueueStatuses() in submissions.php
+ */
+function countSqliteStatuses($where, array $params) {
+    $counts = array_fill_keys(QUEUE_STATUSES, 0);
+    $stmt = getSubmissionsDb()->prepare("SELECT status, COUNT(*) FROM submissions WHERE $where GROUP BY status");
+    $stmt->execute($params);
+    foreach ($stmt->fetchAll(PDO::FETCH_KEY_PAIR) as $status => $count) {
+        $counts[$status] = (int) $count;
+    }
+    return ['all' => array_sum($counts)] + $counts;
+}
+
+/**
+ * Run Writes in a Transaction
+ *
+ * "BEGIN IMMEDIATE" takes the write lock up front, so the data read inside
+ * the transaction can't change before it commits.
+ *
+ * @param callable $work function(PDO $db): void
+ * @return bool True if committed, false on a database or encoding error (logged)
+ */
+function runSqliteTransaction(callable $work) {
+    $started = false;
+
+    try {
+        $db = getSubmissionsDb();
+        $db->exec('BEGIN IMMEDIATE');
+        $started = true;
+
+        $work($db);
+
+        $db->exec('COMMIT');
+        return true;
+    } catch (PDOException | JsonException $e) {
+        if ($started) {
+            $db->exec('ROLLBACK');
+        }
+        error_log('SQLite storage: ' . $e->getMessage());
+        return false;
+    }
+}
+
+/**
+ * Change Submissions in SQLite Under a Write Lock
+ *
+ * Same contract as updateJsonFile(): the callback changes the list of all
+ * submissions. Only rows that actually changed are written. Reads every
+ * row; moderation actions use sqliteUpdateSubmissionsById() instead.
+ *
+ * @param callable $callback function(array &$submissions): void
+ * @return bool True on success
+ */
+function sqliteUpdateSubmissions(callable $callback) {
+    return runSqliteTransaction(function(PDO $db) use ($callback) {
+        [$stored, $submissions] = fetchSqliteRowsForUpdate($db->query('SELECT id, data FROM submissions ORDER BY seq'));
+
+        $callback($submissions);
+
+        writeSqliteChanges($db, $stored, $submissions);
+    });
+}
+
+/**
+ * Change Some Submissions in SQLite Under a Write Lock
+ *
+ * See updateSubmissionsById() in submissions.php. Only the rows with the
+ * given IDs (and, with $withScheduled, every scheduled row) are read, and
+ * only those that changed are written. Soft-deleted rows whose undo window
+ * has passed are removed in the same transaction.
+ *
+ * @param array    $ids           Submission IDs
+ * @param callable $callback      function(array &$submissions): void
+ * @param bool     $withScheduled Also pass every scheduled submission
+ * @return bool True on success
+ */
+function sqliteUpdateSubmissionsById(array $ids, callable $callback, $withScheduled = false) {
+    return runSqliteTransaction(function(PDO $db) use ($ids, $callback, $withScheduled) {
+        $where = 'id IN (SELECT value FROM json_each(:ids))' . ($withScheduled ? " OR status = 'scheduled'" : '');
+        $stmt = $db->prepare("SELECT id, data FROM submissions WHERE $where ORDER BY seq");
+        $stmt->execute([':ids' => json_encode(array_values($ids), JSON_INVALID_UTF8_SUBSTITUTE)]);
+        [$stored, $submissions] = fetchSqliteRowsForUpdate($stmt);
+
+        $callback($submissions);
+
+        writeSqliteChanges($db, $stored, $submissions);
+
+        // What prepareSubmissionsForSave() does for the rows not read here
+        $db->prepare("DELETE FROM submissions WHERE deleted_at IS NOT NULL
+                        AND COALESCE(json_extract(data, '$.undo.expires_at'), 0) + :grace < :now")
+           ->execute([':grace' => UNDO_GRACE_PERIOD, ':now' => time()]);
+    });
+}
+
+/**
+ * Read Rows for an Update
+ *
+ * @param iterable $rows Rows with "id" and "data"
+ * @return array [stored JSON keyed by ID, list of decoded submissions]
+ */
+function fetchSqliteRowsForUpdate($rows) {
+    $stored = [];
+    $submissions = [];
+    foreach ($rows as $row) {
+        $stored[$row['id']] = $row['data'];
+        $submissions[] = json_decode($row['data'], true);
+    }
+    return [$stored, $submissions];
+}
+
+/**
+ * Write What an Update Callback Changed
+ *
+ * New submissions are inserted, changed ones updated, and the ones the
+ * callback removed are deleted.
+ *
+ * @param PDO   $db          Database connection
+ * @param array $stored      JSON of the rows read, keyed by ID
+ * @param array $submissions The submissions after the callback
+ * @return void
+ */
+function writeSqliteChanges(PDO $db, array $stored, array $submissions) {
+    $update = $db->prepare('UPDATE submissions SET status = :status, target_page_key = :target_page_key,
+                                created_at = :created_at, scheduled_at = :scheduled_at,
+                                deleted_at = :deleted_at, data = :data
+                            WHERE id = :id');
+    foreach ($submissions as $sub) {
+        if (!isset($stored[$sub['id']])) {
+            insertSqliteSubmission($db, $sub);
+            continue;
+        }
+        if (encodeSqliteSubmission($sub) !== $stored[$sub['id']]) {
+            $update->execute(getSqliteSubmissionRow($sub));
+        }
+        unset($stored[$sub['id']]);
+    }
+
+    // Whatever is left was removed by the callback
+    $delete = $db->prepare('DELETE FROM submissions WHERE id = ?');
+    foreach (array_keys($stored) as $id) {
+        $delete->execute([$id]);
+    }
+}
+
+/**
+ * Add a Submission to SQLite
+ *
+ * See addSubmission() in submissions.php.
+ *
+ * @param array       $submission The new submission (passed by reference)
+ * @param callable    $prepare    function(array &$submission, array $recent): void, or null
+ * @param string|null $since      Oldest created_at passed to $prepare (null for all)
+ * @return bool True on success
+ */
+function sqliteAddSubmission(array &$submission, ?callable $prepare = null, $since = null) {
+    return runSqliteTransaction(function(PDO $db) use (&$submission, $prepare, $since) {
+        if ($prepare !== null) {
+            $recent = $since === null
+                ? sqliteLoadSubmissions()
+                : selectSqliteSubmissions('SELECT data FROM submissions WHERE created_at >= ? ORDER BY seq', [$since]);
+            $prepare($submission, $recent);
+        }
+
+        insertSqliteSubmission($db, $submission);
+    });
+}
+
+/**
+ * Load One Page of a Queue From SQLite
+ *
+ * See loadQueuePage() in submissions.php. Without a search, counts and the
+ * current page come straight from indexed queries. Searches match against
+ * form data, so the page's submissions are decoded and searched in PHP.
+ *
+ * @param string $pageKey Page key
+ * @param string $filter  Status filter ('all' or a status)
+ * @param array  $search  Search parameters from getSearchParams()
+ * @param int    $page    Requested page number (1-based)
+ * @param int    $perPage Submissions per page
+ * @return array Queue page data (see loadQueuePage())
+ */
+function sqliteLoadQueuePage($pageKey, $filter, array $search, $page, $perPage) {
+    $db = getSubmissionsDb();
+    $where = 'target_page_key = :page AND deleted_at IS NULL';
+    $params = [':page' => $pageKey];
+    $order = $filter === 'scheduled' ? 'scheduled_at, created_at DESC, seq' : 'created_at DESC, seq';
+
+    // Form fields for the advanced search
+    $stmt = $db->prepare("SELECT DISTINCT f.key FROM submissions, json_each(submissions.data, '$.form_data') AS f
+                          WHERE $where ORDER BY f.key");
+    $stmt->execute($params);
+    $fields = $stmt->fetchAll(PDO::FETCH_COLUMN);
+
+    if (!empty($search)) {
+        $matches = array_filter(
+            selectSqliteSubmissions("SELECT data FROM submissions WHERE $where ORDER BY $order", $params),
+            fn($sub) => submissionMatchesSearch($sub, $search)
+        );
+        $result = paginateQueueSubmissions($matches, $filter, $page, $perPage);
+    } else {
+        $counts = countSqliteStatuses($where, $params);
+
+        $total = $counts[$filter] ?? 0;
+        $totalPages = max(1, (int) ceil($total / $perPage));
+        $page = min(max(1, $page), $totalPages);
+
+        $statusWhere = $filter === 'all' ? '' : ' AND status = :status';
+        $statusParams = $filter === 'all' ? [] : [':status' => $filter];
+        $limit = sprintf('LIMIT %d OFFSET %d', $perPage, ($page - 1) * $perPage);
+        $result = [
+            'submissions' => selectSqliteSubmissions(
+                "SELECT data FROM submissions WHERE $where$statusWhere ORDER BY $order $limit",
+                $params + $statusParams
+            ),
+            'total' => $total,
+            'page' => $page,
+            'total_pages' => $totalPages,
+            'counts' => $counts
+        ];
+    }
+
+    $result['scheduled'] = $filter === 'scheduled'
+        ? selectSqliteSubmissions("SELECT data FROM submissions WHERE $where AND status = 'scheduled' ORDER BY seq", $params)
+        : [];
+    $result['fields'] = $fields;
+
+    return $result;
+}
@@ -0,0 +1,305 @@
+<?php
+/**
+ * JSON File Storage
+ *
+ * DESCRIPTION:
+ * Safe reading and writing of the JSON data files (submissions.json,
+ * rate-limit.json). Every writer goes through this module, so two webhooks
+ * arriving together, or a moderator action during a webhook, can no longer
+ * overwrite each other's changes. (With the SQLite backend, submissions are
+ * stored by sqlite-storage.php instead.)
+ *
+ * LOCKING:
+ * A lock file next to the data file ("submissions.json.lock") is locked with
+ * flock(): shared for reads, exclusive for read-modify-write. (The data file
+ * itself can't carry the lock, because it is replaced on every write.)
+ *
+ * ATOMIC WRITES:
+ * Data is written to a temporary file in the same directory and renamed
+ * over the data file, so readers see either the old or the new file, never
+ * a half-written one.
+ *
+ * BACKUPS:
+ * Before a write, the current file is copied to
+ * "submissions-backup-YYYYmmdd-His.json" if the newest backup is older than
+ * STORAGE_BACKUP_INTERVAL. The newest STORAGE_BACKUP_COUNT backups are kept.
+ *
+ * CORRUPT FILES:
+ * If a data file can't be decoded, it is moved aside
+ * ("submissions-corrupt-YYYYmmdd-His.json") and the newest readable backup
+ * is restored, instead of starting over with an empty list that the next
+ * write would save over everything.
+ *
+ * USAGE:
+ *   $data = readJsonFile(DATA_FILE);
+ *   updateJsonFile(DATA_FILE, function(array &$data) {
+ *       $data[] = $newItem;
+ *   });
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Number of Rolling Backups to Keep
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('STORAGE_BACKUP_COUNT')) {
+    define('STORAGE_BACKUP_COUNT', 24);
+}
+
+/**
+ * Minimum Time Between Backups (seconds)
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('STORAGE_BACKUP_INTERVAL')) {
+    define('STORAGE_BACKUP_INTERVAL', 3600);
+}
+
+/**
+ * Open and Lock the Lock File of a Data File
+ *
+ * @param string $file      Data file path
+ * @param int    $operation LOCK_SH or LOCK_EX
+ * @return resource|false Lock handle (pass to unlockJsonFile()), or false
+ */
+function lockJsonFile($file, $operation) {
+    $lock = fopen($file . '.lock', 'c');
+    if (!$lock) {
+        return false;
+    }
+    if (!flock($lock, $operation)) {
+        fclose($lock);
+        return false;
+    }
+    return $lock;
+}
+
+/**
+ * Release a Lock From lockJsonFile()
+ *
+ * @param resource $lock Lock handle
+ * @return void
+ */
+function unlockJsonFile($lock) {
+    flock($lock, LOCK_UN);
+    fclose($lock);
+}
+
+/**
+ * Read a JSON Data File
+ *
+ * @param string $file Data file path
+ * @return array Decoded data (empty if the file doesn't exist yet)
+ */
+function readJsonFile($file) {
+    $lock = lockJsonFile($file, LOCK_SH);
+    $data = decodeJsonFile($file);
+
+    // Corrupt: take the exclusive lock to recover (re-checks, another
+    // request may have recovered it meanwhile)
+    if ($data === null && $lock && flock($lock, LOCK_EX)) {
+        $data = decodeJsonFile($file) ?? recoverJsonFile($file);
+    }
+
+    if ($lock) {
+        unlockJsonFile($lock);
+    }
+    return $data ?? [];
+}
+
+/**
+ * Replace a JSON Data File
+ *
+ * Prefer updateJsonFile() when the new data depends on the current data.
+ *
+ * @param string $file   Data file path
+ * @param array  $data   Data to write
+ * @param bool   $backup Keep rolling backups of this file
+ * @return bool True on success
+ */
+function writeJsonFile($file, array $data, $backup = true) {
+    return updateJsonFile($file, function(array &$current) use ($data) {
+        $current = $data;
+    }, $backup);
+}
+
+/**
+ * Read, Modify and Write a JSON Data File Under an Exclusive Lock
+ *
+ * The callback receives the current data by reference and changes it.
+ * Other readers and writers wait until the new file is in place.
+ *
+ * @param string   $file     Data file path
+ * @param callable $callback function(array &$data): void
+ * @param bool     $backup   Keep rolling backups of this file
+ * @return bool True if the data was written
+ */
+function updateJsonFile($file, callable $callback, $backup = true) {
+    $lock = lockJsonFile($file, LOCK_EX);
+    if (!$lock) {
+        error_log("Storage: could not lock $file");
+        return false;
+    }
+
+    $data = decodeJsonFile($file) ?? recoverJsonFile($file) ?? [];
+    $callback($data);
+
+    // Invalid UTF-8 (e.g. from a form field) is replaced, not a reason to fail;
+    // if encoding still fails, the file is left as it is
+    $json = json_encode($data, JSON_PRETTY_PRINT | JSON_INVALID_UTF8_SUBSTITUTE);
+    if ($json === false) {
+        error_log("Storage: could not encode $file: " . json_last_error_msg());
+        unlockJsonFile($lock);
+        return false;
+    }
+
+    if ($backup) {
+        backupJsonFile($file);
+    }
+    $saved = replaceFileAtomically($file, $json);
+
+    unlockJsonFile($lock);
+    return $saved;
+}
+
+/**
+ * Decode a JSON Data File
+ *
+ * The caller must hold the lock.
+ *
+ * @param string $file Data file path
+ * @return array|null Decoded data ([] if missing or empty), or null if corrupt
+ */
+function decodeJsonFile($file) {
+    if (!file_exists($file)) {
+        return [];
+    }
+
+    $json = file_get_contents($file);
+    if ($json === false) {
+        return null;
+    }
+    if (trim($json) === '') {
+        return [];
+    }
+
+    $data = json_decode($json, true);
+    return is_array($data) ? $data : null;
+}
+
+/**
+ * Recover a Corrupt JSON Data File From Its Newest Readable Backup
+ *
+ * The corrupt file is kept next to the backups for inspection. The caller
+ * must hold the exclusive lock.
+ *
+ * @param string $file Data file path
+ * @return array|null Restored data, or null if no backup could be read
+ */
+function recoverJsonFile($file) {
+    $corrupt = getJsonFileSibling($file, 'corrupt-' . date('Ymd-His'));
+    rename($file, $corrupt);
+    error_log("Storage: $file could not be decoded, moved to $corrupt");
+
+    foreach (array_reverse(listJsonFileBackups($file)) as $backupFile) {
+        $data = decodeJsonFile($backupFile);
+        if ($data !== null && replaceFileAtomically($file, file_get_contents($backupFile))) {
+            error_log("Storage: restored $file from $backupFile");
+            return $data;
+        }
+    }
+
+    error_log("Storage: no readable backup of $file, starting empty");
+    return null;
+}
+
+/**
+ * Make a Rolling Backup of a Data File (if one is due)
+ *
+ * @param string $file Data file path
+ * @return void
+ */
+function backupJsonFile($file) {
+    if (!file_exists($file)) {
+        return;
+    }
+
+    $backups = listJsonFileBackups($file);
+    $newest = end($backups);
+    if ($newest && filemtime($newest) > time() - STORAGE_BACKUP_INTERVAL) {
+        return;
+    }
+
+    $backupFile = getJsonFileSibling($file, 'backup-' . date('Ymd-His'));
+    if (!copy($file, $backupFile)) {
+        error_log("Storage: could not back up $file");
+        return;
+    }
+    $backups[] = $backupFile;
+
+    // Drop the oldest backups
+    foreach (array_slice($backups, 0, max(0, count($backups) - STORAGE_BACKUP_COUNT)) as $old) {
+        unlink($old);
+    }
+}
+
+/**
+ * List the Backups of a Data File
+ *
+ * @param string $file Data file path
+ * @return array Backup file paths, oldest first
+ */
+function listJsonFileBackups($file) {
+    $backups = glob(getJsonFileSibling($file, 'backup-*')) ?: [];
+    sort($backups);
+    return $backups;
+}
+
+/**
+ * Build the Path of a File Stored Next to a Data File
+ *
+ * Example: ('/x/submissions.json', 'backup-20251101-120000')
+ *          → '/x/submissions-backup-20251101-120000.json'
+ *
+ * @param string $file   Data file path
+ * @param string $suffix Name suffix
+ * @return string File path
+ */
+function getJsonFileSibling($file, $suffix) {
+    $info = pathinfo($file);
+    $extension = isset($info['extension']) ? '.' . $info['extension'] : '';
+    return $info['dirname'] . '/' . $info['filename'] . '-' . $suffix . $extension;
+}
+
+/**
+ * Write a File via a Temporary File and rename()
+ *
+ * @param string $file     Target file path
+ * @param string $contents File contents
+ * @return bool True on success
+ */
+function replaceFileAtomically($file, $contents) {
+    $tmp = $file . '.' . bin2hex(random_bytes(4)) . '.tmp';
+
+    if (file_put_contents($tmp, $contents) !== strlen($contents)) {
+        @unlink($tmp);
+        error_log("Storage: could not write $tmp");
+        return false;
+    }
+
+    // Keep the permissions of the file being replaced
+    if (file_exists($file)) {
+        chmod($tmp, fileperms($file) & 0777);
+    }
+
+    if (!rename($tmp, $file)) {
+        @unlink($tmp);
+        error_log("Storage: could not replace $file");
+        return false;
+    }
+
+    return true;
+}
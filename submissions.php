@@ -0,0 +1,1298 @@
+<?php
+/**
+ * Submission Storage and Moderation Actions
+ *
+ * DESCRIPTION:
+ * Shared helpers for loading/saving submissions.json and applying moderation
+ * actions (approve, reject, publish, retry, delete, change_page, undo, edit,
+ * attach, schedule, unschedule, spam, not_spam) to submissions.
+ * Used by the queue pages for classic form posts and by api.php for
+ * asynchronous requests, so both paths behave identically.
+ *
+ * REQUIRES:
+ * config.php (DATA_FILE, $FACEBOOK_PAGES), storage.php (locked JSON file
+ * access), sqlite-storage.php (optional SQLite backend), history.php
+ * (recordSubmissionHistory), facebook.php (publishToFacebook),
+ * publish-retry.php (recordPublishFailure), attachments.php
+ * (setSubmissionAttachment) and schedule.php (scheduleSubmission).
+ *
+ * STORAGE:
+ * Submissions live in submissions.json, or in SQLite when STORAGE_BACKEND
+ * is 'sqlite' (see sqlite-storage.php). Only the storage functions below
+ * (loadSubmissions() to loadQueuePage()) know which one is used.
+ *
+ * ACTION RESULT FORMAT:
+ * applySubmissionAction() returns one result per submission:
+ * {
+ *   "id": "sub_xxx",
+ *   "action": "publish",
+ *   "success": true,
+ *   "status": "published",
+ *   "error": null,
+ *   "error_code": null,
+ *   "error_type": null,
+ *   "error_detail": null,
+ *   "retry_at": null,
+ *   "fb_post_id": "111290850258093_987654321",
+ *   "target_page_key": "page1",
+ *   "scheduled_at": null,
+ *   "deleted": false,
+ *   "history": { "action": "publish", "by": "admin", ... }
+ * }
+ *
+ * error_code is the Facebook error code of a failed publish (e.g. 368 when
+ * rate limited) so the client can stop a batch early; error_type is its kind
+ * and error_detail the text for the card (see publish-retry.php). retry_at
+ * is the time of the next automatic retry, if any. history is the entry
+ * added to the submission's history (see history.php), or null if nothing
+ * changed.
+ *
+ * UNDO:
+ * Reject, spam and delete can be undone for UNDO_WINDOW seconds. They store an
+ * "undo" record on the submission:
+ *   "undo": { "action": "reject", "previous_status": "pending", "expires_at": 1730000000 }
+ * Delete is a soft delete: the submission gets a "deleted_at" timestamp, is
+ * hidden everywhere, and is only removed from submissions.json by
+ * the next save once its undo window has passed.
+ *
+ * EDITING:
+ * The "edit" action replaces $sub['message'] (which is what gets published).
+ * The text as received is kept in "original_message" on the first edit, and
+ * every edit appends the text it replaced to "edit_history":
+ *   "original_message": "Text as submitted",
+ *   "edit_history": [ { "previous_message": "...", "edited_at": "2024-10-31 12:34:56" } ]
+ * Edit results also include "message" and "original_message".
+ *
+ * ATTACHMENTS:
+ * "attach" chooses the image or link published with the message (params:
+ * attachment = one of the submission's attachment URLs, "none" for text
+ * only, or empty for the page's default). "publish" accepts the same
+ * parameter, like target_page_key. See attachments.php. Attach and publish
+ * results also include "attachment" (the saved choice, null for the default).
+ *
+ * SCHEDULING:
+ * "schedule" sets the "scheduled" status and "scheduled_at" (params:
+ * publish_at = a time or "next" for the page's next free posting slot).
+ * "unschedule" moves a scheduled submission back to approved.
+ * See schedule.php.
+ *
+ * PUBLISH FAILURES:
+ * A failed publish is retried automatically or marks the submission
+ * "failed" (see publish-retry.php). "retry" publishes a failed submission
+ * again with a new attempt count. Publishing to a page whose token Facebook
+ * rejected is refused without contacting Facebook.
+ *
+ * SPAM:
+ * The receiver gives likely spam the "spam" status (see spam.php).
+ * "spam" marks a submission as spam by hand; "not_spam" moves a spam
+ * submission back to pending.
+ *
+ * SEARCH:
+ * Queue lists can be narrowed with search parameters (see getSearchParams()):
+ *   q            words that must all appear in the ID, message, email, IP or any form field
+ *   email, ip    part of the email address / IP address
+ *   from, to     created_at date range (Y-m-d, inclusive)
+ *   field        a form_data field name; with field_value, the field must contain it
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Supported Search Parameters
+ */
+const SEARCH_PARAMS = ['q', 'email', 'ip', 'from', 'to', 'field', 'field_value'];
+
+/**
+ * Statuses With a Tab (and a count) in the Queue
+ */
+const QUEUE_STATUSES = ['pending', 'approved', 'published', 'rejected', 'scheduled', 'spam', 'failed'];
+
+/**
+ * Statuses That Can Be Published
+ *
+ * Published submissions are already on Facebook; rejected and spam ones
+ * must be moved back first.
+ */
+const PUBLISHABLE_STATUSES = ['pending', 'approved', 'scheduled', 'failed'];
+
+/**
+ * Supported Moderation Actions
+ *
+ * Batch variants (batch_approve, batch_reject, ...) are accepted too and
+ * mapped onto these by stripping the "batch_" prefix.
+ */
+const SUBMISSION_ACTIONS = [
+    'approve', 'reject', 'publish', 'delete', 'change_page', 'undo', 'edit', 'schedule', 'unschedule',
+    'spam', 'not_spam', 'retry', 'attach'
+];
+
+/**
+ * Undo Window (seconds)
+ *
+ * How long a reject, spam or delete can be undone. The queue's "Undo" toast stays
+ * visible for the same duration. Override in config.php if needed.
+ */
+if (!defined('UNDO_WINDOW')) {
+    define('UNDO_WINDOW', 10);
+}
+
+/**
+ * How Long a Publish Claim Holds (seconds)
+ *
+ * A submission being published carries a "publishing_since" marker (see
+ * claimSubmissionPublish()) so a second publisher leaves it alone. A marker
+ * older than this is from a request that died mid-publish and is ignored.
+ * Must be longer than a Graph API call can take (see FACEBOOK_TIMEOUT in
+ * facebook.php). Override in config.php if needed.
+ */
+if (!defined('PUBLISH_CLAIM_TIMEOUT')) {
+    define('PUBLISH_CLAIM_TIMEOUT', 300);
+}
+
+/**
+ * Grace Period for Undo Requests (seconds)
+ *
+ * Added on top of UNDO_WINDOW so an undo clicked at the very end of the
+ * toast's lifetime still succeeds despite network latency.
+ */
+const UNDO_GRACE_PERIOD = 5;
+
+/**
+ * Load All Submissions
+ *
+ * For reading only. Changes must go through updateSubmissions(), so they
+ * can't overwrite a submission stored by a webhook in the meantime.
+ *
+ * @return array List of submission arrays (empty if none are stored yet)
+ */
+function loadSubmissions() {
+    return isSqliteStorage() ? sqliteLoadSubmissions() : readJsonFile(DATA_FILE);
+}
+
+/**
+ * Load Submissions by ID
+ *
+ * For reading only, like loadSubmissions().
+ *
+ * @param array $ids Submission IDs
+ * @return array The submissions found, keyed by ID
+ */
+function loadSubmissionsById(array $ids) {
+    $ids = array_values(array_filter($ids, 'is_string'));
+    if (isSqliteStorage()) {
+        return sqliteLoadSubmissionsById($ids);
+    }
+
+    $wanted = array_flip($ids);
+    $found = array_filter(loadSubmissions(), fn($sub) => isset($wanted[$sub['id']]));
+    return array_column($found, null, 'id');
+}
+
+/**
+ * Load All Scheduled Submissions
+ *
+ * For finding free posting slots (see findFreeSlots() in schedule.php).
+ *
+ * @return array List of submission arrays
+ */
+function loadScheduledSubmissions() {
+    if (isSqliteStorage()) {
+        return sqliteLoadScheduledSubmissions();
+    }
+    return array_values(array_filter(loadSubmissions(), fn($sub) => $sub['status'] === 'scheduled'));
+}
+
+/**
+ * Get IDs of All Submissions Matching a Queue Filter
+ *
+ * Like findSubmissionIds(), straight from storage.
+ *
+ * @param string      $pageKey Target page key
+ * @param string|null $status  Status filter ('all' or null for any status)
+ * @param array       $search  Search parameters (optional)
+ * @return array List of submission IDs
+ */
+function loadSubmissionIds($pageKey, $status = null, array $search = []) {
+    if (isSqliteStorage()) {
+        return sqliteFindSubmissionIds($pageKey, $status, $search);
+    }
+    return findSubmissionIds(loadSubmissions(), $pageKey, $status, $search);
+}
+
+/**
+ * Load the Submissions a Queue Hasn't Seen Yet
+ *
+ * See findNewSubmissions(); with SQLite only the newer rows are read.
+ *
+ * @param string      $pageKey Target page key
+ * @param string|null $sinceId Newest ID the queue has seen (null: first check)
+ * @param array       $search  Search parameters (optional)
+ * @return array See findNewSubmissions()
+ */
+function loadNewSubmissions($pageKey, $sinceId, array $search = []) {
+    if (isSqliteStorage()) {
+        return sqliteLoadNewSubmissions($pageKey, $sinceId, $search);
+    }
+    return findNewSubmissions(loadSubmissions(), $pageKey, $sinceId, $search);
+}
+
+/**
+ * Save All Submissions
+ *
+ * Replaces all stored submissions. Prefer updateSubmissions(), which reads
+ * the current data under the same lock.
+ *
+ * @param array $submissions List of submission arrays
+ * @return bool True on success, false if they could not be written
+ */
+function saveSubmissions(array $submissions) {
+    return updateSubmissions(function(array &$current) use ($submissions) {
+        $current = $submissions;
+    });
+}
+
+/**
+ * Change Submissions Under an Exclusive Lock
+ *
+ * Loads the current submissions, passes them to the callback and saves the
+ * result, with other writers waiting in between.
+ *
+ * Never call Facebook in the callback: everyone else waits for it
+ * (moderation actions go through runSubmissionAction()).
+ *
+ * USAGE:
+ *   updateSubmissions(function(array &$submissions) use ($newSubmission) {
+ *       $submissions[] = $newSubmission;
+ *   });
+ *
+ * @param callable $callback function(array &$submissions): void
+ * @return bool True on success, false if they could not be written
+ */
+function updateSubmissions(callable $callback) {
+    $update = function(array &$submissions) use ($callback) {
+        $callback($submissions);
+        $submissions = prepareSubmissionsForSave($submissions);
+    };
+
+    return isSqliteStorage() ? sqliteUpdateSubmissions($update) : updateJsonFile(DATA_FILE, $update);
+}
+
+/**
+ * Change Some Submissions Under an Exclusive Lock
+ *
+ * Like updateSubmissions(), for callbacks that only touch the submissions
+ * with the given IDs: the callback gets at least those (and every scheduled
+ * submission with $withScheduled, for finding free slots). With SQLite
+ * nothing else is read or written; the JSON file is always rewritten whole.
+ *
+ * @param array    $ids           Submission IDs
+ * @param callable $callback      function(array &$submissions): void
+ * @param bool     $withScheduled Also pass every scheduled submission
+ * @return bool True on success, false if they could not be written
+ */
+function updateSubmissionsById(array $ids, callable $callback, $withScheduled = false) {
+    if (!isSqliteStorage()) {
+        return updateSubmissions($callback);
+    }
+
+    $update = function(array &$submissions) use ($callback) {
+        $callback($submissions);
+        $submissions = prepareSubmissionsForSave($submissions);
+    };
+
+    return sqliteUpdateSubmissionsById(array_values(array_filter($ids, 'is_string')), $update, $withScheduled);
+}
+
+/**
+ * Store a New Submission
+ *
+ * The optional $prepare callback runs under the write lock, just before the
+ * submission is stored, and can still change it (e.g. the webhook's spam
+ * check, which compares it with recent submissions).
+ *
+ * @param array       $submission The new submission (passed by reference)
+ * @param callable    $prepare    function(array &$submission, array $recent): void (optional)
+ * @param string|null $since      Oldest created_at ('Y-m-d H:i:s') of the
+ *                                submissions passed to $prepare (null for all)
+ * @return bool True on success, false if it could not be written
+ */
+function addSubmission(array &$submission, ?callable $prepare = null, $since = null) {
+    if (isSqliteStorage()) {
+        return sqliteAddSubmission($submission, $prepare, $since);
+    }
+
+    return updateJsonFile(DATA_FILE, function(array &$submissions) use (&$submission, $prepare, $since) {
+        if ($prepare !== null) {
+            $recent = $since === null
+                ? $submissions
+                : array_filter($submissions, fn($sub) => ($sub['created_at'] ?? '') >= $since);
+            $prepare($submission, array_values($recent));
+        }
+        $submissions[] = $submission;
+    });
+}
+
+/**
+ * Load One Page of a Queue
+ *
+ * Everything queue.php shows for a page, status tab and search.
+ *
+ * RETURN VALUE:
+ * [
+ *   'submissions' => [ ... ],    (the requested page, newest first; the
+ *                                 Scheduled tab is ordered by scheduled_at)
+ *   'total' => 42,               (submissions matching tab and search)
+ *   'page' => 1,                 (requested page, limited to total_pages)
+ *   'total_pages' => 5,
+ *   'counts' => [ 'all' => 60, 'pending' => 42, ... ],   (matching the search)
+ *   'scheduled' => [ ... ],      (all scheduled submissions of the page, for
+ *                                 the timeline; only for the Scheduled tab)
+ *   'fields' => [ 'email-1', ... ]   (form fields, for the advanced search)
+ * ]
+ *
+ * @param string $pageKey Page key
+ * @param string $filter  Status filter ('all' or a status)
+ * @param array  $search  Search parameters from getSearchParams()
+ * @param int    $page    Requested page number (1-based)
+ * @param int    $perPage Submissions per page
+ * @return array Queue page data
+ */
+function loadQueuePage($pageKey, $filter, array $search, $page, $perPage) {
+    if (isSqliteStorage()) {
+        return sqliteLoadQueuePage($pageKey, $filter, $search, $page, $perPage);
+    }
+
+    // Newest first; soft-deleted submissions are hidden
+    $submissions = array_filter(loadSubmissions(), fn($sub) => submissionMatchesFilter($sub, $pageKey));
+    usort($submissions, fn($a, $b) => strtotime($b['created_at']) - strtotime($a['created_at']));
+
+    $matches = empty($search)
+        ? $submissions
+        : array_filter($submissions, fn($sub) => submissionMatchesSearch($sub, $search));
+
+    // Earliest first instead of newest first
+    if ($filter === 'scheduled') {
+        usort($matches, fn($a, $b) => strcmp($a['scheduled_at'] ?? '', $b['scheduled_at'] ?? ''));
+    }
+
+    $result = paginateQueueSubmissions($matches, $filter, $page, $perPage);
+    $result['scheduled'] = $filter === 'scheduled'
+        ? array_values(array_filter($submissions, fn($sub) => $sub['status'] === 'scheduled'))
+        : [];
+    $result['fields'] = getFormDataFieldNames($submissions);
+
+    return $result;
+}
+
+/**
+ * Count, Filter and Paginate a Queue's Submissions
+ *
+ * Used by loadQueuePage() (and its SQLite variant when searching).
+ *
+ * @param array  $submissions The page's sorted submissions matching the search
+ * @param string $filter      Status filter ('all' or a status)
+ * @param int    $page        Requested page number (1-based)
+ * @param int    $perPage     Submissions per page
+ * @return array 'submissions', 'total', 'page', 'total_pages' and 'counts' (see loadQueuePage())
+ */
+function paginateQueueSubmissions(array $submissions, $filter, $page, $perPage) {
+    $counts = countQueueStatuses($submissions);
+
+    if ($filter !== 'all') {
+        $submissions = array_filter($submissions, fn($sub) => $sub['status'] === $filter);
+    }
+
+    $total = count($submissions);
+    $totalPages = max(1, (int) ceil($total / $perPage));
+    $page = min(max(1, $page), $totalPages);
+
+    return [
+        'submissions' => array_slice(array_values($submissions), ($page - 1) * $perPage, $perPage),
+        'total' => $total,
+        'page' => $page,
+        'total_pages' => $totalPages,
+        'counts' => $counts
+    ];
+}
+
+/**
+ * Count Submissions per Status Filter
+ *
+ * @param array $submissions The page's submissions matching the search
+ * @return array Filter => count ('all' plus every status in QUEUE_STATUSES)
+ */
+function countQueueStatuses(array $submissions) {
+    $counts = ['all' => count($submissions)] + array_fill_keys(QUEUE_STATUSES, 0);
+    foreach ($submissions as $sub) {
+        $counts[$sub['status']] = ($counts[$sub['status']] ?? 0) + 1;
+    }
+    return $counts;
+}
+
+/**
+ * Prepare Submissions for Saving
+ *
+ * Permanently removes soft-deleted submissions whose undo window has passed
+ * and re-indexes the array (deletions leave gaps).
+ *
+ * @param array $submissions List of submission arrays
+ * @return array Submissions to write
+ */
+function prepareSubmissionsForSave(array $submissions) {
+    return array_values(purgeDeletedSubmissions($submissions));
+}
+
+/**
+ * Check if a Submission is Soft-Deleted
+ *
+ * Soft-deleted submissions must be hidden from every listing and count.
+ *
+ * @param array $submission The submission array
+ * @return bool True if deleted (but still within its undo window)
+ */
+function isSubmissionDeleted(array $submission) {
+    return !empty($submission['deleted_at']);
+}
+
+/**
+ * Check if a Submission Matches a Queue Filter
+ *
+ * Same rules the queue pages use to build their lists:
+ * - Soft-deleted submissions never match
+ * - Target page must match (legacy submissions use the default page)
+ * - Status must match unless the filter is "all"
+ * - Search parameters must match (see submissionMatchesSearch())
+ *
+ * @param array       $submission The submission array
+ * @param string      $pageKey    Target page key (e.g. 'page1')
+ * @param string|null $status     Status filter ('all' or null for any status)
+ * @param array       $search     Search parameters from getSearchParams() (optional)
+ * @return bool True if the submission belongs in the filtered list
+ */
+function submissionMatchesFilter(array $submission, $pageKey, $status = null, array $search = []) {
+    global $FORM_PAGE_MAPPING;
+
+    if (isSubmissionDeleted($submission)) {
+        return false;
+    }
+
+    $targetPage = $submission['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+    if ($targetPage !== $pageKey) {
+        return false;
+    }
+
+    if ($status !== null && $status !== 'all' && $submission['status'] !== $status) {
+        return false;
+    }
+
+    return empty($search) || submissionMatchesSearch($submission, $search);
+}
+
+/**
+ * Read Search Parameters from a Request
+ *
+ * Keeps only supported, non-empty parameters so they can be passed around
+ * (and put back into URLs) as-is.
+ *
+ * @param array $source $_GET or $_POST
+ * @return array Search parameters, e.g. ['q' => 'venue paarl', 'from' => '2025-10-01']
+ */
+function getSearchParams(array $source) {
+    $search = [];
+    foreach (SEARCH_PARAMS as $param) {
+        $value = trim((string) ($source[$param] ?? ''));
+        if ($value !== '') {
+            $search[$param] = $value;
+        }
+    }
+
+    // Dates must be Y-m-d
+    foreach (['from', 'to'] as $param) {
+        if (isset($search[$param]) && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $search[$param])) {
+            unset($search[$param]);
+        }
+    }
+
+    // A field value without a field has nothing to match against
+    if (!isset($search['field'])) {
+        unset($search['field_value']);
+    }
+
+    return $search;
+}
+
+/**
+ * Check if a Submission Matches Search Parameters
+ *
+ * All given parameters must match. Text matching is case-insensitive.
+ *
+ * @param array $submission The submission array
+ * @param array $search     Search parameters from getSearchParams()
+ * @return bool True if the submission matches
+ */
+function submissionMatchesSearch(array $submission, array $search) {
+    $contains = fn($haystack, $needle) => mb_stripos((string) $haystack, $needle) !== false;
+    $formData = $submission['form_data'] ?? [];
+
+    if (isset($search['q'])) {
+        $haystack = implode("\n", array_merge(
+            [$submission['id'] ?? '', $submission['message'] ?? '', $submission['email'] ?? '', $submission['ip_address'] ?? ''],
+            flattenFormData($formData)
+        ));
+        foreach (preg_split('/\s+/u', $search['q']) as $word) {
+            if (!$contains($haystack, $word)) {
+                return false;
+            }
+        }
+    }
+
+    if (isset($search['email']) && !$contains($submission['email'] ?? '', $search['email'])) {
+        return false;
+    }
+
+    if (isset($search['ip']) && !$contains($submission['ip_address'] ?? '', $search['ip'])) {
+        return false;
+    }
+
+    $date = substr($submission['created_at'] ?? '', 0, 10);
+    if (isset($search['from']) && $date < $search['from']) {
+        return false;
+    }
+    if (isset($search['to']) && $date > $search['to']) {
+        return false;
+    }
+
+    if (isset($search['field'])) {
+        $value = $formData[$search['field']] ?? null;
+        if ($value === null || $value === '' || $value === []) {
+            return false;
+        }
+        if (isset($search['field_value'])
+            && !$contains(implode("\n", flattenFormData([$value])), $search['field_value'])) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Flatten Form Data Values
+ *
+ * Forminator sends nested values for some fields (names, addresses,
+ * checkboxes); this collects every scalar value for searching.
+ *
+ * @param array $formData The submission's form_data
+ * @return array List of string values
+ */
+function flattenFormData(array $formData) {
+    $values = [];
+    array_walk_recursive($formData, function($value) use (&$values) {
+        if (is_scalar($value)) {
+            $values[] = (string) $value;
+        }
+    });
+    return $values;
+}
+
+/**
+ * Get the Extra Meta Fields Shown on a Page's Queue Cards
+ *
+ * Each page in $FACEBOOK_PAGES can list form fields to show next to the
+ * date/email/IP on its cards:
+ *   'meta_fields' => [
+ *       ['label' => 'Area', 'field' => 'name-1', 'combine' => 'name'],
+ *       ['label' => 'Datum van troue', 'field' => 'phone-1']
+ *   ]
+ *
+ * COMBINE RULES (for fields Forminator sends as arrays):
+ *   'value' (default)  the value as-is; array values joined with ", "
+ *   'name'             prefix, first, middle and last name joined with spaces
+ *   'join'             all non-empty parts joined with spaces
+ *
+ * Entries without a field are ignored; the label defaults to formatFieldName().
+ *
+ * @param string $pageKey Page key (e.g. 'page2')
+ * @return array List of ['label' => ..., 'field' => ..., 'combine' => ...]
+ */
+function getPageMetaFields($pageKey) {
+    global $FACEBOOK_PAGES;
+    return normalizeMetaFields($FACEBOOK_PAGES[$pageKey]['meta_fields'] ?? []);
+}
+
+/**
+ * Complete a List of Meta Fields
+ *
+ * @param array $entries Entries as configured; a plain string is a field name
+ * @return array See getPageMetaFields()
+ */
+function normalizeMetaFields(array $entries) {
+    $metaFields = [];
+    foreach ($entries as $metaField) {
+        if (is_string($metaField)) {
+            $metaField = ['field' => $metaField];
+        }
+        if (empty($metaField['field'])) {
+            continue;
+        }
+        $metaFields[] = [
+            'label' => $metaField['label'] ?? formatFieldName($metaField['field']),
+            'field' => $metaField['field'],
+            'combine' => $metaField['combine'] ?? 'value'
+        ];
+    }
+    return $metaFields;
+}
+
+/**
+ * Get the Display Value of a Meta Field
+ *
+ * @param array $formData  The submission's form_data
+ * @param array $metaField Meta field from getPageMetaFields()
+ * @return string Display value ('' if the field is empty or missing)
+ */
+function formatMetaFieldValue(array $formData, array $metaField) {
+    $value = $formData[$metaField['field']] ?? '';
+
+    if (!is_array($value)) {
+        return trim((string) $value);
+    }
+
+    if ($metaField['combine'] === 'name') {
+        $value = [
+            $value['prefix'] ?? '',
+            $value['first-name'] ?? '',
+            $value['middle-name'] ?? '',
+            $value['last-name'] ?? ''
+        ];
+    }
+
+    $parts = array_filter(array_map('trim', flattenFormData($value)), fn($part) => $part !== '');
+    return implode($metaField['combine'] === 'value' ? ', ' : ' ', $parts);
+}
+
+/**
+ * Format a Form Field Name for Display
+ *
+ * Drops common Forminator type prefixes and title-cases the rest:
+ * 'text-venue' => 'Venue', 'wedding_date' => 'Wedding Date'. Numbered
+ * fields keep their type: 'name-1' => 'Name 1'.
+ *
+ * @param string $fieldName Form field name
+ * @return string Human-readable name
+ */
+function formatFieldName($fieldName) {
+    // Remove common prefixes (but not from "name-1")
+    $stripped = str_replace(['text-', 'email-', 'name-', 'phone-', 'select-', 'radio-', 'checkbox-'], '', $fieldName);
+    if (!ctype_digit($stripped)) {
+        $fieldName = $stripped;
+    }
+    // Convert to title case
+    $fieldName = ucwords(str_replace(['-', '_'], ' ', $fieldName));
+    return $fieldName;
+}
+
+/**
+ * Get the Form Field Names Used by Submissions
+ *
+ * Used to offer the fields in the queue's advanced search.
+ *
+ * @param array $submissions Submissions to look at
+ * @return array Sorted, unique form_data field names
+ */
+function getFormDataFieldNames(array $submissions) {
+    $fields = [];
+    foreach ($submissions as $sub) {
+        foreach (array_keys($sub['form_data'] ?? []) as $field) {
+            $fields[$field] = true;
+        }
+    }
+    $fields = array_keys($fields);
+    sort($fields);
+    return $fields;
+}
+
+/**
+ * Get IDs of All Submissions Matching a Queue Filter
+ *
+ * Used for "select all N matching this filter" batch actions.
+ *
+ * @param array       $submissions All submissions
+ * @param string      $pageKey     Target page key
+ * @param string|null $status      Status filter ('all' or null for any status)
+ * @param array       $search      Search parameters (optional)
+ * @return array List of submission IDs
+ */
+function findSubmissionIds(array $submissions, $pageKey, $status = null, array $search = []) {
+    $ids = [];
+    foreach ($submissions as $sub) {
+        if (submissionMatchesFilter($sub, $pageKey, $status, $search)) {
+            $ids[] = $sub['id'];
+        }
+    }
+    return $ids;
+}
+
+/**
+ * Find Submissions Received Since the Newest One a Queue Has Seen
+ *
+ * Used by the queue's auto-refresh (api.php action=updates). The queue
+ * remembers its page's newest submission ID ('' while the page had none);
+ * everything the page received after it is new. If that submission is gone
+ * (deleted meanwhile), nothing counts as new and the queue simply continues
+ * from the current newest.
+ *
+ * @param array       $submissions All submissions
+ * @param string      $pageKey     Target page key
+ * @param string|null $sinceId     Newest ID the queue has seen (null: first check, nothing is new)
+ * @param array       $search      Search parameters (optional); 'latest' ignores them
+ * @return array ['latest' => newest ID of the page or null,
+ *                'new' => new submissions matching the search, newest first,
+ *                'counts' => see countQueueStatuses()]
+ */
+function findNewSubmissions(array $submissions, $pageKey, $sinceId, array $search = []) {
+    // Newest first, like the queue (and the later of two in the same second first)
+    $pageSubmissions = array_reverse(array_values(array_filter($submissions, fn($sub) => submissionMatchesFilter($sub, $pageKey))));
+    usort($pageSubmissions, fn($a, $b) => strtotime($b['created_at']) - strtotime($a['created_at']));
+
+    $sinceIndex = $sinceId === ''
+        ? count($pageSubmissions)
+        : array_search($sinceId, array_column($pageSubmissions, 'id'), true);
+    $new = $sinceId !== null && $sinceIndex !== false ? array_slice($pageSubmissions, 0, $sinceIndex) : [];
+
+    $matches = empty($search)
+        ? $pageSubmissions
+        : array_filter($pageSubmissions, fn($sub) => submissionMatchesSearch($sub, $search));
+
+    return [
+        'latest' => $pageSubmissions[0]['id'] ?? null,
+        'new' => empty($search) ? $new : array_values(array_filter($new, fn($sub) => submissionMatchesSearch($sub, $search))),
+        'counts' => countQueueStatuses($matches)
+    ];
+}
+
+/**
+ * Remove Soft-Deleted Submissions Past Their Undo Window
+ *
+ * @param array $submissions All submissions
+ * @return array Submissions without expired deletions
+ */
+function purgeDeletedSubmissions(array $submissions) {
+    $now = time();
+    return array_filter($submissions, function($sub) use ($now) {
+        if (!isSubmissionDeleted($sub)) {
+            return true;
+        }
+        $expiresAt = $sub['undo']['expires_at'] ?? 0;
+        return $expiresAt + UNDO_GRACE_PERIOD >= $now;
+    });
+}
+
+/**
+ * Normalize Action Name
+ *
+ * Maps batch action names onto their single-item equivalent.
+ * Example: "batch_publish" → "publish"
+ *
+ * @param string $action Raw action name from the request
+ * @return string|null Normalized action, or null if not supported
+ */
+function normalizeSubmissionAction($action) {
+    $action = preg_replace('/^batch_/', '', (string) $action);
+    return in_array($action, SUBMISSION_ACTIONS, true) ? $action : null;
+}
+
+/**
+ * Apply a Moderation Action to One Submission
+ *
+ * Modifies $submissions in place. The caller is responsible for saving.
+ *
+ * PUBLISH FAILURES:
+ * A failed publish stores Facebook's error on the submission and either
+ * plans an automatic retry or marks it "failed" (see recordPublishFailure()
+ * in publish-retry.php). The result reports success => false.
+ *
+ * PUBLISHING:
+ * Nothing is sent to Facebook here, because this runs under the storage
+ * lock. publish and retry record the outcome of the publishToFacebook() call
+ * made after claimSubmissionPublish(), passed as $publish (null: it wasn't
+ * sent), and release the claim. Use runSubmissionAction(), which does all
+ * three.
+ *
+ * @param array      $submissions All submissions (passed by reference)
+ * @param string     $id          Submission ID
+ * @param string     $action      Action name (single or batch_ variant)
+ * @param array      $params      Extra parameters (target_page_key for change_page
+ *                                and optionally publish, attachment for attach
+ *                                and optionally publish, message for edit,
+ *                                publish_at for schedule)
+ * @param array|null $publish     publish/retry only: result of publishToFacebook()
+ * @return array Result array (see ACTION RESULT FORMAT above)
+ */
+function applySubmissionAction(array &$submissions, $id, $action, array $params = [], ?array $publish = null) {
+    global $FACEBOOK_PAGES, $FORM_PAGE_MAPPING;
+
+    $action = normalizeSubmissionAction($action);
+    $result = [
+        'id' => $id,
+        'action' => $action,
+        'success' => false,
+        'status' => null,
+        'error' => null,
+        'error_code' => null,
+        'error_type' => null,
+        'error_detail' => null,
+        'retry_at' => null,
+        'fb_post_id' => null,
+        'target_page_key' => null,
+        'scheduled_at' => null,
+        'deleted' => false,
+        'history' => null
+    ];
+
+    if ($action === null) {
+        $result['error'] = 'Unknown action';
+        return $result;
+    }
+
+    foreach ($submissions as &$sub) {
+        // Soft-deleted submissions can only be restored
+        if ($sub['id'] !== $id || (isSubmissionDeleted($sub) && $action !== 'undo')) {
+            continue;
+        }
+
+        $result['success'] = true;
+
+        $previousStatus = $sub['status'];
+        $previousPageKey = $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+        $previousMessage = $sub['message'];
+        $previousAttachment = $sub['attachment'] ?? null;
+
+        if ($action === 'undo') {
+            $result = undoSubmissionAction($sub, $result);
+            if ($result['success']) {
+                $result['history'] = recordSubmissionHistory($sub, 'undo', $previousStatus);
+            }
+            return $result;
+        }
+
+        // Any new action replaces the previous undo record
+        unset($sub['undo']);
+
+        if ($action === 'approve') {
+            $sub['status'] = 'approved';
+        } elseif ($action === 'reject') {
+            $sub['status'] = 'rejected';
+            $sub['undo'] = createUndoRecord('reject', $previousStatus);
+        } elseif ($action === 'spam' || $action === 'not_spam') {
+            $error = $action === 'spam'
+                ? markSubmissionSpam($sub)
+                : unmarkSubmissionSpam($sub);
+            if ($error) {
+                $result['success'] = false;
+                $result['error'] = $error;
+            }
+        } elseif ($action === 'delete') {
+            $sub['deleted_at'] = date('Y-m-d H:i:s');
+            $sub['undo'] = createUndoRecord('delete', $previousStatus);
+            $result['deleted'] = true;
+            $result['history'] = recordSubmissionHistory($sub, 'delete', $previousStatus);
+            return $result;
+        } elseif ($action === 'publish' || $action === 'retry') {
+            // Sent: record the outcome whatever happened to the submission meanwhile
+            if ($publish !== null) {
+                unset($sub['publishing_since']);
+            }
+            $error = prepareSubmissionPublish($sub, $action, $params, $publish === null);
+
+            // Not claimed by claimSubmissionPublish(): say why
+            if ($error === null && $publish === null) {
+                $error = 'The submission changed while it was being published. Please try again.';
+            }
+            if ($error !== null) {
+                $result['success'] = false;
+                $result['error'] = $error;
+                $result['status'] = $sub['status'];
+                return $result;
+            }
+
+            $pageKey = $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+            if ($publish['success']) {
+                $sub['status'] = 'published';
+                $sub['fb_post_id'] = $publish['post_id'];
+                $sub['published_at'] = date('Y-m-d H:i:s');
+                clearPublishFailure($sub);
+                resumePagePublishing($pageKey);
+            } else {
+                recordPublishFailure($sub, $publish);
+                $result['success'] = false;
+                $result['error_code'] = $publish['error_code'] ?? null;
+            }
+            $result['attachment'] = $sub['attachment'] ?? null;
+        } elseif ($action === 'edit') {
+            $error = editSubmissionMessage($sub, $params['message'] ?? '');
+            if ($error) {
+                $result['success'] = false;
+                $result['error'] = $error;
+            }
+            $result['message'] = $sub['message'];
+            $result['original_message'] = $sub['original_message'] ?? null;
+        } elseif ($action === 'attach') {
+            $error = setSubmissionAttachment($sub, $params['attachment'] ?? '');
+            if ($error) {
+                $result['success'] = false;
+                $result['error'] = $error;
+            }
+            $result['attachment'] = $sub['attachment'] ?? null;
+        } elseif ($action === 'schedule' || $action === 'unschedule') {
+            $error = $action === 'schedule'
+                ? scheduleSubmission($sub, $submissions, $params['publish_at'] ?? 'next')
+                : unscheduleSubmission($sub);
+            if ($error) {
+                $result['success'] = false;
+                $result['error'] = $error;
+            }
+        } elseif ($action === 'change_page') {
+            // Change target Facebook page
+            $newPageKey = $params['target_page_key'] ?? '';
+            if (isset($FACEBOOK_PAGES[$newPageKey])) {
+                $sub['target_page_key'] = $newPageKey;
+            } else {
+                $result['success'] = false;
+                $result['error'] = 'Invalid target page: ' . $newPageKey;
+            }
+        }
+
+        // History: everything that changed something, and every publish attempt
+        $unchanged = ($action === 'edit' && $sub['message'] === $previousMessage)
+            || ($action === 'attach' && ($sub['attachment'] ?? null) === $previousAttachment);
+        if (($result['success'] && !$unchanged) || $action === 'publish' || $action === 'retry') {
+            $pageKey = $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+            $result['history'] = recordSubmissionHistory($sub, $action, $previousStatus, [
+                'page_from' => $pageKey !== $previousPageKey ? $previousPageKey : null,
+                'page_to' => $pageKey !== $previousPageKey ? $pageKey : null,
+                'scheduled_at' => $action === 'schedule' ? ($sub['scheduled_at'] ?? null) : null,
+                'error' => $result['success'] ? null : ($result['error'] ?? $sub['error'] ?? null),
+                'retry_at' => $result['success'] ? null : ($sub['retry_at'] ?? null)
+            ]);
+        }
+
+        $result['status'] = $sub['status'];
+        $result['error'] = $result['error'] ?? ($sub['error'] ?? null);
+        $result['fb_post_id'] = $sub['fb_post_id'] ?? null;
+        $result['target_page_key'] = $sub['target_page_key'] ?? null;
+        $result['scheduled_at'] = $sub['scheduled_at'] ?? null;
+        if ($result['error'] !== null && $result['error'] === ($sub['error'] ?? null)) {
+            $result['error_type'] = $sub['error_type'] ?? null;
+            $result['error_detail'] = describePublishError($sub);
+        }
+        $result['retry_at'] = $sub['status'] === 'approved' ? ($sub['retry_at'] ?? null) : null;
+        return $result;
+    }
+
+    $result['error'] = 'Submission not found';
+    return $result;
+}
+
+/**
+ * Check Whether a Submission's Status Allows Publishing
+ *
+ * @param array $sub The submission
+ * @return string|null Error message, or null if it can be published
+ */
+function checkPublishableStatus(array $sub) {
+    // Never post the same submission twice (e.g. "select all" on the All tab)
+    if ($sub['status'] === 'published') {
+        return 'Already published';
+    }
+    if (!in_array($sub['status'], PUBLISHABLE_STATUSES, true)) {
+        return 'Only pending, approved, scheduled or failed submissions can be published';
+    }
+    return null;
+}
+
+/**
+ * Check and Prepare a Submission for Publishing
+ *
+ * Applies the target page and attachment chosen when publishing from the
+ * preview, and starts a retry's attempt count again.
+ *
+ * @param array  $sub    The submission (passed by reference)
+ * @param string $action 'publish' or 'retry'
+ * @param array  $params target_page_key and attachment (both optional)
+ * @param bool   $check  Refuse submissions that can't be published now (not
+ *                       when saving a publish that already happened)
+ * @return string|null Error message, or null if it can be published
+ */
+function prepareSubmissionPublish(array &$sub, $action, array $params, $check = true) {
+    global $FACEBOOK_PAGES, $FORM_PAGE_MAPPING;
+
+    if ($check) {
+        $error = checkPublishableStatus($sub);
+        if ($error !== null) {
+            return $error;
+        }
+        if ($action === 'retry' && $sub['status'] !== 'failed' && empty($sub['retry_at'])) {
+            return 'Only failed submissions can be retried';
+        }
+        if (isSubmissionPublishing($sub)) {
+            return 'This submission is already being published';
+        }
+    }
+
+    // Publishing from the preview may also pick the target page
+    $newPageKey = $params['target_page_key'] ?? '';
+    if ($newPageKey !== '') {
+        if (!isset($FACEBOOK_PAGES[$newPageKey])) {
+            return 'Invalid target page: ' . $newPageKey;
+        }
+        $sub['target_page_key'] = $newPageKey;
+    }
+
+    // ... and the image or link to attach
+    if (isset($params['attachment'])) {
+        $error = setSubmissionAttachment($sub, $params['attachment']);
+        if ($error) {
+            return $error;
+        }
+    }
+
+    // Don't send anything to a page whose token Facebook rejected
+    $pageKey = $sub['target_page_key'] ?? $FORM_PAGE_MAPPING['default'];
+    if ($check && isset(getPausedPages()[$pageKey])) {
+        return 'Publishing to ' . $FACEBOOK_PAGES[$pageKey]['name'] . ' is paused until its access token is replaced';
+    }
+
+    // A retry is a fresh start: the attempt count begins again
+    if ($action === 'retry') {
+        unset($sub['publish_attempts']);
+    }
+
+    return null;
+}
+
+/**
+ * Check Whether Another Request Is Publishing a Submission
+ *
+ * @param array $sub The submission
+ * @return bool True if it carries a publish claim younger than PUBLISH_CLAIM_TIMEOUT
+ */
+function isSubmissionPublishing(array $sub) {
+    $since = strtotime($sub['publishing_since'] ?? '');
+    return $since !== false && $since > time() - PUBLISH_CLAIM_TIMEOUT;
+}
+
+/**
+ * Claim a Submission for Publishing
+ *
+ * The Graph API call can take many seconds; webhooks and queue pages must
+ * not wait for it, so it is made without the storage lock. Before that, a
+ * short locked update checks the submission and marks it with
+ * "publishing_since", so cron-publish.php, a second moderator or a
+ * double-click can't post it again meanwhile. applySubmissionAction()
+ * removes the marker when it saves the outcome.
+ *
+ * @param string $id     Submission ID
+ * @param string $action 'publish' or 'retry'
+ * @param array  $params See prepareSubmissionPublish()
+ * @return array ['sub' => the submission to send, or null if it can't be published,
+ *                'result' => why not (see ACTION RESULT FORMAT), or null,
+ *                'saved' => false if the claim could not be written]
+ */
+function claimSubmissionPublish($id, $action, array $params) {
+    $claimed = null;
+    $result = null;
+
+    $saved = updateSubmissionsById([$id], function(array &$submissions) use ($id, $action, $params, &$claimed, &$result) {
+        foreach ($submissions as &$sub) {
+            if ($sub['id'] !== $id || isSubmissionDeleted($sub)) {
+                continue;
+            }
+            $prepared = $sub;
+            if (prepareSubmissionPublish($prepared, $action, $params) === null) {
+                $sub['publishing_since'] = date('Y-m-d H:i:s');
+                $claimed = $prepared;
+                return;
+            }
+        }
+        unset($sub);
+
+        // Not publishable: the result says why
+        $result = applySubmissionAction($submissions, $id, $action, $params);
+    });
+
+    return ['sub' => $saved ? $claimed : null, 'result' => $result, 'saved' => $saved];
+}
+
+/**
+ * Apply a Moderation Action to Submissions and Save
+ *
+ * Used by queue.php, api.php and cron-publish.php. Most actions change all
+ * submissions in one locked update. publish and retry go one submission at
+ * a time: claim it (claimSubmissionPublish()), publish without the lock,
+ * then save the outcome in a short update, so other requests only wait for
+ * the claim and the save.
+ *
+ * @param array  $ids    Submission IDs
+ * @param string $action Action name (single or batch_ variant)
+ * @param array  $params See applySubmissionAction()
+ * @return array ['results' => one result per ID (see ACTION RESULT FORMAT),
+ *                'saved' => false if a change could not be written]
+ */
+function runSubmissionAction(array $ids, $action, array $params = []) {
+    $results = [];
+
+    if (!in_array(normalizeSubmissionAction($action), ['publish', 'retry'], true)) {
+        $saved = updateSubmissionsById($ids, function(array &$submissions) use ($ids, $action, $params, &$results) {
+            foreach ($ids as $id) {
+                $results[] = applySubmissionAction($submissions, $id, $action, $params);
+            }
+        }, normalizeSubmissionAction($action) === 'schedule');
+        return ['results' => $results, 'saved' => $saved];
+    }
+
+    $saved = true;
+    foreach ($ids as $id) {
+        // Claim each one just before publishing: earlier ones took a while
+        $claim = claimSubmissionPublish($id, normalizeSubmissionAction($action), $params);
+        if ($claim['sub'] === null) {
+            if ($claim['result'] !== null) {
+                $results[] = $claim['result'];
+            }
+            $saved = $claim['saved'] && $saved;
+            continue;
+        }
+
+        $publish = publishToFacebook($claim['sub']);
+
+        $saved = updateSubmissionsById([$id], function(array &$submissions) use ($id, $action, $params, $publish, &$results) {
+            $results[] = applySubmissionAction($submissions, $id, $action, $params, $publish);
+        }) && $saved;
+    }
+    return ['results' => $results, 'saved' => $saved];
+}
+
+/**
+ * Create an Undo Record
+ *
+ * @param string $action         The action that can be undone (reject, spam, delete)
+ * @param string $previousStatus Status before the action
+ * @return array Undo record stored on the submission
+ */
+function createUndoRecord($action, $previousStatus) {
+    return [
+        'action' => $action,
+        'previous_status' => $previousStatus,
+        'expires_at' => time() + UNDO_WINDOW
+    ];
+}
+
+/**
+ * Mark a Submission as Spam
+ *
+ * Published submissions are already on Facebook and can't be marked.
+ *
+ * @param array $sub The submission (passed by reference)
+ * @return string|null Error message, or null on success
+ */
+function markSubmissionSpam(array &$sub) {
+    if ($sub['status'] === 'published') {
+        return 'Published submissions cannot be marked as spam';
+    }
+    if ($sub['status'] === 'spam') {
+        return null;
+    }
+
+    // scheduled_at is kept so an undo can restore a scheduled post
+    $sub['undo'] = createUndoRecord('spam', $sub['status']);
+    $sub['status'] = 'spam';
+
+    return null;
+}
+
+/**
+ * Move a Spam Submission Back to Pending
+ *
+ * @param array $sub The submission (passed by reference)
+ * @return string|null Error message, or null on success
+ */
+function unmarkSubmissionSpam(array &$sub) {
+    if ($sub['status'] !== 'spam') {
+        return 'Submission is not marked as spam';
+    }
+
+    $sub['status'] = 'pending';
+    unset($sub['scheduled_at']);
+
+    return null;
+}
+
+/**
+ * Undo a Reject, Spam or Delete
+ *
+ * Restores the previous status (and un-deletes) if the undo window is still
+ * open. Called by applySubmissionAction() for the "undo" action.
+ *
+ * @param array $sub    The submission (passed by reference)
+ * @param array $result The result array being built
+ * @return array Completed result array
+ */
+function undoSubmissionAction(array &$sub, array $result) {
+    $undo = $sub['undo'] ?? null;
+
+    if (!$undo || $undo['expires_at'] + UNDO_GRACE_PERIOD < time()) {
+        $result['success'] = false;
+        $result['error'] = 'This action can no longer be undone';
+        $result['status'] = $sub['status'];
+        return $result;
+    }
+
+    $sub['status'] = $undo['previous_status'];
+    unset($sub['undo'], $sub['deleted_at']);
+
+    $result['status'] = $sub['status'];
+    $result['error'] = $sub['error'] ?? null;
+    $result['fb_post_id'] = $sub['fb_post_id'] ?? null;
+    $result['target_page_key'] = $sub['target_page_key'] ?? null;
+    $result['scheduled_at'] = $sub['scheduled_at'] ?? null;
+    return $result;
+}
+
+/**
+ * Edit a Submission's Message
+ *
+ * Keeps the text as received in "original_message" (first edit only) and
+ * records the replaced text in "edit_history". Unchanged text is a no-op.
+ *
+ * @param array  $sub     The submission (passed by reference)
+ * @param string $message The new message text
+ * @return string|null Error message, or null on success
+ */
+function editSubmissionMessage(array &$sub, $message) {
+    $message = trim(str_replace("\r\n", "\n", (string) $message));
+
+    if ($message === '') {
+        return 'Message cannot be empty';
+    }
+
+    if ($sub['status'] === 'published') {
+        return 'Published submissions cannot be edited';
+    }
+
+    if ($message === $sub['message']) {
+        return null;
+    }
+
+    if (!isset($sub['original_message'])) {
+        $sub['original_message'] = $sub['message'];
+    }
+
+    $sub['edit_history'][] = [
+        'previous_message' => $sub['message'],
+        'edited_at' => date('Y-m-d H:i:s')
+    ];
+    $sub['message'] = $message;
+
+    return null;
+}
@@ -0,0 +1,160 @@
+<?php
+/**
+ * Queue Action Tests
+ *
+ * DESCRIPTION:
+ * Moderation actions through api.php: authentication, CSRF check and the
+ * status changes of applySubmissionAction(). Loaded by tests/run-tests.php.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+test('api refuses requests without a login', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+
+    $response = apiPost('approve', ['id' => 'sub_1'], false);
+
+    assertSame(401, $response['status'], 'HTTP status');
+    assertSame('pending', findSubmission('sub_1')['status'], 'Status unchanged');
+});
+
+test('api refuses requests without the CSRF token', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+    loginAsAdmin();
+
+    $response = apiPost('approve', ['id' => 'sub_1'], false);
+
+    assertSame(403, $response['status'], 'HTTP status');
+    assertSame('pending', findSubmission('sub_1')['status'], 'Status unchanged');
+});
+
+test('api rejects unknown actions', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+    loginAsAdmin();
+
+    assertSame(400, apiPost('frobnicate', ['id' => 'sub_1'])['status'], 'HTTP status');
+});
+
+test('approve moves a submission to approved and records who did it', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+    loginAsAdmin();
+
+    $response = apiPost('approve', ['id' => 'sub_1']);
+
+    assertSame(200, $response['status'], 'HTTP status');
+    assertSame('approved', $response['json']['results'][0]['status'], 'Result status');
+
+    $sub = findSubmission('sub_1');
+    assertSame('approved', $sub['status'], 'Stored status');
+    $entry = end($sub['history']);
+    assertSame('approve', $entry['action'], 'History action');
+    assertSame('pending', $entry['from'], 'History from');
+    assertSame('admin', $entry['by'], 'History user');
+});
+
+test('batch approve applies to every listed submission', function() {
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_1', 'status' => 'pending']),
+        makeSubmission(['id' => 'sub_2', 'status' => 'pending']),
+        makeSubmission(['id' => 'sub_3', 'status' => 'pending'])
+    ]);
+    loginAsAdmin();
+
+    $response = apiPost('batch_approve', ['ids' => ['sub_1', 'sub_3']]);
+
+    assertSame(['total' => 2, 'succeeded' => 2, 'failed' => 0], $response['json']['summary'], 'Summary');
+    assertSame('approved', findSubmission('sub_1')['status'], 'First');
+    assertSame('pending', findSubmission('sub_2')['status'], 'Not selected');
+    assertSame('approved', findSubmission('sub_3')['status'], 'Third');
+});
+
+test('reject can be undone', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+    loginAsAdmin();
+
+    $reject = apiPost('reject', ['id' => 'sub_1']);
+    assertSame('rejected', findSubmission('sub_1')['status'], 'Rejected');
+    assertTrue(($reject['json']['undo_window'] ?? 0) > 0, 'Response offers an undo window');
+
+    $undo = apiPost('undo', ['id' => 'sub_1']);
+    assertSame(true, $undo['json']['results'][0]['success'], 'Undo succeeded');
+    assertSame('pending', findSubmission('sub_1')['status'], 'Back to pending');
+});
+
+test('delete hides a submission until it is undone', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+    loginAsAdmin();
+
+    apiPost('delete', ['id' => 'sub_1']);
+    assertTrue(!empty(findSubmission('sub_1')['deleted_at']), 'Soft-deleted');
+
+    $approve = apiPost('approve', ['id' => 'sub_1']);
+    assertSame(false, $approve['json']['results'][0]['success'], 'Deleted submissions cannot be approved');
+
+    apiPost('undo', ['id' => 'sub_1']);
+    assertTrue(empty(findSubmission('sub_1')['deleted_at']), 'Restored');
+});
+
+test('edit keeps the original message', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending', 'message' => 'Waar kry ek n fotograaf?'])]);
+    loginAsAdmin();
+
+    $response = apiPost('edit', ['id' => 'sub_1', 'message' => 'Waar kry ek ’n fotograaf?']);
+
+    assertSame(true, $response['json']['results'][0]['success'], 'Edit succeeded');
+    $sub = findSubmission('sub_1');
+    assertSame('Waar kry ek ’n fotograaf?', $sub['message'], 'New message');
+    assertSame('Waar kry ek n fotograaf?', $sub['original_message'], 'Original message');
+});
+
+test('change_page moves a submission to another page', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+    loginAsAdmin();
+
+    apiPost('change_page', ['id' => 'sub_1', 'target_page_key' => 'background']);
+    assertSame('background', findSubmission('sub_1')['target_page_key'], 'Moved');
+
+    $invalid = apiPost('change_page', ['id' => 'sub_1', 'target_page_key' => 'no-such-page']);
+    assertSame(false, $invalid['json']['results'][0]['success'], 'Unknown page refused');
+    assertSame('background', findSubmission('sub_1')['target_page_key'], 'Not moved again');
+});
+
+test('attach only accepts the submission\'s own images and links', function() {
+    seedSubmissions([makeSubmission([
+        'id' => 'sub_1',
+        'status' => 'pending',
+        'form_data' => ['upload-1' => 'https://example.com/uploads/venue.jpg']
+    ])]);
+    loginAsAdmin();
+
+    $valid = apiPost('attach', ['id' => 'sub_1', 'attachment' => 'https://example.com/uploads/venue.jpg']);
+    assertSame(true, $valid['json']['results'][0]['success'], 'Own image accepted');
+    assertSame('https://example.com/uploads/venue.jpg', findSubmission('sub_1')['attachment'], 'Stored choice');
+
+    $invalid = apiPost('attach', ['id' => 'sub_1', 'attachment' => 'https://evil.example.com/other.jpg']);
+    assertSame(false, $invalid['json']['results'][0]['success'], 'Other URL refused');
+    assertSame('https://example.com/uploads/venue.jpg', findSubmission('sub_1')['attachment'], 'Choice unchanged');
+});
+
+test('updates lists the submissions received since the newest one seen', function() {
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_old', 'status' => 'pending', 'created_at' => '2026-01-01 09:00:00']),
+        makeSubmission(['id' => 'sub_new', 'status' => 'pending', 'created_at' => '2026-01-01 10:00:00']),
+        makeSubmission(['id' => 'sub_spam', 'status' => 'spam', 'created_at' => '2026-01-01 11:00:00']),
+        makeSubmission(['id' => 'sub_other', 'target_page_key' => 'background', 'created_at' => '2026-01-01 12:00:00'])
+    ]);
+    loginAsAdmin();
+
+    $response = apiPost('updates', ['page_key' => 'page1', 'since' => 'sub_old']);
+    assertSame('sub_spam', $response['json']['latest'], 'Newest of the page');
+    assertSame([
+        ['id' => 'sub_spam', 'status' => 'spam'],
+        ['id' => 'sub_new', 'status' => 'pending']
+    ], $response['json']['new'], 'New submissions, newest first');
+    assertSame(2, $response['json']['counts']['pending'], 'Pending count');
+    assertSame(3, $response['json']['counts']['all'], 'Other pages not counted');
+
+    $first = apiPost('updates', ['page_key' => 'page1']);
+    assertSame([], $first['json']['new'], 'Nothing is new on the first check');
+});
@@ -0,0 +1,71 @@
+<?php
+/**
+ * Test Configuration
+ *
+ * DESCRIPTION:
+ * Copied as config.php into the temporary directory tests/run-tests.php
+ * serves the application from. Publishing goes to the mock Graph server
+ * (MOCK_GRAPH_URL, set by the runner); every page uses one of its scenario
+ * tokens (see tests/mock-graph-server.php).
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+define('DATA_FILE', __DIR__ . '/submissions.json');
+define('DEBUG_MODE', false);
+define('USE_PASSWORD', true);
+define('ADMIN_PASSWORD', 'test-password');
+define('WEBHOOK_SECRET', 'test-webhook-secret');
+
+define('FACEBOOK_GRAPH_URL', getenv('MOCK_GRAPH_URL') ?: 'http://127.0.0.1:8091');
+define('FACEBOOK_GRAPH_VERSION', 'v21.0');
+
+$FACEBOOK_PAGES = [
+    'page1' => [
+        'name' => 'Test Page',
+        'page_id' => '1001',
+        'access_token' => 'mock-ok',
+        'message_prefix' => 'Question:',
+        'message_suffix' => '#Test'
+    ],
+    'expired' => [
+        'name' => 'Expired Token Page',
+        'page_id' => '1002',
+        'access_token' => 'mock-expired'
+    ],
+    'permission' => [
+        'name' => 'No Permission Page',
+        'page_id' => '1003',
+        'access_token' => 'mock-permission'
+    ],
+    'ratelimit' => [
+        'name' => 'Rate Limited Page',
+        'page_id' => '1004',
+        'access_token' => 'mock-rate-limit'
+    ],
+    'invalid' => [
+        'name' => 'Invalid Parameter Page',
+        'page_id' => '1005',
+        'access_token' => 'mock-invalid'
+    ],
+    'background' => [
+        'name' => 'Default Image Page',
+        'page_id' => '1006',
+        'access_token' => 'mock-ok',
+        'default_image' => 'https://example.com/background.jpg'
+    ]
+];
+
+$FORM_PAGE_MAPPING = ['default' => 'page1'];
+
+$FORM_FIELD_MAPPINGS = [
+    '42' => [
+        'template' => "{textarea-2}\n\nDate: {date-1}\nFrom: {name-1}",
+        'email' => 'email-2',
+        'private' => ['phone-1']
+    ]
+];
+
+// Tests send many webhooks from one IP and email
+$SPAM_SETTINGS = ['ip_limit' => 1000, 'email_limit' => 1000, 'global_limit' => 1000];
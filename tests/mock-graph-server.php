@@ -0,0 +1,118 @@
+<?php
+/**
+ * Mock Facebook Graph API Server
+ *
+ * DESCRIPTION:
+ * Router script for PHP's built-in web server that answers the requests
+ * publishToFacebook() sends, so publishing can be tested without
+ * graph.facebook.com. tests/run-tests.php starts it; to try it by hand:
+ *   php -S 127.0.0.1:8091 tests/mock-graph-server.php
+ * and add to config.php:
+ *   define('FACEBOOK_GRAPH_URL', 'http://127.0.0.1:8091');
+ *
+ * ENDPOINTS:
+ *   POST /{version}/{page-id}/feed     needs message; link is optional
+ *   POST /{version}/{page-id}/photos   needs url; caption is optional
+ * Anything else gets Facebook's "unknown path" error (code 2500).
+ *
+ * SCENARIOS (chosen by the access token):
+ *   mock-expired      HTTP 400, code 190 (invalid access token)
+ *   mock-permission   HTTP 403, code 200 (missing permission)
+ *   mock-rate-limit   HTTP 400, code 368 (temporarily blocked)
+ *   mock-invalid      HTTP 400, code 100 (invalid parameter)
+ *   mock-unavailable  HTTP 503, code 2 (is_transient)
+ *   anything else     HTTP 200, {"id": "{page-id}_{n}"} (photos also return "post_id")
+ * A missing message (feed) or url (photos) also answers with code 100.
+ *
+ * REQUEST LOG:
+ * Every request is appended to the MOCK_GRAPH_LOG file (environment
+ * variable) as one JSON object per line: method, path, params. Tests read it
+ * to check what was sent.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Error Responses per Access Token
+ */
+const MOCK_GRAPH_SCENARIOS = [
+    'mock-expired' => [400, 190, 'OAuthException', 'Error validating access token: Session has expired.'],
+    'mock-permission' => [403, 200, 'OAuthException', '(#200) The user hasn\'t authorized the application to perform this action'],
+    'mock-rate-limit' => [400, 368, 'OAuthException', '(#368) The action attempted has been deemed abusive or is otherwise disallowed'],
+    'mock-invalid' => [400, 100, 'OAuthException', '(#100) Invalid parameter'],
+    'mock-unavailable' => [503, 2, 'OAuthException', 'An unexpected error has occurred. Please retry your request later.']
+];
+
+/**
+ * Send a Graph API Style Response
+ *
+ * @param int   $status HTTP status code
+ * @param array $body   Response data
+ * @return void
+ */
+function sendGraphResponse($status, array $body) {
+    http_response_code($status);
+    header('Content-Type: application/json');
+    echo json_encode($body);
+}
+
+/**
+ * Send a Graph API Style Error
+ *
+ * @param int    $status  HTTP status code
+ * @param int    $code    Facebook error code
+ * @param string $type    Facebook error type
+ * @param string $message Error message
+ * @return void
+ */
+function sendGraphError($status, $code, $type, $message) {
+    sendGraphResponse($status, ['error' => [
+        'message' => $message,
+        'type' => $type,
+        'code' => $code,
+        'is_transient' => $status >= 500,
+        'fbtrace_id' => 'mock' . bin2hex(random_bytes(4))
+    ]]);
+}
+
+$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+$params = $_POST + $_GET;
+
+$log = getenv('MOCK_GRAPH_LOG');
+if ($log) {
+    file_put_contents($log, json_encode([
+        'method' => $_SERVER['REQUEST_METHOD'],
+        'path' => $path,
+        'params' => $params
+    ]) . "\n", FILE_APPEND | LOCK_EX);
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST' || !preg_match('#^/v[\d.]+/([^/]+)/(feed|photos)$#', $path, $match)) {
+    sendGraphError(400, 2500, 'OAuthException', 'Unknown path components: ' . $path);
+    return;
+}
+
+[, $pageId, $edge] = $match;
+$token = $params['access_token'] ?? '';
+
+if ($token === '') {
+    sendGraphError(400, 2500, 'OAuthException', 'An active access token must be used to query information about the current user.');
+    return;
+}
+
+if (isset(MOCK_GRAPH_SCENARIOS[$token])) {
+    sendGraphError(...MOCK_GRAPH_SCENARIOS[$token]);
+    return;
+}
+
+$required = $edge === 'feed' ? 'message' : 'url';
+if (trim($params[$required] ?? '') === '') {
+    sendGraphError(400, 100, 'OAuthException', "(#100) The parameter $required is required");
+    return;
+}
+
+$postId = $pageId . '_' . random_int(100000000, 999999999);
+sendGraphResponse(200, $edge === 'feed'
+    ? ['id' => $postId]
+    : ['id' => (string) random_int(100000000, 999999999), 'post_id' => $postId]);
@@ -0,0 +1,266 @@
+<?php
+/**
+ * Publishing Tests
+ *
+ * DESCRIPTION:
+ * Publishes through api.php and cron-publish.php to the mock Graph server
+ * and checks both the request Facebook would have received and how the
+ * submission records the outcome. Each page in tests/config.test.php
+ * answers with a different scenario (see tests/mock-graph-server.php).
+ * Loaded by tests/run-tests.php.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+test('publish posts the formatted message to the page feed', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'message' => 'Who made your wedding cake?'])]);
+    loginAsAdmin();
+
+    $response = apiPost('publish', ['id' => 'sub_1']);
+
+    assertSame(true, $response['json']['results'][0]['success'], 'Publish succeeded');
+
+    $requests = graphRequests();
+    assertSame(1, count($requests), 'One Graph request');
+    assertSame('/v21.0/1001/feed', $requests[0]['path'], 'Endpoint');
+    assertSame("Question:\n\nWho made your wedding cake?\n\n#Test", $requests[0]['params']['message'], 'Message with prefix and suffix');
+    assertSame('mock-ok', $requests[0]['params']['access_token'], 'Page token');
+
+    $sub = findSubmission('sub_1');
+    assertSame('published', $sub['status'], 'Status');
+    assertContains('1001_', (string) $sub['fb_post_id'], 'Post ID');
+    assertTrue(!empty($sub['published_at']), 'Publish time stored');
+    assertSame('publish', end($sub['history'])['action'], 'History');
+});
+
+test('publish to the target page chosen in the preview', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1'])]);
+    loginAsAdmin();
+
+    apiPost('publish', ['id' => 'sub_1', 'target_page_key' => 'background', 'attachment' => 'none']);
+
+    assertSame('/v21.0/1006/feed', graphRequests()[0]['path'], 'Endpoint of the chosen page');
+    assertSame('background', findSubmission('sub_1')['target_page_key'], 'Target page stored');
+});
+
+test('an expired token fails the submission and pauses the page', function() {
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_1', 'target_page_key' => 'expired']),
+        makeSubmission(['id' => 'sub_2', 'target_page_key' => 'expired'])
+    ]);
+    loginAsAdmin();
+
+    $response = apiPost('publish', ['id' => 'sub_1']);
+
+    $result = $response['json']['results'][0];
+    assertSame(false, $result['success'], 'Publish failed');
+    assertSame(190, $result['error_code'], 'Error code');
+    assertSame('token', $result['error_type'], 'Error type');
+
+    $sub = findSubmission('sub_1');
+    assertSame('failed', $sub['status'], 'Not retried automatically');
+    assertContains('Session has expired', $sub['error'], 'Facebook\'s message stored');
+    assertTrue(isset(readAppJsonFile('page-status.json')['expired']), 'Page paused');
+
+    $second = apiPost('publish', ['id' => 'sub_2']);
+    assertSame(false, $second['json']['results'][0]['success'], 'Paused page refuses publishing');
+    assertContains('paused', $second['json']['results'][0]['error'], 'Error mentions the pause');
+    assertSame(1, count(graphRequests()), 'Nothing sent to the paused page');
+    assertSame('approved', findSubmission('sub_2')['status'], 'Second submission untouched');
+});
+
+test('a missing permission fails the submission', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'target_page_key' => 'permission'])]);
+    loginAsAdmin();
+
+    $result = apiPost('publish', ['id' => 'sub_1'])['json']['results'][0];
+
+    assertSame(200, $result['error_code'], 'Error code');
+    assertSame('permission', $result['error_type'], 'Error type');
+    assertSame('failed', findSubmission('sub_1')['status'], 'Status');
+    assertSame([], readAppJsonFile('page-status.json'), 'Page not paused');
+});
+
+test('a rate limit schedules an automatic retry', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'target_page_key' => 'ratelimit'])]);
+    loginAsAdmin();
+
+    $result = apiPost('publish', ['id' => 'sub_1'])['json']['results'][0];
+
+    assertSame(368, $result['error_code'], 'Error code');
+    assertSame('rate_limit', $result['error_type'], 'Error type');
+
+    $sub = findSubmission('sub_1');
+    assertSame('approved', $sub['status'], 'Still approved');
+    assertSame(1, $sub['publish_attempts'], 'Attempt counted');
+    assertTrue(strtotime($sub['retry_at']) >= time() + 1700, 'Retry waits at least 30 minutes');
+});
+
+test('an invalid parameter fails the submission as rejected content', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'target_page_key' => 'invalid'])]);
+    loginAsAdmin();
+
+    $result = apiPost('publish', ['id' => 'sub_1'])['json']['results'][0];
+
+    assertSame(100, $result['error_code'], 'Error code');
+    assertSame('content', $result['error_type'], 'Error type');
+    assertSame('failed', findSubmission('sub_1')['status'], 'Status');
+});
+
+test('retry publishes a failed submission again', function() {
+    seedSubmissions([makeSubmission([
+        'id' => 'sub_1',
+        'status' => 'failed',
+        'error' => '(#100) Invalid parameter',
+        'error_code' => 100,
+        'error_type' => 'content',
+        'publish_attempts' => 1
+    ])]);
+    loginAsAdmin();
+
+    $result = apiPost('retry', ['id' => 'sub_1'])['json']['results'][0];
+
+    assertSame(true, $result['success'], 'Retry succeeded');
+    $sub = findSubmission('sub_1');
+    assertSame('published', $sub['status'], 'Status');
+    assertSame(null, $sub['error'], 'Error cleared');
+    assertTrue(!isset($sub['publish_attempts']), 'Attempts cleared');
+});
+
+test('retry refuses submissions that did not fail', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'status' => 'pending'])]);
+    loginAsAdmin();
+
+    $result = apiPost('retry', ['id' => 'sub_1'])['json']['results'][0];
+
+    assertSame(false, $result['success'], 'Retry refused');
+    assertSame([], graphRequests(), 'Nothing sent');
+});
+
+test('publish refuses published, rejected and spam submissions', function() {
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_1', 'status' => 'published', 'fb_post_id' => '1001_1']),
+        makeSubmission(['id' => 'sub_2', 'status' => 'rejected']),
+        makeSubmission(['id' => 'sub_3', 'status' => 'spam'])
+    ]);
+    loginAsAdmin();
+
+    $results = apiPost('batch_publish', ['ids' => ['sub_1', 'sub_2', 'sub_3']])['json']['results'];
+
+    assertSame([false, false, false], array_column($results, 'success'), 'All refused');
+    assertSame('Already published', $results[0]['error'], 'Error');
+    assertSame([], graphRequests(), 'Nothing sent');
+    assertSame('rejected', findSubmission('sub_2')['status'], 'Status unchanged');
+});
+
+test('publish leaves a submission that another request is publishing alone', function() {
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_1', 'publishing_since' => date('Y-m-d H:i:s', time() - 10)]),
+        makeSubmission(['id' => 'sub_2', 'publishing_since' => date('Y-m-d H:i:s', time() - 3600)])
+    ]);
+    loginAsAdmin();
+
+    $results = apiPost('batch_publish', ['ids' => ['sub_1', 'sub_2']])['json']['results'];
+
+    assertSame(false, $results[0]['success'], 'Claimed submission refused');
+    assertSame('approved', findSubmission('sub_1')['status'], 'Status unchanged');
+    assertSame(true, $results[1]['success'], 'Stale claim ignored');
+    assertTrue(!isset(findSubmission('sub_2')['publishing_since']), 'Claim released');
+    assertSame(1, count(graphRequests()), 'One Graph request');
+});
+
+test('a chosen image is posted as a photo with the message as caption', function() {
+    seedSubmissions([makeSubmission([
+        'id' => 'sub_1',
+        'message' => 'Is this venue still available?',
+        'form_data' => ['upload-1' => 'https://example.com/uploads/venue.jpg'],
+        'attachment' => 'https://example.com/uploads/venue.jpg'
+    ])]);
+    loginAsAdmin();
+
+    apiPost('publish', ['id' => 'sub_1']);
+
+    $request = graphRequests()[0];
+    assertSame('/v21.0/1001/photos', $request['path'], 'Endpoint');
+    assertSame('https://example.com/uploads/venue.jpg', $request['params']['url'], 'Image URL');
+    assertSame("Question:\n\nIs this venue still available?\n\n#Test", $request['params']['caption'], 'Caption');
+    assertContains('1001_', (string) findSubmission('sub_1')['fb_post_id'], 'Post ID rather than photo ID');
+});
+
+test('a chosen link is posted to the feed with the link parameter', function() {
+    seedSubmissions([makeSubmission([
+        'id' => 'sub_1',
+        'form_data' => ['url-1' => 'https://example.com/venue'],
+        'attachment' => 'https://example.com/venue'
+    ])]);
+    loginAsAdmin();
+
+    apiPost('publish', ['id' => 'sub_1']);
+
+    $request = graphRequests()[0];
+    assertSame('/v21.0/1001/feed', $request['path'], 'Endpoint');
+    assertSame('https://example.com/venue', $request['params']['link'], 'Link');
+});
+
+test('the page\'s default image is used unless "none" is chosen', function() {
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_1', 'target_page_key' => 'background']),
+        makeSubmission(['id' => 'sub_2', 'target_page_key' => 'background', 'attachment' => 'none'])
+    ]);
+    loginAsAdmin();
+
+    apiPost('batch_publish', ['ids' => ['sub_1', 'sub_2']]);
+
+    [$first, $second] = graphRequests();
+    assertSame('/v21.0/1006/photos', $first['path'], 'Default image endpoint');
+    assertSame('https://example.com/background.jpg', $first['params']['url'], 'Default image');
+    assertSame('/v21.0/1006/feed', $second['path'], 'Text only');
+});
+
+test('preview shows the post without publishing it', function() {
+    seedSubmissions([makeSubmission(['id' => 'sub_1', 'message' => 'Who made your wedding cake?'])]);
+    loginAsAdmin();
+
+    $response = apiPost('preview', ['id' => 'sub_1']);
+
+    assertSame(200, $response['status'], 'HTTP status');
+    assertSame("Question:\n\nWho made your wedding cake?\n\n#Test", $response['json']['message'], 'Post text');
+    assertSame([], graphRequests(), 'Nothing sent');
+    assertSame('approved', findSubmission('sub_1')['status'], 'Status unchanged');
+});
+
+test('cron-publish publishes due scheduled submissions', function() {
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_1', 'status' => 'scheduled', 'scheduled_at' => date('Y-m-d H:i:s', time() - 60)]),
+        makeSubmission(['id' => 'sub_2', 'status' => 'scheduled', 'scheduled_at' => date('Y-m-d H:i:s', time() + 3600)])
+    ]);
+
+    $run = runAppScript('cron-publish.php');
+
+    assertSame(0, $run['exit_code'], 'Exit code (output: ' . $run['output'] . ')');
+    assertContains('Published sub_1 to page1', $run['output'], 'Output');
+    $sub = findSubmission('sub_1');
+    assertSame('published', $sub['status'], 'Due submission published');
+    assertSame('cron', end($sub['history'])['by'], 'History user');
+    assertSame('scheduled', findSubmission('sub_2')['status'], 'Later submission still scheduled');
+    assertSame(1, count(graphRequests()), 'One Graph request');
+});
+
+test('cron-publish skips while another run is still publishing', function() {
+    global $TEST_APP_DIR;
+    seedSubmissions([
+        makeSubmission(['id' => 'sub_1', 'status' => 'scheduled', 'scheduled_at' => date('Y-m-d H:i:s', time() - 60)])
+    ]);
+
+    $lock = fopen($TEST_APP_DIR . '/cron-publish.lock', 'c');
+    flock($lock, LOCK_EX);
+    $run = runAppScript('cron-publish.php');
+    flock($lock, LOCK_UN);
+    fclose($lock);
+
+    assertSame(0, $run['exit_code'], 'Exit code');
+    assertContains('Another run is still publishing', $run['output'], 'Output');
+    assertSame('scheduled', findSubmission('sub_1')['status'], 'Not published');
+    assertSame([], graphRequests(), 'Nothing sent');
+});
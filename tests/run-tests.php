@@ -0,0 +1,485 @@
+<?php
+/**
+ * Test Suite Runner
+ *
+ * DESCRIPTION:
+ * Runs the tests in tests/*-test.php against a copy of the application
+ * served by PHP's built-in web server. Publishing goes to the mock Graph
+ * API server (tests/mock-graph-server.php), so nothing reaches Facebook,
+ * and the real config.php and data files are never touched.
+ *
+ * USAGE (command line only, PHP 8 with the curl extension):
+ *   php tests/run-tests.php            Run every test
+ *   php tests/run-tests.php publish    Only tests whose name contains "publish"
+ *
+ * HOW IT WORKS:
+ * 1. Copies the application's PHP files into a temporary directory, with
+ *    tests/config.test.php as config.php
+ * 2. Starts two built-in servers on free ports: the application and the
+ *    mock Graph API (MOCK_GRAPH_URL tells the test config where it is)
+ * 3. Runs every test; each starts with empty data files and logged out
+ * 4. Stops the servers and removes the temporary directory
+ *
+ * WRITING TESTS:
+ *   test('approve moves a submission to approved', function() {
+ *       seedSubmissions([makeSubmission(['id' => 'sub_1'])]);
+ *       loginAsAdmin();
+ *       $response = apiPost('approve', ['id' => 'sub_1']);
+ *       assertSame('approved', $response['json']['results'][0]['status']);
+ *   });
+ *
+ * EXIT CODE:
+ * 0 if every test passed, 1 otherwise.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+// Never run from a browser
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    exit('Forbidden');
+}
+
+if (!extension_loaded('curl')) {
+    echo "ERROR: The curl PHP extension is not installed\n";
+    exit(1);
+}
+
+/**
+ * Webhook Secret in tests/config.test.php
+ */
+const TEST_WEBHOOK_SECRET = 'test-webhook-secret';
+
+/**
+ * Admin Password in tests/config.test.php
+ */
+const TEST_ADMIN_PASSWORD = 'test-password';
+
+/**
+ * A Failed Assertion
+ */
+class TestFailure extends Exception {}
+
+$TESTS = [];
+$TEST_APP_DIR = null;
+$TEST_APP_URL = null;
+$TEST_GRAPH_LOG = null;
+$TEST_SERVERS = [];
+$TEST_CURL = null;
+$TEST_CSRF_TOKEN = null;
+
+// ============================================================================
+// TEST DEFINITION & ASSERTIONS
+// ============================================================================
+
+/**
+ * Register a Test
+ *
+ * @param string   $name Description of the expected behaviour
+ * @param callable $fn   The test; throws TestFailure (via the assert functions) to fail
+ * @return void
+ */
+function test($name, callable $fn) {
+    global $TESTS;
+    $TESTS[$name] = $fn;
+}
+
+/**
+ * Fail Unless Two Values Are Identical
+ *
+ * @param mixed  $expected Expected value
+ * @param mixed  $actual   Actual value
+ * @param string $message  What was checked
+ * @return void
+ */
+function assertSame($expected, $actual, $message = '') {
+    if ($expected !== $actual) {
+        throw new TestFailure(($message ? "$message: " : '') . 'expected ' . var_export($expected, true)
+            . ', got ' . var_export($actual, true));
+    }
+}
+
+/**
+ * Fail Unless a Condition Holds
+ *
+ * @param bool   $condition Condition
+ * @param string $message   What was checked
+ * @return void
+ */
+function assertTrue($condition, $message) {
+    if (!$condition) {
+        throw new TestFailure($message);
+    }
+}
+
+/**
+ * Fail Unless a String Contains Another
+ *
+ * @param string $needle   Expected part
+ * @param string $haystack Actual string
+ * @param string $message  What was checked
+ * @return void
+ */
+function assertContains($needle, $haystack, $message = '') {
+    if (strpos((string) $haystack, $needle) === false) {
+        throw new TestFailure(($message ? "$message: " : '') . var_export($needle, true)
+            . ' not found in ' . var_export($haystack, true));
+    }
+}
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+/**
+ * Send a Request to the Application
+ *
+ * Cookies (the login session) are kept between requests until
+ * resetTestState().
+ *
+ * @param string            $method  'GET' or 'POST'
+ * @param string            $path    Path with query, e.g. 'api.php'
+ * @param array|string|null $body    Form fields, or a raw body (e.g. JSON)
+ * @param array             $headers Extra headers ("Name: value")
+ * @return array ['status' => HTTP code, 'body' => string, 'json' => decoded body or null,
+ *                'location' => Location header or null]
+ */
+function httpRequest($method, $path, $body = null, array $headers = []) {
+    global $TEST_APP_URL, $TEST_CURL;
+
+    $location = null;
+    if ($method === 'GET') {
+        curl_setopt($TEST_CURL, CURLOPT_HTTPGET, true);
+    } else {
+        curl_setopt($TEST_CURL, CURLOPT_POSTFIELDS, is_array($body) ? http_build_query($body) : ($body ?? ''));
+    }
+    curl_setopt_array($TEST_CURL, [
+        CURLOPT_URL => $TEST_APP_URL . '/' . ltrim($path, '/'),
+        CURLOPT_HTTPHEADER => $headers,
+        CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_FOLLOWLOCATION => false,
+        CURLOPT_TIMEOUT => 30,
+        CURLOPT_HEADERFUNCTION => function($ch, $header) use (&$location) {
+            if (stripos($header, 'Location:') === 0) {
+                $location = trim(substr($header, 9));
+            }
+            return strlen($header);
+        }
+    ]);
+
+    $response = curl_exec($TEST_CURL);
+    if ($response === false) {
+        throw new TestFailure("$method $path failed: " . curl_error($TEST_CURL));
+    }
+
+    return [
+        'status' => curl_getinfo($TEST_CURL, CURLINFO_HTTP_CODE),
+        'body' => $response,
+        'json' => json_decode($response, true),
+        'location' => $location
+    ];
+}
+
+/**
+ * Log In With the Test Admin Password
+ *
+ * Also reads the session's CSRF token from the queue page for apiPost().
+ *
+ * @return void
+ */
+function loginAsAdmin() {
+    global $TEST_CSRF_TOKEN;
+
+    $login = httpRequest('POST', 'queue.php', ['password' => TEST_ADMIN_PASSWORD]);
+    assertSame(302, $login['status'], 'Login redirects');
+
+    $queue = httpRequest('GET', 'queue.php');
+    assertTrue((bool) preg_match('/<meta name="csrf-token" content="([0-9a-f]+)">/', $queue['body'], $match),
+        'Queue page has a CSRF token');
+    $TEST_CSRF_TOKEN = $match[1];
+}
+
+/**
+ * Post an Action to api.php
+ *
+ * @param string $action Action name
+ * @param array  $fields Other fields (id, ids, ...)
+ * @param bool   $csrf   Send the CSRF token (false to test the check)
+ * @return array See httpRequest()
+ */
+function apiPost($action, array $fields = [], $csrf = true) {
+    global $TEST_CSRF_TOKEN;
+    $headers = $csrf ? ['X-CSRF-Token: ' . $TEST_CSRF_TOKEN] : [];
+    return httpRequest('POST', 'api.php', ['action' => $action] + $fields, $headers);
+}
+
+/**
+ * Send a Webhook to webhook-receiver.php
+ *
+ * @param array|string $data  Form fields, or a JSON string
+ * @param array        $query URL parameters (default: page1 with the right secret)
+ * @return array See httpRequest()
+ */
+function sendWebhook($data, array $query = ['page' => 'page1', 'secret' => TEST_WEBHOOK_SECRET]) {
+    $headers = is_string($data) ? ['Content-Type: application/json'] : [];
+    return httpRequest('POST', 'webhook-receiver.php?' . http_build_query($query), $data, $headers);
+}
+
+/**
+ * Run One of the Application's Command Line Scripts
+ *
+ * Example: runAppScript('cron-publish.php', ['--dry-run'])
+ *
+ * @param string $script Script file name
+ * @param array  $args   Arguments
+ * @return array ['exit_code' => int, 'output' => string]
+ */
+function runAppScript($script, array $args = []) {
+    global $TEST_APP_DIR;
+
+    $command = implode(' ', array_map('escapeshellarg', array_merge([PHP_BINARY, $TEST_APP_DIR . '/' . $script], $args)));
+    exec($command . ' 2>&1', $output, $exitCode);
+    return ['exit_code' => $exitCode, 'output' => implode("\n", $output)];
+}
+
+// ============================================================================
+// DATA HELPERS
+// ============================================================================
+
+/**
+ * Build a Submission for seedSubmissions()
+ *
+ * @param array $fields Fields to set (id, status, target_page_key, message, ...)
+ * @return array Submission
+ */
+function makeSubmission(array $fields = []) {
+    return $fields + [
+        'id' => 'sub_' . bin2hex(random_bytes(4)),
+        'message' => 'Where can we find a venue near the coast?',
+        'email' => 'guest@example.com',
+        'status' => 'approved',
+        'target_page_key' => 'page1',
+        'form_data' => [],
+        'created_at' => date('Y-m-d H:i:s'),
+        'ip_address' => '127.0.0.1',
+        'fb_post_id' => null,
+        'published_at' => null,
+        'error' => null
+    ];
+}
+
+/**
+ * Replace the Application's Submissions
+ *
+ * @param array $submissions Submissions (see makeSubmission())
+ * @return void
+ */
+function seedSubmissions(array $submissions) {
+    global $TEST_APP_DIR;
+    file_put_contents($TEST_APP_DIR . '/submissions.json', json_encode($submissions, JSON_PRETTY_PRINT));
+}
+
+/**
+ * Read the Application's Submissions
+ *
+ * @return array Submissions
+ */
+function readSubmissions() {
+    global $TEST_APP_DIR;
+    $file = $TEST_APP_DIR . '/submissions.json';
+    return file_exists($file) ? (json_decode(file_get_contents($file), true) ?? []) : [];
+}
+
+/**
+ * Find One Stored Submission
+ *
+ * @param string $id Submission ID
+ * @return array The submission
+ */
+function findSubmission($id) {
+    foreach (readSubmissions() as $sub) {
+        if ($sub['id'] === $id) {
+            return $sub;
+        }
+    }
+    throw new TestFailure("Submission $id not found");
+}
+
+/**
+ * Read a JSON Data File of the Application
+ *
+ * @param string $name File name, e.g. 'page-status.json'
+ * @return array Decoded data ([] if missing)
+ */
+function readAppJsonFile($name) {
+    global $TEST_APP_DIR;
+    $file = $TEST_APP_DIR . '/' . $name;
+    return file_exists($file) ? (json_decode(file_get_contents($file), true) ?? []) : [];
+}
+
+/**
+ * Get the Requests the Mock Graph Server Received
+ *
+ * @return array List of ['method', 'path', 'params'], oldest first
+ */
+function graphRequests() {
+    global $TEST_GRAPH_LOG;
+    if (!file_exists($TEST_GRAPH_LOG)) {
+        return [];
+    }
+    return array_map(
+        fn($line) => json_decode($line, true),
+        file($TEST_GRAPH_LOG, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES)
+    );
+}
+
+// ============================================================================
+// TEST ENVIRONMENT
+// ============================================================================
+
+/**
+ * Start With Empty Data Files and Without a Session
+ *
+ * @return void
+ */
+function resetTestState() {
+    global $TEST_APP_DIR, $TEST_GRAPH_LOG, $TEST_CURL, $TEST_CSRF_TOKEN;
+
+    foreach (glob($TEST_APP_DIR . '/*.{json,jsonl,lock,sqlite}', GLOB_BRACE) ?: [] as $file) {
+        unlink($file);
+    }
+    @unlink($TEST_GRAPH_LOG);
+
+    curl_setopt($TEST_CURL, CURLOPT_COOKIELIST, 'ALL');
+    $TEST_CSRF_TOKEN = null;
+}
+
+/**
+ * Find a Free TCP Port on 127.0.0.1
+ *
+ * @return int Port number
+ */
+function findFreePort() {
+    $socket = stream_socket_server('tcp://127.0.0.1:0');
+    $name = stream_socket_get_name($socket, false);
+    fclose($socket);
+    return (int) substr(strrchr($name, ':'), 1);
+}
+
+/**
+ * Start a PHP Built-In Web Server
+ *
+ * @param int    $port    Port to listen on
+ * @param array  $args    Extra arguments (-t docroot or a router script)
+ * @param array  $env     Extra environment variables
+ * @param string $logFile Where the server's output goes
+ * @return void
+ */
+function startTestServer($port, array $args, array $env, $logFile) {
+    global $TEST_SERVERS;
+
+    $process = proc_open(
+        array_merge([PHP_BINARY, '-S', "127.0.0.1:$port"], $args),
+        [0 => ['pipe', 'r'], 1 => ['file', $logFile, 'a'], 2 => ['file', $logFile, 'a']],
+        $pipes,
+        null,
+        getenv() + $env
+    );
+    if (!is_resource($process)) {
+        echo "ERROR: Could not start the server on port $port\n";
+        exit(1);
+    }
+    $TEST_SERVERS[] = $process;
+
+    // Wait until it accepts connections
+    for ($i = 0; $i < 50; $i++) {
+        $connection = @fsockopen('127.0.0.1', $port, $errno, $errstr, 0.1);
+        if ($connection) {
+            fclose($connection);
+            return;
+        }
+        usleep(100000);
+    }
+    echo "ERROR: The server on port $port did not start (see $logFile)\n";
+    exit(1);
+}
+
+/**
+ * Stop the Servers and Remove the Temporary Directory
+ *
+ * @return void
+ */
+function cleanUpTestEnvironment() {
+    global $TEST_SERVERS, $TEST_APP_DIR;
+
+    foreach ($TEST_SERVERS as $process) {
+        proc_terminate($process);
+        proc_close($process);
+    }
+    $TEST_SERVERS = [];
+
+    if ($TEST_APP_DIR && is_dir($TEST_APP_DIR)) {
+        foreach (glob($TEST_APP_DIR . '/{,.}*', GLOB_BRACE) ?: [] as $file) {
+            if (is_file($file)) {
+                unlink($file);
+            }
+        }
+        rmdir($TEST_APP_DIR);
+    }
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+$root = dirname(__DIR__);
+$TEST_APP_DIR = sys_get_temp_dir() . '/trouidees-tests-' . bin2hex(random_bytes(4));
+mkdir($TEST_APP_DIR);
+register_shutdown_function('cleanUpTestEnvironment');
+
+foreach (glob($root . '/*.php') as $file) {
+    if (basename($file) !== 'config.php') {
+        copy($file, $TEST_APP_DIR . '/' . basename($file));
+    }
+}
+copy(__DIR__ . '/config.test.php', $TEST_APP_DIR . '/config.php');
+
+$graphPort = findFreePort();
+$appPort = findFreePort();
+$TEST_GRAPH_LOG = $TEST_APP_DIR . '/graph-requests.log';
+$TEST_APP_URL = "http://127.0.0.1:$appPort";
+putenv("MOCK_GRAPH_URL=http://127.0.0.1:$graphPort"); // For runAppScript()
+
+startTestServer($graphPort, [__DIR__ . '/mock-graph-server.php'], ['MOCK_GRAPH_LOG' => $TEST_GRAPH_LOG], $TEST_APP_DIR . '/graph-server.log');
+startTestServer($appPort, ['-t', $TEST_APP_DIR], ['MOCK_GRAPH_URL' => "http://127.0.0.1:$graphPort"], $TEST_APP_DIR . '/app-server.log');
+
+$TEST_CURL = curl_init();
+curl_setopt($TEST_CURL, CURLOPT_COOKIEFILE, ''); // Keep cookies in memory
+
+foreach (glob(__DIR__ . '/*-test.php') as $testFile) {
+    require $testFile;
+}
+
+$filter = $argv[1] ?? '';
+$passed = 0;
+$failed = 0;
+
+foreach ($TESTS as $name => $fn) {
+    if ($filter !== '' && stripos($name, $filter) === false) {
+        continue;
+    }
+
+    resetTestState();
+    try {
+        $fn();
+        $passed++;
+        echo "  ✓ $name\n";
+    } catch (Throwable $e) {
+        $failed++;
+        echo "  ✗ $name\n      " . $e->getMessage() . "\n";
+    }
+}
+
+echo "\n$passed passed, $failed failed\n";
+exit($failed > 0 ? 1 : 0);
@@ -0,0 +1,172 @@
+<?php
+/**
+ * Webhook Receiver Tests
+ *
+ * DESCRIPTION:
+ * Sends Forminator-style webhooks to webhook-receiver.php and checks what
+ * is stored. Loaded by tests/run-tests.php.
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+test('webhook stores a form-encoded submission as pending', function() {
+    $response = sendWebhook([
+        'name-1' => 'Anna',
+        'email-1' => 'anna@example.com',
+        'textarea-1' => 'Can anyone recommend a photographer in Stellenbosch?'
+    ]);
+
+    assertSame(200, $response['status'], 'HTTP status');
+    assertSame(true, $response['json']['success'], 'Response success');
+
+    $sub = findSubmission($response['json']['id']);
+    assertSame('Can anyone recommend a photographer in Stellenbosch?', $sub['message'], 'Message');
+    assertSame('anna@example.com', $sub['email'], 'Email');
+    assertSame('pending', $sub['status'], 'Status');
+    assertSame('page1', $sub['target_page_key'], 'Target page');
+    assertSame('Anna', $sub['form_data']['name-1'], 'Other fields are kept');
+    assertSame('created', $sub['history'][0]['action'], 'History starts with "created"');
+    assertSame('webhook', $sub['history'][0]['by'], 'Created by the webhook');
+});
+
+test('webhook accepts a JSON body', function() {
+    $response = sendWebhook(
+        json_encode(['message' => 'Which florist did you use?', 'email-1' => 'ben@example.com']),
+        ['page' => 'background', 'secret' => TEST_WEBHOOK_SECRET]
+    );
+
+    assertSame(200, $response['status'], 'HTTP status');
+    $sub = findSubmission($response['json']['id']);
+    assertSame('Which florist did you use?', $sub['message'], 'Message');
+    assertSame('background', $sub['target_page_key'], 'Target page from ?page=');
+});
+
+test('webhook falls back to the default page for an unknown page key', function() {
+    $response = sendWebhook(['textarea-1' => 'Any DJs available in June?'],
+        ['page' => 'no-such-page', 'secret' => TEST_WEBHOOK_SECRET]);
+
+    assertSame(200, $response['status'], 'HTTP status');
+    assertSame('page1', findSubmission($response['json']['id'])['target_page_key'], 'Target page');
+});
+
+test('webhook takes the first filled-in textarea as the message', function() {
+    $response = sendWebhook([
+        'textarea-1' => 'Where do we start planning?',
+        'textarea-2' => 'Any other comments',
+        'email-1' => '',
+        'email-2' => 'chris@example.com'
+    ]);
+
+    $sub = findSubmission($response['json']['id']);
+    assertSame('Where do we start planning?', $sub['message'], 'Message');
+    assertSame('chris@example.com', $sub['email'], 'First filled-in email');
+});
+
+test('webhook applies the field rules of the form', function() {
+    $response = sendWebhook([
+        'textarea-1' => 'Internal notes',
+        'textarea-2' => 'Can we bring our own wine?',
+        'date-1' => '',
+        'name-1' => ['first-name' => 'Dana', 'last-name' => 'Smit'],
+        'email-1' => 'wrong@example.com',
+        'email-2' => 'dana@example.com',
+        'phone-1' => '082 123 4567'
+    ], ['page' => 'page1', 'form' => '42', 'secret' => TEST_WEBHOOK_SECRET]);
+
+    $sub = findSubmission($response['json']['id']);
+    assertSame("Can we bring our own wine?\n\nFrom: Dana Smit", $sub['message'], 'Message from the template');
+    assertSame('dana@example.com', $sub['email'], 'Configured email field');
+    assertSame('42', $sub['form_id'], 'Form ID');
+    assertTrue(!isset($sub['form_data']['phone-1']), 'Private field not stored');
+    assertSame('Internal notes', $sub['form_data']['textarea-1'], 'Other fields kept');
+});
+
+test('webhook rejects a wrong or missing secret', function() {
+    $wrong = sendWebhook(['textarea-1' => 'Hello'], ['page' => 'page1', 'secret' => 'wrong']);
+    assertSame(401, $wrong['status'], 'Wrong secret');
+
+    $missing = sendWebhook(['textarea-1' => 'Hello'], ['page' => 'page1']);
+    assertSame(401, $missing['status'], 'Missing secret');
+
+    assertSame([], readSubmissions(), 'Nothing stored');
+});
+
+test('webhook rejects an empty body', function() {
+    $response = sendWebhook('');
+
+    assertSame(400, $response['status'], 'HTTP status');
+    assertSame([], readSubmissions(), 'Nothing stored');
+});
+
+test('webhook rejects a JSON body that is not an object', function() {
+    foreach (['123', '"question"', 'true'] as $body) {
+        $response = sendWebhook($body);
+        assertSame(400, $response['status'], "HTTP status for $body");
+    }
+    assertSame([], readSubmissions(), 'Nothing stored');
+});
+
+test('webhook finds uploaded images and links', function() {
+    $response = sendWebhook([
+        'textarea-1' => 'Is this venue still available?',
+        'upload-1' => ['file' => ['file_url' => 'https://example.com/uploads/venue.jpg']],
+        'url-1' => 'https://example.com/venue',
+        'text-2' => 'javascript:alert(1)'
+    ]);
+
+    $sub = findSubmission($response['json']['id']);
+    assertSame([
+        ['type' => 'image', 'url' => 'https://example.com/uploads/venue.jpg', 'field' => 'upload-1'],
+        ['type' => 'link', 'url' => 'https://example.com/venue', 'field' => 'url-1']
+    ], $sub['attachments'], 'Attachments');
+    assertTrue(!isset($sub['attachment']), 'Nothing is chosen automatically');
+});
+
+test('webhook flattens nested name, address, checkbox and upload fields', function() {
+    $response = sendWebhook([
+        'textarea-1' => 'Who did your flowers?',
+        'name-1' => ['prefix' => 'Mrs', 'first-name' => 'Anna', 'middle-name' => '', 'last-name' => 'van Wyk'],
+        'address-1' => ['street_address' => '12 Kerkstraat', 'city' => 'Stellenbosch', 'zip' => '7600'],
+        'checkbox-1' => ['Venue', 'Catering'],
+        'upload-1' => ['file' => ['file_url' => 'https://example.com/uploads/venue.jpg', 'file_path' => '/var/www/venue.jpg']]
+    ]);
+
+    $sub = findSubmission($response['json']['id']);
+    assertSame('Mrs Anna van Wyk', $sub['form_data']['name-1'], 'Name');
+    assertSame('12 Kerkstraat, Stellenbosch, 7600', $sub['form_data']['address-1'], 'Address');
+    assertSame(['Venue', 'Catering'], $sub['form_data']['checkbox-1'], 'Checkboxes stay a list');
+    assertSame('https://example.com/uploads/venue.jpg', $sub['form_data']['upload-1'], 'Upload URL only');
+    assertSame(['label' => 'Name 1', 'type' => 'name'], $sub['form_fields']['name-1'], 'Label and type');
+    assertSame('list', $sub['form_fields']['checkbox-1']['type'], 'Checkbox type');
+});
+
+test('webhook stores spam with the spam status', function() {
+    $response = sendWebhook(['textarea-1' => 'Best casino bonus, pay with bitcoin today']);
+
+    $sub = findSubmission($response['json']['id']);
+    assertSame('spam', $sub['status'], 'Status');
+    assertTrue($sub['spam_score'] >= 5, 'Spam score reaches the threshold');
+});
+
+test('webhook stores submissions over a rate limit as spam instead of refusing them', function() {
+    global $TEST_APP_DIR;
+    $flood = array_fill(0, 1000, time());
+
+    file_put_contents($TEST_APP_DIR . '/rate-limit.json', json_encode(['emails' => ['flood@example.com' => $flood]]));
+    $response = sendWebhook(['textarea-1' => 'When does the venue open?', 'email-1' => 'Flood@example.com']);
+    assertSame(200, $response['status'], 'HTTP status');
+    $sub = findSubmission($response['json']['id']);
+    assertSame('spam', $sub['status'], 'Status');
+    assertContains('from this email address', implode(', ', $sub['spam_reasons']), 'Reason');
+
+    $response = sendWebhook(['textarea-1' => 'Is there parking at the venue?', 'email-1' => 'other@example.com']);
+    assertSame('pending', findSubmission($response['json']['id'])['status'], 'Other email addresses are not limited');
+
+    // A new email address each time doesn't get past the IP limit
+    file_put_contents($TEST_APP_DIR . '/rate-limit.json', json_encode(['ips' => ['127.0.0.1' => $flood]]));
+    $response = sendWebhook(['textarea-1' => 'Can we bring our own wine?', 'email-1' => 'new@example.com']);
+    $sub = findSubmission($response['json']['id']);
+    assertSame('spam', $sub['status'], 'Status over the IP limit');
+    assertContains('from this IP address', implode(', ', $sub['spam_reasons']), 'IP reason');
+});
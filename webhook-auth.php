@@ -0,0 +1,130 @@
+<?php
+/**
+ * Webhook Authentication
+ *
+ * DESCRIPTION:
+ * Verifies that a request to webhook-receiver.php comes from one of our
+ * forms. Every request must carry the page's shared secret; senders that
+ * can sign requests can use an HMAC signature instead.
+ *
+ * SHARED SECRET (Forminator):
+ *   webhook-receiver.php?page=page1&secret=THE_SECRET
+ *   or header  X-Webhook-Secret: THE_SECRET
+ *
+ * HMAC SIGNATURE (optional, for senders that can compute one):
+ *   X-Webhook-Timestamp: 1730460000            (Unix time of sending)
+ *   X-Webhook-Signature: sha256=HEX            (HMAC-SHA256 of "TIMESTAMP.RAW_BODY")
+ * The raw body is what arrives on php://input, so signed requests must be
+ * sent as JSON or urlencoded (not multipart/form-data). Requests older or
+ * newer than WEBHOOK_REPLAY_WINDOW seconds are rejected, so a captured
+ * request can't be replayed later.
+ *
+ * SECRETS:
+ * Each page in $FACEBOOK_PAGES can have its own secret, so a leaked URL for
+ * one form doesn't let anyone post to the other page:
+ *   'page1' => [ ..., 'webhook_secret' => FB_PAGE1_WEBHOOK_SECRET ]
+ * Pages without one use the WEBHOOK_SECRET constant (or FB_WEBHOOK_SECRET
+ * from wp-config.php). Setting 'webhook_require_signature' => true on a page
+ * rejects unsigned requests. If no secret is configured at all (or it is
+ * still the placeholder from DEPLOYMENT-GUIDE.md), every request is rejected.
+ *
+ * REQUIRES:
+ * config.php ($FACEBOOK_PAGES, WEBHOOK_SECRET or FB_WEBHOOK_SECRET).
+ *
+ * @version 1.0.0
+ * @author Trou Idees Development Team
+ */
+
+/**
+ * Accepted Clock Difference for Signed Requests (seconds)
+ */
+const WEBHOOK_REPLAY_WINDOW = 300;
+
+/**
+ * Placeholder Secret From the Deployment Guide (never accepted)
+ */
+const WEBHOOK_SECRET_PLACEHOLDER = 'CHANGE_THIS_TO_RANDOM_64_CHAR_HEX_STRING';
+
+/**
+ * Get the Webhook Secret of a Page
+ *
+ * @param string $pageKey Page key (e.g. 'page1')
+ * @return string The secret ('' if none is configured)
+ */
+function getWebhookSecret($pageKey) {
+    global $FACEBOOK_PAGES;
+
+    $secret = (string) ($FACEBOOK_PAGES[$pageKey]['webhook_secret'] ?? '');
+    if ($secret === '' && defined('WEBHOOK_SECRET')) {
+        $secret = (string) WEBHOOK_SECRET;
+    }
+    if ($secret === '' && defined('FB_WEBHOOK_SECRET')) {
+        $secret = (string) FB_WEBHOOK_SECRET;
+    }
+
+    return $secret === WEBHOOK_SECRET_PLACEHOLDER ? '' : $secret;
+}
+
+/**
+ * Read a Request Header
+ *
+ * @param string $name Header name (e.g. 'X-Webhook-Secret')
+ * @return string Header value ('' if not sent)
+ */
+function getWebhookHeader($name) {
+    $key = 'HTTP_' . strtoupper(str_replace('-', '_', $name));
+    return trim((string) ($_SERVER[$key] ?? ''));
+}
+
+/**
+ * Verify a Webhook Request
+ *
+ * A signature, if sent, is always checked (and must be valid) even when the
+ * shared secret is also present.
+ *
+ * @param string   $pageKey   Target page key (whose secret applies)
+ * @param string   $rawBody   Raw request body (php://input)
+ * @param string   $token     Shared secret sent by the caller (query or header)
+ * @param string   $signature X-Webhook-Signature header ('' if not sent)
+ * @param string   $timestamp X-Webhook-Timestamp header ('' if not sent)
+ * @param int|null $now       Current time (default: time())
+ * @return string|null Error message, or null if the request is authentic
+ */
+function verifyWebhookRequest($pageKey, $rawBody, $token, $signature = '', $timestamp = '', $now = null) {
+    global $FACEBOOK_PAGES;
+
+    $secret = getWebhookSecret($pageKey);
+    if ($secret === '') {
+        return 'No webhook secret configured for page: ' . $pageKey;
+    }
+
+    if ($signature !== '') {
+        if (!ctype_digit($timestamp)) {
+            return 'Missing or invalid X-Webhook-Timestamp';
+        }
+        if (abs(($now ?? time()) - (int) $timestamp) > WEBHOOK_REPLAY_WINDOW) {
+            return 'Request timestamp outside the replay window';
+        }
+
+        $expected = hash_hmac('sha256', $timestamp . '.' . $rawBody, $secret);
+        $signature = preg_replace('/^sha256=/', '', $signature);
+        if (!hash_equals($expected, strtolower($signature))) {
+            return 'Invalid signature';
+        }
+
+        return null;
+    }
+
+    if (!empty($FACEBOOK_PAGES[$pageKey]['webhook_require_signature'])) {
+        return 'Signature required';
+    }
+
+    if ($token === '') {
+        return 'Missing secret';
+    }
+    if (!hash_equals($secret, (string) $token)) {
+        return 'Invalid secret';
+    }
+
+    return null;
+}
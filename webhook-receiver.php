@@ -7,28 +7,36 @@
  * determines the target Facebook page, and stores submissions in JSON for admin review.
  *
  * WORKFLOW:
- * 1. Receives POST data from Forminator webhook
- * 2. Parses form fields (supports both form-data and JSON)
- * 3. Dynamically detects message and email fields
- * 4. Reads ?page parameter to determine target Facebook Page
- * 5. Stores submission with status "pending" in submissions.json
- * 6. Returns JSON response to Forminator
+ * 1. Reads ?page parameter to determine target Facebook Page
+ * 2. Checks the page's webhook secret or signature (webhook-auth.php)
+ * 3. Receives POST data from Forminator webhook
+ * 4. Parses form fields (supports both form-data and JSON)
+ * 5. Dynamically detects message and email fields, flattens nested fields,
+ *    finds images and links
+ * 6. Stores submission with status "pending" (submissions.json or SQLite, see addSubmission())
+ * 7. Returns JSON response to Forminator
  *
  * FORMINATOR SETUP:
  * In your Forminator form, add a Webhook integration:
- * URL: https://yoursite.com/fb-approval/webhook-receiver.php?page=page1
+ * URL: https://yoursite.com/fb-approval/webhook-receiver.php?page=page1&secret=PAGE1_SECRET
  * Method: POST
  *
  * URL PARAMETERS:
  * - ?page=page1 - Routes submission to page1 (configured in config.php)
  * - ?page=page2 - Routes submission to page2
  * - No parameter - Uses default page from $FORM_PAGE_MAPPING
+ * - ?secret=... - The target page's webhook secret (required, see webhook-auth.php)
+ * - ?form=1234 - Forminator form ID, selects its field rules (optional, see field-mapping.php)
  *
  * FIELD DETECTION:
- * The script automatically detects these field names:
- * Message fields: textarea-*, message, text-1, question, content
+ * Without field rules the script detects these field names:
+ * Message fields: *textarea*, message, text-1, question, content
  * Email fields: *email*
- * Add more patterns in the detection logic below if needed.
+ * Per page or per form, config.php can name the message field(s), compose
+ * the message from a template, name the email field and strip private
+ * fields (see field-mapping.php).
+ * Images and links: any field whose value is just an http(s) URL, e.g.
+ * upload-* and url-* (see detectAttachments() in attachments.php)
  *
  * DATA STORAGE:
  * Submissions are appended to submissions.json with this structure:
@@ -38,30 +46,58 @@
  *   "email": "user@example.com",
  *   "status": "pending",
  *   "target_page_key": "page1",
- *   "form_data": {...all form fields...},
+ *   "form_id": "1234",                  (null if the webhook doesn't say)
+ *   "form_data": {...all form fields except private ones, flattened...},
+ *   "form_fields": { "name-1": {"label": "Name 1", "type": "name"}, ... },   (see form-fields.php)
+ *   "attachments": [ {"type": "image", "url": "...", "field": "upload-1"} ],   (see attachments.php)
  *   "created_at": "2024-10-31 12:34:56",
  *   "ip_address": "192.168.1.1",
  *   "fb_post_id": null,
  *   "published_at": null,
- *   "error": null
+ *   "error": null,
+ *   "history": [ {"action": "created", "by": "webhook", ...} ]   (see history.php)
  * }
  *
  * ERROR HANDLING:
- * - Returns HTTP 400 if no data received
+ * - Returns HTTP 401 if the secret or signature is missing or wrong
+ * - Returns HTTP 400 if no data received (or a JSON body that is not an object)
  * - Returns HTTP 500 if file write fails
- * - Logs all activity to webhook.log when DEBUG_MODE is enabled
+ * - Logs all activity to webhook.log when DEBUG_MODE is enabled (rotated at
+ *   WEBHOOK_LOG_MAX_SIZE, see writeWebhookLog())
  *
  * SECURITY:
  * - All output is JSON (no HTML rendering)
  * - Data is stored as-is (sanitization happens on display in queue.php)
  * - IP address is logged for tracking
- * - No authentication required (webhook endpoint is public)
+ * - Requests must carry the page's shared secret or an HMAC signature
+ *   (per-page secrets, replay window; see webhook-auth.php)
+ * - Rejected requests are always logged to webhook.log
+ * - Per-IP, per-email and global rate limits; submissions over a limit and
+ *   likely spam get the "spam" status
  *
  * @version 2.0.0 (Added multi-page support)
  * @author Trou Idees Development Team
  */
 
 require_once 'config.php';
+require_once 'storage.php';
+require_once 'sqlite-storage.php';
+require_once 'history.php';
+require_once 'submissions.php';
+require_once 'attachments.php';
+require_once 'field-mapping.php';
+require_once 'form-fields.php';
+require_once 'webhook-auth.php';
+require_once 'spam.php';
+
+/**
+ * Size at Which webhook.log Is Rotated (bytes)
+ *
+ * Override in config.php if needed.
+ */
+if (!defined('WEBHOOK_LOG_MAX_SIZE')) {
+    define('WEBHOOK_LOG_MAX_SIZE', 1024 * 1024);
+}
 
 /**
  * Log Message to Webhook Log File
@@ -77,17 +113,118 @@ require_once 'config.php';
  */
 function logMessage($message) {
     if (DEBUG_MODE) {
-        $logFile = __DIR__ . '/webhook.log';
-        $timestamp = date('Y-m-d H:i:s');
-        file_put_contents($logFile, "[$timestamp] $message\n", FILE_APPEND);
+        writeWebhookLog($message);
+    }
+}
+
+/**
+ * Log a Security Event
+ *
+ * Like logMessage(), but always written (also when DEBUG_MODE is off),
+ * so rejected requests can be reviewed.
+ *
+ * @param string $message The message to log
+ * @return void
+ */
+function logSecurityEvent($message) {
+    writeWebhookLog($message);
+}
+
+/**
+ * Append a Line to webhook.log
+ *
+ * Anyone can send rejected requests, and each one is logged, so the log
+ * can't be allowed to grow without limit: once it reaches
+ * WEBHOOK_LOG_MAX_SIZE it is renamed to webhook-old.log (replacing the
+ * previous one) and a new log is started.
+ *
+ * @param string $message The message to log
+ * @return void
+ */
+function writeWebhookLog($message) {
+    $logFile = __DIR__ . '/webhook.log';
+    if (@filesize($logFile) >= WEBHOOK_LOG_MAX_SIZE) {
+        @rename($logFile, __DIR__ . '/webhook-old.log');
     }
+    $timestamp = date('Y-m-d H:i:s');
+    file_put_contents($logFile, "[$timestamp] $message\n", FILE_APPEND | LOCK_EX);
 }
 
+logMessage("Webhook received from " . ($_SERVER['REMOTE_ADDR'] ?? 'unknown'));
+
 // ============================================================================
-// STEP 1: RECEIVE AND PARSE INCOMING WEBHOOK DATA
+// STEP 1: DETERMINE TARGET FACEBOOK PAGE
 // ============================================================================
 
-logMessage("Webhook received from " . ($_SERVER['REMOTE_ADDR'] ?? 'unknown'));
+/**
+ * Page Routing Logic
+ *
+ * Determines which Facebook Page this submission should post to based on:
+ * 1. URL parameter: ?page=page1
+ * 2. Configuration: $FACEBOOK_PAGES array (from config.php)
+ * 3. Fallback: $FORM_PAGE_MAPPING['default']
+ *
+ * ROUTING RULES:
+ * - If ?page parameter exists AND matches a key in $FACEBOOK_PAGES → use that page
+ * - If ?page parameter is missing or invalid → use default page
+ * - Invalid page keys are logged for debugging
+ *
+ * EXAMPLES:
+ * webhook-receiver.php?page=page1 → target: page1
+ * webhook-receiver.php?page=page2 → target: page2
+ * webhook-receiver.php           → target: default (page1)
+ * webhook-receiver.php?page=xyz  → target: default (page1), logs warning
+ */
+$pageParam = $_GET['page'] ?? null;
+$targetPageKey = $FORM_PAGE_MAPPING['default']; // Start with default
+
+if ($pageParam && isset($FACEBOOK_PAGES[$pageParam])) {
+    // Valid page parameter provided - use it
+    $targetPageKey = $pageParam;
+    logMessage("Target page set to: $targetPageKey (from URL parameter)");
+} else {
+    // No parameter or invalid parameter - use default
+    logMessage("Using default page: $targetPageKey" .
+               ($pageParam ? " (invalid parameter: $pageParam)" : " (no parameter provided)"));
+}
+
+// ============================================================================
+// STEP 2: AUTHENTICATE REQUEST
+// ============================================================================
+
+/**
+ * Shared Secret / Signature Check
+ *
+ * Every request must prove it comes from one of our forms, using the
+ * target page's secret (see webhook-auth.php):
+ * - ?secret=... in the webhook URL, or an X-Webhook-Secret header
+ * - or an HMAC signature (X-Webhook-Signature + X-Webhook-Timestamp)
+ *
+ * Rejected requests get HTTP 401 and are always logged (not only in
+ * DEBUG_MODE), without the body.
+ */
+$rawData = file_get_contents('php://input');
+
+$authError = verifyWebhookRequest(
+    $targetPageKey,
+    $rawData,
+    $_GET['secret'] ?? getWebhookHeader('X-Webhook-Secret'),
+    getWebhookHeader('X-Webhook-Signature'),
+    getWebhookHeader('X-Webhook-Timestamp')
+);
+
+if ($authError !== null) {
+    logSecurityEvent("REJECTED webhook for $targetPageKey from " . ($_SERVER['REMOTE_ADDR'] ?? 'unknown') . ": $authError");
+    http_response_code(401); // Unauthorized
+    header('Content-Type: application/json');
+    die(json_encode(['success' => false, 'error' => 'Unauthorized']));
+}
+
+logMessage("Webhook authenticated for page: $targetPageKey");
+
+// ============================================================================
+// STEP 3: RECEIVE AND PARSE INCOMING WEBHOOK DATA
+// ============================================================================
 
 /**
  * Get POST data from Forminator
@@ -98,7 +235,6 @@ logMessage("Webhook received from " . ($_SERVER['REMOTE_ADDR'] ?? 'unknown'));
  *
  * We try $_POST first, then fall back to parsing JSON from php://input.
  */
-$rawData = file_get_contents('php://input');
 logMessage("Raw data: " . $rawData);
 
 // Try both POST array and raw JSON
@@ -112,26 +248,29 @@ logMessage("Parsed data: " . print_r($data, true));
 /**
  * Validate Data Exists
  *
- * If no data received (neither $_POST nor valid JSON), return error.
- * This prevents empty submissions from being stored.
+ * If no data received (neither $_POST nor a JSON object), return error.
+ * This prevents empty submissions from being stored. A JSON body that is
+ * just a number or a string (e.g. `123`) isn't form data either.
  */
-if (empty($data)) {
+if (empty($data) || !is_array($data)) {
     logMessage("ERROR: No data received");
     http_response_code(400); // Bad Request
     die(json_encode(['success' => false, 'error' => 'No data received']));
 }
 
 // ============================================================================
-// STEP 2: EXTRACT MESSAGE AND EMAIL FIELDS
+// STEP 4: EXTRACT MESSAGE AND EMAIL FIELDS
 // ============================================================================
 
 /**
- * Dynamic Field Detection
+ * Field Mapping
  *
- * Forminator field names vary based on form configuration.
- * We search for common patterns rather than hardcoding field names.
+ * Forminator field names vary based on form configuration. The page's (or
+ * form's) field rules in config.php say which fields form the message and
+ * email and which are private; without rules they are guessed (see
+ * field-mapping.php):
  *
- * Message field patterns searched (in order):
+ * Message field patterns searched (in order, first non-empty field wins):
  * - Contains "textarea" (e.g., textarea-1, textarea-2)
  * - Exactly "message"
  * - Exactly "text-1"
@@ -141,47 +280,45 @@ if (empty($data)) {
  * Email field patterns:
  * - Contains "email" anywhere in field name (e.g., email-1, user-email)
  *
- * If your form uses different field names, add them to the patterns below.
+ * If your form uses different field names, add 'field_mapping' rules for it
+ * instead of changing the patterns.
  */
-$message = '';
-$email = '';
-$formData = [];
-
-// First pass: Search all fields for message and email using pattern matching
-foreach ($data as $key => $value) {
-    // Store all form fields for reference
-    $formData[$key] = $value;
-
-    // Look for textarea field (primary message field)
-    if (strpos($key, 'textarea') !== false || $key === 'message' || $key === 'text-1') {
-        $message = $value;
-        logMessage("Found message in field: $key");
-    }
+$formId = getWebhookFormId($_GET, $data);
+$mapping = getFieldMapping($targetPageKey, $formId);
+$mapped = applyFieldMapping($data, $mapping);
 
-    // Look for email field (any field containing 'email')
-    if (strpos($key, 'email') !== false) {
-        $email = $value;
-        logMessage("Found email in field: $key");
-    }
+$message = $mapped['message'];
+$email = $mapped['email'];
+
+logMessage("Field rules: " . $mapping['source'] . ($formId !== null ? " (form $formId)" : ''));
+logMessage("Found message in field(s): " . (implode(', ', $mapped['message_fields']) ?: 'none'));
+if ($mapped['email_field'] !== null) {
+    logMessage("Found email in field: " . $mapped['email_field']);
+}
+if (!empty($mapped['stripped'])) {
+    logMessage("Removed private fields: " . implode(', ', $mapped['stripped']));
 }
 
 /**
- * Fallback Message Detection
+ * Nested Field Normalization
  *
- * If message wasn't found in first pass, try exact field name matches.
- * These are common field names used in Forminator forms.
+ * Names, addresses, checkboxes, uploads and dropdown dates arrive in parts;
+ * they are stored as plain text (lists for checkboxes), with each field's
+ * label and type for the queue card (see form-fields.php).
+ */
+$normalized = normalizeFormData($mapped['form_data']);   // All form fields except private ones
+$formData = $normalized['form_data'];
+$formFields = $normalized['form_fields'];
+
+/**
+ * Image and Link Detection
  *
- * To add more: extend the $possibleFields array.
+ * Uploads and URLs are offered to the moderator on the queue card; nothing
+ * is attached to the Facebook post unless they choose it.
  */
-if (empty($message)) {
-    $possibleFields = ['textarea-1', 'text-1', 'message', 'question', 'content'];
-    foreach ($possibleFields as $field) {
-        if (isset($data[$field])) {
-            $message = $data[$field];
-            logMessage("Found message in field: $field");
-            break;
-        }
-    }
+$attachments = detectAttachments($formData);
+if (!empty($attachments)) {
+    logMessage("Found attachments: " . implode(', ', array_column($attachments, 'url')));
 }
 
 /**
@@ -195,61 +332,6 @@ if (empty($message)) {
     logMessage("Available fields: " . implode(', ', array_keys($data)));
 }
 
-// ============================================================================
-// STEP 3: DETERMINE TARGET FACEBOOK PAGE
-// ============================================================================
-
-/**
- * Page Routing Logic
- *
- * Determines which Facebook Page this submission should post to based on:
- * 1. URL parameter: ?page=page1
- * 2. Configuration: $FACEBOOK_PAGES array (from config.php)
- * 3. Fallback: $FORM_PAGE_MAPPING['default']
- *
- * ROUTING RULES:
- * - If ?page parameter exists AND matches a key in $FACEBOOK_PAGES → use that page
- * - If ?page parameter is missing or invalid → use default page
- * - Invalid page keys are logged for debugging
- *
- * EXAMPLES:
- * webhook-receiver.php?page=page1 → target: page1
- * webhook-receiver.php?page=page2 → target: page2
- * webhook-receiver.php           → target: default (page1)
- * webhook-receiver.php?page=xyz  → target: default (page1), logs warning
- */
-$pageParam = $_GET['page'] ?? null;
-$targetPageKey = $FORM_PAGE_MAPPING['default']; // Start with default
-
-if ($pageParam && isset($FACEBOOK_PAGES[$pageParam])) {
-    // Valid page parameter provided - use it
-    $targetPageKey = $pageParam;
-    logMessage("Target page set to: $targetPageKey (from URL parameter)");
-} else {
-    // No parameter or invalid parameter - use default
-    logMessage("Using default page: $targetPageKey" .
-               ($pageParam ? " (invalid parameter: $pageParam)" : " (no parameter provided)"));
-}
-
-// ============================================================================
-// STEP 4: LOAD EXISTING SUBMISSIONS
-// ============================================================================
-
-/**
- * Load submissions.json
- *
- * This file contains all previous submissions.
- * If the file doesn't exist (first submission), we start with an empty array.
- *
- * File format: JSON array of submission objects
- * Location: Defined by DATA_FILE constant in config.php
- */
-$submissions = [];
-if (file_exists(DATA_FILE)) {
-    $json = file_get_contents(DATA_FILE);
-    $submissions = json_decode($json, true) ?: [];
-}
-
 // ============================================================================
 // STEP 5: CREATE SUBMISSION OBJECT
 // ============================================================================
@@ -262,12 +344,13 @@ if (file_exists(DATA_FILE)) {
  * - Extracted message and email
  * - Status: Always starts as 'pending'
  * - Target page key for multi-page routing
- * - Complete form data (all fields)
+ * - Form data (all fields except private ones)
  * - Metadata: timestamp, IP address
  * - Publishing fields: Initially null, filled when published
  *
  * STATUS VALUES:
  * - pending: Awaiting admin review (initial state)
+ * - spam: Spam score reached the threshold (see spam.php); shown in the Spam tab
  * - approved: Approved by admin, ready to publish
  * - published: Successfully posted to Facebook
  * - rejected: Rejected by admin, will not be published
@@ -278,7 +361,10 @@ $submission = [
     'email' => $email,                          // User email (if provided)
     'status' => 'pending',                      // Workflow status
     'target_page_key' => $targetPageKey,        // Which Facebook page to post to
-    'form_data' => $formData,                   // All form fields (raw data)
+    'form_id' => $formId,                       // Forminator form ID (if sent, see field-mapping.php)
+    'form_data' => $formData,                   // Form fields (flattened, without private fields)
+    'form_fields' => $formFields,               // Label and type of each field
+    'attachments' => $attachments,              // Images and links found in the fields
     'created_at' => date('Y-m-d H:i:s'),        // When submitted
     'ip_address' => $_SERVER['REMOTE_ADDR'] ?? 'unknown', // Submitter IP
     'fb_post_id' => null,                       // Facebook post ID (filled after publishing)
@@ -287,44 +373,76 @@ $submission = [
 ];
 
 // ============================================================================
-// STEP 6: SAVE TO DATA FILE
+// STEP 6: SPAM CHECK AND SAVE TO DATA FILE
 // ============================================================================
 
 /**
- * Append submission to array and save
- *
- * Add new submission to the end of the submissions array,
- * then write the entire array back to submissions.json.
- *
- * NOTE: This is a simple append operation. For high-volume systems,
- * consider implementing file locking to prevent race conditions:
- * $fp = fopen(DATA_FILE, 'c+');
- * flock($fp, LOCK_EX);
- * ... read, modify, write ...
- * flock($fp, LOCK_UN);
- * fclose($fp);
+ * Rate Limits
+ *
+ * Floods from one IP address, one email address or in total are not
+ * refused - Forminator doesn't retry, so a refused submission would be
+ * lost - but stored with the "spam" status. Limits are set in
+ * $SPAM_SETTINGS (see spam.php).
  */
-$submissions[] = $submission;
+$rateLimitReason = checkRateLimit($submission['ip_address'], $email);
+
+if ($rateLimitReason !== null) {
+    logSecurityEvent("RATE LIMITED webhook for $targetPageKey from " . $submission['ip_address'] . ": $rateLimitReason (stored as spam)");
+}
 
 /**
- * Write to file
- *
- * JSON_PRETTY_PRINT makes the file human-readable for debugging.
- * Remove this flag in high-volume production for slightly better performance.
+ * Append Submission Under an Exclusive Lock
+ *
+ * addSubmission() (submissions.php) stores the submission in submissions.json
+ * (written atomically, see storage.php) or in SQLite (see sqlite-storage.php),
+ * while other webhooks and moderator actions wait. Two submissions arriving
+ * at the same moment are both kept, and a corrupt JSON file is restored from
+ * its newest backup instead of being replaced by a list holding only this
+ * submission.
+ *
+ * Spam Check:
+ * Scores links, banned words, capitals, repeated characters and duplicates
+ * of recent submissions. Spam is still stored (a moderator can mark it
+ * "not spam"), but with the "spam" status instead of "pending". It runs
+ * inside the lock so a duplicate sent twice at once is still caught. A
+ * reached rate limit (see above) is added to the reasons and makes it spam
+ * whatever the score.
+ *
+ * History:
+ * The submission's timeline starts with a "created" entry by "webhook".
  */
-$saved = file_put_contents(DATA_FILE, json_encode($submissions, JSON_PRETTY_PRINT));
+$duplicateSince = date('Y-m-d H:i:s', time() - getSpamSettings()['duplicate_hours'] * 3600);
+
+$saved = addSubmission($submission, function(array &$submission, array $recent) use ($rateLimitReason) {
+    $spamCheck = scoreSubmission($submission, $recent);
+    $submission['spam_score'] = $spamCheck['score'];
+    $submission['spam_reasons'] = $spamCheck['reasons'];
+
+    if ($rateLimitReason !== null) {
+        $submission['spam_reasons'][] = $rateLimitReason;
+    }
+
+    if ($spamCheck['spam'] || $rateLimitReason !== null) {
+        $submission['status'] = 'spam';
+        logMessage("Marked as spam (score {$spamCheck['score']}): " . implode(', ', $submission['spam_reasons']));
+    }
+
+    // First timeline entry (see history.php)
+    recordSubmissionHistory($submission, 'created', null, [], ['by' => 'webhook', 'ip' => $submission['ip_address']]);
+}, $duplicateSince);
 
 /**
  * Verify Save Success
  *
- * If file_put_contents returns false, something went wrong:
- * - Directory not writable
+ * If the update fails, something went wrong:
+ * - Directory not writable (the lock, temporary and backup files live
+ *   next to submissions.json)
  * - Disk full
  * - Permissions issue
  *
  * Return HTTP 500 error to Forminator.
  */
-if ($saved === false) {
+if (!$saved) {
     logMessage("ERROR: Could not save submission to file");
     http_response_code(500); // Internal Server Error
     die(json_encode(['success' => false, 'error' => 'Could not save submission']));